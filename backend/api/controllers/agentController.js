@@ -6,6 +6,15 @@
 
 const twoAgentService = require('../../services/twoAgentService');
 
+/**
+ * Whether the client asked for a server-sent event stream
+ * (?stream=true or an Accept: text/event-stream header)
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+const wantsEventStream = (req) =>
+  req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+
 /**
  * Agent controller for handling two-agent system API requests
  */
@@ -31,6 +40,46 @@ const agentController = {
       // Set default output type if not provided
       const type = outputType || 'sales_email';
       
+      try {
+        twoAgentService.resolveClaimVerification(options && options.claimVerification);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      
+      // A/B variants: several versions of the message, each with its own angle
+      const { variants, angles } = options || {};
+      if (variants !== undefined || angles !== undefined) {
+        try {
+          twoAgentService.resolveVariantAngles({ variants, angles });
+        } catch (error) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+        
+        if (wantsEventStream(req)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Variants cannot be streamed; send the request without ?stream=true'
+          });
+        }
+        
+        const result = await twoAgentService.generateVariants(profileData, additionalContext || {}, type, options);
+        return res.status(200).json({
+          success: true,
+          data: result
+        });
+      }
+      
+      // Stream progress and sales copy tokens over SSE when requested
+      if (wantsEventStream(req)) {
+        return agentController.streamContent(res, profileData, additionalContext || {}, type, options || {});
+      }
+      
       // Generate content using the two-agent service
       const result = await twoAgentService.generatePersonalizedContent(
         profileData,
@@ -55,6 +104,48 @@ const agentController = {
     }
   },
   
+  /**
+   * Stream two-agent generation as server-sent events:
+   * "stage" ({ stage }), "token" ({ text }), then "done" ({ success, data }) or "error" ({ success, message })
+   * @param {Object} res - Express response object
+   * @param {Object} profileData - LinkedIn profile data
+   * @param {Object} additionalContext - Additional context
+   * @param {string} outputType - Desired output type
+   * @param {Object} options - Model options
+   */
+  streamContent: async (res, profileData, additionalContext, outputType, options) => {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+    
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    
+    try {
+      const result = await twoAgentService.generatePersonalizedContent(
+        profileData,
+        additionalContext,
+        outputType,
+        {
+          ...options,
+          onStage: (stage) => send('stage', { stage }),
+          onToken: (text) => send('token', { text })
+        }
+      );
+      
+      send('done', { success: true, data: result });
+    } catch (error) {
+      console.error('Error streaming content:', error);
+      send('error', { success: false, message: error.message || 'Failed to generate content' });
+    }
+    
+    res.end();
+  },
+  
   /**
    * Generate content using only the fine-tuning agent (for testing)
    * @param {Object} req - Express request object
@@ -0,0 +1,276 @@
+const { analysisStore, validateRecord } = require('../../services/storageService');
+const analysisJobService = require('../../services/analysisJobService');
+const outcomeService = require('../../services/outcomeService');
+
+/**
+ * Controller for saved analyses
+ */
+const analysisController = {
+  /**
+   * List saved analyses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listAnalyses: async (req, res) => {
+    try {
+      const { type, prospectId, companyId } = req.query;
+      const analyses = analysisStore.list({ type, prospectId, companyId });
+
+      return res.status(200).json({
+        status: 'success',
+        data: analyses
+      });
+    } catch (error) {
+      console.error('Error listing saved analyses:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing saved analyses'
+      });
+    }
+  },
+
+  /**
+   * Get a single saved analysis
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getAnalysis: async (req, res) => {
+    try {
+      const analysis = analysisStore.get(req.params.id);
+
+      if (!analysis) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: analysis
+      });
+    } catch (error) {
+      console.error('Error retrieving saved analysis:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the analysis'
+      });
+    }
+  },
+
+  /**
+   * Save an analysis
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createAnalysis: async (req, res) => {
+    try {
+      if (!req.body.type) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Analysis type is required'
+        });
+      }
+
+      const errors = validateRecord('analysis', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const analysis = analysisStore.create(req.body);
+
+      return res.status(201).json({
+        status: 'success',
+        data: analysis
+      });
+    } catch (error) {
+      console.error('Error saving analysis:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred saving the analysis'
+      });
+    }
+  },
+
+  /**
+   * Update a saved analysis
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateAnalysis: async (req, res) => {
+    try {
+      const errors = validateRecord('analysis', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const analysis = analysisStore.update(req.params.id, req.body);
+
+      if (!analysis) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: analysis
+      });
+    } catch (error) {
+      console.error('Error updating analysis:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred updating the analysis'
+      });
+    }
+  },
+
+  /**
+   * Re-run a saved profile analysis with different models as a background job
+   * @param {Object} req - Express request object (body: { modelOptions: { fineTuningModel, salesCopyModel }, additionalContext })
+   *   additionalContext defaults to the notes stored on the original analysis
+   * @param {Object} res - Express response object
+   */
+  rerunAnalysis: async (req, res) => {
+    try {
+      const analysis = analysisStore.get(req.params.id);
+
+      if (!analysis) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      if (analysis.type !== 'profile' || !analysis.profileData) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Only profile analyses with stored profile data can be re-run'
+        });
+      }
+
+      const { modelOptions, additionalContext } = req.body;
+      if (modelOptions !== undefined && (typeof modelOptions !== 'object' || Array.isArray(modelOptions))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'modelOptions must be an object'
+        });
+      }
+
+      if (additionalContext !== undefined && additionalContext !== null && typeof additionalContext !== 'string') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'additionalContext must be a string'
+        });
+      }
+
+      const job = analysisJobService.startRerun({
+        analysisId: analysis.id,
+        modelOptions: modelOptions || null,
+        additionalContext
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing analysis re-run:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the re-run'
+      });
+    }
+  },
+
+  /**
+   * Record which A/B variant of an analysis was sent; its content becomes the analysis content
+   * @param {Object} req - Express request object (body: { variantId })
+   * @param {Object} res - Express response object
+   */
+  recordSentVariant: async (req, res) => {
+    try {
+      const analysis = analysisStore.get(req.params.id);
+
+      if (!analysis) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      // Analyses saved before A/B variants existed have no variants field
+      const variants = Array.isArray(analysis.variants) ? analysis.variants : [];
+      const variant = variants.find(item => item.id === req.body.variantId);
+      if (!variant) {
+        return res.status(400).json({
+          status: 'error',
+          message: variants.length > 0
+            ? `variantId must be one of: ${variants.map(item => item.id).join(', ')}`
+            : 'This analysis has no variants'
+        });
+      }
+
+      const contentField = analysis.type === 'company' ? 'companyContent' : 'profileContent';
+      const updated = analysisStore.update(analysis.id, {
+        [contentField]: variant.content,
+        sentVariant: {
+          id: variant.id,
+          label: variant.label,
+          sentAt: new Date().toISOString()
+        }
+      });
+      // Sending is the first step of the outcome funnel
+      outcomeService.logOutcome(analysis.id, { event: 'sent', variantId: variant.id, occurredAt: updated.sentVariant.sentAt });
+
+      return res.status(200).json({
+        status: 'success',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Error recording sent variant:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred recording the sent variant'
+      });
+    }
+  },
+
+  /**
+   * Delete a saved analysis
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteAnalysis: async (req, res) => {
+    try {
+      const removed = analysisStore.remove(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Analysis deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting analysis:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting the analysis'
+      });
+    }
+  }
+};
+
+module.exports = analysisController;
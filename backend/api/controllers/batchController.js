@@ -0,0 +1,158 @@
+const batchService = require('../../services/batchService');
+
+/**
+ * Controller for bulk prospect analysis batches
+ */
+const batchController = {
+  /**
+   * Create a batch from uploaded CSV text and start processing it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createBatch: async (req, res) => {
+    try {
+      const { csv, name, outputFormat, modelOptions } = req.body;
+
+      if (!csv || typeof csv !== 'string') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'CSV content is required'
+        });
+      }
+
+      let batch;
+      try {
+        batch = batchService.createBatch({ csv, name, outputFormat, modelOptions });
+      } catch (parseError) {
+        return res.status(400).json({
+          status: 'error',
+          message: parseError.message
+        });
+      }
+
+      return res.status(202).json({
+        status: 'success',
+        data: batch
+      });
+    } catch (error) {
+      console.error('Error creating batch:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating the batch'
+      });
+    }
+  },
+
+  /**
+   * List batches with row counts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listBatches: async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 'success',
+        data: batchService.listBatches()
+      });
+    } catch (error) {
+      console.error('Error listing batches:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing batches'
+      });
+    }
+  },
+
+  /**
+   * Get a batch with per-row status
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getBatch: async (req, res) => {
+    try {
+      const batch = batchService.getBatch(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Batch not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: batch
+      });
+    } catch (error) {
+      console.error('Error retrieving batch:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the batch'
+      });
+    }
+  },
+
+  /**
+   * Cancel a batch
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  cancelBatch: async (req, res) => {
+    try {
+      const batch = batchService.cancelBatch(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Batch not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: batch
+      });
+    } catch (error) {
+      console.error('Error cancelling batch:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred cancelling the batch'
+      });
+    }
+  },
+
+  /**
+   * Download batch results as CSV or JSON (?format=csv|json)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  downloadResults: async (req, res) => {
+    try {
+      const batch = batchService.getBatch(req.params.id);
+
+      if (!batch) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Batch not found'
+        });
+      }
+
+      const format = req.query.format === 'csv' ? 'csv' : 'json';
+      const body = batchService.exportResults(batch, format);
+
+      res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="batch-${batch.id}-results.${format}"`
+      });
+      return res.status(200).send(body);
+    } catch (error) {
+      console.error('Error exporting batch results:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred exporting batch results'
+      });
+    }
+  }
+};
+
+module.exports = batchController;
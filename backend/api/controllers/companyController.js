@@ -1,5 +1,6 @@
 const companyService = require('../../services/companyService');
 const contentGenerationService = require('../../services/enhancedContentGenerationService');
+const { companyStore, validateRecord } = require('../../services/storageService');
 
 /**
  * Controller for LinkedIn company analysis
@@ -24,11 +25,14 @@ const companyController = {
       // Extract company data from LinkedIn
       const companyData = await companyService.extractCompanyData(companyUrl);
       
+      // Dated articles about the company from the polled news feeds
+      companyData.news = await companyService.getCompanyNews(companyData.name);
+      
       // Identify key decision makers
       const decisionMakers = await companyService.identifyDecisionMakers(companyUrl);
       
       // Generate personalized sales content
-      const content = await contentGenerationService.generateCompanyContent(
+      const { content, promptVersion } = await contentGenerationService.generateCompanyContent(
         companyData,
         decisionMakers,
         outputFormat || 'email'
@@ -39,7 +43,8 @@ const companyController = {
         data: {
           companyData,
           decisionMakers,
-          content
+          content,
+          promptVersion
         }
       });
     } catch (error) {
@@ -49,6 +54,190 @@ const companyController = {
         message: error.message || 'An error occurred during company analysis'
       });
     }
+  },
+
+  /**
+   * List stored companies
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listCompanies: async (req, res) => {
+    try {
+      const companies = companyStore.list({ status: req.query.status });
+
+      return res.status(200).json({
+        status: 'success',
+        data: companies
+      });
+    } catch (error) {
+      console.error('Error listing companies:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing companies'
+      });
+    }
+  },
+
+  /**
+   * Get a single stored company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCompany: async (req, res) => {
+    try {
+      const company = companyStore.get(req.params.id);
+
+      if (!company) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Company not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: company
+      });
+    } catch (error) {
+      console.error('Error retrieving company:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the company'
+      });
+    }
+  },
+
+  /**
+   * Recent news about a stored company, matched by its name and aliases
+   * @param {Object} req - Express request object (query: limit)
+   * @param {Object} res - Express response object
+   */
+  getCompanyNews: async (req, res) => {
+    try {
+      const company = companyStore.get(req.params.id);
+
+      if (!company) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Company not found'
+        });
+      }
+
+      const limit = req.query.limit ? parseInt(req.query.limit, 10) || undefined : undefined;
+      return res.status(200).json({
+        status: 'success',
+        data: await companyService.getCompanyNews(company.name, { limit })
+      });
+    } catch (error) {
+      console.error('Error retrieving company news:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving company news'
+      });
+    }
+  },
+
+  /**
+   * Create a company (or update the existing one with the same LinkedIn URL)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createCompany: async (req, res) => {
+    try {
+      const errors = validateRecord('company', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      if (!req.body.name) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Company name is required'
+        });
+      }
+
+      const { record, created } = companyStore.upsertBy('linkedinUrl', req.body);
+
+      return res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: record
+      });
+    } catch (error) {
+      console.error('Error creating company:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating the company'
+      });
+    }
+  },
+
+  /**
+   * Update a stored company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateCompany: async (req, res) => {
+    try {
+      const errors = validateRecord('company', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const company = companyStore.update(req.params.id, req.body);
+
+      if (!company) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Company not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: company
+      });
+    } catch (error) {
+      console.error('Error updating company:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred updating the company'
+      });
+    }
+  },
+
+  /**
+   * Delete a stored company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteCompany: async (req, res) => {
+    try {
+      const removed = companyStore.remove(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Company not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Company deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting company:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting the company'
+      });
+    }
   }
 };
 
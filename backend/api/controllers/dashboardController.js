@@ -0,0 +1,31 @@
+const dashboardService = require('../../services/dashboardService');
+
+/**
+ * Controller for the dashboard widgets
+ */
+const dashboardController = {
+  /**
+   * Pipeline counts, analyses per day, top companies and recent LinkedIn scraping errors
+   * @param {Object} req - Express request object (query: days, 1-90, default 14)
+   * @param {Object} res - Express response object
+   */
+  getSummary: async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days, 10) || 14, 1), 90);
+      const summary = await dashboardService.getSummary({ days });
+
+      return res.status(200).json({
+        status: 'success',
+        data: summary
+      });
+    } catch (error) {
+      console.error('Error building dashboard summary:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred building the dashboard'
+      });
+    }
+  }
+};
+
+module.exports = dashboardController;
@@ -0,0 +1,225 @@
+const analysisJobService = require('../../services/analysisJobService');
+const twoAgentService = require('../../services/twoAgentService');
+const { jobQueue } = require('../../services/jobQueueService');
+
+/**
+ * Controller for background analysis jobs
+ */
+const jobController = {
+  /**
+   * Queue a LinkedIn profile analysis job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createProfileJob: async (req, res) => {
+    try {
+      const { profileUrl, outputFormat, additionalContext, modelOptions } = req.body;
+
+      if (!profileUrl) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Profile URL is required'
+        });
+      }
+
+      try {
+        twoAgentService.resolveClaimVerification(modelOptions && modelOptions.claimVerification);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+
+      const job = analysisJobService.startProfileAnalysis({
+        profileUrl,
+        outputFormat: outputFormat || 'email',
+        additionalContext,
+        modelOptions
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing profile analysis job:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the profile analysis'
+      });
+    }
+  },
+
+  /**
+   * Queue a LinkedIn company analysis job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createCompanyJob: async (req, res) => {
+    try {
+      const { companyUrl, outputFormat } = req.body;
+
+      if (!companyUrl) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Company URL is required'
+        });
+      }
+
+      const job = analysisJobService.startCompanyAnalysis({
+        companyUrl,
+        outputFormat: outputFormat || 'email'
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing company analysis job:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the company analysis'
+      });
+    }
+  },
+
+  /**
+   * Queue a multi-step outreach sequence for an analyzed profile
+   * @param {Object} req - Express request object (body: { profileData, additionalContext, steps: [{ day, type }], modelOptions })
+   * @param {Object} res - Express response object
+   */
+  createSequenceJob: async (req, res) => {
+    try {
+      const { profileData, additionalContext, steps, modelOptions } = req.body;
+
+      if (!profileData || typeof profileData !== 'object' || (!profileData.name && !profileData.title)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Profile data with at least a name or title is required'
+        });
+      }
+
+      if (modelOptions !== undefined && (typeof modelOptions !== 'object' || Array.isArray(modelOptions))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'modelOptions must be an object'
+        });
+      }
+
+      // Reject a bad cadence or claim check mode now rather than failing the job later
+      try {
+        twoAgentService.resolveSequenceSteps(steps);
+        twoAgentService.resolveClaimVerification(modelOptions && modelOptions.claimVerification);
+      } catch (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error.message
+        });
+      }
+
+      const job = analysisJobService.startSequence({
+        profileData,
+        additionalContext,
+        steps,
+        modelOptions: modelOptions || null
+      });
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing outreach sequence job:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the outreach sequence'
+      });
+    }
+  },
+
+  /**
+   * Get the current state of a job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getJob: async (req, res) => {
+    try {
+      const job = jobQueue.getJob(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Job not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error retrieving job:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the job'
+      });
+    }
+  },
+
+  /**
+   * Stream job updates ("job" events) and generated text ("token" events)
+   * as server-sent events until the job finishes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  streamJob: (req, res) => {
+    const job = jobQueue.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+      res.write(`event: job\ndata: ${JSON.stringify(update)}\n\n`);
+    };
+
+    // Send the current state first so late subscribers catch up
+    send(job);
+    if (jobQueue.isFinished(job)) {
+      return res.end();
+    }
+
+    // Forward streamed output as it is generated
+    const unsubscribeTokens = jobQueue.subscribeTokens(job.id, (text) => {
+      res.write(`event: token\ndata: ${JSON.stringify({ text })}\n\n`);
+    });
+
+    const unsubscribe = jobQueue.subscribe(job.id, (update) => {
+      send(update);
+      if (jobQueue.isFinished(update)) {
+        unsubscribe();
+        unsubscribeTokens();
+        res.end();
+      }
+    });
+
+    req.on('close', () => {
+      unsubscribe();
+      unsubscribeTokens();
+    });
+  }
+};
+
+module.exports = jobController;
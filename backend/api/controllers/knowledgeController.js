@@ -0,0 +1,164 @@
+const productKnowledgeService = require('../../services/productKnowledgeService');
+const { schemas, validateRecord } = require('../../services/storageService');
+
+/**
+ * Check a knowledge record has what its type needs to read well in a prompt
+ * @param {Object} record - Knowledge record (existing fields merged with changes)
+ * @returns {Array<string>} - Validation errors (empty when valid)
+ */
+const requiredFieldErrors = (record) => {
+  const errors = [];
+  if (!schemas.knowledge.types.includes(record.type)) {
+    errors.push(`type must be one of: ${schemas.knowledge.types.join(', ')}`);
+    return errors;
+  }
+  if (['product', 'employee'].includes(record.type) && !String(record.name || '').trim()) {
+    errors.push(`name is required for a ${record.type}`);
+  }
+  if (record.type !== 'product' && !String(record.text || '').trim()) {
+    errors.push(`text is required for a ${record.type}`);
+  }
+  return errors;
+};
+
+/**
+ * Controller for the product knowledge used in prompts
+ */
+const knowledgeController = {
+  /**
+   * List knowledge records in prompt order
+   * @param {Object} req - Express request object (query: type)
+   * @param {Object} res - Express response object
+   */
+  listItems: async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 'success',
+        data: productKnowledgeService.listItems({ type: req.query.type })
+      });
+    } catch (error) {
+      console.error('Error listing product knowledge:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing product knowledge'
+      });
+    }
+  },
+
+  /**
+   * The text each knowledge placeholder renders to right now
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  previewPromptValues: async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 'success',
+        data: productKnowledgeService.getPromptValues()
+      });
+    } catch (error) {
+      console.error('Error previewing product knowledge:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred previewing product knowledge'
+      });
+    }
+  },
+
+  /**
+   * Add a product, extra employee, claim or statistic
+   * @param {Object} req - Express request object (body: type, name, text, price, source, approved, position)
+   * @param {Object} res - Express response object
+   */
+  createItem: async (req, res) => {
+    try {
+      const errors = validateRecord('knowledge', req.body);
+      if (errors.length === 0) errors.push(...requiredFieldErrors(req.body));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const item = productKnowledgeService.createItem(req.body);
+
+      return res.status(201).json({
+        status: 'success',
+        data: item
+      });
+    } catch (error) {
+      console.error('Error creating product knowledge:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating product knowledge'
+      });
+    }
+  },
+
+  /**
+   * Update a knowledge record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateItem: async (req, res) => {
+    try {
+      const existing = productKnowledgeService.getItem(req.params.id);
+      if (!existing) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Knowledge item not found'
+        });
+      }
+
+      const errors = validateRecord('knowledge', req.body);
+      if (errors.length === 0) errors.push(...requiredFieldErrors({ ...existing, ...req.body }));
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: productKnowledgeService.updateItem(req.params.id, req.body)
+      });
+    } catch (error) {
+      console.error('Error updating product knowledge:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred updating product knowledge'
+      });
+    }
+  },
+
+  /**
+   * Delete a knowledge record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteItem: async (req, res) => {
+    try {
+      if (!productKnowledgeService.removeItem(req.params.id)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Knowledge item not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Knowledge item deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting product knowledge:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting product knowledge'
+      });
+    }
+  }
+};
+
+module.exports = knowledgeController;
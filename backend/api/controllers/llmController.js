@@ -0,0 +1,180 @@
+const multiLLMService = require('../../services/multiLLMService');
+const { llmCache } = require('../../services/llmService');
+
+/**
+ * Controller for LLM provider administration
+ */
+const llmController = {
+  /**
+   * List registered LLM providers with their health, models and the fallback order per task
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listProviders: async (req, res) => {
+    try {
+      const status = await multiLLMService.getProviderStatus();
+
+      return res.status(200).json({
+        status: 'success',
+        data: status
+      });
+    } catch (error) {
+      console.error('Error retrieving LLM providers:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving LLM providers'
+      });
+    }
+  },
+
+  /**
+   * Token and cost aggregates by day, month, task, model and prospect, with budget status
+   * @param {Object} req - Express request object (query: days limits byDay to the most recent days)
+   * @param {Object} res - Express response object
+   */
+  getUsage: async (req, res) => {
+    try {
+      await multiLLMService.initialize();
+      const { usage } = multiLLMService.getUsageMetrics();
+
+      let { byDay } = usage;
+      const days = parseInt(req.query.days, 10);
+      if (days > 0) {
+        const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        byDay = Object.fromEntries(Object.entries(byDay).filter(([day]) => day >= since));
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          ...usage,
+          byDay,
+          budget: multiLLMService.getBudgetStatus()
+        }
+      });
+    } catch (error) {
+      console.error('Error retrieving LLM usage:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving LLM usage'
+      });
+    }
+  },
+
+  /**
+   * Cache statistics and entries, most recently used first
+   * @param {Object} req - Express request object (query: task, model, limit, offset)
+   * @param {Object} res - Express response object
+   */
+  getCache: async (req, res) => {
+    try {
+      const { task, model } = req.query;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const offset = parseInt(req.query.offset, 10) || 0;
+
+      const { entries, total } = llmCache.list({ task, model, limit, offset });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          stats: llmCache.getStats(),
+          entries,
+          total
+        }
+      });
+    } catch (error) {
+      console.error('Error retrieving LLM cache:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the LLM cache'
+      });
+    }
+  },
+
+  /**
+   * Get a cached response including its content
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCacheEntry: async (req, res) => {
+    try {
+      const entry = llmCache.getEntry(req.params.key);
+
+      if (!entry) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Cache entry not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: entry
+      });
+    } catch (error) {
+      console.error('Error retrieving LLM cache entry:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the cache entry'
+      });
+    }
+  },
+
+  /**
+   * Purge cached responses by task and/or model; without filters the whole cache is cleared
+   * @param {Object} req - Express request object (query: task, model, expired=true)
+   * @param {Object} res - Express response object
+   */
+  purgeCache: async (req, res) => {
+    try {
+      const { task, model } = req.query;
+      const expired = req.query.expired === 'true';
+
+      const removed = llmCache.purge({ task, model, expired });
+      console.log(`Purged ${removed} LLM cache entries`, { task, model, expired });
+
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          removed,
+          stats: llmCache.getStats()
+        }
+      });
+    } catch (error) {
+      console.error('Error purging LLM cache:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred purging the LLM cache'
+      });
+    }
+  },
+
+  /**
+   * Remove a single cached response
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteCacheEntry: async (req, res) => {
+    try {
+      if (!llmCache.delete(req.params.key)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Cache entry not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Cache entry removed'
+      });
+    } catch (error) {
+      console.error('Error removing LLM cache entry:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred removing the cache entry'
+      });
+    }
+  }
+};
+
+module.exports = llmController;
@@ -1,5 +1,23 @@
 // Using the enhanced service that supports both Claude and OpenAI with fallbacks
 const contentGenerationService = require('../../services/enhancedContentGenerationService');
+const threadService = require('../../services/threadService');
+
+/**
+ * Send a 404 when an optional thread ID does not match a stored thread
+ * @param {string} threadId - Thread ID from the request (optional)
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectUnknownThread = (threadId, res) => {
+  if (threadId && !threadService.getThread(threadId)) {
+    res.status(404).json({
+      status: 'error',
+      message: 'Thread not found'
+    });
+    return true;
+  }
+  return false;
+};
 
 /**
  * Controller for client message analysis and generation
@@ -12,7 +30,7 @@ const messageController = {
    */
   analyzeMessage: async (req, res) => {
     try {
-      const { clientMessage } = req.body;
+      const { clientMessage, threadId } = req.body;
       
       if (!clientMessage) {
         return res.status(400).json({
@@ -21,8 +39,11 @@ const messageController = {
         });
       }
       
-      // Analyze the client message
-      const messageAnalysis = await contentGenerationService.analyzeClientMessage(clientMessage);
+      if (rejectUnknownThread(threadId, res)) return;
+      
+      // Analyze the client message in the context of the thread's earlier turns; the
+      // analysis carries the promptVersion that produced it
+      const messageAnalysis = await contentGenerationService.analyzeClientMessage(clientMessage, { threadId });
       
       return res.status(200).json({
         status: 'success',
@@ -46,7 +67,7 @@ const messageController = {
    */
   generateResponse: async (req, res) => {
     try {
-      const { clientMessage, messageAnalysis, outputFormat } = req.body;
+      const { clientMessage, messageAnalysis, outputFormat, questions, threadId } = req.body;
       
       if (!clientMessage || !messageAnalysis) {
         return res.status(400).json({
@@ -55,17 +76,33 @@ const messageController = {
         });
       }
       
+      // Optional subset of the analyzed questions to answer
+      if (questions !== undefined && (!Array.isArray(questions) || questions.some(question => typeof question !== 'string'))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'questions must be an array of strings'
+        });
+      }
+      
+      if (rejectUnknownThread(threadId, res)) return;
+      
       // Generate personalized response
-      const responseContent = await contentGenerationService.generateMessageResponse(
+      const { content: responseContent, promptVersion } = await contentGenerationService.generateMessageResponse(
         clientMessage,
-        messageAnalysis,
-        outputFormat || 'email'
+        {
+          sentiment: messageAnalysis.sentiment || 'neutral',
+          topics: Array.isArray(messageAnalysis.topics) ? messageAnalysis.topics : [],
+          questions: Array.isArray(messageAnalysis.questions) ? messageAnalysis.questions : []
+        },
+        outputFormat || 'email',
+        { questions, threadId }
       );
       
       return res.status(200).json({
         status: 'success',
         data: {
-          responseContent
+          responseContent,
+          promptVersion
         }
       });
     } catch (error) {
@@ -110,7 +147,7 @@ const messageController = {
       };
       
       // Generate follow-up email
-      const followupContent = await contentGenerationService.generateWarmFollowup(
+      const { content: followupContent, promptVersion } = await contentGenerationService.generateWarmFollowup(
         profileData,
         callDetailsWithDefaults
       );
@@ -118,7 +155,8 @@ const messageController = {
       return res.status(200).json({
         status: 'success',
         data: {
-          followupContent
+          followupContent,
+          promptVersion
         }
       });
     } catch (error) {
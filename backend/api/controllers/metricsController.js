@@ -0,0 +1,93 @@
+const multiLLMService = require('../../services/multiLLMService');
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const GROUP_FIELDS = ['provider', 'model', 'task'];
+
+/**
+ * Parse a duration such as 15m, 1h or 7d (a bare number is milliseconds)
+ * @param {string} value - Duration
+ * @returns {number|null} - Milliseconds, or null if invalid
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhd]?)$/.exec(String(value).trim());
+  if (!match) return null;
+  const amount = parseInt(match[1], 10);
+  return amount > 0 ? amount * (match[2] ? DURATION_UNITS[match[2]] : 1) : null;
+}
+
+/**
+ * Parse a time given as an ISO date or milliseconds since the epoch
+ * @param {string} value - Time
+ * @returns {number} - Milliseconds since the epoch (NaN if invalid)
+ */
+function parseTime(value) {
+  return /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+}
+
+/**
+ * Controller for LLM request metrics
+ */
+const metricsController = {
+  /**
+   * Time series of LLM requests, errors by class, latency percentiles, tokens and cost
+   * @param {Object} req - Express request object
+   *   query: from, to (ISO or epoch ms; default the last 24 hours), bucket (e.g. 5m, 1h, 1d; default 1h),
+   *   groupBy (provider, model or task), provider, model, task
+   * @param {Object} res - Express response object
+   */
+  getTimeseries: async (req, res) => {
+    try {
+      const { groupBy, provider, model, task } = req.query;
+
+      const to = req.query.to ? parseTime(req.query.to) : Date.now();
+      const from = req.query.from ? parseTime(req.query.from) : to - DURATION_UNITS.d;
+      const bucketMs = parseDuration(req.query.bucket || '1h');
+
+      if (isNaN(from) || isNaN(to) || from >= to) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'from and to must be valid times with from before to'
+        });
+      }
+      if (!bucketMs) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'bucket must be a duration such as 5m, 1h or 1d'
+        });
+      }
+      if (groupBy && !GROUP_FIELDS.includes(groupBy)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `groupBy must be one of: ${GROUP_FIELDS.join(', ')}`
+        });
+      }
+      if (Math.ceil((to - from) / bucketMs) > 1000) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Too many buckets; use a larger bucket or a shorter range (limit 1000)'
+        });
+      }
+
+      const timeseries = await multiLLMService.getMetricsTimeseries({
+        from,
+        to,
+        bucketMs,
+        groupBy: groupBy || null,
+        filters: { provider, model, task }
+      });
+
+      return res.status(200).json({
+        status: 'success',
+        data: timeseries
+      });
+    } catch (error) {
+      console.error('Error retrieving metrics time series:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the metrics time series'
+      });
+    }
+  }
+};
+
+module.exports = metricsController;
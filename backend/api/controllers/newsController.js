@@ -0,0 +1,101 @@
+const newsService = require('../../services/newsService');
+
+/**
+ * Read a positive integer query parameter
+ * @param {string} value - Query value
+ * @returns {number|undefined|null} - The number, undefined when absent, null when invalid
+ */
+const positiveInteger = (value) => {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  return Number.isInteger(number) && number > 0 ? number : null;
+};
+
+/**
+ * Controller for news items polled from RSS and Atom feeds
+ */
+const newsController = {
+  /**
+   * List stored news, newest first; with ?company= only items about that company
+   * @param {Object} req - Express request object (query: company, limit, maxAgeDays)
+   * @param {Object} res - Express response object
+   */
+  listNews: async (req, res) => {
+    try {
+      const limit = positiveInteger(req.query.limit);
+      const maxAgeDays = positiveInteger(req.query.maxAgeDays);
+      if (limit === null || maxAgeDays === null) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'limit and maxAgeDays must be positive whole numbers'
+        });
+      }
+
+      const data = req.query.company
+        ? newsService.getCompanyNews(req.query.company, { limit, maxAgeDays })
+        : newsService.listRecent({ limit });
+
+      return res.status(200).json({
+        status: 'success',
+        data
+      });
+    } catch (error) {
+      console.error('Error listing news:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing news'
+      });
+    }
+  },
+
+  /**
+   * List the configured feeds and the outcome of their last poll
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listFeeds: async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 'success',
+        data: newsService.listFeeds()
+      });
+    } catch (error) {
+      console.error('Error listing news feeds:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing news feeds'
+      });
+    }
+  },
+
+  /**
+   * Queue a poll of every configured feed
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  pollFeeds: async (req, res) => {
+    try {
+      if (newsService.listFeeds().length === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'No news feeds are configured (set NEWS_FEEDS)'
+        });
+      }
+
+      const job = newsService.startPoll();
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing news poll:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the news poll'
+      });
+    }
+  }
+};
+
+module.exports = newsController;
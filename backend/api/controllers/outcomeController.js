@@ -0,0 +1,149 @@
+const outcomeService = require('../../services/outcomeService');
+const { analysisStore, schemas, validateRecord } = require('../../services/storageService');
+
+/**
+ * Controller for outcome tracking on generated content
+ */
+const outcomeController = {
+  /**
+   * List logged outcomes
+   * @param {Object} req - Express request object (query: analysisId, prospectId, event)
+   * @param {Object} res - Express response object
+   */
+  listOutcomes: async (req, res) => {
+    try {
+      const { analysisId, prospectId, event } = req.query;
+      const outcomes = outcomeService.listOutcomes({ analysisId, prospectId, event });
+
+      return res.status(200).json({
+        status: 'success',
+        data: outcomes
+      });
+    } catch (error) {
+      console.error('Error listing outcomes:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing outcomes'
+      });
+    }
+  },
+
+  /**
+   * Log an outcome for a saved analysis
+   * @param {Object} req - Express request object (body: analysisId, event, variantId, notes, occurredAt)
+   * @param {Object} res - Express response object
+   */
+  createOutcome: async (req, res) => {
+    try {
+      const { analysisId, event, variantId, notes, occurredAt } = req.body;
+
+      if (!analysisId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'analysisId is required'
+        });
+      }
+
+      const errors = validateRecord('outcome', { event, notes });
+      if (!event) errors.push(`event is required (${schemas.outcome.events.join(', ')})`);
+      if (occurredAt !== undefined && Number.isNaN(Date.parse(occurredAt))) {
+        errors.push('occurredAt must be a valid date');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const analysis = analysisStore.get(analysisId);
+      if (!analysis) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Analysis not found'
+        });
+      }
+
+      // Analyses saved before A/B variants existed have no variants field
+      const variants = Array.isArray(analysis.variants) ? analysis.variants : [];
+      if (variantId && !variants.some(variant => variant.id === variantId)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Unknown variant for this analysis: ${variantId}`
+        });
+      }
+
+      const outcome = outcomeService.logOutcome(analysis.id, {
+        event,
+        variantId,
+        notes,
+        occurredAt: occurredAt && new Date(occurredAt).toISOString()
+      });
+
+      return res.status(201).json({
+        status: 'success',
+        data: outcome
+      });
+    } catch (error) {
+      console.error('Error logging outcome:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred logging the outcome'
+      });
+    }
+  },
+
+  /**
+   * Delete an outcome logged by mistake
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteOutcome: async (req, res) => {
+    try {
+      if (!outcomeService.removeOutcome(req.params.id)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Outcome not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Outcome deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting outcome:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting the outcome'
+      });
+    }
+  },
+
+  /**
+   * Positive outcome rates by role category, output format, model, angle and prompt version
+   * @param {Object} req - Express request object (query: days, 1-365, optional)
+   * @param {Object} res - Express response object
+   */
+  getReport: async (req, res) => {
+    try {
+      const days = req.query.days
+        ? Math.min(Math.max(parseInt(req.query.days, 10) || 90, 1), 365)
+        : undefined;
+      const report = outcomeService.getReport({ days });
+
+      return res.status(200).json({
+        status: 'success',
+        data: report
+      });
+    } catch (error) {
+      console.error('Error building outcome report:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred building the outcome report'
+      });
+    }
+  }
+};
+
+module.exports = outcomeController;
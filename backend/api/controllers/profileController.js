@@ -27,7 +27,7 @@ const profileController = {
       const profileData = await profileService.extractProfileData(profileUrl);
       
       // Generate personalized sales content
-      const content = await contentGenerationService.generateProfileContent(
+      const { content, promptVersion } = await contentGenerationService.generateProfileContent(
         profileData,
         outputFormat || 'email'
       );
@@ -36,7 +36,8 @@ const profileController = {
         status: 'success',
         data: {
           profileData,
-          content
+          content,
+          promptVersion
         }
       });
     } catch (error) {
@@ -55,7 +56,8 @@ const profileController = {
    */
   getLLMMetrics: async (req, res) => {
     try {
-      // Get metrics from the multiLLMService
+      // Get metrics from the multiLLMService (initialized so every provider's breaker is listed)
+      await multiLLMService.initialize();
       const metrics = multiLLMService.getUsageMetrics();
       
       // Get cache statistics
@@ -67,11 +69,13 @@ const profileController = {
         ? (metrics.successRate.success / totalRequests * 100).toFixed(2) 
         : 0;
       
-      // Add calculated success rate percentage and cache stats to the response
+      // Add calculated success rate percentage, cache stats, provider breaker state and budget status to the response
       const enhancedMetrics = {
         ...metrics,
         successRatePercentage: parseFloat(successRatePercentage),
-        cache: cacheStats
+        cache: cacheStats,
+        circuitBreakers: multiLLMService.getCircuitBreakerStates(),
+        budget: multiLLMService.getBudgetStatus()
       };
       
       return res.status(200).json({
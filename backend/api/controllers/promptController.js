@@ -0,0 +1,203 @@
+const promptRegistry = require('../../services/promptRegistry');
+
+/**
+ * Send a 404 when a template key is not in the registry
+ * @param {string} key - Template key from the request
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectUnknownKey = (key, res) => {
+  if (!promptRegistry.hasKey(key)) {
+    res.status(404).json({
+      status: 'error',
+      message: `Unknown prompt template: ${key}`
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Controller for the versioned prompt template registry
+ */
+const promptController = {
+  /**
+   * List template keys with their active and latest versions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listTemplates: async (req, res) => {
+    try {
+      return res.status(200).json({
+        status: 'success',
+        data: promptRegistry.listTemplates()
+      });
+    } catch (error) {
+      console.error('Error listing prompt templates:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing prompt templates'
+      });
+    }
+  },
+
+  /**
+   * List every version of a template, oldest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listVersions: async (req, res) => {
+    try {
+      if (rejectUnknownKey(req.params.key, res)) return;
+
+      return res.status(200).json({
+        status: 'success',
+        data: promptRegistry.listVersions(req.params.key)
+      });
+    } catch (error) {
+      console.error('Error listing prompt template versions:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing prompt template versions'
+      });
+    }
+  },
+
+  /**
+   * Get a single version of a template
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getVersion: async (req, res) => {
+    try {
+      if (rejectUnknownKey(req.params.key, res)) return;
+
+      const version = promptRegistry.getVersion(req.params.key, req.params.version);
+      if (!version) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template version not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: version
+      });
+    } catch (error) {
+      console.error('Error retrieving prompt template version:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the template version'
+      });
+    }
+  },
+
+  /**
+   * Store a new version of a template
+   * @param {Object} req - Express request object (body: template, variables, description, notes, activate)
+   * @param {Object} res - Express response object
+   */
+  createVersion: async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (rejectUnknownKey(key, res)) return;
+
+      const { template, variables, description, notes, activate } = req.body;
+      const errors = promptRegistry.validateTemplate(key, { template, variables });
+      if (description !== undefined && typeof description !== 'string') errors.push('description must be a string');
+      if (notes !== undefined && typeof notes !== 'string') errors.push('notes must be a string');
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const version = promptRegistry.createVersion(key, { template, variables, description, notes, activate: activate === true });
+
+      return res.status(201).json({
+        status: 'success',
+        data: version
+      });
+    } catch (error) {
+      console.error('Error creating prompt template version:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating the template version'
+      });
+    }
+  },
+
+  /**
+   * Make a version the one generation uses
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  activateVersion: async (req, res) => {
+    try {
+      if (rejectUnknownKey(req.params.key, res)) return;
+
+      const version = promptRegistry.activateVersion(req.params.key, req.params.version);
+      if (!version) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template version not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: version
+      });
+    } catch (error) {
+      console.error('Error activating prompt template version:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred activating the template version'
+      });
+    }
+  },
+
+  /**
+   * Line diff between two versions of a template
+   * @param {Object} req - Express request object (query: from, to; to defaults to the active version)
+   * @param {Object} res - Express response object
+   */
+  diffVersions: async (req, res) => {
+    try {
+      const { key } = req.params;
+      if (rejectUnknownKey(key, res)) return;
+
+      const from = parseInt(req.query.from, 10);
+      const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : promptRegistry.getActive(key).version;
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'from and to must be version numbers'
+        });
+      }
+
+      const diff = promptRegistry.diffVersions(key, from, to);
+      if (!diff) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Template version not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: diff
+      });
+    } catch (error) {
+      console.error('Error diffing prompt template versions:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred comparing template versions'
+      });
+    }
+  }
+};
+
+module.exports = promptController;
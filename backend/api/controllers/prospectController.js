@@ -0,0 +1,205 @@
+const { prospectStore, companyStore, validateRecord } = require('../../services/storageService');
+
+/**
+ * Controller for stored prospects
+ */
+const prospectController = {
+  /**
+   * List stored prospects
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listProspects: async (req, res) => {
+    try {
+      const { status, companyId } = req.query;
+      const prospects = prospectStore.list({ status, companyId });
+
+      return res.status(200).json({
+        status: 'success',
+        data: prospects
+      });
+    } catch (error) {
+      console.error('Error listing prospects:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing prospects'
+      });
+    }
+  },
+
+  /**
+   * Get a single prospect
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getProspect: async (req, res) => {
+    try {
+      const prospect = prospectStore.get(req.params.id);
+
+      if (!prospect) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Prospect not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: prospect
+      });
+    } catch (error) {
+      console.error('Error retrieving prospect:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the prospect'
+      });
+    }
+  },
+
+  /**
+   * Create a prospect (or update the existing one with the same LinkedIn URL)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createProspect: async (req, res) => {
+    try {
+      const errors = validateRecord('prospect', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      if (!req.body.name && !req.body.linkedinUrl) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Prospect name or LinkedIn URL is required'
+        });
+      }
+
+      const { record, created } = prospectStore.upsertBy('linkedinUrl', req.body);
+
+      return res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: record
+      });
+    } catch (error) {
+      console.error('Error creating prospect:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating the prospect'
+      });
+    }
+  },
+
+  /**
+   * Update a prospect
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateProspect: async (req, res) => {
+    try {
+      const errors = validateRecord('prospect', req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const prospect = prospectStore.update(req.params.id, req.body);
+
+      if (!prospect) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Prospect not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: prospect
+      });
+    } catch (error) {
+      console.error('Error updating prospect:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred updating the prospect'
+      });
+    }
+  },
+
+  /**
+   * Delete a prospect
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteProspect: async (req, res) => {
+    try {
+      const removed = prospectStore.remove(req.params.id);
+
+      if (!removed) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Prospect not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Prospect deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting prospect:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting the prospect'
+      });
+    }
+  },
+
+  /**
+   * Store LinkedIn data produced by the AI processor
+   * Accepts { type: 'profile' | 'company', data } and upserts by LinkedIn URL
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  storeLinkedInData: async (req, res) => {
+    try {
+      const { type, data } = req.body;
+
+      if (type !== 'profile' && type !== 'company') {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Type must be either "profile" or "company"'
+        });
+      }
+
+      const schemaName = type === 'profile' ? 'prospect' : 'company';
+      const errors = validateRecord(schemaName, data);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      const store = type === 'profile' ? prospectStore : companyStore;
+      const { record, created } = store.upsertBy('linkedinUrl', data);
+
+      return res.status(created ? 201 : 200).json({
+        status: 'success',
+        data: record
+      });
+    } catch (error) {
+      console.error('Error storing LinkedIn data:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred storing LinkedIn data'
+      });
+    }
+  }
+};
+
+module.exports = prospectController;
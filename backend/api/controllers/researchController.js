@@ -0,0 +1,158 @@
+const companyKnowledgeService = require('../../services/companyKnowledgeService');
+const researchRefreshService = require('../../services/researchRefreshService');
+const { schemas } = require('../../services/storageService');
+
+/**
+ * Check the ?type= of a request names a research type
+ * @param {string} type - Requested type
+ * @returns {string|null} - Error message, or null when valid
+ */
+const typeError = (type) => (
+  schemas.research.types.includes(type) ? null : `type must be one of: ${schemas.research.types.join(', ')}`
+);
+
+/**
+ * Controller for the company knowledge store (stored research snapshots)
+ */
+const researchController = {
+  /**
+   * List stored research, most recently researched first
+   * @param {Object} req - Express request object (query: type, stale)
+   * @param {Object} res - Express response object
+   */
+  listResearch: async (req, res) => {
+    try {
+      const { type, stale } = req.query;
+      const error = type === undefined ? null : typeError(type);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: companyKnowledgeService.list({ type, stale })
+      });
+    } catch (error) {
+      console.error('Error listing company research:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing company research'
+      });
+    }
+  },
+
+  /**
+   * Get the stored research for a company, with earlier snapshots
+   * @param {Object} req - Express request object (params: key - company name, domain or key; query: type)
+   * @param {Object} res - Express response object
+   */
+  getResearch: async (req, res) => {
+    try {
+      const type = req.query.type || 'company';
+      const error = typeError(type);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+
+      const record = companyKnowledgeService.getRecord(type, req.params.key);
+      if (!record) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No stored research for that company'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: record
+      });
+    } catch (error) {
+      console.error('Error getting company research:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred getting company research'
+      });
+    }
+  },
+
+  /**
+   * Queue a background refresh of stored research
+   * @param {Object} req - Express request object (body: keys - optional company names, domains or keys; type)
+   * @param {Object} res - Express response object
+   */
+  refreshResearch: async (req, res) => {
+    try {
+      const { keys, type } = req.body || {};
+      if (keys !== undefined && (!Array.isArray(keys) || keys.some(key => typeof key !== 'string'))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'keys must be an array of company names or domains'
+        });
+      }
+      const error = type === undefined ? null : typeError(type);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+
+      const job = researchRefreshService.startRefresh(keys ? { keys, type } : {});
+
+      return res.status(202).json({
+        status: 'success',
+        data: job
+      });
+    } catch (error) {
+      console.error('Error queuing research refresh:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred queuing the research refresh'
+      });
+    }
+  },
+
+  /**
+   * Delete stored research so the next analysis researches the company again
+   * @param {Object} req - Express request object (params: key; query: type)
+   * @param {Object} res - Express response object
+   */
+  deleteResearch: async (req, res) => {
+    try {
+      const type = req.query.type || 'company';
+      const error = typeError(type);
+      if (error) {
+        return res.status(400).json({
+          status: 'error',
+          message: error
+        });
+      }
+
+      if (!companyKnowledgeService.remove(type, req.params.key)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'No stored research for that company'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Stored research deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting company research:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting company research'
+      });
+    }
+  }
+};
+
+module.exports = researchController;
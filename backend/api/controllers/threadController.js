@@ -0,0 +1,219 @@
+const threadService = require('../../services/threadService');
+const { prospectStore, schemas, validateRecord } = require('../../services/storageService');
+
+/**
+ * Controller for prospect conversation threads
+ */
+const threadController = {
+  /**
+   * List threads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listThreads: async (req, res) => {
+    try {
+      const threads = threadService.listThreads({ prospectId: req.query.prospectId });
+
+      return res.status(200).json({
+        status: 'success',
+        data: threads
+      });
+    } catch (error) {
+      console.error('Error listing threads:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred listing threads'
+      });
+    }
+  },
+
+  /**
+   * Get a single thread with its turns
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getThread: async (req, res) => {
+    try {
+      const thread = threadService.getThread(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Thread not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: thread
+      });
+    } catch (error) {
+      console.error('Error retrieving thread:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred retrieving the thread'
+      });
+    }
+  },
+
+  /**
+   * Create a thread for a prospect
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createThread: async (req, res) => {
+    try {
+      const { prospectId, subject } = req.body;
+
+      const errors = validateRecord('thread', { subject });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: errors.join('; ')
+        });
+      }
+
+      if (!prospectId) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'prospectId is required'
+        });
+      }
+
+      if (!prospectStore.get(prospectId)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Prospect not found'
+        });
+      }
+
+      const thread = threadService.createThread({ prospectId, subject });
+
+      return res.status(201).json({
+        status: 'success',
+        data: thread
+      });
+    } catch (error) {
+      console.error('Error creating thread:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred creating the thread'
+      });
+    }
+  },
+
+  /**
+   * Delete a thread
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteThread: async (req, res) => {
+    try {
+      if (!threadService.deleteThread(req.params.id)) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Thread not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Thread deleted'
+      });
+    } catch (error) {
+      console.error('Error deleting thread:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred deleting the thread'
+      });
+    }
+  },
+
+  /**
+   * Append an outbound message, inbound reply or call note to a thread
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  addTurn: async (req, res) => {
+    try {
+      const { direction, content, channel, createdAt } = req.body;
+
+      if (!schemas.thread.directions.includes(direction)) {
+        return res.status(400).json({
+          status: 'error',
+          message: `direction must be one of: ${schemas.thread.directions.join(', ')}`
+        });
+      }
+
+      if (typeof content !== 'string' || !content.trim()) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'content is required'
+        });
+      }
+
+      if (createdAt !== undefined && Number.isNaN(Date.parse(createdAt))) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'createdAt must be a valid date'
+        });
+      }
+
+      const result = threadService.addTurn(req.params.id, {
+        direction,
+        content,
+        channel: channel || null,
+        createdAt: createdAt ? new Date(createdAt).toISOString() : undefined
+      });
+
+      if (!result) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Thread not found'
+        });
+      }
+
+      return res.status(201).json({
+        status: 'success',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error adding thread turn:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred adding to the thread'
+      });
+    }
+  },
+
+  /**
+   * Remove a turn from a thread
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  removeTurn: async (req, res) => {
+    try {
+      const thread = threadService.removeTurn(req.params.id, req.params.turnId);
+
+      if (!thread) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Thread or turn not found'
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        data: thread
+      });
+    } catch (error) {
+      console.error('Error removing thread turn:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred removing the turn'
+      });
+    }
+  }
+};
+
+module.exports = threadController;
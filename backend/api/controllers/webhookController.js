@@ -0,0 +1,45 @@
+const webhookService = require('../../services/webhookService');
+
+/**
+ * Controller for inbound webhooks
+ */
+const webhookController = {
+  /**
+   * Receive a LinkedIn payload, validate it and store it as a prospect or company
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  receiveLinkedInWebhook: async (req, res) => {
+    try {
+      const errors = webhookService.validateLinkedInPayload(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Invalid webhook payload',
+          errors
+        });
+      }
+
+      const result = webhookService.ingestLinkedInPayload(req.body);
+      console.log(`LinkedIn webhook stored ${result.type} (${result.created ? 'created' : 'duplicate, updated'})`);
+
+      return res.status(result.created ? 201 : 200).json({
+        status: 'success',
+        type: result.type,
+        duplicate: !result.created,
+        data: {
+          prospect: result.prospect || null,
+          company: result.company || null
+        }
+      });
+    } catch (error) {
+      console.error('Error processing LinkedIn webhook:', error);
+      return res.status(500).json({
+        status: 'error',
+        message: error.message || 'An error occurred processing the webhook'
+      });
+    }
+  }
+};
+
+module.exports = webhookController;
@@ -6,11 +6,49 @@ const profileRoutes = require('./routes/profileRoutes');
 const companyRoutes = require('./routes/companyRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const agentRoutes = require('./routes/agentRoutes');
+const prospectRoutes = require('./routes/prospectRoutes');
+const companiesRoutes = require('./routes/companiesRoutes');
+const analysisRoutes = require('./routes/analysisRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const batchRoutes = require('./routes/batchRoutes');
+const llmRoutes = require('./routes/llmRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const dashboardRoutes = require('./routes/dashboardRoutes');
+const promptRoutes = require('./routes/promptRoutes');
+const knowledgeRoutes = require('./routes/knowledgeRoutes');
+const researchRoutes = require('./routes/researchRoutes');
+const newsRoutes = require('./routes/newsRoutes');
+const threadRoutes = require('./routes/threadRoutes');
+const outcomeRoutes = require('./routes/outcomeRoutes');
+const prospectController = require('./controllers/prospectController');
 
 // Register routes
 router.use('/profile', profileRoutes);
 router.use('/company', companyRoutes);
 router.use('/message', messageRoutes);
 router.use('/agent', agentRoutes);
+router.use('/llm', llmRoutes);
+router.use('/metrics', metricsRoutes);
+router.use('/dashboard', dashboardRoutes);
+router.use('/prompts', promptRoutes);
+router.use('/knowledge', knowledgeRoutes);
+router.use('/research', researchRoutes);
+router.use('/news', newsRoutes);
+
+// Background analysis jobs
+router.use('/jobs', jobRoutes);
+router.use('/batches', batchRoutes);
+
+// Persistence routes
+router.use('/prospects', prospectRoutes);
+router.use('/companies', companiesRoutes);
+router.use('/analyses', analysisRoutes);
+router.use('/threads', threadRoutes);
+router.use('/outcomes', outcomeRoutes);
+router.post('/store-linkedin-data', prospectController.storeLinkedInData);
+
+// Inbound integrations (Zapier etc.)
+router.use('/webhooks', webhookRoutes);
 
 module.exports = router;
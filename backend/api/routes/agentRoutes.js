@@ -11,6 +11,8 @@ const agentController = require('../controllers/agentController');
 /**
  * @route POST /api/agent/generate
  * @desc Generate personalized content using the two-agent system
+ *       (add ?stream=true or Accept: text/event-stream to stream stage and token events over SSE;
+ *       options.variants or options.angles returns A/B variants, each with its angle label)
  * @access Public
  */
 router.post('/generate', agentController.generateContent);
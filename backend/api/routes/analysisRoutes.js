@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const analysisController = require('../controllers/analysisController');
+
+/**
+ * @route GET /api/analyses
+ * @desc List saved analyses (optional ?type=, ?prospectId= and ?companyId= filters)
+ * @access Public
+ */
+router.get('/', analysisController.listAnalyses);
+
+/**
+ * @route POST /api/analyses
+ * @desc Save an analysis
+ * @access Public
+ */
+router.post('/', analysisController.createAnalysis);
+
+/**
+ * @route GET /api/analyses/:id
+ * @desc Get a saved analysis
+ * @access Public
+ */
+router.get('/:id', analysisController.getAnalysis);
+
+/**
+ * @route PUT /api/analyses/:id
+ * @desc Update a saved analysis
+ * @access Public
+ */
+router.put('/:id', analysisController.updateAnalysis);
+
+/**
+ * @route POST /api/analyses/:id/rerun
+ * @desc Re-run a saved profile analysis with other models (returns a job; its result holds the new linked analysis)
+ * @access Public
+ */
+router.post('/:id/rerun', analysisController.rerunAnalysis);
+
+/**
+ * @route POST /api/analyses/:id/sent-variant
+ * @desc Record which A/B variant was sent ({ variantId }); kept for win-rate reporting
+ * @access Public
+ */
+router.post('/:id/sent-variant', analysisController.recordSentVariant);
+
+/**
+ * @route DELETE /api/analyses/:id
+ * @desc Delete a saved analysis
+ * @access Public
+ */
+router.delete('/:id', analysisController.deleteAnalysis);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const batchController = require('../controllers/batchController');
+
+/**
+ * @route POST /api/batches
+ * @desc Upload CSV text ({ csv, name, outputFormat, modelOptions }) and start a bulk profile analysis
+ * @access Public
+ */
+router.post('/', batchController.createBatch);
+
+/**
+ * @route GET /api/batches
+ * @desc List batches with row counts
+ * @access Public
+ */
+router.get('/', batchController.listBatches);
+
+/**
+ * @route GET /api/batches/:id
+ * @desc Get a batch with per-row status and results
+ * @access Public
+ */
+router.get('/:id', batchController.getBatch);
+
+/**
+ * @route GET /api/batches/:id/results
+ * @desc Download results (?format=csv or ?format=json)
+ * @access Public
+ */
+router.get('/:id/results', batchController.downloadResults);
+
+/**
+ * @route POST /api/batches/:id/cancel
+ * @desc Stop a batch; rows not yet started are marked cancelled
+ * @access Public
+ */
+router.post('/:id/cancel', batchController.cancelBatch);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const companyController = require('../controllers/companyController');
+
+/**
+ * @route GET /api/companies
+ * @desc List stored companies (optional ?status= filter)
+ * @access Public
+ */
+router.get('/', companyController.listCompanies);
+
+/**
+ * @route POST /api/companies
+ * @desc Create a company, or update the one with the same LinkedIn URL
+ * @access Public
+ */
+router.post('/', companyController.createCompany);
+
+/**
+ * @route GET /api/companies/:id
+ * @desc Get a stored company
+ * @access Public
+ */
+router.get('/:id', companyController.getCompany);
+
+/**
+ * @route GET /api/companies/:id/news
+ * @desc Recent news from the polled feeds that mentions the company by name or alias
+ * @access Public
+ */
+router.get('/:id/news', companyController.getCompanyNews);
+
+/**
+ * @route PUT /api/companies/:id
+ * @desc Update a stored company
+ * @access Public
+ */
+router.put('/:id', companyController.updateCompany);
+
+/**
+ * @route DELETE /api/companies/:id
+ * @desc Delete a stored company
+ * @access Public
+ */
+router.delete('/:id', companyController.deleteCompany);
+
+module.exports = router;
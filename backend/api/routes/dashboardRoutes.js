@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const dashboardController = require('../controllers/dashboardController');
+
+/**
+ * @route GET /api/dashboard
+ * @desc Prospect pipeline by status, analyses per day (?days=14), top companies by potential value and recent LinkedIn scraping errors
+ * @access Public
+ */
+router.get('/', dashboardController.getSummary);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+/**
+ * @route POST /api/jobs/profile
+ * @desc Queue a LinkedIn profile analysis; responds 202 with the job id
+ * @access Public
+ */
+router.post('/profile', jobController.createProfileJob);
+
+/**
+ * @route POST /api/jobs/company
+ * @desc Queue a LinkedIn company analysis; responds 202 with the job id
+ * @access Public
+ */
+router.post('/company', jobController.createCompanyJob);
+
+/**
+ * @route POST /api/jobs/sequence
+ * @desc Queue a multi-step outreach sequence (email, LinkedIn connect, follow-up, call script, breakup)
+ *       for analyzed profile data; the result holds the cadence with day offsets, channels and content
+ * @access Public
+ */
+router.post('/sequence', jobController.createSequenceJob);
+
+/**
+ * @route GET /api/jobs/:id
+ * @desc Get job status, stages, progress and (when completed) the result
+ * @access Public
+ */
+router.get('/:id', jobController.getJob);
+
+/**
+ * @route GET /api/jobs/:id/events
+ * @desc Server-sent events stream of job updates ("job") and generated text ("token")
+ * @access Public
+ */
+router.get('/:id/events', jobController.streamJob);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const knowledgeController = require('../controllers/knowledgeController');
+
+/**
+ * @route GET /api/knowledge
+ * @desc List products, extra employees, claims and statistics in prompt order (?type= to filter)
+ * @access Public
+ */
+router.get('/', knowledgeController.listItems);
+
+/**
+ * @route GET /api/knowledge/preview
+ * @desc Text the {productCatalog}, {extraEmployees}, {keyStatistics} and {productClaims} placeholders render to
+ * @access Public
+ */
+router.get('/preview', knowledgeController.previewPromptValues);
+
+/**
+ * @route POST /api/knowledge
+ * @desc Add a knowledge item ({ type, name, text, price, source, approved, position })
+ * @access Public
+ */
+router.post('/', knowledgeController.createItem);
+
+/**
+ * @route PUT /api/knowledge/:id
+ * @desc Update a knowledge item; prompts use the change on their next render
+ * @access Public
+ */
+router.put('/:id', knowledgeController.updateItem);
+
+/**
+ * @route DELETE /api/knowledge/:id
+ * @desc Delete a knowledge item
+ * @access Public
+ */
+router.delete('/:id', knowledgeController.deleteItem);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const llmController = require('../controllers/llmController');
+
+/**
+ * @route GET /api/llm/providers
+ * @desc List LLM providers with health, available models and the fallback order per task
+ * @access Public
+ */
+router.get('/providers', llmController.listProviders);
+
+/**
+ * @route GET /api/llm/usage
+ * @desc Token and cost totals by day, month, task, model and prospect, plus monthly budget status (?days= limits the daily series)
+ * @access Public
+ */
+router.get('/usage', llmController.getUsage);
+
+/**
+ * @route GET /api/llm/cache
+ * @desc Cache statistics and cached responses (filter with ?task=&model=, page with ?limit=&offset=)
+ * @access Public
+ */
+router.get('/cache', llmController.getCache);
+
+/**
+ * @route DELETE /api/llm/cache
+ * @desc Purge cached responses by ?task= and/or ?model= (?expired=true for expired only); no filter clears the cache
+ * @access Public
+ */
+router.delete('/cache', llmController.purgeCache);
+
+/**
+ * @route GET /api/llm/cache/:key
+ * @desc Get a cached response including its content
+ * @access Public
+ */
+router.get('/cache/:key', llmController.getCacheEntry);
+
+/**
+ * @route DELETE /api/llm/cache/:key
+ * @desc Remove a single cached response
+ * @access Public
+ */
+router.delete('/cache/:key', llmController.deleteCacheEntry);
+
+module.exports = router;
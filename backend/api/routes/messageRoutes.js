@@ -3,21 +3,21 @@ const router = express.Router();
 const messageController = require('../controllers/messageController');
 
 /**
- * @route POST /api/messages/analyze
- * @desc Analyze client message to identify topics, sentiment, and questions
+ * @route POST /api/message/analyze
+ * @desc Analyze client message to identify topics, sentiment, and questions (optional threadId: earlier turns are sent as context)
  * @access Public
  */
 router.post('/analyze', messageController.analyzeMessage);
 
 /**
- * @route POST /api/messages/generate-response
- * @desc Generate a response to a client message
+ * @route POST /api/message/generate-response
+ * @desc Generate a response to a client message (optional questions: the subset of analyzed questions to answer; optional threadId: earlier turns are sent as context)
  * @access Public
  */
 router.post('/generate-response', messageController.generateResponse);
 
 /**
- * @route POST /api/messages/warm-followup
+ * @route POST /api/message/warm-followup
  * @desc Generate a warm follow-up email after a phone call
  * @access Public
  */
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const metricsController = require('../controllers/metricsController');
+
+/**
+ * @route GET /api/metrics/timeseries
+ * @desc LLM request counts, errors by class, p50/p95/p99 latency, tokens and cost per time bucket
+ *   (?from=&to=&bucket=1h&groupBy=provider|model|task&provider=&model=&task=)
+ * @access Public
+ */
+router.get('/timeseries', metricsController.getTimeseries);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const newsController = require('../controllers/newsController');
+
+/**
+ * @route GET /api/news
+ * @desc Stored news items, newest first (?company= for one company by name or alias, ?limit=, ?maxAgeDays=)
+ * @access Public
+ */
+router.get('/', newsController.listNews);
+
+/**
+ * @route GET /api/news/feeds
+ * @desc Configured RSS/Atom feeds and the outcome of their last poll
+ * @access Public
+ */
+router.get('/feeds', newsController.listFeeds);
+
+/**
+ * @route POST /api/news/poll
+ * @desc Queue a poll of every configured feed; returns the job
+ * @access Public
+ */
+router.post('/poll', newsController.pollFeeds);
+
+module.exports = router;
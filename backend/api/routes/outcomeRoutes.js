@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const outcomeController = require('../controllers/outcomeController');
+
+/**
+ * @route GET /api/outcomes
+ * @desc List logged outcomes, newest first (optional ?analysisId=, ?prospectId=, ?event= filters)
+ * @access Public
+ */
+router.get('/', outcomeController.listOutcomes);
+
+/**
+ * @route POST /api/outcomes
+ * @desc Log an outcome (sent, opened, replied, meeting_booked, lost) for a saved analysis
+ * @access Public
+ */
+router.post('/', outcomeController.createOutcome);
+
+/**
+ * @route GET /api/outcomes/report
+ * @desc Positive outcome rate by role category, output format, model, angle and prompt version (optional ?days=)
+ * @access Public
+ */
+router.get('/report', outcomeController.getReport);
+
+/**
+ * @route DELETE /api/outcomes/:id
+ * @desc Delete an outcome logged by mistake
+ * @access Public
+ */
+router.delete('/:id', outcomeController.deleteOutcome);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const promptController = require('../controllers/promptController');
+
+/**
+ * @route GET /api/prompts
+ * @desc List prompt templates with their declared variables, active version and latest version
+ * @access Public
+ */
+router.get('/', promptController.listTemplates);
+
+/**
+ * @route GET /api/prompts/:key/versions
+ * @desc List every version of a template, oldest first
+ * @access Public
+ */
+router.get('/:key/versions', promptController.listVersions);
+
+/**
+ * @route POST /api/prompts/:key/versions
+ * @desc Add a version ({ template, variables, description, notes, activate }); placeholders must match the declared variables
+ * @access Public
+ */
+router.post('/:key/versions', promptController.createVersion);
+
+/**
+ * @route GET /api/prompts/:key/versions/:version
+ * @desc Get a single version of a template
+ * @access Public
+ */
+router.get('/:key/versions/:version', promptController.getVersion);
+
+/**
+ * @route POST /api/prompts/:key/versions/:version/activate
+ * @desc Make a version the one content generation renders
+ * @access Public
+ */
+router.post('/:key/versions/:version/activate', promptController.activateVersion);
+
+/**
+ * @route GET /api/prompts/:key/diff
+ * @desc Line diff between two versions (?from=&to=, to defaults to the active version)
+ * @access Public
+ */
+router.get('/:key/diff', promptController.diffVersions);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const prospectController = require('../controllers/prospectController');
+
+/**
+ * @route GET /api/prospects
+ * @desc List stored prospects (optional ?status= and ?companyId= filters)
+ * @access Public
+ */
+router.get('/', prospectController.listProspects);
+
+/**
+ * @route POST /api/prospects
+ * @desc Create a prospect, or update the one with the same LinkedIn URL
+ * @access Public
+ */
+router.post('/', prospectController.createProspect);
+
+/**
+ * @route GET /api/prospects/:id
+ * @desc Get a stored prospect
+ * @access Public
+ */
+router.get('/:id', prospectController.getProspect);
+
+/**
+ * @route PUT /api/prospects/:id
+ * @desc Update a stored prospect
+ * @access Public
+ */
+router.put('/:id', prospectController.updateProspect);
+
+/**
+ * @route DELETE /api/prospects/:id
+ * @desc Delete a stored prospect
+ * @access Public
+ */
+router.delete('/:id', prospectController.deleteProspect);
+
+module.exports = router;
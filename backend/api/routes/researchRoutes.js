@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const researchController = require('../controllers/researchController');
+
+/**
+ * @route GET /api/research
+ * @desc List stored company research with its age (?type=company|industry_trends, ?stale=true|false)
+ * @access Public
+ */
+router.get('/', researchController.listResearch);
+
+/**
+ * @route POST /api/research/refresh
+ * @desc Queue a background refresh ({ keys } to pick companies; otherwise everything stale or nearly stale)
+ * @access Public
+ */
+router.post('/refresh', researchController.refreshResearch);
+
+/**
+ * @route GET /api/research/:key
+ * @desc Stored research for a company name, domain or key, with earlier snapshots (?type= defaults to company)
+ * @access Public
+ */
+router.get('/:key', researchController.getResearch);
+
+/**
+ * @route DELETE /api/research/:key
+ * @desc Delete stored research so the next analysis researches the company again
+ * @access Public
+ */
+router.delete('/:key', researchController.deleteResearch);
+
+module.exports = router;
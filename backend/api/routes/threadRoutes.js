@@ -0,0 +1,47 @@
+const express = require('express');
+const router = express.Router();
+const threadController = require('../controllers/threadController');
+
+/**
+ * @route GET /api/threads
+ * @desc List conversation threads, most recently updated first (optional ?prospectId= filter)
+ * @access Public
+ */
+router.get('/', threadController.listThreads);
+
+/**
+ * @route POST /api/threads
+ * @desc Start a conversation thread for a prospect
+ * @access Public
+ */
+router.post('/', threadController.createThread);
+
+/**
+ * @route GET /api/threads/:id
+ * @desc Get a thread with its timestamped turns
+ * @access Public
+ */
+router.get('/:id', threadController.getThread);
+
+/**
+ * @route DELETE /api/threads/:id
+ * @desc Delete a thread
+ * @access Public
+ */
+router.delete('/:id', threadController.deleteThread);
+
+/**
+ * @route POST /api/threads/:id/turns
+ * @desc Append a turn (direction: outbound, inbound or note)
+ * @access Public
+ */
+router.post('/:id/turns', threadController.addTurn);
+
+/**
+ * @route DELETE /api/threads/:id/turns/:turnId
+ * @desc Remove a turn from a thread
+ * @access Public
+ */
+router.delete('/:id/turns/:turnId', threadController.removeTurn);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const { verifyWebhookSignature } = require('../../middleware/webhookSignature');
+
+/**
+ * @route POST /api/webhooks/linkedin
+ * @desc Ingest a LinkedIn profile or company payload (e.g. from Zapier)
+ * @access Signed (x-webhook-signature: sha256=<HMAC of body with WEBHOOK_SECRET>)
+ */
+router.post('/linkedin', verifyWebhookSignature, webhookController.receiveLinkedInWebhook);
+
+module.exports = router;
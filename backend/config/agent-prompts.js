@@ -4,6 +4,11 @@
  * This file contains system prompts and templates for the two-agent system:
  * 1. Fine-tuning agent (gpt-4o-mini)
  * 2. Sales copy generation agent (claude-3-opus-20240229)
+ *
+ * The two system prompts are version 1 of the fine_tuning_system and
+ * sales_copy_system templates in the prompt registry; edit them through
+ * /api/prompts rather than here. Products, the "4 Extra Employees" and
+ * statistics come from the product knowledge store ({productCatalog} etc.).
  */
 
 // System prompt for the fine-tuning agent
@@ -54,21 +59,15 @@ You are an expert sales copywriter specializing in B2B construction technology.
 
 VigilantEx Product Information:
 - VigilantEx provides advanced AI-powered surveillance for construction sites
-- The Argos system features solar power, cameras with 360° coverage, and Starlink connectivity
-- The LunaVu units complement Argos by eliminating blind spots
+{productCatalog}
+{productClaims}
 
 The "4 Extra Employees" concept:
 VigilantEx functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
+{extraEmployees}
 
 Key statistics:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
+{keyStatistics}
 
 IMPORTANT - Adaptive Messaging Rules:
 1. FOLLOW-UP CONTENT: If the prompt mentions a previous demo or meeting, do NOT offer a new demo. Instead, focus on next steps from that previous interaction.
@@ -167,7 +166,8 @@ exports.outputTypes = [
   "text_message"
 ];
 
-// Role-specific customization guide
+// Role-specific customization guide; "angles" lists the variant angles that
+// speak to the role's pain points, strongest first
 exports.roleCustomization = {
   "pre_construction_manager": {
     "painPoints": [
@@ -182,7 +182,8 @@ exports.roleCustomization = {
       "complete visibility across all projects",
       "stronger client updates with visual progress reports",
       "better subcontractor accountability"
-    ]
+    ],
+    "angles": ["project_visibility", "four_employees_roi", "dispute_protection", "safety_first", "theft_prevention"]
   },
   "operations_director": {
     "painPoints": [
@@ -197,7 +198,8 @@ exports.roleCustomization = {
       "real-time progress insights",
       "reduced operational hiccups",
       "tighter cost control through better oversight"
-    ]
+    ],
+    "angles": ["four_employees_roi", "project_visibility", "theft_prevention", "safety_first", "dispute_protection"]
   },
   "safety_director": {
     "painPoints": [
@@ -212,7 +214,8 @@ exports.roleCustomization = {
       "instant safety violation detection and alerts",
       "solid compliance records with video evidence",
       "demonstrable improvement in safety metrics"
-    ]
+    ],
+    "angles": ["safety_first", "dispute_protection", "four_employees_roi", "theft_prevention", "project_visibility"]
   },
   "project_executive": {
     "painPoints": [
@@ -227,7 +230,8 @@ exports.roleCustomization = {
       "reduced project risks through constant monitoring",
       "improved client satisfaction with transparent updates",
       "stronger financial tracking with real-time data"
-    ]
+    ],
+    "angles": ["four_employees_roi", "dispute_protection", "theft_prevention", "safety_first", "project_visibility"]
   },
   "site_superintendent": {
     "painPoints": [
@@ -242,6 +246,39 @@ exports.roleCustomization = {
       "smarter time management",
       "increased worker responsibility",
       "reduced project timeline by up to 17 days"
-    ]
+    ],
+    "angles": ["theft_prevention", "project_visibility", "safety_first", "four_employees_roi", "dispute_protection"]
+  }
+};
+
+// Angles for A/B variants. Each variant of a message leads with one of these;
+// the role's pain points above decide which angles are tried first. Figures are
+// not written here: the approved statistics and claims in the product knowledge
+// store that mention one of the angle's evidence keywords are added to the prompt.
+exports.variantAngles = {
+  "safety_first": {
+    "label": "Safety-first",
+    "focus": "Lead with safety: real-time detection of safety violations, accident prevention and solid compliance records. The Safety Coordinator is the hero of this message.",
+    "evidence": ["safety"]
+  },
+  "theft_prevention": {
+    "label": "Theft prevention",
+    "focus": "Lead with site security: 24/7 monitoring for unauthorized access after hours, less theft and vandalism, and a system that runs without site wiring or internet. The Security Officer is the hero of this message.",
+    "evidence": ["theft", "vandalism", "Starlink"]
+  },
+  "four_employees_roi": {
+    "label": "\"4 Extra Employees\" ROI",
+    "focus": "Lead with the \"4 Extra Employees\" concept as an ROI pitch: four specialized team members watching every site for less than the cost of one hire. Put numbers first and keep technical details out.",
+    "evidence": ["productivity"]
+  },
+  "project_visibility": {
+    "label": "Project visibility",
+    "focus": "Lead with remote visibility into progress: see every site without driving to it, keep subcontractors accountable and keep schedules and clients up to date. The Project Manager is the hero of this message.",
+    "evidence": []
+  },
+  "dispute_protection": {
+    "label": "Dispute protection",
+    "focus": "Lead with documentation: time-stamped video of every incident, damage traced to the responsible party and evidence ready for disputes and insurance claims. The Damage Mitigator is the hero of this message.",
+    "evidence": []
   }
-};
\ No newline at end of file
+};
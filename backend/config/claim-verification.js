@@ -0,0 +1,27 @@
+/**
+ * Claim Verification Configuration
+ *
+ * After the sales copy agent writes a message, the factual claims in it
+ * (numbers, names, dates and references to earlier conversations) are checked
+ * against the profile, the additional context, the researched facts and the
+ * product knowledge store.
+ *
+ * Modes:
+ * - flag:    return the copy as written with the list of unsupported claims
+ * - rewrite: ask the sales copy agent to rewrite the copy without the
+ *            unsupported claims, then flag whatever is still unsupported
+ * - off:     skip the check
+ */
+
+exports.modes = ['flag', 'rewrite', 'off'];
+
+// Used when a request does not pass options.claimVerification
+exports.mode = exports.modes.includes(process.env.CLAIM_VERIFICATION_MODE)
+  ? process.env.CLAIM_VERIFICATION_MODE
+  : 'flag';
+
+// Rewrites tried before the remaining unsupported claims are returned with the copy
+exports.maxRewrites = 1;
+
+// Names and terms any message may use without a source
+exports.knownTerms = ['VigilantEx', 'LinkedIn', 'AI', 'ROI', 'OSHA', 'PPE'];
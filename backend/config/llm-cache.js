@@ -0,0 +1,32 @@
+/**
+ * LLM Response Cache Configuration
+ *
+ * Responses are keyed on a SHA-256 hash of the prompt, system prompt,
+ * conversation messages, model id and generation parameters, and persisted to
+ * llm-cache.json in the data directory so they survive restarts.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+// Set LLM_CACHE_PERSIST=false to keep the cache in memory only
+exports.persist = process.env.LLM_CACHE_PERSIST !== 'false';
+
+// Least recently used entries are evicted beyond either limit
+exports.maxEntries = parseInt(process.env.LLM_CACHE_MAX_ENTRIES, 10) || 1000;
+exports.maxBytes = parseInt(process.env.LLM_CACHE_MAX_BYTES, 10) || 20 * 1024 * 1024;
+
+// Used for tasks without their own TTL
+exports.defaultTtlMs = 24 * HOUR;
+
+// Per-task TTLs; 0 disables caching for the task
+exports.taskTtls = {
+  // Research prompts change slowly, so their answers stay useful longer
+  analysis: 7 * 24 * HOUR,
+  companyContent: 3 * 24 * HOUR,
+  profileContent: 24 * HOUR,
+  warmFollowup: 12 * HOUR,
+
+  // Replies depend on the latest client message, keep them short-lived
+  messageAnalysis: 6 * HOUR,
+  messageResponse: 1 * HOUR
+};
@@ -0,0 +1,100 @@
+/**
+ * LLM Pricing and Budget Configuration
+ * Last updated: 2025-03-24
+ *
+ * List prices in USD per million tokens. Model ids are matched exactly or by
+ * the longest prefix, so dated ids such as claude-3-haiku-20240307 use the
+ * claude-3-haiku entry.
+ */
+
+// Providers that cost nothing per token
+exports.freeProviders = ['local', 'local-llm', 'cache', 'template'];
+
+exports.pricing = {
+  // Anthropic
+  'claude-3-opus': { input: 15, output: 75 },
+  'claude-3-sonnet': { input: 3, output: 15 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+
+  // OpenAI
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'o1-preview': { input: 15, output: 60 },
+  'o1-mini': { input: 3, output: 12 },
+  'o3-mini': { input: 1.1, output: 4.4 }
+};
+
+const parseBudget = (value) => (value && !isNaN(parseFloat(value)) ? parseFloat(value) : null);
+
+// Monthly limits (calendar month, UTC); null means unlimited
+exports.budgets = {
+  monthlyUsd: parseBudget(process.env.LLM_MONTHLY_BUDGET_USD), // All providers together
+  providers: {
+    openai: parseBudget(process.env.OPENAI_MONTHLY_BUDGET_USD),
+    claude: parseBudget(process.env.ANTHROPIC_MONTHLY_BUDGET_USD)
+  },
+
+  // Over budget: 'downgrade' switches to the cheaper models below, 'block' skips paid providers
+  action: process.env.LLM_BUDGET_ACTION === 'block' ? 'block' : 'downgrade',
+
+  // When downgrading, paid providers are blocked once spend reaches this share of the limit
+  hardLimitRatio: 1.25,
+
+  // Cheaper replacement per model family (families are the pricing table keys)
+  downgrades: {
+    'claude-3-opus': 'claude-3-haiku-20240307',
+    'claude-3-sonnet': 'claude-3-haiku-20240307',
+    'claude-3-5-sonnet': 'claude-3-5-haiku-latest',
+    'claude-3-7-sonnet': 'claude-3-5-haiku-latest',
+    'gpt-4o': 'gpt-4o-mini',
+    'gpt-4-turbo': 'gpt-4o-mini',
+    'gpt-4': 'gpt-4o-mini',
+    'o1-preview': 'o1-mini'
+  }
+};
+
+/**
+ * Find the table key for a model id: an exact match or the longest matching prefix
+ * @param {Object} table - Object keyed by model id or family
+ * @param {string} model - Model id
+ * @returns {string|null} - Matching key or null
+ */
+exports.findModelKey = function(table, model) {
+  if (!model) return null;
+  if (table[model]) return model;
+
+  return Object.keys(table)
+    .filter(key => model.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0] || null;
+};
+
+// Get the price of a model (null when the model is not in the table)
+exports.getModelPricing = function(model) {
+  const key = exports.findModelKey(exports.pricing, model);
+  return key ? exports.pricing[key] : null;
+};
+
+/**
+ * Cost of a call in USD
+ * @param {string} model - Model id
+ * @param {Object} usage - { inputTokens, outputTokens }
+ * @returns {number} - Cost, 0 for unpriced models
+ */
+exports.calculateCost = function(model, usage) {
+  const price = exports.getModelPricing(model);
+  if (!price || !usage) return 0;
+  return ((usage.inputTokens || 0) * price.input + (usage.outputTokens || 0) * price.output) / 1000000;
+};
+
+// Get the cheaper model to use for a model when over budget (null when there is none)
+exports.getDowngrade = function(model) {
+  // Resolve the family against the pricing table so gpt-4o-mini is not mistaken for gpt-4o
+  const family = exports.findModelKey(exports.pricing, model);
+  return (family && exports.budgets.downgrades[family]) || null;
+};
@@ -0,0 +1,78 @@
+/**
+ * LLM Provider Configuration
+ *
+ * Fallback chains per task. Each step is a provider name or
+ * { provider, model, timeoutMs }; steps are tried in order and a step is
+ * skipped when its provider is not registered, not configured (e.g. missing
+ * API key) or its circuit breaker is open. Without a model the provider picks
+ * one for the task.
+ *
+ * Built-in provider names:
+ * - claude:    Anthropic (ANTHROPIC_API_KEY)
+ * - openai:    OpenAI (OPENAI_API_KEY)
+ * - local-llm: OpenAI-compatible local server such as Ollama or llama.cpp (LOCAL_LLM_BASE_URL)
+ * - local:     Transformers.js distilgpt2, runs in-process as the last resort
+ */
+
+const longFormChain = ['claude', 'openai', 'local-llm', 'local'];
+
+// Agent steps need instruction-following models, so distilgpt2 is left out
+const salesCopyChain = [
+  'claude',
+  { provider: 'claude', model: 'claude-3-haiku-20240307' },
+  { provider: 'openai', model: 'gpt-4o' },
+  'local-llm'
+];
+
+// Used for tasks without their own chain (override with LLM_FALLBACK_ORDER=openai,claude,...)
+exports.defaultChain = process.env.LLM_FALLBACK_ORDER
+  ? process.env.LLM_FALLBACK_ORDER.split(',').map(name => name.trim()).filter(Boolean)
+  : ['openai', 'claude', 'local-llm', 'local'];
+
+// Prompts longer than this use longFormChain unless the task has its own chain
+exports.longContentThreshold = 2000;
+exports.longFormChain = longFormChain;
+
+// Per-task chains
+exports.chains = {
+  // Long-form content reads better from Claude
+  profileContent: longFormChain,
+  warmFollowup: longFormChain,
+  messageResponse: longFormChain,
+
+  // Structured JSON analysis is more reliable from OpenAI
+  messageAnalysis: ['openai', 'claude', 'local-llm', 'local'],
+
+  // Two-agent pipeline
+  'fine-tuning': [
+    { provider: 'openai', model: 'gpt-4o-mini' },
+    { provider: 'claude', model: 'claude-3-haiku-20240307' },
+    'local-llm'
+  ],
+  sales_copy: salesCopyChain,
+  sales_copy_direct: salesCopyChain,
+  sales_copy_sequence: salesCopyChain
+};
+
+// Timeouts, retries and circuit breakers; `providers` overrides the defaults per provider
+exports.resilience = {
+  timeoutMs: 60000, // Per attempt
+  retries: 2, // Extra attempts on 429, 5xx and dropped connections
+  backoffMs: 1000, // Doubles on each retry (with jitter) unless the server sends Retry-After
+  maxBackoffMs: 10000,
+  breaker: {
+    failureThreshold: 5, // Consecutive failures before the provider is skipped
+    cooldownMs: 60000 // Time before a trial request is let through again
+  },
+  providers: {
+    'local-llm': { timeoutMs: 120000, retries: 0 },
+    local: { timeoutMs: 120000, retries: 0 }
+  }
+};
+
+// OpenAI-compatible local endpoint (disabled unless LOCAL_LLM_BASE_URL is set)
+exports.localLLM = {
+  baseURL: process.env.LOCAL_LLM_BASE_URL || null, // e.g. http://localhost:11434/v1 for Ollama
+  apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed', // Most local servers ignore the key
+  defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1'
+};
@@ -0,0 +1,54 @@
+/**
+ * News Feed Configuration
+ *
+ * Company news comes from RSS and Atom feeds (ENR, local business journals,
+ * press-release feeds) that are polled on a schedule. Items are stored in
+ * news-items.json in the data directory and matched to tracked companies by
+ * name and alias. No feeds are configured by default.
+ *
+ * NEWS_FEEDS lists the feeds as comma-separated "Name|location" pairs. The
+ * location is an http(s) URL or the path of a saved XML file, e.g.
+ * NEWS_FEEDS="ENR|https://example.com/enr.rss,Press releases|/srv/feeds/pr.xml"
+ */
+
+/**
+ * Parse NEWS_FEEDS into feed definitions
+ * @param {string} value - "Name|location" pairs separated by commas
+ * @returns {Array<Object>} - [{ id, name, location }]
+ */
+function parseFeedList(value) {
+  return String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, location] = entry.includes('|') ? entry.split('|') : [entry, entry];
+      return {
+        id: name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+        name: name.trim(),
+        location: location.trim()
+      };
+    });
+}
+
+exports.parseFeedList = parseFeedList;
+
+// Feeds polled for company news
+exports.feeds = parseFeedList(process.env.NEWS_FEEDS);
+
+// Background polling of the feeds
+exports.polling = {
+  enabled: process.env.NEWS_POLLING_ENABLED !== 'false',
+  intervalMs: (parseFloat(process.env.NEWS_POLL_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  timeoutMs: 10000,
+  maxFeedBytes: 5 * 1024 * 1024
+};
+
+// Stored items older than this are dropped when feeds are polled
+exports.retentionDays = 180;
+
+// getCompanyNews defaults
+exports.lookup = {
+  limit: 10,
+  maxAgeDays: 90
+};
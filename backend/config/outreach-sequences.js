@@ -0,0 +1,67 @@
+/**
+ * Outreach Sequence Configuration
+ *
+ * Touch types the sales copy agent can write for a multi-step cadence and the
+ * cadence used when the caller does not pass its own steps. Day offsets are
+ * counted from the first touch.
+ */
+
+// Each type maps to a channel, a two-agent output type and the brief for that touch
+exports.stepTypes = {
+  intro_email: {
+    label: 'Intro email',
+    channel: 'email',
+    outputType: 'sales_email',
+    brief: 'Open the conversation. Lead with the pain point from the strategy and ask for a short call.'
+  },
+  linkedin_connect: {
+    label: 'LinkedIn connection request',
+    channel: 'linkedin',
+    outputType: 'linkedin_connect',
+    brief: 'A connection note under 300 characters. Mention the email you sent without repeating it.',
+    maxLength: 300
+  },
+  linkedin_message: {
+    label: 'LinkedIn message',
+    channel: 'linkedin',
+    outputType: 'linkedin_message',
+    brief: 'A short LinkedIn message that adds one new point the earlier touches did not make.'
+  },
+  follow_up_email: {
+    label: 'Follow-up email',
+    channel: 'email',
+    outputType: 'follow_up_email',
+    brief: 'Follow up on the intro email with a new angle, such as a relevant statistic or industry trend. Keep it shorter than the intro.'
+  },
+  value_email: {
+    label: 'Value email',
+    channel: 'email',
+    outputType: 'sales_email',
+    brief: 'Share something useful with no hard ask, such as how a similar company uses the "4 Extra Employees" on its sites.'
+  },
+  call_script: {
+    label: 'Call script',
+    channel: 'phone',
+    outputType: 'call_script',
+    brief: 'A cold call script: opener referencing the emails, two discovery questions, a short pitch, objection handling for "send me info" and the ask for a meeting.'
+  },
+  breakup_email: {
+    label: 'Breakup email',
+    channel: 'email',
+    outputType: 'sales_email',
+    brief: 'Close the loop politely. Summarize what was offered in earlier touches, say this is the last message and leave the door open.'
+  }
+};
+
+// Email, LinkedIn connect, follow-up email, call script and breakup email
+exports.defaultSequence = [
+  { day: 0, type: 'intro_email' },
+  { day: 2, type: 'linkedin_connect' },
+  { day: 5, type: 'follow_up_email' },
+  { day: 8, type: 'call_script' },
+  { day: 14, type: 'breakup_email' }
+];
+
+// Bounds on caller-supplied cadences
+exports.maxSteps = 8;
+exports.maxDays = 90;
@@ -0,0 +1,27 @@
+/**
+ * Research Cache Configuration
+ *
+ * Company research and industry trends are stored as snapshots in the
+ * company knowledge store (company-research.json in the data directory), keyed
+ * by normalised company name or domain. Analyses reuse a snapshot until it is
+ * stale; a background job refreshes snapshots before they get there.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Age after which a snapshot is researched again before it is used
+exports.maxAgeMs = {
+  company: (parseFloat(process.env.RESEARCH_MAX_AGE_DAYS) || 7) * DAY,
+  industry_trends: (parseFloat(process.env.TRENDS_MAX_AGE_DAYS) || 7) * DAY
+};
+
+// Earlier snapshots kept per company, newest first
+exports.historyLimit = 5;
+
+// Background refresh of snapshots that are stale or will be within refreshAheadMs
+exports.refresh = {
+  enabled: process.env.RESEARCH_REFRESH_ENABLED !== 'false',
+  intervalMs: (parseFloat(process.env.RESEARCH_REFRESH_INTERVAL_HOURS) || 6) * 60 * 60 * 1000,
+  refreshAheadMs: DAY,
+  batchSize: 10 // Snapshots refreshed per run, oldest first
+};
@@ -0,0 +1,39 @@
+/**
+ * Web Search Configuration
+ *
+ * Company research searches the web through a search provider, fetches the
+ * result pages and has the LLM extract facts from them, each tied to the page
+ * it came from. No provider is enabled by default: without one, research
+ * returns no company facts rather than made-up ones.
+ *
+ * Built-in provider names:
+ * - searxng: a SearXNG instance (or anything serving the same
+ *            /search?format=json API). Enable with SEARXNG_ENABLED=true
+ *            and SEARXNG_BASE_URL.
+ */
+
+// Providers tried in order; the first one that is enabled answers
+exports.order = process.env.SEARCH_PROVIDER_ORDER
+  ? process.env.SEARCH_PROVIDER_ORDER.split(',').map(name => name.trim()).filter(Boolean)
+  : ['searxng'];
+
+exports.providers = {
+  searxng: {
+    enabled: process.env.SEARXNG_ENABLED === 'true',
+    baseUrl: process.env.SEARXNG_BASE_URL || 'http://localhost:8888',
+    timeoutMs: 10000,
+    language: 'en'
+  }
+};
+
+// Research pipeline limits
+exports.research = {
+  resultsPerQuery: 5,
+  maxPages: 6, // Pages fetched per company, best-ranked first
+  fetchTimeoutMs: 8000,
+  maxPageBytes: 2 * 1024 * 1024,
+  chunkSize: 1500, // Characters per chunk handed to the LLM
+  chunkOverlap: 150,
+  maxChunksPerPage: 3,
+  maxChunks: 12 // Chunks per extraction prompt
+};
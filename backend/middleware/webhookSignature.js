@@ -0,0 +1,55 @@
+// HMAC signature verification for incoming webhooks
+const crypto = require('crypto');
+
+// Header carrying the signature, formatted as "sha256=<hex digest>"
+const SIGNATURE_HEADER = 'x-webhook-signature';
+
+/**
+ * Compute the expected signature for a raw request body
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @returns {string} - Signature in "sha256=<hex>" form
+ */
+const signPayload = (rawBody, secret) => {
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return `sha256=${digest}`;
+};
+
+// Reject webhook requests whose body was not signed with WEBHOOK_SECRET
+const verifyWebhookSignature = (req, res, next) => {
+  const secret = process.env.WEBHOOK_SECRET;
+
+  if (!secret) {
+    console.error('WEBHOOK_SECRET is not configured; rejecting webhook request');
+    return res.status(503).json({
+      status: 'error',
+      message: 'Webhook ingestion is not configured'
+    });
+  }
+
+  const signature = req.headers[SIGNATURE_HEADER];
+  if (!signature || !req.rawBody) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Missing webhook signature'
+    });
+  }
+
+  const expected = Buffer.from(signPayload(req.rawBody, secret));
+  const received = Buffer.from(String(signature));
+
+  // timingSafeEqual throws on length mismatch, so check that first
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  signPayload,
+  verifyWebhookSignature
+};
@@ -2,6 +2,11 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const apiRoutes = require('./api');
+const batchService = require('./services/batchService');
+const researchRefreshService = require('./services/researchRefreshService');
+const researchCacheConfig = require('./config/research-cache');
+const newsService = require('./services/newsService');
+const newsConfig = require('./config/news-feeds');
 
 // Load environment variables
 dotenv.config();
@@ -11,7 +16,13 @@ const app = express();
 
 // Middleware
 app.use(cors()); // Simplified CORS setup
-app.use(express.json({ limit: '10mb' })); // Increase JSON payload limit
+// Increase JSON payload limit; keep the raw body for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -43,6 +54,23 @@ const PORT = process.env.PORT || 5007;
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Server running on port ${PORT} at http://localhost:${PORT}`);
+  
+  // Pick up bulk analyses interrupted by a restart
+  batchService.resumePendingBatches();
+
+  // Keep stored company research fresh ahead of the analyses that use it
+  if (researchCacheConfig.refresh.enabled) {
+    researchRefreshService.startScheduler();
+  }
+
+  // Poll the configured news feeds for company news
+  if (newsConfig.polling.enabled && newsConfig.feeds.length > 0) {
+    newsService.startScheduler();
+  }
 });
 
+// Leave through process.exit on Ctrl+C and stop signals so exit handlers run
+// (the LLM cache writes its pending changes in one)
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+
 module.exports = app;
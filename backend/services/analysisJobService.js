@@ -0,0 +1,179 @@
+/**
+ * Analysis Job Service
+ *
+ * Workers that run profile and company analysis in the background job queue
+ * and report the real pipeline stages as they go.
+ */
+
+const { jobQueue } = require('./jobQueueService');
+const profileService = require('./profileService');
+const companyService = require('./companyService');
+const twoAgentService = require('./twoAgentService');
+const contentGenerationService = require('./enhancedContentGenerationService');
+const { analysisStore } = require('./storageService');
+const { mapOutputFormat } = require('../utils/prompt-formatter');
+
+const JOB_TYPES = {
+  PROFILE: 'profile-analysis',
+  COMPANY: 'company-analysis',
+  RERUN: 'analysis-rerun',
+  SEQUENCE: 'outreach-sequence'
+};
+
+jobQueue.registerHandler(JOB_TYPES.PROFILE, {
+  stages: [
+    { id: 'scraping', label: 'Scraping LinkedIn profile' },
+    { id: 'researching', label: 'Researching company and role' },
+    { id: 'fine_tuning', label: 'Fine-tuning agent building the prompt' },
+    { id: 'sales_copy', label: 'Sales copy agent writing content' },
+    { id: 'verifying', label: 'Checking claims in the copy' }
+  ],
+  run: async (params, job) => {
+    job.setStage('scraping');
+    const profileData = await profileService.extractProfileData(params.profileUrl);
+
+    try {
+      const result = await twoAgentService.generatePersonalizedContent(
+        profileData,
+        { notes: params.additionalContext || '' },
+        mapOutputFormat(params.outputFormat),
+        { ...(params.modelOptions || {}), onStage: job.setStage, onToken: job.emitToken }
+      );
+
+      return {
+        profileData,
+        content: result.content,
+        metadata: result.metadata
+      };
+    } catch (error) {
+      // Keep the scraped profile, but report the failure instead of content the rep could send
+      console.error('Two-agent generation failed during profile job:', error);
+      return {
+        profileData,
+        content: null,
+        metadata: null,
+        generationError: error.message || 'Content generation failed'
+      };
+    }
+  }
+});
+
+jobQueue.registerHandler(JOB_TYPES.COMPANY, {
+  stages: [
+    { id: 'scraping', label: 'Scraping LinkedIn company page' },
+    { id: 'decision_makers', label: 'Identifying decision makers' },
+    { id: 'generating', label: 'Generating outreach content' }
+  ],
+  run: async (params, job) => {
+    job.setStage('scraping');
+    const companyData = await companyService.extractCompanyData(params.companyUrl);
+    companyData.news = await companyService.getCompanyNews(companyData.name);
+
+    job.setStage('decision_makers');
+    const decisionMakers = await companyService.identifyDecisionMakers(params.companyUrl);
+
+    job.setStage('generating');
+    const { content, promptVersion } = await contentGenerationService.generateCompanyContent(
+      companyData,
+      decisionMakers,
+      params.outputFormat || 'email'
+    );
+
+    return { companyData, decisionMakers, content, promptVersion };
+  }
+});
+
+// Re-run a saved profile analysis with other models, reusing the stored profile instead of scraping again
+jobQueue.registerHandler(JOB_TYPES.RERUN, {
+  stages: [
+    { id: 'researching', label: 'Researching company and role' },
+    { id: 'fine_tuning', label: 'Fine-tuning agent building the prompt' },
+    { id: 'sales_copy', label: 'Sales copy agent writing content' },
+    { id: 'verifying', label: 'Checking claims in the copy' }
+  ],
+  run: async (params, job) => {
+    const original = analysisStore.get(params.analysisId);
+    if (!original || !original.profileData) {
+      throw new Error('Saved profile analysis not found');
+    }
+
+    const { metadata: previousMetadata, ...profileData } = original.profileData;
+    // Reuse the original notes unless the re-run gives its own, so the two are comparable
+    const additionalContext = params.additionalContext ?? original.additionalContext ?? '';
+    const result = await twoAgentService.generatePersonalizedContent(
+      profileData,
+      { notes: additionalContext },
+      mapOutputFormat(original.outputFormat),
+      { ...(params.modelOptions || {}), onStage: job.setStage, onToken: job.emitToken }
+    );
+
+    // Saved as a new analysis linked to the original so the two can be compared
+    const analysis = analysisStore.create({
+      type: 'profile',
+      outputFormat: original.outputFormat,
+      prospectId: original.prospectId,
+      companyId: original.companyId,
+      sourceUrl: original.sourceUrl,
+      profileData: { ...profileData, metadata: result.metadata },
+      profileContent: result.content,
+      metadata: result.metadata,
+      modelOptions: params.modelOptions || null,
+      additionalContext: additionalContext || null,
+      parentId: original.parentId || original.id
+    });
+
+    return { analysis };
+  }
+});
+
+// Multi-step outreach cadence for an already analyzed profile
+jobQueue.registerHandler(JOB_TYPES.SEQUENCE, {
+  stages: [
+    { id: 'researching', label: 'Researching company and role' },
+    { id: 'fine_tuning', label: 'Fine-tuning agent building the strategy' },
+    { id: 'sequence', label: 'Sales copy agent writing each touch' }
+  ],
+  run: async (params, job) => {
+    const { metadata: previousMetadata, ...profileData } = params.profileData;
+    return twoAgentService.generateSequence(
+      profileData,
+      { notes: params.additionalContext || '' },
+      { ...(params.modelOptions || {}), steps: params.steps, onStage: job.setStage }
+    );
+  }
+});
+
+const analysisJobService = {
+  JOB_TYPES,
+
+  /**
+   * Queue a LinkedIn profile analysis
+   * @param {Object} params - { profileUrl, outputFormat, additionalContext, modelOptions }
+   * @returns {Object} - The queued job; its result holds { profileData, content, metadata }, or
+   *   { profileData, content: null, generationError } when the profile was scraped but no content was written
+   */
+  startProfileAnalysis: (params) => jobQueue.enqueue(JOB_TYPES.PROFILE, params),
+
+  /**
+   * Queue a LinkedIn company analysis
+   * @param {Object} params - { companyUrl, outputFormat }
+   * @returns {Object} - The queued job
+   */
+  startCompanyAnalysis: (params) => jobQueue.enqueue(JOB_TYPES.COMPANY, params),
+
+  /**
+   * Queue a re-run of a saved profile analysis
+   * @param {Object} params - { analysisId, modelOptions, additionalContext }
+   * @returns {Object} - The queued job; its result holds the new analysis
+   */
+  startRerun: (params) => jobQueue.enqueue(JOB_TYPES.RERUN, params),
+
+  /**
+   * Queue a multi-step outreach sequence for a profile
+   * @param {Object} params - { profileData, additionalContext, steps, modelOptions }
+   * @returns {Object} - The queued job; its result holds { sequence, metadata }
+   */
+  startSequence: (params) => jobQueue.enqueue(JOB_TYPES.SEQUENCE, params)
+};
+
+module.exports = analysisJobService;
@@ -0,0 +1,368 @@
+/**
+ * Batch Service
+ *
+ * Bulk prospect analysis from a CSV of LinkedIn profile URLs. Each row is
+ * scraped with profileService and run through the two-agent pipeline, with
+ * LinkedIn rate limits from linkedinConfig.scraping honoured between rows.
+ * Batches and their per-row results are persisted so they can be downloaded
+ * later as CSV or JSON.
+ */
+
+const profileService = require('./profileService');
+const twoAgentService = require('./twoAgentService');
+const { batchStore, prospectStore } = require('./storageService');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { mapOutputFormat } = require('../utils/prompt-formatter');
+const linkedinConfig = require('../utils/linkedin/linkedinConfig');
+
+// Upper bound on rows accepted in a single upload
+const MAX_BATCH_ROWS = 500;
+
+// Accepted header names (compared lowercase with non-letters removed)
+const URL_HEADERS = ['url', 'linkedinurl', 'profileurl', 'linkedin', 'linkedinprofile', 'linkedinprofileurl'];
+const CONTEXT_HEADERS = ['additionalcontext', 'context', 'notes'];
+
+// Columns written to the CSV export
+const EXPORT_COLUMNS = ['row', 'profileUrl', 'additionalContext', 'status', 'error', 'name', 'title', 'company', 'content', 'completedAt'];
+
+const LINKEDIN_PROFILE_PATTERN = /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/in\/[^/?#]+/i;
+
+// Batches run one at a time so the LinkedIn session limits apply across uploads
+const queue = [];
+let activeBatchId = null;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Normalise a header cell for matching
+ * @param {string} header - Header cell
+ * @returns {string} - Lowercase letters only
+ */
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Count rows by status
+ * @param {Array<Object>} rows - Batch rows
+ * @returns {Object} - Counts keyed by status plus total and processed
+ */
+function summarizeRows(rows) {
+  const counts = { total: rows.length, pending: 0, processing: 0, completed: 0, failed: 0, invalid: 0, skipped: 0, cancelled: 0 };
+  rows.forEach(row => {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  });
+  counts.processed = counts.completed + counts.failed;
+  return counts;
+}
+
+const batchService = {
+  MAX_BATCH_ROWS,
+
+  /**
+   * Parse uploaded CSV text into batch rows
+   * @param {string} csvText - CSV text with a URL column and optional additionalContext column
+   * @returns {Array<Object>} - Rows with profileUrl, additionalContext and initial status
+   */
+  parseRows: (csvText) => {
+    const records = parseCsv(csvText);
+    if (records.length === 0) {
+      throw new Error('CSV file is empty');
+    }
+
+    // Use the header row when it names a URL column, otherwise treat column 0 as the URL
+    const headers = records[0].map(normalizeHeader);
+    let urlIndex = headers.findIndex(header => URL_HEADERS.includes(header));
+    let contextIndex = headers.findIndex(header => CONTEXT_HEADERS.includes(header));
+    let dataRows = records.slice(1);
+
+    if (urlIndex === -1) {
+      if (!/linkedin\.com/i.test(records[0][0])) {
+        throw new Error('CSV must include a URL column (e.g. "url" or "linkedinUrl")');
+      }
+      urlIndex = 0;
+      contextIndex = records[0].length > 1 ? 1 : -1;
+      dataRows = records;
+    }
+
+    if (dataRows.length > MAX_BATCH_ROWS) {
+      throw new Error(`CSV has ${dataRows.length} rows; the maximum per batch is ${MAX_BATCH_ROWS}`);
+    }
+
+    const seen = new Set();
+    return dataRows.map((cells, index) => {
+      const profileUrl = (cells[urlIndex] || '').trim();
+      const row = {
+        row: index + 1,
+        profileUrl,
+        additionalContext: contextIndex === -1 ? '' : (cells[contextIndex] || ''),
+        status: 'pending',
+        error: null,
+        profile: null,
+        content: null,
+        metadata: null,
+        startedAt: null,
+        completedAt: null
+      };
+
+      const key = profileUrl.toLowerCase().replace(/[?#].*$/, '').replace(/\/+$/, '');
+      if (!LINKEDIN_PROFILE_PATTERN.test(profileUrl)) {
+        row.status = 'invalid';
+        row.error = 'Not a LinkedIn profile URL';
+      } else if (seen.has(key)) {
+        row.status = 'skipped';
+        row.error = 'Duplicate of an earlier row';
+      }
+      seen.add(key);
+
+      return row;
+    });
+  },
+
+  /**
+   * Create a batch from CSV text and queue it for processing
+   * @param {Object} params - { csv, name, outputFormat, modelOptions }
+   * @returns {Object} - The created batch
+   */
+  createBatch: ({ csv, name, outputFormat, modelOptions }) => {
+    const rows = batchService.parseRows(csv);
+
+    const batch = batchStore.create({
+      name: name || `Batch ${new Date().toISOString()}`,
+      outputFormat: outputFormat || 'email',
+      modelOptions: modelOptions || null,
+      rows
+    });
+
+    batchService.enqueue(batch.id);
+    return batchService.withSummary(batch);
+  },
+
+  /**
+   * Add a batch to the processing queue
+   * @param {number|string} id - Batch id
+   */
+  enqueue: (id) => {
+    queue.push(id);
+    if (!activeBatchId) {
+      batchService.processQueue();
+    }
+  },
+
+  /**
+   * Run queued batches one after another
+   */
+  processQueue: async () => {
+    while (queue.length > 0) {
+      activeBatchId = queue.shift();
+      try {
+        await batchService.runBatch(activeBatchId);
+      } catch (error) {
+        console.error(`Batch ${activeBatchId} failed:`, error);
+        batchStore.update(activeBatchId, {
+          status: 'failed',
+          error: error.message,
+          completedAt: new Date().toISOString()
+        });
+      }
+    }
+    activeBatchId = null;
+  },
+
+  /**
+   * Process every pending row of a batch
+   * @param {number|string} id - Batch id
+   */
+  runBatch: async (id) => {
+    const batch = batchStore.get(id);
+    if (!batch || batch.status === 'cancelled') return;
+
+    const { maxProfiles, profileDelay, sessionCooldown } = linkedinConfig.scraping;
+    const outputType = mapOutputFormat(batch.outputFormat);
+    let scrapedInSession = 0;
+
+    batchStore.update(id, { status: 'running', startedAt: batch.startedAt || new Date().toISOString() });
+    console.log(`Starting batch ${id} (${batch.rows.length} rows)`);
+
+    for (let index = 0; index < batch.rows.length; index++) {
+      if (batch.rows[index].status !== 'pending') continue;
+
+      // Stop between rows if the batch was cancelled
+      if (batchStore.get(id).status === 'cancelled') return;
+
+      // Respect LinkedIn limits: pause between profiles, and longer after each session
+      if (scrapedInSession >= maxProfiles) {
+        console.log(`Batch ${id}: ${maxProfiles} profiles scraped, cooling down for ${sessionCooldown}ms`);
+        await delay(sessionCooldown);
+        scrapedInSession = 0;
+      } else if (scrapedInSession > 0) {
+        await delay(profileDelay);
+      }
+
+      if (batchStore.get(id).status === 'cancelled') return;
+
+      scrapedInSession++;
+      await batchService.processRow(id, index, outputType);
+    }
+
+    batchStore.update(id, { status: 'completed', completedAt: new Date().toISOString() });
+    console.log(`Batch ${id} completed`);
+  },
+
+  /**
+   * Scrape and generate content for a single row, saving its status as it goes
+   * @param {number|string} id - Batch id
+   * @param {number} index - Row index
+   * @param {string} outputType - Two-agent output type
+   */
+  processRow: async (id, index, outputType) => {
+    const updateRow = (changes) => {
+      const current = batchStore.get(id);
+      const rows = current.rows.map((row, i) => (i === index ? { ...row, ...changes } : row));
+      return batchStore.update(id, { rows }).rows[index];
+    };
+
+    const row = updateRow({ status: 'processing', startedAt: new Date().toISOString() });
+    const { modelOptions } = batchStore.get(id);
+
+    try {
+      const profileData = await profileService.extractProfileData(row.profileUrl);
+
+      const result = await twoAgentService.generatePersonalizedContent(
+        profileData,
+        { notes: row.additionalContext || '' },
+        outputType,
+        modelOptions || {}
+      );
+
+      updateRow({
+        status: 'completed',
+        profile: {
+          name: profileData.name,
+          title: profileData.title,
+          company: profileData.company,
+          location: profileData.location
+        },
+        content: result.content,
+        metadata: {
+          outputType: result.metadata?.outputType,
+          researchSummary: result.metadata?.researchSummary
+        },
+        completedAt: new Date().toISOString()
+      });
+
+      // Keep the prospect list in sync (deduped by LinkedIn URL)
+      prospectStore.upsertBy('linkedinUrl', {
+        name: profileData.name,
+        title: profileData.title,
+        company: profileData.company,
+        location: profileData.location,
+        experience: profileData.experience,
+        interests: profileData.interests,
+        linkedinUrl: row.profileUrl,
+        lastAnalyzed: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error(`Batch ${id} row ${row.row} failed:`, error.message);
+      updateRow({
+        status: 'failed',
+        error: error.message || 'Analysis failed',
+        completedAt: new Date().toISOString()
+      });
+    }
+  },
+
+  /**
+   * Cancel a batch; rows not yet started are marked cancelled
+   * @param {number|string} id - Batch id
+   * @returns {Object|null} - The updated batch or null if not found
+   */
+  cancelBatch: (id) => {
+    const batch = batchStore.get(id);
+    if (!batch) return null;
+    if (['completed', 'cancelled', 'failed'].includes(batch.status)) {
+      return batchService.withSummary(batch);
+    }
+
+    const index = queue.indexOf(batch.id);
+    if (index !== -1) queue.splice(index, 1);
+
+    const rows = batch.rows.map(row => (row.status === 'pending' ? { ...row, status: 'cancelled' } : row));
+    return batchService.withSummary(batchStore.update(id, {
+      status: 'cancelled',
+      rows,
+      completedAt: new Date().toISOString()
+    }));
+  },
+
+  /**
+   * Requeue batches interrupted by a server restart
+   */
+  resumePendingBatches: () => {
+    batchStore.list()
+      .filter(batch => batch.status === 'queued' || batch.status === 'running')
+      .forEach(batch => {
+        // A row left "processing" never finished; run it again
+        const rows = batch.rows.map(row => (row.status === 'processing' ? { ...row, status: 'pending' } : row));
+        batchStore.update(batch.id, { rows, status: 'queued' });
+        console.log(`Resuming batch ${batch.id}`);
+        batchService.enqueue(batch.id);
+      });
+  },
+
+  /**
+   * Get a batch with row counts
+   * @param {number|string} id - Batch id
+   * @returns {Object|null} - Batch or null if not found
+   */
+  getBatch: (id) => {
+    const batch = batchStore.get(id);
+    return batch ? batchService.withSummary(batch) : null;
+  },
+
+  /**
+   * List batches (without row details)
+   * @returns {Array<Object>} - Batch summaries, newest first
+   */
+  listBatches: () => batchStore.list()
+    .map(({ rows, ...batch }) => ({ ...batch, summary: summarizeRows(rows) }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)),
+
+  /**
+   * Attach row counts to a batch
+   * @param {Object} batch - Batch record
+   * @returns {Object} - Batch with summary
+   */
+  withSummary: (batch) => ({ ...batch, summary: summarizeRows(batch.rows) }),
+
+  /**
+   * Export batch results
+   * @param {Object} batch - Batch record
+   * @param {string} format - 'csv' or 'json'
+   * @returns {string} - Serialised results
+   */
+  exportResults: (batch, format = 'json') => {
+    const results = batch.rows.map(row => ({
+      row: row.row,
+      profileUrl: row.profileUrl,
+      additionalContext: row.additionalContext,
+      status: row.status,
+      error: row.error,
+      name: row.profile?.name || '',
+      title: row.profile?.title || '',
+      company: row.profile?.company || '',
+      content: row.content || '',
+      completedAt: row.completedAt
+    }));
+
+    if (format === 'csv') {
+      return toCsv(results, EXPORT_COLUMNS);
+    }
+    return JSON.stringify({ id: batch.id, name: batch.name, outputFormat: batch.outputFormat, results }, null, 2);
+  }
+};
+
+module.exports = batchService;
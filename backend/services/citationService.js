@@ -0,0 +1,124 @@
+/**
+ * Citation Service
+ *
+ * Maps the claims in generated copy back to the researched facts they came
+ * from. A sentence is treated as a research claim when it shares most of its
+ * key words with a researched fact, or when it talks about the prospect's
+ * company with wording typical of researched details (recent projects,
+ * contracts, news, headcount). Claims that match no fact are flagged as
+ * unsourced so reps can check them before sending.
+ */
+
+// Wording that signals a statement about the prospect's company history or news
+const RESEARCH_CUES = /\b(recent(ly)?|complet(ed|ing|ion)|award(ed)?|announc(ed|ement)|expan(ded|ding|sion)|opened|launch(ed)?|won|contract|projects?|headquarter(ed|s)?|founded|acquir(ed|ing|ition)|employees|headcount|revenue|congrat\w*|news|broke ground|groundbreaking|milestone)\b/i;
+
+// Words that carry no meaning when matching a sentence to a fact
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'your', 'you', 'our', 'their', 'they', 'them', 'from', 'into', 'about',
+  'have', 'has', 'had', 'was', 'were', 'are', 'been', 'being', 'will', 'would', 'could', 'should', 'can', 'its',
+  'also', 'just', 'very', 'such', 'than', 'then', 'there', 'here', 'what', 'which', 'who', 'how', 'all', 'any',
+  'more', 'most', 'over', 'after', 'before', 'recent', 'recently', 'new', 'saw', 'noticed', 'congratulations'
+]);
+
+// Generic words in company names that should not count as naming the company
+const GENERIC_NAME_WORDS = new Set([
+  'construction', 'builders', 'building', 'contractors', 'contracting', 'company', 'group', 'inc', 'llc', 'ltd',
+  'corp', 'corporation', 'co', 'the', 'and', 'services', 'general', 'development'
+]);
+
+// Share of a fact's key words a sentence needs to count as citing it
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Lowercase key words of a text
+ * @param {string} text - Text
+ * @param {Set<string>} [ignore] - Extra words to leave out
+ * @returns {Set<string>} - Key words
+ */
+function keyWords(text, ignore = new Set()) {
+  const words = String(text || '').toLowerCase().match(/[a-z0-9$%][a-z0-9$%,.'-]*[a-z0-9%]|[a-z0-9]/g) || [];
+  return new Set(words
+    .map(word => word.replace(/'s$/, ''))
+    .filter(word => (word.length >= 3 || /\d/.test(word)) && !STOPWORDS.has(word) && !ignore.has(word)));
+}
+
+/**
+ * Split copy into sentences, dropping list markers and blank lines
+ * @param {string} content - Generated copy
+ * @returns {Array<string>} - Sentences in order
+ */
+function splitSentences(content) {
+  return String(content || '')
+    .split(/\n+/)
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s+/, '').trim())
+    .filter(Boolean)
+    .flatMap(line => line.split(/(?<=[.!?])\s+(?=["'(]?[A-Z0-9])/))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+const citationService = {
+  /**
+   * Find the research claims in generated copy and the sources behind them
+   * @param {string} content - Generated copy
+   * @param {Array<Object>} facts - Researched facts ({ id, category, statement, sourceUrl, retrievedAt, confidence })
+   * @param {string} [companyName] - Prospect's company, used to spot claims about it
+   * @returns {Object} - { claims: [{ text, sourced, factId, sourceUrl, retrievedAt, confidence }], sources: [{ factId, category, text, sourceUrl, retrievedAt, confidence, cited }], unsourcedClaims }
+   */
+  traceClaims: (content, facts = [], companyName = '') => {
+    const nameWords = new Set([...keyWords(companyName)].filter(word => !GENERIC_NAME_WORDS.has(word)));
+    const factWords = facts.map(fact => ({ fact, words: keyWords(fact.statement, nameWords) }));
+    const cited = new Set();
+
+    const claims = splitSentences(content).reduce((found, sentence) => {
+      const sentenceWords = keyWords(sentence, nameWords);
+
+      // Best fact by share of its key words found in the sentence
+      let best = null;
+      factWords.forEach(({ fact, words }) => {
+        if (words.size === 0) return;
+        const shared = [...words].filter(word => sentenceWords.has(word)).length;
+        const score = shared / words.size;
+        if (score >= MATCH_THRESHOLD && shared >= Math.min(2, words.size) && (!best || score > best.score)) {
+          best = { fact, score };
+        }
+      });
+
+      if (best) {
+        cited.add(best.fact.id);
+        found.push({
+          text: sentence,
+          sourced: true,
+          factId: best.fact.id,
+          sourceUrl: best.fact.sourceUrl,
+          retrievedAt: best.fact.retrievedAt,
+          confidence: best.fact.confidence
+        });
+        return found;
+      }
+
+      const namesCompany = [...nameWords].some(word => keyWords(sentence).has(word));
+      if (namesCompany && RESEARCH_CUES.test(sentence)) {
+        found.push({ text: sentence, sourced: false, factId: null, sourceUrl: null, retrievedAt: null, confidence: null });
+      }
+      return found;
+    }, []);
+
+    return {
+      claims,
+      sources: facts.map(fact => ({
+        factId: fact.id,
+        category: fact.category,
+        text: fact.statement,
+        sourceUrl: fact.sourceUrl,
+        retrievedAt: fact.retrievedAt,
+        confidence: fact.confidence,
+        cited: cited.has(fact.id)
+      })),
+      unsourcedClaims: claims.filter(claim => !claim.sourced).length
+    };
+  }
+};
+
+module.exports = citationService;
+module.exports.splitSentences = splitSentences;
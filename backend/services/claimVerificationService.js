@@ -0,0 +1,255 @@
+/**
+ * Claim Verification Service
+ *
+ * Catches details the sales copy agent made up. Factual claims are pulled out
+ * of the copy with patterns (numbers, proper names, dates and references to
+ * an earlier conversation) and each is looked up in what the copy was written
+ * from: the prospect's profile, the rep's additional context, the researched
+ * facts and the product knowledge store. A claim found in none of them is
+ * unsupported.
+ */
+
+const claimConfig = require('../config/claim-verification');
+const productKnowledgeService = require('./productKnowledgeService');
+const { splitSentences } = require('./citationService');
+
+// Claim types, in the order they are extracted
+const CLAIM_TYPES = ['prior_contact', 'date', 'statistic', 'name'];
+
+// Evidence checked for each claim, first match wins
+const EVIDENCE_SOURCES = ['profile', 'context', 'research', 'product'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+
+// References to a conversation the rep may never have had
+const PRIOR_CONTACT = /\b(?:as (?:we|I) (?:discussed|mentioned|talked about|agreed)|as discussed|as promised|when we (?:spoke|talked|met|chatted)|(?:our|the) (?:recent|last|previous|earlier) (?:call|conversation|chat|meeting|discussion)|(?:great|good|nice) (?:talking|speaking|chatting|meeting) (?:with|to) you|following up on our|per our (?:call|conversation|discussion|meeting)|you (?:mentioned|told me)|thanks for (?:taking|your) (?:the )?(?:time|call))\b/gi;
+
+// Context wording showing the rep has been in touch before
+const PRIOR_CONTACT_EVIDENCE = /\b(?:call(?:ed)?|spoke|spoken|talked|met|meeting|conversation|discussed|demo|chatted|emailed|replied)\b/i;
+
+const DATE_PATTERN = /\b(?:(January|February|March|April|May|June|July|August|September|October|November|December)(?:\s+\d{1,2}(?:st|nd|rd|th)?)?(?:,?\s+((?:19|20)\d{2}))?|(Q[1-4])\s+((?:19|20)\d{2})|((?:19|20)\d{2}))\b/g;
+const NUMBER_PATTERN = /(?:\$\s?)?\b\d[\d,]*(?:\.\d+)?(?:\s?(?:%|percent\b|x\b|k\b|million\b|billion\b|thousand\b))?/gi;
+
+// Meeting lengths ("a 15-minute call") are asks, not claims
+const MEETING_LENGTH = /^[\s-]?min(?:ute)?s?\b/i;
+
+// Runs of capitalised words, allowing short joining words ("Bank of America")
+const NAME_PATTERN = /\b[A-Z][A-Za-z0-9'’&.-]*(?:\s+(?:(?:of|and|the|at|de|&)\s+)?[A-Z][A-Za-z0-9'’&.-]*)*/g;
+const NAME_JOINERS = new Set(['of', 'and', 'the', 'at', 'de', '&']);
+
+// Capitalised only because they start a sentence or are not names
+const COMMON_WORDS = new Set([
+  'hi', 'hello', 'hey', 'dear', 'i', "i'm", "i've", "i'd", "i'll", 'we', "we're", "we've", 'our', 'my', 'your', 'you',
+  'the', 'this', 'that', 'these', 'those', 'with', 'as', 'at', 'in', 'on', 'for', 'from', 'to', 'by', 'of', 'and', 'but',
+  'so', 'or', 'if', 'when', 'since', 'after', 'before', 'while', 'it', 'its', "it's", 'there', 'here', 'what', 'how',
+  'why', 'who', 'congratulations', 'congrats', 'thanks', 'thank', 'just', 'would', 'could', 'can', 'will', 'let',
+  "let's", 'looking', 'best', 'subject', 'imagine', 'picture', 'many', 'most', 'every', 'each', 'one', 'like', 'great',
+  'quick', 'today', 'recently', 'having', 'given', 'are', 'is', 'do', 'does', 'did', 'have', 'has', 'a', 'an', 'not',
+  'no', 'yes', 'also', 'all', 'any', 'some', 'p.s', 'ps', 're', 'plus', 'please', 'no.', 'whether', 'once', 'now'
+]);
+
+// A line that starts the signature; nothing after it is checked
+const SIGN_OFF = /^(?:(?:best|kind|warm|warmest)\s+(?:regards|wishes)|regards|best|thanks|thank you|cheers|sincerely|talk soon|all the best)\b[^a-z]*$/i;
+
+/**
+ * Flatten strings and numbers out of nested data
+ * @param {*} value - Any value
+ * @returns {Array<string>} - Text found
+ */
+function collectText(value) {
+  if (value === null || value === undefined) return [];
+  if (typeof value === 'string' || typeof value === 'number') return [String(value)];
+  if (Array.isArray(value)) return value.flatMap(collectText);
+  if (typeof value === 'object') {
+    return Object.entries(value)
+      .filter(([key]) => key !== 'metadata')
+      .flatMap(([, item]) => collectText(item));
+  }
+  return [];
+}
+
+/**
+ * Normalise a number as written ("$1,849", "40%", "2.5 million") to its value
+ * @param {string} text - Number text
+ * @returns {string} - Value as a string
+ */
+function numberValue(text) {
+  return String(parseFloat(text.replace(/[$,\s]/g, '')));
+}
+
+/**
+ * Lowercase words of a text, without possessive endings
+ * @param {string} text - Text
+ * @returns {Array<string>} - Words
+ */
+function wordsOf(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9'’.&-]*/g) || [])
+    .map(word => word.replace(/['’]s$/, '').replace(/[.'’-]+$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Index evidence text for claim lookups
+ * @param {Array<string>} texts - Evidence text
+ * @returns {Object} - { text, words, numbers }
+ */
+function indexEvidence(texts) {
+  const text = texts.join('\n');
+  const words = new Set(wordsOf(text));
+  const numbers = new Set((text.match(NUMBER_PATTERN) || []).map(numberValue));
+  // "four specialised team members" supports "4"
+  NUMBER_WORDS.forEach((word, value) => {
+    if (words.has(word)) numbers.add(String(value));
+  });
+  return { text, words, numbers };
+}
+
+/**
+ * Evidence text from the product knowledge store: products, the extra
+ * employees and approved claims and statistics
+ * @returns {Array<string>} - Evidence text
+ */
+function productEvidence() {
+  const records = productKnowledgeService.listItems();
+  const usable = records.filter(record => ['product', 'employee'].includes(record.type) || record.approved);
+  const employees = records.filter(record => record.type === 'employee').length;
+  return [
+    ...usable.map(record => [record.name, record.price, record.text].filter(Boolean).join(' ')),
+    // The concept is pitched as "N extra employees", one per employee record
+    employees > 0 ? `${employees} extra employees` : ''
+  ];
+}
+
+/**
+ * Blank out spans of text, keeping offsets
+ * @param {string} text - Text
+ * @param {RegExp} pattern - Spans to blank
+ * @returns {string} - Text with the spans replaced by spaces
+ */
+function mask(text, pattern) {
+  return text.replace(pattern, match => ' '.repeat(match.length));
+}
+
+/**
+ * Claims made in one sentence
+ * @param {string} sentence - Sentence of copy
+ * @returns {Array<Object>} - [{ type, text, parts }]
+ */
+function claimsInSentence(sentence) {
+  const claims = [];
+  // Placeholders such as [Booking Link] are filled in by the rep
+  let rest = mask(sentence, /\[[^\]]*\]|24\/7/g);
+
+  (rest.match(PRIOR_CONTACT) || []).forEach(text => claims.push({ type: 'prior_contact', text }));
+
+  rest = rest.replace(DATE_PATTERN, (text, month, monthYear, quarter, quarterYear, year) => {
+    // "May" on its own is usually the verb
+    if (month === 'May' && !/\d/.test(text)) return text;
+    const parts = [month, monthYear, quarter, quarterYear, year].filter(Boolean).map(part => part.toLowerCase());
+    claims.push({ type: 'date', text, parts });
+    return ' '.repeat(text.length);
+  });
+
+  let match;
+  NUMBER_PATTERN.lastIndex = 0;
+  while ((match = NUMBER_PATTERN.exec(rest)) !== null) {
+    const text = match[0].trim();
+    const glued = /[A-Za-z]/.test(rest[match.index - 1] || '');
+    if (glued || MEETING_LENGTH.test(rest.slice(match.index + match[0].length))) continue;
+    claims.push({ type: 'statistic', text, parts: [numberValue(text)] });
+  }
+
+  NAME_PATTERN.lastIndex = 0;
+  while ((match = NAME_PATTERN.exec(rest)) !== null) {
+    let words = match[0].replace(/[.,'’-]+$/, '').split(/\s+/);
+    const startsSentence = /^[\s"'(“]*$|[:;—–]\s*$/.test(rest.slice(0, match.index));
+    if (startsSentence) {
+      if (words.length === 1) continue;
+      if (COMMON_WORDS.has(words[0].toLowerCase())) words = words.slice(1);
+    }
+    words = words.filter(word => !COMMON_WORDS.has(word.toLowerCase()) || NAME_JOINERS.has(word.toLowerCase()));
+    while (words.length > 0 && NAME_JOINERS.has(words[0].toLowerCase())) words.shift();
+    while (words.length > 0 && NAME_JOINERS.has(words[words.length - 1].toLowerCase())) words.pop();
+
+    const parts = wordsOf(words.join(' ')).filter(word => !NAME_JOINERS.has(word));
+    if (parts.length === 0 || parts.every(word => WEEKDAYS.includes(word) || MONTHS.includes(word))) continue;
+    claims.push({ type: 'name', text: words.join(' '), parts });
+  }
+
+  return claims;
+}
+
+const claimVerificationService = {
+  CLAIM_TYPES,
+
+  /**
+   * Extract the factual claims in generated copy; the signature is skipped
+   * @param {string} content - Generated copy
+   * @returns {Array<Object>} - [{ type, text, sentence, parts }], one per distinct claim
+   */
+  extractClaims: (content) => {
+    const lines = String(content || '').split('\n');
+    const signOff = lines.findIndex(line => SIGN_OFF.test(line.trim()));
+    const body = (signOff === -1 ? lines : lines.slice(0, signOff)).join('\n');
+
+    const seen = new Set();
+    return splitSentences(body).flatMap(sentence => claimsInSentence(sentence)
+      .map(claim => ({ ...claim, sentence }))
+      .filter(claim => {
+        const key = `${claim.type}:${claim.text.toLowerCase()}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }))
+      .sort((a, b) => CLAIM_TYPES.indexOf(a.type) - CLAIM_TYPES.indexOf(b.type));
+  },
+
+  /**
+   * Check the claims in generated copy against what it was written from
+   * @param {string} content - Generated copy
+   * @param {Object} evidence - { profileData, additionalContext, facts, priorContact }; priorContact
+   *   marks copy that follows earlier touches, so references to them are expected
+   * @returns {Object} - { claims: [{ type, text, sentence, supported, supportedBy }], unsupported, unsupportedCount }
+   */
+  verifyClaims: (content, evidence = {}) => {
+    const sources = {
+      profile: indexEvidence(collectText(evidence.profileData)),
+      context: indexEvidence(collectText(evidence.additionalContext)),
+      research: indexEvidence((evidence.facts || []).map(fact => fact.statement)),
+      product: indexEvidence(productEvidence())
+    };
+    const knownTerms = new Set(claimConfig.knownTerms.flatMap(wordsOf));
+
+    const claims = claimVerificationService.extractClaims(content).map(({ parts, ...claim }) => {
+      let supportedBy = null;
+
+      if (claim.type === 'prior_contact') {
+        if (evidence.priorContact) supportedBy = 'sequence';
+        else if (PRIOR_CONTACT_EVIDENCE.test(sources.context.text)) supportedBy = 'context';
+      } else if (claim.type === 'name' && parts.every(word => knownTerms.has(word))) {
+        supportedBy = 'known';
+      } else {
+        const lookup = claim.type === 'statistic' ? 'numbers' : 'words';
+        supportedBy = EVIDENCE_SOURCES.find(source => parts.every(part => sources[source][lookup].has(part))) || null;
+      }
+
+      return { ...claim, supported: supportedBy !== null, supportedBy };
+    });
+
+    const unsupported = claims.filter(claim => !claim.supported);
+    return { claims, unsupported, unsupportedCount: unsupported.length };
+  },
+
+  /**
+   * List unsupported claims for the rewrite prompt
+   * @param {Array<Object>} unsupported - Unsupported claims
+   * @returns {string} - One line per claim
+   */
+  formatUnsupported: (unsupported) => unsupported
+    .map(claim => `- "${claim.text}" (${claim.type.replace('_', ' ')}) in: "${claim.sentence}"`)
+    .join('\n')
+};
+
+module.exports = claimVerificationService;
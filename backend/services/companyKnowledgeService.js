@@ -0,0 +1,162 @@
+/**
+ * Company Knowledge Service
+ *
+ * Research snapshots per company, so every prospect at a company shares one
+ * round of web research instead of repeating it. Companies are keyed by
+ * domain when given one and by normalised name otherwise ("Acme Builders,
+ * Inc." and "acme builders" are the same company). Each snapshot records when
+ * it was researched; past the configured maximum age it is stale and gets
+ * researched again before use. Industry trends are stored the same way under
+ * a single key.
+ */
+
+const { researchStore } = require('./storageService');
+const researchCacheConfig = require('../config/research-cache');
+
+// Legal suffixes that do not tell companies apart
+const NAME_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'the']);
+
+// Key of the shared industry trends snapshot
+const TRENDS_KEY = 'construction';
+
+/**
+ * Find the record for a key
+ * @param {string} type - 'company' or 'industry_trends'
+ * @param {string} key - Normalised key
+ * @returns {Object|null} - Stored record
+ */
+function findRecord(type, key) {
+  return researchStore.find(record => record.type === type && record.key === key);
+}
+
+const companyKnowledgeService = {
+  TRENDS_KEY,
+
+  /**
+   * Normalise a company name or domain into a store key
+   * @param {string} value - Company name, domain or website URL
+   * @returns {string} - "acme.com" for domains and URLs, "acme builders" for names; '' when empty
+   */
+  normalizeKey: (value) => {
+    const text = String(value || '').trim().toLowerCase();
+    if (!text) return '';
+
+    if (!/\s/.test(text) && /^(?:https?:\/\/)?[a-z0-9-]+(?:\.[a-z0-9-]+)+(?:[/?#:]|$)/.test(text)) {
+      return text.replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#:]/)[0];
+    }
+
+    const words = text.replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim().split(' ');
+    const distinctive = words.filter(word => !NAME_SUFFIXES.has(word));
+    return (distinctive.length > 0 ? distinctive : words).join(' ');
+  },
+
+  /**
+   * Age and staleness of a stored record
+   * @param {Object} record - Stored research record
+   * @param {number} [now] - Reference time in ms
+   * @returns {Object} - { key, type, companyName, researchedAt, ageMs, stale, researchStatus, factCount, snapshots }
+   */
+  describe: (record, now = Date.now()) => {
+    const ageMs = Math.max(0, now - Date.parse(record.researchedAt));
+    const snapshot = record.snapshot || {};
+    return {
+      key: record.key,
+      type: record.type,
+      companyName: record.companyName,
+      researchedAt: record.researchedAt,
+      ageMs,
+      stale: ageMs >= researchCacheConfig.maxAgeMs[record.type],
+      researchStatus: record.type === 'company' ? snapshot.researchStatus : null,
+      factCount: record.type === 'company' ? (snapshot.facts || []).length : (Array.isArray(snapshot) ? snapshot.length : 0),
+      snapshots: 1 + record.history.length
+    };
+  },
+
+  /**
+   * Latest snapshot for a company or the industry trends
+   * @param {string} type - 'company' or 'industry_trends'
+   * @param {string} value - Company name, domain or key
+   * @returns {Object|null} - { key, snapshot, researchedAt, ageMs, stale } or null when nothing is stored
+   */
+  getSnapshot: (type, value) => {
+    const key = companyKnowledgeService.normalizeKey(value);
+    const record = key ? findRecord(type, key) : null;
+    if (!record) return null;
+
+    const { ageMs, stale } = companyKnowledgeService.describe(record);
+    return { key, snapshot: record.snapshot, researchedAt: record.researchedAt, ageMs, stale };
+  },
+
+  /**
+   * Store a new snapshot; the previous one moves into the history
+   * @param {string} type - 'company' or 'industry_trends'
+   * @param {string} value - Company name or domain
+   * @param {*} snapshot - Research result
+   * @param {string} [companyName] - Name to research the company by when refreshing (default: value)
+   * @returns {Object} - The stored record
+   */
+  saveSnapshot: (type, value, snapshot, companyName = value) => {
+    const key = companyKnowledgeService.normalizeKey(value);
+    const researchedAt = new Date().toISOString();
+    const existing = findRecord(type, key);
+
+    if (!existing) {
+      return researchStore.create({ key, type, companyName, snapshot, researchedAt });
+    }
+    const history = [{ snapshot: existing.snapshot, researchedAt: existing.researchedAt }, ...existing.history]
+      .slice(0, researchCacheConfig.historyLimit);
+    return researchStore.update(existing.id, { companyName, snapshot, researchedAt, history });
+  },
+
+  /**
+   * Stored research, most recently researched first
+   * @param {Object} filters - Optional { type, stale: 'true'|'false' }
+   * @returns {Array<Object>} - Descriptions (see describe)
+   */
+  list: (filters = {}) => {
+    const now = Date.now();
+    return researchStore.list({ type: filters.type })
+      .map(record => companyKnowledgeService.describe(record, now))
+      .filter(entry => filters.stale === undefined || String(entry.stale) === String(filters.stale))
+      .sort((a, b) => Date.parse(b.researchedAt) - Date.parse(a.researchedAt));
+  },
+
+  /**
+   * Full record for a key, with its history
+   * @param {string} type - 'company' or 'industry_trends'
+   * @param {string} value - Company name, domain or key
+   * @returns {Object|null} - Record with its age, or null if not found
+   */
+  getRecord: (type, value) => {
+    const record = findRecord(type, companyKnowledgeService.normalizeKey(value));
+    return record ? { ...record, ...companyKnowledgeService.describe(record) } : null;
+  },
+
+  /**
+   * Snapshots the background refresh should research again: stale ones and
+   * those that will be stale within the refresh window, oldest first
+   * @param {number} [now] - Reference time in ms
+   * @returns {Array<Object>} - Descriptions (see describe)
+   */
+  listDue: (now = Date.now()) => {
+    const { refreshAheadMs, batchSize } = researchCacheConfig.refresh;
+    return researchStore.list()
+      .map(record => companyKnowledgeService.describe(record, now))
+      .filter(entry => entry.ageMs + refreshAheadMs >= researchCacheConfig.maxAgeMs[entry.type])
+      .sort((a, b) => b.ageMs - a.ageMs)
+      .slice(0, batchSize);
+  },
+
+  /**
+   * Remove stored research so the next analysis researches again
+   * @param {string} type - 'company' or 'industry_trends'
+   * @param {string} value - Company name, domain or key
+   * @returns {boolean} - True if a record was removed
+   */
+  remove: (type, value) => {
+    const record = findRecord(type, companyKnowledgeService.normalizeKey(value));
+    return record ? researchStore.remove(record.id) : false;
+  }
+};
+
+module.exports = companyKnowledgeService;
@@ -1,6 +1,7 @@
 const puppeteer = require('puppeteer');
 const axios = require('axios');
 const dotenv = require('dotenv');
+const newsService = require('./newsService');
 
 // Load environment variables
 dotenv.config();
@@ -380,36 +381,14 @@ const companyService = {
   },
   
   /**
-   * Get recent news and updates about a company
-   * @param {string} companyName - Company name
-   * @returns {Promise<Array>} - List of news items
+   * Get recent news and updates about a company from the polled news feeds
+   * @param {string} companyName - Company name (a tracked company also matches by its aliases)
+   * @param {Object} options - Optional { limit, maxAgeDays }
+   * @returns {Promise<Array>} - News items, newest first: [{ id, title, source, date, url, summary, companyIds }]
    */
-  getCompanyNews: async (companyName) => {
+  getCompanyNews: async (companyName, options = {}) => {
     try {
-      // In a real implementation, this would search for recent news about the company
-      // using news APIs or web scraping
-      
-      // For demo purposes, return mock data
-      return [
-        { 
-          title: 'ABC Construction Wins Bid for New Downtown Development', 
-          source: 'Phoenix Business Journal',
-          date: '2 weeks ago',
-          url: 'https://example.com/news1'
-        },
-        { 
-          title: 'Construction Safety Innovations Highlighted at Industry Conference', 
-          source: 'Construction Today',
-          date: '1 month ago',
-          url: 'https://example.com/news2'
-        },
-        { 
-          title: 'ABC Construction Implements New Technology to Improve Site Monitoring', 
-          source: 'Tech in Construction',
-          date: '2 months ago',
-          url: 'https://example.com/news3'
-        }
-      ];
+      return newsService.getCompanyNews(companyName, options);
     } catch (error) {
       console.error('Error getting company news:', error);
       throw new Error(`Failed to get company news: ${error.message}`);
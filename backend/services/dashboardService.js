@@ -0,0 +1,102 @@
+/**
+ * Dashboard Service
+ *
+ * Aggregates stored prospects, companies and analyses, plus the LinkedIn
+ * scraping error log, into the widgets shown on the dashboard.
+ */
+
+const { prospectStore, companyStore, analysisStore, schemas } = require('./storageService');
+const { LinkedInErrorLogger } = require('../utils/linkedin/linkedinErrorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dashboardService = {
+  /**
+   * Prospect counts per status, in pipeline order
+   * @returns {Array<Object>} - [{ status, count }]
+   */
+  getPipeline: () => {
+    const counts = {};
+    prospectStore.list().forEach(prospect => {
+      counts[prospect.status] = (counts[prospect.status] || 0) + 1;
+    });
+    return schemas.prospect.statuses.map(status => ({ status, count: counts[status] || 0 }));
+  },
+
+  /**
+   * Analyses created per day (UTC), including days without any
+   * @param {number} days - Number of days up to and including today
+   * @returns {Array<Object>} - [{ date, count, byType: { profile, company, message } }]
+   */
+  getAnalysesPerDay: (days = 14) => {
+    const series = [];
+    const index = {};
+    for (let i = days - 1; i >= 0; i--) {
+      const date = new Date(Date.now() - i * DAY_MS).toISOString().slice(0, 10);
+      index[date] = { date, count: 0, byType: {} };
+      series.push(index[date]);
+    }
+
+    analysisStore.list().forEach(analysis => {
+      const day = index[(analysis.createdAt || '').slice(0, 10)];
+      if (!day) return;
+      day.count++;
+      day.byType[analysis.type] = (day.byType[analysis.type] || 0) + 1;
+    });
+
+    return series;
+  },
+
+  /**
+   * Companies with the highest potential value
+   * @param {number} limit - Number of companies
+   * @returns {Array<Object>} - [{ id, name, industry, status, potentialValue, prospectCount }]
+   */
+  getTopCompanies: (limit = 5) => companyStore.list()
+    .filter(company => company.potentialValue > 0)
+    .sort((a, b) => b.potentialValue - a.potentialValue)
+    .slice(0, limit)
+    .map(company => ({
+      id: company.id,
+      name: company.name,
+      industry: company.industry,
+      status: company.status,
+      potentialValue: company.potentialValue,
+      prospectCount: prospectStore.list({ companyId: company.id }).length
+    })),
+
+  /**
+   * LinkedIn scraping error statistics, analysis and the latest errors
+   * @param {number} limit - Number of recent errors
+   * @returns {Promise<Object>} - { stats, analysis, recent }
+   */
+  getLinkedInErrors: async (limit = 10) => {
+    const errorLogger = new LinkedInErrorLogger();
+    const recent = await errorLogger.loadErrors(limit);
+
+    return {
+      stats: errorLogger.getErrorStats(),
+      analysis: errorLogger.analyzeErrors(),
+      recent
+    };
+  },
+
+  /**
+   * Everything the dashboard shows apart from LLM metrics
+   * @param {Object} options - { days }
+   * @returns {Promise<Object>} - { totals, pipeline, analysesPerDay, topCompanies, linkedinErrors }
+   */
+  getSummary: async ({ days = 14 } = {}) => ({
+    totals: {
+      prospects: prospectStore.list().length,
+      companies: companyStore.list().length,
+      analyses: analysisStore.list().length
+    },
+    pipeline: dashboardService.getPipeline(),
+    analysesPerDay: dashboardService.getAnalysesPerDay(days),
+    topCompanies: dashboardService.getTopCompanies(),
+    linkedinErrors: await dashboardService.getLinkedInErrors()
+  })
+};
+
+module.exports = dashboardService;
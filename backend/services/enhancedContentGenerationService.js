@@ -3,6 +3,8 @@
  * 
  * This service wraps the original contentGenerationService but uses the new multiLLMService
  * under the hood, providing multiple LLM providers (Claude and OpenAI) with intelligent routing.
+ * Content comes back as { content, promptVersion }; the original service's prompts are not
+ * in the prompt registry, so its fallback content has no prompt version.
  */
 
 const multiLLMService = require('./multiLLMService');
@@ -17,7 +19,7 @@ const enhancedContentGenerationService = {
    * Generate a warm follow-up email after a phone call
    * @param {Object} profileData - LinkedIn profile data
    * @param {Object} callDetails - Details about the phone call
-   * @returns {Promise<string>} - Generated follow-up email
+   * @returns {Promise<Object>} - { content, promptVersion } for the follow-up email
    */
   generateWarmFollowup: async (profileData, callDetails) => {
     try {
@@ -29,7 +31,7 @@ const enhancedContentGenerationService = {
       console.error('Error in enhanced warm follow-up generation, falling back to original service:', error);
       
       // Fallback to the original service if the enhanced one fails
-      return await originalService.generateWarmFollowup(profileData, callDetails);
+      return { content: await originalService.generateWarmFollowup(profileData, callDetails), promptVersion: null };
     }
   },
 
@@ -37,7 +39,7 @@ const enhancedContentGenerationService = {
    * Generate personalized sales content based on a LinkedIn profile
    * @param {Object} profileData - LinkedIn profile data
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated content
+   * @returns {Promise<Object>} - { content, promptVersion }
    */
   generateProfileContent: async (profileData, outputFormat = 'email') => {
     try {
@@ -49,7 +51,7 @@ const enhancedContentGenerationService = {
       console.error('Error in enhanced profile content generation, falling back to original service:', error);
       
       // Fallback to the original service if the enhanced one fails
-      return await originalService.generateProfileContent(profileData, outputFormat);
+      return { content: await originalService.generateProfileContent(profileData, outputFormat), promptVersion: null };
     }
   },
   
@@ -58,7 +60,7 @@ const enhancedContentGenerationService = {
    * @param {Object} companyData - LinkedIn company data
    * @param {Array} decisionMakers - List of decision makers at the company
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated content
+   * @returns {Promise<Object>} - { content, promptVersion }
    */
   generateCompanyContent: async (companyData, decisionMakers, outputFormat = 'email') => {
     try {
@@ -70,26 +72,27 @@ const enhancedContentGenerationService = {
       console.error('Error in enhanced company content generation, falling back to original service:', error);
       
       // Fallback to the original service if the enhanced one fails
-      return await originalService.generateCompanyContent(companyData, decisionMakers, outputFormat);
+      return { content: await originalService.generateCompanyContent(companyData, decisionMakers, outputFormat), promptVersion: null };
     }
   },
   
   /**
    * Analyze a client message to identify key topics, sentiment, and questions
    * @param {string} clientMessage - Message from the client
-   * @returns {Promise<Object>} - Analysis results
+   * @param {Object} options - { threadId } conversation thread to take into account
+   * @returns {Promise<Object>} - Analysis results, with the promptVersion that produced them
    */
-  analyzeClientMessage: async (clientMessage) => {
+  analyzeClientMessage: async (clientMessage, options = {}) => {
     try {
       console.log('[Enhanced] Analyzing client message');
       
       // Use the multi-LLM service
-      return await multiLLMService.analyzeClientMessage(clientMessage);
+      return await multiLLMService.analyzeClientMessage(clientMessage, options);
     } catch (error) {
       console.error('Error in enhanced message analysis, falling back to original service:', error);
       
       // Fallback to the original service if the enhanced one fails
-      return await originalService.analyzeClientMessage(clientMessage);
+      return { ...(await originalService.analyzeClientMessage(clientMessage)), promptVersion: null };
     }
   },
   
@@ -98,19 +101,22 @@ const enhancedContentGenerationService = {
    * @param {string} clientMessage - Original message from the client
    * @param {Object} messageAnalysis - Analysis of the client message
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated response
+   * @param {Object} options - { questions } the questions to answer (default: all), { threadId } conversation thread
+   * @returns {Promise<Object>} - { content, promptVersion } for the response
    */
-  generateMessageResponse: async (clientMessage, messageAnalysis, outputFormat = 'email') => {
+  generateMessageResponse: async (clientMessage, messageAnalysis, outputFormat = 'email', options = {}) => {
     try {
       console.log(`[Enhanced] Generating ${outputFormat} response to client message`);
       
       // Use the multi-LLM service
-      return await multiLLMService.generateMessageResponse(clientMessage, messageAnalysis, outputFormat);
+      return await multiLLMService.generateMessageResponse(clientMessage, messageAnalysis, outputFormat, options);
     } catch (error) {
       console.error('Error in enhanced message response generation, falling back to original service:', error);
       
-      // Fallback to the original service if the enhanced one fails
-      return await originalService.generateMessageResponse(clientMessage, messageAnalysis, outputFormat);
+      // Fallback to the original service if the enhanced one fails (it answers every question it is given)
+      const questions = Array.isArray(options.questions) ? options.questions : messageAnalysis.questions;
+      const content = await originalService.generateMessageResponse(clientMessage, { ...messageAnalysis, questions }, outputFormat);
+      return { content, promptVersion: null };
     }
   }
 };
@@ -0,0 +1,300 @@
+/**
+ * Job Queue Service
+ *
+ * In-process queue for long-running analysis work (LinkedIn scraping plus LLM
+ * generation). Callers enqueue a job and get an id back immediately; workers
+ * report the stage they are in so clients can poll or subscribe for progress.
+ */
+
+const EventEmitter = require('events');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Keep finished jobs around long enough for clients to collect the result
+const DEFAULT_RETENTION_MS = 30 * 60 * 1000;
+
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.concurrency - Maximum number of jobs running at once
+   * @param {number} options.retentionMs - How long finished jobs stay queryable
+   */
+  constructor(options = {}) {
+    super();
+    this.concurrency = options.concurrency || 1;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+    this.handlers = {};
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.lastId = 0;
+
+    // Every SSE client adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Register a worker for a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - Worker definition
+   * @param {Array<Object>} handler.stages - Ordered stages as { id, label }
+   * @param {Function} handler.run - async (params, job) => result; call job.setStage(id) as work progresses
+   *   and job.emitToken(text) to stream partial output
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Create a job and schedule it
+   * @param {string} type - Registered job type
+   * @param {Object} params - Parameters passed to the worker
+   * @returns {Object} - Public view of the new job
+   */
+  enqueue(type, params = {}) {
+    const handler = this.handlers[type];
+    if (!handler) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: this.generateId(),
+      type,
+      params,
+      status: JOB_STATUS.QUEUED,
+      stage: null,
+      stages: handler.stages.map(stage => ({
+        id: stage.id,
+        label: stage.label,
+        status: 'pending',
+        startedAt: null,
+        completedAt: null
+      })),
+      progress: 0,
+      output: '',
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    this.notify(job);
+
+    // Start on the next tick so callers can respond (and subscribe) before work begins
+    setImmediate(() => this.processNext());
+
+    return this.toPublic(job);
+  }
+
+  /**
+   * Get a job by id
+   * @param {string} id - Job id
+   * @returns {Object|null} - Public view of the job or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(String(id));
+    return job ? this.toPublic(job) : null;
+  }
+
+  /**
+   * Listen for updates to a single job
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with the public view of the job on every change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(id, listener) {
+    const eventName = `job:${id}`;
+    this.on(eventName, listener);
+    return () => this.removeListener(eventName, listener);
+  }
+
+  /**
+   * Listen for streamed output chunks from a single job
+   * @param {string} id - Job id
+   * @param {Function} listener - Called with each text chunk
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeTokens(id, listener) {
+    const eventName = `job:${id}:token`;
+    this.on(eventName, listener);
+    return () => this.removeListener(eventName, listener);
+  }
+
+  /**
+   * Whether a job has finished (successfully or not)
+   * @param {Object} job - Job
+   * @returns {boolean}
+   */
+  isFinished(job) {
+    return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+  }
+
+  /**
+   * Start queued jobs while there is capacity
+   */
+  processNext() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.running++;
+        this.runJob(job).finally(() => {
+          this.running--;
+          this.processNext();
+        });
+      }
+    }
+  }
+
+  /**
+   * Run a job through its worker
+   * @param {Object} job - Job
+   */
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    job.status = JOB_STATUS.RUNNING;
+    this.notify(job);
+
+    const context = {
+      id: job.id,
+      setStage: (stageId) => this.setStage(job, stageId),
+      emitToken: (text) => this.emitToken(job, text)
+    };
+
+    try {
+      const result = await handler.run(job.params, context);
+      this.completeStages(job);
+      job.status = JOB_STATUS.COMPLETED;
+      job.progress = 100;
+      job.result = result;
+    } catch (error) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+      const current = job.stages.find(stage => stage.status === 'running');
+      if (current) current.status = 'failed';
+      job.status = JOB_STATUS.FAILED;
+      job.error = error.message || 'Job failed';
+    }
+
+    job.completedAt = new Date().toISOString();
+    this.notify(job);
+    this.scheduleCleanup(job);
+  }
+
+  /**
+   * Move a job to a new stage, completing every stage before it
+   * @param {Object} job - Job
+   * @param {string} stageId - Stage id
+   */
+  setStage(job, stageId) {
+    const index = job.stages.findIndex(stage => stage.id === stageId);
+    if (index === -1) {
+      console.warn(`Job ${job.id} reported unknown stage: ${stageId}`);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    job.stages.forEach((stage, i) => {
+      if (i < index && stage.status !== 'completed') {
+        stage.status = 'completed';
+        stage.startedAt = stage.startedAt || now;
+        stage.completedAt = now;
+      }
+    });
+
+    const stage = job.stages[index];
+    if (stage.status === 'pending') {
+      stage.status = 'running';
+      stage.startedAt = now;
+    }
+
+    job.stage = stageId;
+    job.progress = Math.round((index / job.stages.length) * 100);
+    this.notify(job);
+  }
+
+  /**
+   * Append streamed output to a job and forward the chunk to token subscribers
+   * @param {Object} job - Job
+   * @param {string} text - Output chunk
+   */
+  emitToken(job, text) {
+    job.output += text;
+    this.emit(`job:${job.id}:token`, text);
+  }
+
+  /**
+   * Mark every stage of a successful job as completed
+   * @param {Object} job - Job
+   */
+  completeStages(job) {
+    const now = new Date().toISOString();
+    job.stages.forEach(stage => {
+      if (stage.status === 'running') {
+        stage.status = 'completed';
+        stage.completedAt = now;
+      }
+    });
+  }
+
+  /**
+   * Emit an update for a job
+   * @param {Object} job - Job
+   */
+  notify(job) {
+    job.updatedAt = new Date().toISOString();
+    this.emit(`job:${job.id}`, this.toPublic(job));
+  }
+
+  /**
+   * Forget a finished job once the retention period has passed
+   * @param {Object} job - Job
+   */
+  scheduleCleanup(job) {
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.retentionMs);
+    if (timer.unref) timer.unref();
+  }
+
+  /**
+   * Generate a unique job id
+   * @returns {string} - Job id
+   */
+  generateId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return String(this.lastId);
+  }
+
+  /**
+   * Build the client-facing view of a job (worker params stay internal)
+   * @param {Object} job - Job
+   * @returns {Object} - Public job
+   */
+  toPublic(job) {
+    const { params, ...publicJob } = job;
+    const currentStage = job.stages.find(stage => stage.id === job.stage);
+
+    return {
+      ...publicJob,
+      stageLabel: currentStage ? currentStage.label : null,
+      stages: job.stages.map(stage => ({ ...stage }))
+    };
+  }
+}
+
+// Shared queue; scraping runs one browser at a time unless configured otherwise
+const jobQueue = new JobQueue({
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 1
+});
+
+module.exports = {
+  JobQueue,
+  JOB_STATUS,
+  jobQueue
+};
@@ -0,0 +1,130 @@
+/**
+ * Anthropic (Claude) LLM provider
+ */
+
+const Anthropic = require('@anthropic-ai/sdk');
+const { normalizeAnthropicStream } = require('../../utils/llmStream');
+
+class AnthropicProvider {
+  /**
+   * @param {Object} options - { apiKey, modelConfig } where modelConfig is config/claude-models
+   */
+  constructor({ apiKey, modelConfig }) {
+    this.name = 'claude';
+    this.label = 'Anthropic Claude';
+    this.modelConfig = modelConfig;
+    this.client = null;
+
+    if (apiKey) {
+      try {
+        this.client = new Anthropic({
+          apiKey,
+          maxRetries: 0 // Retries and backoff are handled by the multi-LLM service
+        });
+        console.log(`Claude initialized with model: ${process.env.ANTHROPIC_MODEL || modelConfig.defaultModel}`);
+      } catch (error) {
+        console.error('Error initializing Claude:', error);
+      }
+    } else {
+      console.warn('Warning: Anthropic API key not found. Claude integration will be disabled.');
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Pick a Claude model for a task
+   * @param {string} task - Task identifier
+   * @param {Object} context - { claudeModel, models: { claude }, contentLength }
+   * @returns {string} - Model id
+   */
+  selectModel(task, context = {}) {
+    const preferred = (context.models && context.models[this.name]) || context.claudeModel || process.env.ANTHROPIC_MODEL;
+    if (preferred) return preferred;
+
+    if (task === 'fast' || task === 'quick') {
+      return this.modelConfig.getBestModelForTask('fast');
+    }
+    if (task === 'complex' || context.contentLength > 2000) {
+      return this.modelConfig.getBestModelForTask('complex');
+    }
+    return this.modelConfig.defaultModel;
+  }
+
+  /**
+   * Build a messages.create request
+   * @param {string} prompt - User prompt (ignored when options.messages is given)
+   * @param {Object} options - { model, systemPrompt, messages, maxTokens, temperature, topP, topK }
+   * @returns {Object} - Request parameters
+   */
+  buildRequest(prompt, options = {}) {
+    const model = options.model || process.env.ANTHROPIC_MODEL || this.modelConfig.defaultModel;
+    const modelConfig = this.modelConfig.getModelConfig(model);
+
+    const requestParams = {
+      model,
+      max_tokens: options.maxTokens || modelConfig.maxTokens,
+      // Supports both a simple prompt string and a structured conversation
+      messages: Array.isArray(options.messages) ? options.messages : [{ role: 'user', content: prompt }],
+      temperature: options.temperature || modelConfig.temperature
+    };
+
+    if (options.systemPrompt) requestParams.system = options.systemPrompt;
+    if (options.topP) requestParams.top_p = options.topP;
+    if (options.topK) requestParams.top_k = options.topK;
+
+    return requestParams;
+  }
+
+  /**
+   * Per-request client options
+   * @param {Object} options - { timeoutMs }
+   * @returns {Object} - SDK request options
+   */
+  getRequestOptions(options = {}) {
+    return options.timeoutMs ? { timeout: options.timeoutMs } : {};
+  }
+
+  async generate(prompt, options = {}) {
+    const requestParams = this.buildRequest(prompt, options);
+    const message = await this.client.messages.create(requestParams, this.getRequestOptions(options));
+
+    return {
+      content: message.content[0].text,
+      model: requestParams.model,
+      usage: {
+        inputTokens: message.usage?.input_tokens || 0,
+        outputTokens: message.usage?.output_tokens || 0
+      }
+    };
+  }
+
+  async *stream(prompt, options = {}) {
+    const requestParams = { ...this.buildRequest(prompt, options), stream: true };
+    yield* normalizeAnthropicStream(await this.client.messages.create(requestParams, this.getRequestOptions(options)));
+  }
+
+  async listModels() {
+    try {
+      const page = await this.client.models.list({ limit: 100 });
+      return page.data.map(model => model.id);
+    } catch (error) {
+      console.warn('Could not list Claude models, using configured list:', error.message);
+      return [...this.modelConfig.claudeModels];
+    }
+  }
+
+  async health() {
+    const startTime = Date.now();
+    try {
+      await this.client.models.list({ limit: 1 });
+      return { ok: true, latencyMs: Date.now() - startTime, error: null };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,125 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to a provider that keeps failing. After
+ * failureThreshold consecutive failures the breaker opens and the provider is
+ * skipped; once cooldownMs has passed a single trial request is let through
+ * (half-open). A success closes the breaker, a failure opens it again.
+ */
+
+const BREAKER_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} options - { failureThreshold, cooldownMs }
+   */
+  constructor(name, { failureThreshold = 5, cooldownMs = 60000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+
+    this.state = BREAKER_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.totalSuccesses = 0;
+    this.totalFailures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether a request may be sent now. Moves an open breaker to half-open once
+   * the cooldown has passed and admits one trial request.
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === BREAKER_STATE.CLOSED) return true;
+
+    if (this.state === BREAKER_STATE.OPEN) {
+      if (Date.now() - this.openedAt < this.cooldownMs) return false;
+      this.state = BREAKER_STATE.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+
+    // Half-open: only one trial request at a time
+    if (this.trialInFlight) return false;
+    this.trialInFlight = true;
+    return true;
+  }
+
+  recordSuccess() {
+    this.totalSuccesses++;
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    if (this.state !== BREAKER_STATE.CLOSED) {
+      console.log(`Circuit breaker for ${this.name} closed`);
+    }
+    this.state = BREAKER_STATE.CLOSED;
+    this.openedAt = null;
+  }
+
+  /**
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.totalFailures++;
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    this.lastError = error ? error.message : null;
+    this.lastFailureAt = new Date().toISOString();
+
+    if (this.state === BREAKER_STATE.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== BREAKER_STATE.OPEN) {
+        console.warn(`Circuit breaker for ${this.name} opened after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = BREAKER_STATE.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * End a request whose outcome says nothing about the provider's health
+   * (e.g. a bad request), freeing the half-open trial slot
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Reset to closed, e.g. after fixing an API key
+   */
+  reset() {
+    this.state = BREAKER_STATE.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * @returns {Object} - Snapshot for metrics
+   */
+  getState() {
+    // Report an expired cooldown as half-open without admitting a request
+    const cooledDown = this.state === BREAKER_STATE.OPEN && Date.now() - this.openedAt >= this.cooldownMs;
+
+    return {
+      state: cooledDown ? BREAKER_STATE.HALF_OPEN : this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      totalSuccesses: this.totalSuccesses,
+      totalFailures: this.totalFailures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === BREAKER_STATE.OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+module.exports = { CircuitBreaker, BREAKER_STATE };
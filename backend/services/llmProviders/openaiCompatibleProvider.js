@@ -0,0 +1,179 @@
+/**
+ * OpenAI-compatible LLM provider
+ *
+ * Used for OpenAI itself and for any server that speaks the OpenAI chat
+ * completions API (Ollama, llama.cpp server, vLLM, LM Studio...) by pointing
+ * baseURL at it.
+ */
+
+const OpenAI = require('openai');
+const { normalizeOpenAIStream } = require('../../utils/llmStream');
+
+class OpenAICompatibleProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Provider name used in fallback chains
+   * @param {string} [options.label] - Display name
+   * @param {string} options.apiKey - API key (local servers usually accept any value)
+   * @param {string} [options.baseURL] - API base URL; omit for api.openai.com
+   * @param {string} options.defaultModel - Model used when the task has no preference
+   * @param {Object} [options.modelConfig] - config/openai-models style { compatibleModels, modelConfig }
+   */
+  constructor({ name, label, apiKey, baseURL, defaultModel, modelConfig }) {
+    this.name = name;
+    this.label = label || name;
+    this.baseURL = baseURL || null;
+    this.defaultModel = defaultModel;
+    this.modelConfig = modelConfig || { compatibleModels: [], modelConfig: {} };
+    this.client = null;
+
+    if (apiKey) {
+      try {
+        // Retries and backoff are handled by the multi-LLM service
+        this.client = new OpenAI(baseURL ? { apiKey, baseURL, maxRetries: 0 } : { apiKey, maxRetries: 0 });
+        console.log(`${this.label} initialized with model: ${defaultModel}${baseURL ? ` at ${baseURL}` : ''}`);
+      } catch (error) {
+        console.error(`Error initializing ${this.label}:`, error);
+      }
+    } else {
+      console.warn(`Warning: ${this.label} is not configured. It will be disabled.`);
+    }
+  }
+
+  isAvailable() {
+    return !!this.client;
+  }
+
+  /**
+   * Pick a model for a task, preferring models whose config lists them as suited to it
+   * @param {string} task - Task identifier
+   * @param {Object} context - { model, models: { [name]: model } }
+   * @returns {string} - Model id
+   */
+  selectModel(task, context = {}) {
+    if (context.models && context.models[this.name]) {
+      return context.models[this.name];
+    }
+
+    // A bare context.model has always meant an OpenAI model
+    let selectedModel = (this.name === 'openai' && context.model) || this.defaultModel;
+
+    const { compatibleModels, modelConfig } = this.modelConfig;
+    if (modelConfig && Object.keys(modelConfig).length > 0) {
+      // For complex tasks, prefer GPT-4 models
+      if (task === 'complex') {
+        const gpt4Models = compatibleModels.filter(m =>
+          m.includes('gpt-4') && modelConfig[m] && modelConfig[m].best_for.includes('complex')
+        );
+        if (gpt4Models.length > 0) selectedModel = gpt4Models[0];
+      }
+
+      // For analysis tasks, prefer fast models
+      if (task === 'messageAnalysis') {
+        const analysisModels = compatibleModels.filter(m =>
+          modelConfig[m] && modelConfig[m].best_for.includes('fast')
+        );
+        if (analysisModels.length > 0) selectedModel = analysisModels[0];
+      }
+    }
+
+    return selectedModel;
+  }
+
+  /**
+   * Default sampling settings for a model
+   * @param {string} model - Model id
+   * @returns {Object} - { temperature, maxTokens }
+   */
+  getModelDefaults(model) {
+    const config = this.modelConfig.modelConfig && this.modelConfig.modelConfig[model];
+    if (config) {
+      return { temperature: config.temperature, maxTokens: config.maxTokens };
+    }
+
+    // Basic detection if the model is not configured
+    const isMiniModel = model.includes('mini') || model.includes('o1-') || model.includes('o3-');
+    return {
+      temperature: isMiniModel ? 0.5 : 0.7, // Lower temperature for mini models
+      maxTokens: isMiniModel ? 1000 : 800 // Slightly higher token limit for mini models
+    };
+  }
+
+  /**
+   * Build a chat.completions.create request
+   * @param {string} prompt - User prompt (ignored when options.messages is given)
+   * @param {Object} options - { model, systemPrompt, messages, maxTokens, temperature, topP }
+   * @returns {Object} - Request parameters
+   */
+  buildRequest(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const defaults = this.getModelDefaults(model);
+
+    const messages = Array.isArray(options.messages) ? [...options.messages] : [{ role: 'user', content: prompt }];
+    if (options.systemPrompt) {
+      messages.unshift({ role: 'system', content: options.systemPrompt });
+    }
+
+    return {
+      model,
+      messages,
+      temperature: options.temperature || defaults.temperature,
+      max_tokens: options.maxTokens || defaults.maxTokens,
+      top_p: options.topP || 0.9
+    };
+  }
+
+  /**
+   * Per-request client options
+   * @param {Object} options - { timeoutMs }
+   * @returns {Object} - SDK request options
+   */
+  getRequestOptions(options = {}) {
+    return options.timeoutMs ? { timeout: options.timeoutMs } : {};
+  }
+
+  async generate(prompt, options = {}) {
+    const requestParams = this.buildRequest(prompt, options);
+    const completion = await this.client.chat.completions.create(requestParams, this.getRequestOptions(options));
+
+    return {
+      content: (completion.choices[0].message.content || '').trim(),
+      model: requestParams.model,
+      usage: {
+        inputTokens: completion.usage?.prompt_tokens || 0,
+        outputTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  async *stream(prompt, options = {}) {
+    const requestParams = {
+      ...this.buildRequest(prompt, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    yield* normalizeOpenAIStream(await this.client.chat.completions.create(requestParams, this.getRequestOptions(options)));
+  }
+
+  async listModels() {
+    try {
+      const page = await this.client.models.list();
+      return page.data.map(model => model.id);
+    } catch (error) {
+      console.warn(`Could not list ${this.label} models, using configured list:`, error.message);
+      return this.modelConfig.compatibleModels.length > 0 ? [...this.modelConfig.compatibleModels] : [this.defaultModel];
+    }
+  }
+
+  async health() {
+    const startTime = Date.now();
+    try {
+      await this.client.models.list();
+      return { ok: true, latencyMs: Date.now() - startTime, error: null };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,214 @@
+/**
+ * LLM Provider Registry
+ *
+ * Providers register here and the multi-LLM service routes each task through
+ * the task's fallback chain. Every provider gets a circuit breaker and
+ * timeout/retry settings. A provider is any object with:
+ *
+ *   name                      - unique id used in fallback chains, metrics and the cache
+ *   isAvailable()             - true when the provider is configured (API key, endpoint...)
+ *   selectModel(task, context) - model id to use for a task
+ *   generate(prompt, options) - Promise<{ content, model, usage }>
+ *   stream(prompt, options)   - AsyncGenerator of { type: 'token', text } / { type: 'usage', usage } events
+ *   listModels()              - Promise<Array<string>>
+ *   health()                  - Promise<{ ok, latencyMs, error }>
+ *
+ * Optional: label (display name) and minContentLength (shortest usable
+ * response; defaults to 50 characters).
+ */
+
+const { CircuitBreaker } = require('./circuitBreaker');
+
+const REQUIRED_METHODS = ['isAvailable', 'selectModel', 'generate', 'stream', 'listModels', 'health'];
+
+class ProviderRegistry {
+  /**
+   * @param {Object} config - { defaultChain, chains, longFormChain, longContentThreshold, resilience }
+   */
+  constructor(config = {}) {
+    this.providers = new Map();
+    this.breakers = new Map();
+    this.defaultChain = config.defaultChain || [];
+    this.chains = { ...(config.chains || {}) };
+    this.longFormChain = config.longFormChain || null;
+    this.longContentThreshold = config.longContentThreshold || Infinity;
+    this.resilience = config.resilience || {};
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {Object} provider - Provider implementing the interface above
+   * @returns {Object} - The registered provider
+   */
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('LLM provider must have a name');
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`LLM provider "${provider.name}" is missing: ${missing.join(', ')}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    if (!this.breakers.has(provider.name)) {
+      this.breakers.set(provider.name, new CircuitBreaker(provider.name, this.getSettings(provider.name).breaker));
+    }
+    console.log(`Registered LLM provider: ${provider.name}`);
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - Provider name
+   * @returns {boolean} - True if a provider was removed
+   */
+  unregister(name) {
+    this.breakers.delete(name);
+    return this.providers.delete(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {boolean} - True if a provider with this name is registered
+   */
+  has(name) {
+    return this.providers.has(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {Object|null} - The provider or null if not registered
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * @returns {Array<Object>} - All registered providers in registration order
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Timeout, retry and breaker settings for a provider
+   * @param {string} name - Provider name
+   * @returns {Object} - { timeoutMs, retries, backoffMs, maxBackoffMs, breaker }
+   */
+  getSettings(name) {
+    const { providers = {}, ...defaults } = this.resilience;
+    const overrides = providers[name] || {};
+    return {
+      ...defaults,
+      ...overrides,
+      breaker: { ...(defaults.breaker || {}), ...(overrides.breaker || {}) }
+    };
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker|null} - The provider's breaker or null if not registered
+   */
+  getBreaker(name) {
+    return this.breakers.get(name) || null;
+  }
+
+  /**
+   * Breaker state for every registered provider
+   * @returns {Object} - Keyed by provider name
+   */
+  getBreakerStates() {
+    const states = {};
+    this.breakers.forEach((breaker, name) => {
+      states[name] = breaker.getState();
+    });
+    return states;
+  }
+
+  /**
+   * Set the fallback chain for a task
+   * @param {string} task - Task identifier
+   * @param {Array<string|Object>} chain - Provider names or { provider, model, timeoutMs } steps
+   */
+  setChain(task, chain) {
+    this.chains[task] = [...chain];
+  }
+
+  /**
+   * Fallback chain for a task as normalised steps
+   * @param {string} task - Task identifier
+   * @param {Object} context - { contentLength } picks the long-form chain for long prompts
+   * @returns {Array<Object>} - [{ provider, model, timeoutMs }]
+   */
+  getChain(task, context = {}) {
+    let chain = this.chains[task];
+    if (!chain) {
+      chain = this.longFormChain && context.contentLength > this.longContentThreshold
+        ? this.longFormChain
+        : this.defaultChain;
+    }
+
+    return chain.map(step => (typeof step === 'string' ? { provider: step } : { ...step }));
+  }
+
+  /**
+   * Steps to try for a task, with the model each would use. Steps whose provider
+   * is missing or unconfigured are dropped, as are repeats of the same provider and model.
+   * @param {string} task - Task identifier
+   * @param {Object} context - Routing context (contentLength, model overrides)
+   * @param {Object} [preferred] - { provider, model } step to try first
+   * @returns {Array<Object>} - [{ provider, name, modelName, timeoutMs }]
+   */
+  resolve(task, context = {}, preferred = null) {
+    const steps = this.getChain(task, context);
+    if (preferred && preferred.provider) {
+      steps.unshift({ provider: preferred.provider, model: preferred.model });
+    }
+
+    const seen = new Set();
+    return steps.reduce((resolved, step) => {
+      const provider = this.get(step.provider);
+      if (!provider || !provider.isAvailable()) return resolved;
+
+      const modelName = step.model || provider.selectModel(task, context);
+      const key = `${provider.name}:${modelName}`;
+      if (seen.has(key)) return resolved;
+      seen.add(key);
+
+      resolved.push({
+        provider,
+        name: provider.name,
+        modelName,
+        timeoutMs: step.timeoutMs || this.getSettings(provider.name).timeoutMs
+      });
+      return resolved;
+    }, []);
+  }
+
+  /**
+   * Health and models for every registered provider
+   * @returns {Promise<Array<Object>>} - [{ name, label, available, health, models, breaker }]
+   */
+  async describe() {
+    return Promise.all(this.list().map(async (provider) => {
+      const available = provider.isAvailable();
+      const [health, models] = available
+        ? await Promise.all([
+          provider.health().catch(error => ({ ok: false, latencyMs: null, error: error.message })),
+          provider.listModels().catch(() => [])
+        ])
+        : [{ ok: false, latencyMs: null, error: 'Not configured' }, []];
+
+      return {
+        name: provider.name,
+        label: provider.label || provider.name,
+        available,
+        health,
+        models,
+        breaker: this.breakers.get(provider.name).getState()
+      };
+    }));
+  }
+}
+
+module.exports = { ProviderRegistry };
@@ -0,0 +1,146 @@
+/**
+ * Timeouts and retry-with-backoff for LLM provider calls
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * HTTP status of a provider error (OpenAI and Anthropic SDK errors carry `status`)
+ * @param {Error} error - Provider error
+ * @returns {number|null}
+ */
+function getErrorStatus(error) {
+  if (!error) return null;
+  if (typeof error.status === 'number') return error.status;
+
+  // Fall back to the status in the message for errors from other clients
+  const match = /\b(429|5\d\d)\b/.exec(error.message || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Rate limits, server errors and dropped connections are worth retrying
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  if (!error || error.code === 'LLM_TIMEOUT') return false;
+
+  const status = getErrorStatus(error);
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(error.code) ||
+    /rate.?limit|overloaded/i.test(error.message || '');
+}
+
+/**
+ * Errors caused by the request itself (bad input, unknown model) say nothing
+ * about the provider's health and should not trip its circuit breaker
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isProviderFailure(error) {
+  const status = getErrorStatus(error);
+  return ![400, 404, 413, 422].includes(status);
+}
+
+/**
+ * Coarse error class for metrics
+ * @param {Error} error - Provider or chain error
+ * @returns {string} - timeout, rate_limit, server_error, auth, bad_request, network, chain_exhausted or unknown
+ */
+function classifyError(error) {
+  if (!error) return 'unknown';
+  if (error.code === 'LLM_TIMEOUT') return 'timeout';
+  if (Array.isArray(error.attempts)) return 'chain_exhausted';
+
+  const status = getErrorStatus(error);
+  if (status === 429 || /rate.?limit/i.test(error.message || '')) return 'rate_limit';
+  if (status >= 500 && status < 600) return 'server_error';
+  if (status === 401 || status === 403) return 'auth';
+  if (status >= 400 && status < 500) return 'bad_request';
+  if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND'].includes(error.code)) return 'network';
+
+  return 'unknown';
+}
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise} promise - Operation
+ * @param {number} timeoutMs - Time limit (0 or unset for none)
+ * @param {string} label - Used in the error message
+ * @returns {Promise}
+ */
+function withTimeout(promise, timeoutMs, label) {
+  if (!timeoutMs) return promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.code = 'LLM_TIMEOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Backoff before the next attempt: exponential with jitter, or the server's
+ * Retry-After header when it sends one
+ * @param {number} attempt - Retry number starting at 1
+ * @param {Error} error - The error being retried
+ * @param {Object} options - { backoffMs, maxBackoffMs }
+ * @returns {number} - Milliseconds to wait
+ */
+function getBackoff(attempt, error, { backoffMs, maxBackoffMs }) {
+  const retryAfter = error && error.headers && (typeof error.headers.get === 'function'
+    ? error.headers.get('retry-after')
+    : error.headers['retry-after']);
+  const retryAfterMs = retryAfter ? parseFloat(retryAfter) * 1000 : NaN;
+
+  const wait = Number.isFinite(retryAfterMs)
+    ? retryAfterMs
+    : backoffMs * Math.pow(2, attempt - 1) * (0.75 + Math.random() * 0.5);
+
+  return Math.min(Math.round(wait), maxBackoffMs);
+}
+
+/**
+ * Run an operation with a timeout per attempt, retrying retryable errors with backoff
+ * @param {Function} operation - async () => result
+ * @param {Object} options - { timeoutMs, retries, backoffMs, maxBackoffMs, label, onRetry }
+ * @returns {Promise<*>} - The operation's result
+ */
+async function callWithRetry(operation, options = {}) {
+  const { timeoutMs = 0, retries = 0, backoffMs = 1000, maxBackoffMs = 10000, label = 'LLM request', onRetry } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await withTimeout(operation(), timeoutMs, label);
+    } catch (error) {
+      if (attempt >= retries || !isRetryableError(error)) throw error;
+
+      const wait = getBackoff(attempt + 1, error, { backoffMs, maxBackoffMs });
+      console.warn(`${label} failed (${error.message}); retry ${attempt + 1}/${retries} in ${wait}ms`);
+      if (onRetry) onRetry(error, attempt + 1);
+      await delay(wait);
+    }
+  }
+}
+
+module.exports = {
+  getErrorStatus,
+  isRetryableError,
+  isProviderFailure,
+  classifyError,
+  withTimeout,
+  getBackoff,
+  callWithRetry
+};
@@ -1,89 +1,361 @@
 /**
  * LLM Caching Service
- * 
+ *
  * This service provides caching capabilities for LLM API calls
  * to reduce costs and improve response times.
  */
 
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cacheConfig = require('../config/llm-cache');
+
+// Directory holding the cache file (shared with the storage service, override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+// Generation parameters that change the response and so belong in the key
+const KEY_PARAMS = ['temperature', 'maxTokens', 'topP', 'topK'];
+
+// How long a change waits before the cache is written to disk, so bursts of
+// changes cost one write of the (up to maxBytes) file
+const SAVE_DELAY_MS = 5000;
+
 /**
- * Simple in-memory cache for LLM responses
- * with time-to-live (TTL) expiration
+ * Content-addressed cache for LLM responses with per-task TTLs, LRU eviction
+ * and a JSON file store that survives restarts
  */
 class LLMCache {
-  constructor(ttl = 24 * 60 * 60 * 1000) { // Default TTL: 24 hours
-    this.cache = new Map();
-    this.ttl = ttl;
+  /**
+   * @param {Object} options - { filePath, persist, maxEntries, maxBytes, defaultTtlMs, taskTtls, saveDelayMs }
+   *   filePath null keeps the cache in memory only
+   */
+  constructor(options = {}) {
+    this.filePath = options.persist === false ? null : (options.filePath || null);
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.defaultTtlMs = options.defaultTtlMs || 24 * 60 * 60 * 1000; // Default TTL: 24 hours
+    this.taskTtls = options.taskTtls || {};
+    this.saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : SAVE_DELAY_MS;
+
+    // Map iteration order is the LRU order: least recently used first
+    this.cache = null;
+    this.bytes = 0;
+    this.saveTimer = null;
+    this.dirty = false; // Changes not yet on disk
+    this.writing = Promise.resolve(); // Background writes run one after another
+    this.saveGeneration = 0; // Bumped by synchronous saves so older background writes are dropped
+
     this.hits = 0;
     this.misses = 0;
     this.saves = 0;
+    this.evictions = 0;
   }
 
   /**
-   * Generate a cache key from a prompt and model
+   * Generate a cache key from everything that determines the response
    * @param {string} prompt - The prompt text
-   * @param {string} model - The model name
+   * @param {string} model - The model id
+   * @param {Object} options - { systemPrompt, messages, temperature, maxTokens, topP, topK }
+   * @returns {string} - SHA-256 hex digest
+   */
+  generateKey(prompt, model, options = {}) {
+    const params = {};
+    KEY_PARAMS.forEach(param => {
+      if (options[param] !== undefined && options[param] !== null) params[param] = options[param];
+    });
+
+    const material = JSON.stringify({
+      prompt: prompt || '',
+      systemPrompt: options.systemPrompt || null,
+      messages: Array.isArray(options.messages) ? options.messages : null,
+      model: model || null,
+      params
+    });
+
+    return crypto.createHash('sha256').update(material).digest('hex');
+  }
+
+  /**
+   * TTL for a task
    * @param {string} task - The task type
-   * @returns {string} - The cache key
+   * @returns {number} - Milliseconds; 0 means the task is not cached
    */
-  generateKey(prompt, model, task) {
-    // Remove whitespace and normalize
-    const normalizedPrompt = prompt.trim().replace(/\s+/g, ' ');
-    
-    // Use first 100 chars of prompt for the key
-    const truncatedPrompt = normalizedPrompt.substring(0, 100);
-    
-    // Create a key combining model, task and truncated prompt
-    return `${model}:${task}:${truncatedPrompt}`;
+  getTtl(task) {
+    return task && this.taskTtls[task] !== undefined ? this.taskTtls[task] : this.defaultTtlMs;
+  }
+
+  // Load entries from disk on first access, dropping expired ones
+  load() {
+    if (this.cache) return this.cache;
+
+    this.cache = new Map();
+    this.bytes = 0;
+    if (!this.filePath) return this.cache;
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const { entries = [] } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const now = Date.now();
+        entries.forEach(entry => {
+          if (entry.expiresAt > now) {
+            this.cache.set(entry.key, entry);
+            this.bytes += entry.size;
+          }
+        });
+        console.log(`Loaded ${this.cache.size} cached LLM responses`);
+      }
+    } catch (error) {
+      console.error('Error loading LLM cache:', error);
+      this.cache = new Map();
+      this.bytes = 0;
+    }
+
+    return this.cache;
+  }
+
+  // Write entries to disk in LRU order right away (via a temp file so a crash
+  // never leaves half a file). Blocks while the file is written, so it is kept
+  // for clearing the cache and for the flush at shutdown.
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.filePath || !this.cache) return;
+
+    this.saveGeneration++;
+    this.dirty = false;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ entries: Array.from(this.cache.values()) }), 'utf8');
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving LLM cache:', error);
+    }
+  }
+
+  // Write the cache in the background once changes stop for saveDelayMs
+  scheduleSave() {
+    if (!this.filePath) return;
+    this.dirty = true;
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => this.flush(), this.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write pending changes now without blocking
+   * @returns {Promise<void>} - Resolves once the changes are on disk
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.writing = this.writing.then(() => this.writeInBackground());
+    return this.writing;
+  }
+
+  // Asynchronous counterpart of save(); a synchronous save made meanwhile wins
+  async writeInBackground() {
+    if (!this.dirty || !this.filePath || !this.cache) return;
+
+    this.dirty = false;
+    const generation = this.saveGeneration;
+    const tempPath = `${this.filePath}.${generation}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify({ entries: Array.from(this.cache.values()) }), 'utf8');
+      if (generation !== this.saveGeneration) {
+        await fs.promises.unlink(tempPath);
+        return;
+      }
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      console.error('Error saving LLM cache:', error);
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Remove an entry by key without saving
+   * @param {string} key - Cache key
+   * @returns {boolean} - True if an entry was removed
+   */
+  removeEntry(key) {
+    const entry = this.load().get(key);
+    if (!entry) return false;
+    this.cache.delete(key);
+    this.bytes -= entry.size;
+    return true;
+  }
+
+  // Evict least recently used entries until both limits are met
+  evict() {
+    for (const key of this.cache.keys()) {
+      if (this.cache.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.removeEntry(key);
+      this.evictions++;
+    }
   }
 
   /**
    * Get an item from the cache
    * @param {string} prompt - The prompt text
-   * @param {string} model - The model name
+   * @param {string} model - The model id
    * @param {string} task - The task type
+   * @param {Object} options - Generation options that are part of the key
    * @returns {string|null} - Cached response or null if not found/expired
    */
-  get(prompt, model, task) {
-    const key = this.generateKey(prompt, model, task);
-    
-    if (!this.cache.has(key)) {
+  get(prompt, model, task, options = {}) {
+    const key = this.generateKey(prompt, model, options);
+    const entry = this.load().get(key);
+
+    if (!entry) {
       this.misses++;
       return null;
     }
-    
-    const { value, expiry } = this.cache.get(key);
-    
+
     // Check if the cache entry has expired
-    if (expiry < Date.now()) {
-      this.cache.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      this.removeEntry(key);
+      this.scheduleSave();
       this.misses++;
       return null;
     }
-    
+
+    // Move to the most recently used position
+    this.cache.delete(key);
+    entry.lastAccessedAt = Date.now();
+    entry.hits++;
+    this.cache.set(key, entry);
+    this.scheduleSave();
+
     this.hits++;
-    return value;
+    return entry.value;
   }
 
   /**
    * Store an item in the cache
    * @param {string} prompt - The prompt text
-   * @param {string} model - The model name
-   * @param {string} task - The task type
+   * @param {string} model - The model id
+   * @param {string} task - The task type (selects the TTL)
    * @param {string} value - The value to cache
+   * @param {Object} options - Generation options that are part of the key
    */
-  set(prompt, model, task, value) {
-    const key = this.generateKey(prompt, model, task);
-    const expiry = Date.now() + this.ttl;
-    
-    this.cache.set(key, { value, expiry });
+  set(prompt, model, task, value, options = {}) {
+    const ttl = this.getTtl(task);
+    if (ttl <= 0) return;
+
+    const key = this.generateKey(prompt, model, options);
+    const now = Date.now();
+    const entry = {
+      key,
+      task: task || null,
+      model: model || null,
+      value,
+      size: Buffer.byteLength(value, 'utf8'),
+      createdAt: now,
+      expiresAt: now + ttl,
+      lastAccessedAt: now,
+      hits: 0
+    };
+
+    this.removeEntry(key);
+    this.cache.set(key, entry);
+    this.bytes += entry.size;
     this.saves++;
+
+    this.evict();
+    this.scheduleSave();
+  }
+
+  /**
+   * Entry metadata without the cached content
+   * @param {Object} entry - Stored entry
+   * @returns {Object} - Summary with ISO dates and a short preview
+   */
+  summarize(entry) {
+    return {
+      key: entry.key,
+      task: entry.task,
+      model: entry.model,
+      size: entry.size,
+      hits: entry.hits,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: new Date(entry.expiresAt).toISOString(),
+      lastAccessedAt: new Date(entry.lastAccessedAt).toISOString(),
+      expired: entry.expiresAt <= Date.now(),
+      preview: entry.value.substring(0, 200)
+    };
+  }
+
+  /**
+   * List entries, most recently used first
+   * @param {Object} filters - { task, model, limit, offset }
+   * @returns {Object} - { entries, total }
+   */
+  list({ task, model, limit = 50, offset = 0 } = {}) {
+    const matching = Array.from(this.load().values())
+      .reverse()
+      .filter(entry => (!task || entry.task === task) && (!model || entry.model === model));
+
+    return {
+      entries: matching.slice(offset, offset + limit).map(entry => this.summarize(entry)),
+      total: matching.length
+    };
+  }
+
+  /**
+   * Get a single entry including its content
+   * @param {string} key - Cache key
+   * @returns {Object|null} - The entry or null if not found
+   */
+  getEntry(key) {
+    const entry = this.load().get(key);
+    return entry ? { ...this.summarize(entry), value: entry.value } : null;
+  }
+
+  /**
+   * Remove a single entry
+   * @param {string} key - Cache key
+   * @returns {boolean} - True if an entry was removed
+   */
+  delete(key) {
+    const removed = this.removeEntry(key);
+    if (removed) this.scheduleSave();
+    return removed;
+  }
+
+  /**
+   * Remove entries matching every given filter
+   * @param {Object} filters - { task, model, expired } (expired: true removes only expired entries)
+   * @returns {number} - Number of entries removed
+   */
+  purge({ task, model, expired = false } = {}) {
+    const now = Date.now();
+    let removed = 0;
+
+    Array.from(this.load().values()).forEach(entry => {
+      if (task && entry.task !== task) return;
+      if (model && entry.model !== model) return;
+      if (expired && entry.expiresAt > now) return;
+      this.removeEntry(entry.key);
+      removed++;
+    });
+
+    if (removed > 0) this.scheduleSave();
+    return removed;
   }
 
   /**
    * Clear the entire cache
    */
   clear() {
-    this.cache.clear();
+    this.load().clear();
+    this.bytes = 0;
+    this.save();
   }
 
   /**
@@ -92,18 +364,42 @@ class LLMCache {
   getStats() {
     const total = this.hits + this.misses;
     const hitRate = total > 0 ? (this.hits / total) * 100 : 0;
-    
+
+    const byTask = {};
+    const byModel = {};
+    this.load().forEach(entry => {
+      const taskName = entry.task || 'default';
+      byTask[taskName] = (byTask[taskName] || 0) + 1;
+      byModel[entry.model] = (byModel[entry.model] || 0) + 1;
+    });
+
     return {
       hits: this.hits,
       misses: this.misses,
       saves: this.saves,
+      evictions: this.evictions,
       total,
       hitRate: hitRate.toFixed(2),
-      cacheSize: this.cache.size
+      cacheSize: this.cache.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      persisted: !!this.filePath,
+      byTask,
+      byModel
     };
   }
 }
 
 // Export a singleton instance
-const llmCache = new LLMCache();
-module.exports = { llmCache };
\ No newline at end of file
+const llmCache = new LLMCache({
+  ...cacheConfig,
+  filePath: path.join(DATA_DIR, 'llm-cache.json')
+});
+
+// Changes still waiting for a background write are flushed synchronously at shutdown
+process.on('exit', () => {
+  if (llmCache.dirty) llmCache.save();
+});
+
+module.exports = { llmCache, LLMCache };
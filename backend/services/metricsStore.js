@@ -0,0 +1,432 @@
+/**
+ * Metrics Store
+ *
+ * Append-only log of LLM request events with daily rollups. Raw events are
+ * appended to one JSONL file per UTC day. Once a day is over it is rolled up
+ * into per provider/model/task summaries (counts, errors by class, tokens,
+ * cost and a latency histogram), and raw files older than the retention
+ * period are deleted. Time-series queries use raw events where they still
+ * exist and the daily rollups for older ranges.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Upper bounds (ms) of the latency histogram buckets kept in rollups; the last bucket is open-ended
+const LATENCY_BOUNDS = [100, 250, 500, 1000, 2000, 5000, 10000, 20000, 30000, 60000, 120000];
+
+// Query responses are capped at this many buckets per series
+const MAX_BUCKETS = 1000;
+
+const RAW_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+const dayOf = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * Nearest-rank percentile of sorted values
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * Approximate percentile from a latency histogram (upper bound of the bucket it falls in)
+ * @param {Array<number>} histogram - Counts per LATENCY_BOUNDS bucket
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number|null}
+ */
+function histogramPercentile(histogram, p) {
+  const total = histogram.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return null;
+
+  const rank = Math.max(1, Math.ceil(p * total));
+  let seen = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    seen += histogram[i];
+    if (seen >= rank) return i < LATENCY_BOUNDS.length ? LATENCY_BOUNDS[i] : LATENCY_BOUNDS[LATENCY_BOUNDS.length - 1];
+  }
+  return null;
+}
+
+/**
+ * Mergeable aggregate of request events
+ */
+class Summary {
+  constructor() {
+    this.count = 0;
+    this.errors = 0;
+    this.errorClasses = {};
+    this.latencySum = 0;
+    this.latencyCount = 0;
+    this.histogram = new Array(LATENCY_BOUNDS.length + 1).fill(0);
+    this.inputTokens = 0;
+    this.outputTokens = 0;
+    this.costUsd = 0;
+    // Exact latencies, only available while built from raw events
+    this.latencies = [];
+    this.approximate = false;
+  }
+
+  /**
+   * @param {Object} event - Raw request event
+   */
+  add(event) {
+    this.count++;
+    if (!event.success) {
+      this.errors++;
+      const errorClass = event.errorClass || 'unknown';
+      this.errorClasses[errorClass] = (this.errorClasses[errorClass] || 0) + 1;
+    }
+    if (typeof event.latencyMs === 'number') {
+      this.latencySum += event.latencyMs;
+      this.latencyCount++;
+      this.latencies.push(event.latencyMs);
+      const index = LATENCY_BOUNDS.findIndex(bound => event.latencyMs <= bound);
+      this.histogram[index === -1 ? LATENCY_BOUNDS.length : index]++;
+    }
+    this.inputTokens += event.inputTokens || 0;
+    this.outputTokens += event.outputTokens || 0;
+    this.costUsd += event.costUsd || 0;
+  }
+
+  /**
+   * Merge a stored rollup summary; percentiles then come from the histogram
+   * @param {Object} rollup - Output of toRollup()
+   */
+  merge(rollup) {
+    this.count += rollup.count;
+    this.errors += rollup.errors;
+    Object.entries(rollup.errorClasses).forEach(([errorClass, count]) => {
+      this.errorClasses[errorClass] = (this.errorClasses[errorClass] || 0) + count;
+    });
+    this.latencySum += rollup.latencySum;
+    this.latencyCount += rollup.latencyCount;
+    rollup.histogram.forEach((count, i) => { this.histogram[i] += count; });
+    this.inputTokens += rollup.inputTokens;
+    this.outputTokens += rollup.outputTokens;
+    this.costUsd += rollup.costUsd;
+    this.approximate = true;
+  }
+
+  /**
+   * @returns {Object} - Stored form, without the raw latencies
+   */
+  toRollup() {
+    return {
+      count: this.count,
+      errors: this.errors,
+      errorClasses: this.errorClasses,
+      latencySum: this.latencySum,
+      latencyCount: this.latencyCount,
+      histogram: this.histogram,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      costUsd: Math.round(this.costUsd * 1000000) / 1000000
+    };
+  }
+
+  /**
+   * @returns {Object} - Counts, latency percentiles, tokens and cost for API responses
+   */
+  toJSON() {
+    const latency = {};
+    if (this.approximate) {
+      [['p50', 0.5], ['p95', 0.95], ['p99', 0.99]].forEach(([name, p]) => {
+        latency[name] = histogramPercentile(this.histogram, p);
+      });
+    } else {
+      const sorted = [...this.latencies].sort((a, b) => a - b);
+      [['p50', 0.5], ['p95', 0.95], ['p99', 0.99]].forEach(([name, p]) => {
+        latency[name] = percentile(sorted, p);
+      });
+    }
+
+    return {
+      count: this.count,
+      errors: this.errors,
+      errorClasses: this.errorClasses,
+      avgLatencyMs: this.latencyCount > 0 ? Math.round(this.latencySum / this.latencyCount) : null,
+      ...latency,
+      inputTokens: this.inputTokens,
+      outputTokens: this.outputTokens,
+      costUsd: Math.round(this.costUsd * 1000000) / 1000000,
+      approximate: this.approximate
+    };
+  }
+}
+
+class MetricsStore {
+  /**
+   * @param {Object} options - { dir, retentionDays, recentWindowMs }
+   */
+  constructor({ dir, retentionDays = 30, recentWindowMs = DAY_MS }) {
+    this.dir = dir;
+    this.rollupDir = path.join(dir, 'rollups');
+    this.retentionDays = retentionDays;
+    this.recentWindowMs = recentWindowMs;
+
+    // Events inside the recent window, for live percentiles without reading files
+    this.recent = null;
+    // Appends and rollups run one after another so lines are never interleaved
+    this.writeQueue = Promise.resolve();
+    this.lastRollupDay = null;
+  }
+
+  ensureDirs() {
+    fs.mkdirSync(this.rollupDir, { recursive: true });
+  }
+
+  rawPath(day) {
+    return path.join(this.dir, `${day}.jsonl`);
+  }
+
+  rollupPath(day) {
+    return path.join(this.rollupDir, `${day}.json`);
+  }
+
+  // Load the recent window from disk on first access
+  loadRecent() {
+    if (this.recent) return this.recent;
+
+    const since = Date.now() - this.recentWindowMs;
+    this.recent = [];
+    try {
+      [dayOf(since), dayOf(Date.now())]
+        .filter((day, i, days) => days.indexOf(day) === i)
+        .forEach(day => {
+          if (!fs.existsSync(this.rawPath(day))) return;
+          const events = this.parseLines(fs.readFileSync(this.rawPath(day), 'utf8'));
+          this.recent.push(...events.filter(event => Date.parse(event.ts) >= since));
+        });
+    } catch (error) {
+      console.error('Error loading recent LLM metrics:', error);
+    }
+    return this.recent;
+  }
+
+  /**
+   * @param {string} text - JSONL content
+   * @returns {Array<Object>} - Parsed events (a torn last line is skipped)
+   */
+  parseLines(text) {
+    return text.split('\n').reduce((events, line) => {
+      if (!line.trim()) return events;
+      try {
+        events.push(JSON.parse(line));
+      } catch (error) {
+        // Partial line from an interrupted write
+      }
+      return events;
+    }, []);
+  }
+
+  /**
+   * Append a request event
+   * @param {Object} event - { provider, model, task, latencyMs, success, errorClass, inputTokens, outputTokens, costUsd }
+   * @returns {Object} - The stored event
+   */
+  record(event) {
+    const stored = { ts: new Date().toISOString(), ...event };
+    const day = stored.ts.slice(0, 10);
+
+    const recent = this.loadRecent();
+    recent.push(stored);
+    const since = Date.now() - this.recentWindowMs;
+    while (recent.length > 0 && Date.parse(recent[0].ts) < since) recent.shift();
+
+    this.enqueue(async () => {
+      this.ensureDirs();
+      await fs.promises.appendFile(this.rawPath(day), `${JSON.stringify(stored)}\n`, 'utf8');
+    });
+
+    // First event of a new day: roll up the days before it
+    if (this.lastRollupDay !== day) {
+      this.lastRollupDay = day;
+      this.enqueue(() => this.rollupPastDays(day));
+    }
+
+    return stored;
+  }
+
+  enqueue(task) {
+    this.writeQueue = this.writeQueue.then(task).catch(error => {
+      console.error('Error writing LLM metrics:', error);
+    });
+  }
+
+  /**
+   * Wait for pending writes and rollups
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+
+  /**
+   * Days with a raw event file, oldest first
+   * @returns {Array<string>}
+   */
+  listRawDays() {
+    if (!fs.existsSync(this.dir)) return [];
+    return fs.readdirSync(this.dir)
+      .map(file => RAW_FILE_PATTERN.exec(file))
+      .filter(Boolean)
+      .map(match => match[1])
+      .sort();
+  }
+
+  /**
+   * Roll up every finished day that has no rollup yet, then delete raw files past the retention period
+   * @param {string} today - Current UTC day (YYYY-MM-DD)
+   */
+  async rollupPastDays(today) {
+    const cutoff = dayOf(Date.parse(today) - this.retentionDays * DAY_MS);
+
+    for (const day of this.listRawDays()) {
+      if (day >= today) continue;
+
+      if (!fs.existsSync(this.rollupPath(day))) {
+        await this.writeRollup(day);
+      }
+      if (day < cutoff) {
+        await fs.promises.unlink(this.rawPath(day));
+      }
+    }
+  }
+
+  /**
+   * Summarise a day's raw events per provider/model/task and store the result
+   * @param {string} day - UTC day (YYYY-MM-DD)
+   * @returns {Promise<Object>} - The rollup
+   */
+  async writeRollup(day) {
+    const groups = new Map();
+    (await this.readRawDay(day)).forEach(event => {
+      const key = `${event.provider}|${event.model}|${event.task}`;
+      if (!groups.has(key)) groups.set(key, { provider: event.provider, model: event.model, task: event.task, summary: new Summary() });
+      groups.get(key).summary.add(event);
+    });
+
+    const rollup = {
+      day,
+      groups: Array.from(groups.values()).map(({ provider, model, task, summary }) => ({
+        provider, model, task, ...summary.toRollup()
+      }))
+    };
+
+    this.ensureDirs();
+    const tempPath = `${this.rollupPath(day)}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(rollup), 'utf8');
+    await fs.promises.rename(tempPath, this.rollupPath(day));
+    return rollup;
+  }
+
+  async readRawDay(day) {
+    try {
+      return this.parseLines(await fs.promises.readFile(this.rawPath(day), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readRollup(day) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.rollupPath(day), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Latency percentiles and error classes over the recent window
+   * @returns {Object} - { windowMs, overall, byProvider, byModel, byTask }
+   */
+  getRecentSummary() {
+    const result = { windowMs: this.recentWindowMs, overall: new Summary(), byProvider: {}, byModel: {}, byTask: {} };
+
+    this.loadRecent().forEach(event => {
+      result.overall.add(event);
+      [['byProvider', event.provider], ['byModel', event.model || event.provider], ['byTask', event.task || 'default']]
+        .forEach(([group, key]) => {
+          if (!result[group][key]) result[group][key] = new Summary();
+          result[group][key].add(event);
+        });
+    });
+
+    return JSON.parse(JSON.stringify(result));
+  }
+
+  /**
+   * Bucketed time series
+   * @param {Object} query
+   * @param {number} query.from - Range start (ms since epoch)
+   * @param {number} query.to - Range end (ms since epoch, exclusive)
+   * @param {number} query.bucketMs - Bucket size
+   * @param {string} [query.groupBy] - provider, model or task; one series per value
+   * @param {Object} [query.filters] - { provider, model, task } exact matches
+   * @returns {Promise<Object>} - { from, to, bucketMs, groupBy, series: [{ key, points }] }
+   */
+  async query({ from, to, bucketMs, groupBy = null, filters = {} }) {
+    const bucketCount = Math.ceil((to - from) / bucketMs);
+    if (bucketCount > MAX_BUCKETS) {
+      throw new Error(`Range and bucket give ${bucketCount} buckets; the limit is ${MAX_BUCKETS}`);
+    }
+
+    await this.flush();
+    const series = new Map();
+    const emptySeries = () => Array.from({ length: bucketCount }, () => new Summary());
+    const addTo = (key, index, apply) => {
+      if (!series.has(key)) series.set(key, emptySeries());
+      apply(series.get(key)[index]);
+    };
+    // Ungrouped queries always return one series, even when it is empty
+    if (!groupBy) series.set('all', emptySeries());
+    const matches = (item) => Object.entries(filters)
+      .every(([field, value]) => !value || item[field] === value);
+
+    for (let dayStart = Date.parse(dayOf(from)); dayStart < to; dayStart += DAY_MS) {
+      const day = dayOf(dayStart);
+      const events = await this.readRawDay(day);
+
+      if (events) {
+        events.forEach(event => {
+          const time = Date.parse(event.ts);
+          if (time < from || time >= to || !matches(event)) return;
+          addTo(groupBy ? event[groupBy] : 'all', Math.floor((time - from) / bucketMs), summary => summary.add(event));
+        });
+        continue;
+      }
+
+      // Only daily totals are left; they fit in whichever bucket holds the start of the day
+      const rollup = await this.readRollup(day);
+      if (!rollup || dayStart < from) continue;
+      rollup.groups.filter(matches).forEach(group => {
+        addTo(groupBy ? group[groupBy] : 'all', Math.floor((dayStart - from) / bucketMs), summary => summary.merge(group));
+      });
+    }
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      bucketMs,
+      groupBy,
+      series: Array.from(series.entries()).map(([key, summaries]) => ({
+        key,
+        points: summaries.map((summary, i) => ({
+          start: new Date(from + i * bucketMs).toISOString(),
+          ...summary.toJSON()
+        }))
+      }))
+    };
+  }
+}
+
+module.exports = { MetricsStore, LATENCY_BOUNDS };
@@ -1,17 +1,23 @@
 /**
  * Multi-LLM Service for VigilantEx Sales Automation
  * 
- * This service manages interactions with multiple LLMs (OpenAI and Anthropic's Claude),
- * providing a consistent interface and intelligent fallback mechanisms.
+ * This service manages interactions with multiple LLMs (OpenAI, Anthropic's Claude,
+ * OpenAI-compatible local servers and Transformers.js) through a provider registry,
+ * providing a consistent interface and per-task fallback order.
  */
 
-const OpenAI = require('openai');
-const Anthropic = require('@anthropic-ai/sdk');
-const { pipeline, env } = require('@xenova/transformers');
 const dotenv = require('dotenv');
 const fs = require('fs');
 const path = require('path');
 const { llmCache } = require('./llmService');
+const { ProviderRegistry } = require('./llmProviders/providerRegistry');
+const AnthropicProvider = require('./llmProviders/anthropicProvider');
+const OpenAICompatibleProvider = require('./llmProviders/openaiCompatibleProvider');
+const TransformersProvider = require('./llmProviders/transformersProvider');
+const { callWithRetry, isProviderFailure, classifyError } = require('./llmProviders/resilience');
+const { MetricsStore } = require('./metricsStore');
+const threadService = require('./threadService');
+const promptRegistry = require('./promptRegistry');
 
 // Load OpenAI model configurations if available
 let openAIModelConfig = { compatibleModels: [], modelConfig: {} };
@@ -46,60 +52,81 @@ try {
 // Load environment variables
 dotenv.config();
 
-// Configure local transformers environment (used as final fallback)
-env.useBrowserCache = false;
-env.allowLocalModels = true;
-env.cacheDir = './models';
-const LOCAL_MODEL_NAME = 'Xenova/distilgpt2';
-let localGenerator = null;
+// Fallback chains, resilience settings and the local endpoint (read after .env is loaded)
+const providerConfig = require('../config/llm-providers');
+const pricingConfig = require('../config/llm-pricing');
 
-/**
- * Initialize the local transformers model (final fallback option)
- */
-const initializeLocalModel = async () => {
-  if (!localGenerator) {
-    console.log('Initializing local transformers model...');
-    try {
-      localGenerator = await pipeline('text-generation', LOCAL_MODEL_NAME);
-      console.log('Local model initialized successfully');
-    } catch (error) {
-      console.error('Error initializing local model:', error);
-      throw new Error(`Failed to initialize local model: ${error.message}`);
-    }
-  }
-  return localGenerator;
-};
+// Shortest cloud response accepted before trying the next provider
+const MIN_CONTENT_LENGTH = 50;
+
+// How long request counters wait before the summary file is rewritten
+const METRICS_SAVE_DELAY_MS = 2000;
 
 /**
- * Main Multi-LLM service class
- * Manages multiple models with fallback chains
- */
-/**
- * Simple usage metrics tracking
+ * Usage metrics: running totals in logs/llm_usage_metrics.json plus an
+ * append-only event log (override the directory with LLM_METRICS_DIR) that
+ * feeds latency percentiles and time series
  */
 class UsageMetrics {
   constructor() {
     this.metricsFile = path.join(__dirname, '../logs/llm_usage_metrics.json');
+    this.store = new MetricsStore({
+      dir: process.env.LLM_METRICS_DIR || path.join(__dirname, '../logs/llm-metrics'),
+      retentionDays: parseInt(process.env.LLM_METRICS_RETENTION_DAYS, 10) || 30
+    });
+    this.saveTimer = null;
     this.metrics = {
       totalRequests: 0,
-      modelsUsed: {
-        claude: 0,
-        openai: 0,
-        local: 0,
-        template: 0
-      },
+      modelsUsed: {}, // Keyed by provider name (plus cache and template)
       taskTypes: {},
       successRate: {
         success: 0,
         failure: 0
       },
+      errorClasses: {},
       averageLatency: 0,
       totalLatency: 0,
+      usage: UsageMetrics.emptyUsage(),
       timestamp: new Date().toISOString()
     };
     
     this.loadMetrics();
   }
+
+  // Token and cost aggregates
+  static emptyUsage() {
+    return {
+      totals: UsageMetrics.emptyBucket(),
+      byDay: {},
+      byMonth: {}, // Each month also holds per-provider totals for budget checks
+      byTask: {},
+      byModel: {},
+      byProspect: {}
+    };
+  }
+
+  static emptyBucket() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+  }
+
+  /**
+   * Add a call's tokens and cost to an aggregate bucket
+   * @param {Object} group - Object of buckets (e.g. usage.byDay)
+   * @param {string} key - Bucket key
+   * @param {Object} usage - { inputTokens, outputTokens }
+   * @param {number} cost - Cost in USD
+   * @returns {Object} - The updated bucket
+   */
+  static addToBucket(group, key, usage, cost) {
+    if (!group[key]) group[key] = UsageMetrics.emptyBucket();
+    const bucket = group[key];
+    bucket.requests++;
+    bucket.inputTokens += usage.inputTokens || 0;
+    bucket.outputTokens += usage.outputTokens || 0;
+    // Rounded to a millionth of a dollar to keep float error out of the metrics file
+    bucket.costUsd = Math.round((bucket.costUsd + cost) * 1000000) / 1000000;
+    return bucket;
+  }
   
   // Load existing metrics if available
   loadMetrics() {
@@ -113,6 +140,9 @@ class UsageMetrics {
       if (fs.existsSync(this.metricsFile)) {
         const data = fs.readFileSync(this.metricsFile, 'utf8');
         this.metrics = JSON.parse(data);
+        // Metrics files written before token accounting have no usage or error class sections
+        this.metrics.usage = { ...UsageMetrics.emptyUsage(), ...(this.metrics.usage || {}) };
+        this.metrics.errorClasses = this.metrics.errorClasses || {};
         // Update timestamp to the current date
         this.metrics.timestamp = new Date().toISOString();
       }
@@ -122,23 +152,43 @@ class UsageMetrics {
     }
   }
   
-  // Save current metrics to file
-  saveMetrics() {
+  // Save current metrics to file (via a temp file so a crash never leaves half a file)
+  async saveMetrics() {
     try {
-      fs.writeFileSync(this.metricsFile, JSON.stringify(this.metrics, null, 2), 'utf8');
+      const tempPath = `${this.metricsFile}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(this.metrics, null, 2), 'utf8');
+      await fs.promises.rename(tempPath, this.metricsFile);
     } catch (error) {
       console.error('Error saving metrics:', error);
     }
   }
+
+  // Batch summary writes instead of rewriting the file on every request
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveMetrics();
+    }, METRICS_SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
   
-  // Track a successful request
-  trackRequest(modelName, task, latencyMs, success = true) {
+  /**
+   * Track a request
+   * @param {string} modelName - Provider name (plus cache and template)
+   * @param {string} task - Task identifier
+   * @param {number} latencyMs - Request latency
+   * @param {boolean} success - Whether the request succeeded
+   * @param {Object} details - { model, usage, prospect } for token and cost accounting;
+   *   { error } or { errorClass } for failures
+   */
+  trackRequest(modelName, task, latencyMs, success = true, details = {}) {
     // Increment total requests
     this.metrics.totalRequests++;
     
-    // Track model usage
-    if (modelName && this.metrics.modelsUsed[modelName] !== undefined) {
-      this.metrics.modelsUsed[modelName]++;
+    // Track model usage; providers can be added at runtime so keys are not fixed
+    if (modelName) {
+      this.metrics.modelsUsed[modelName] = (this.metrics.modelsUsed[modelName] || 0) + 1;
     }
     
     // Track task type
@@ -156,10 +206,12 @@ class UsageMetrics {
     }
     
     // Track success/failure
+    const errorClass = success ? null : (details.errorClass || classifyError(details.error));
     if (success) {
       this.metrics.successRate.success++;
     } else {
       this.metrics.successRate.failure++;
+      this.metrics.errorClasses[errorClass] = (this.metrics.errorClasses[errorClass] || 0) + 1;
     }
     
     // Track latency
@@ -168,70 +220,118 @@ class UsageMetrics {
       this.metrics.averageLatency = this.metrics.totalLatency / this.metrics.totalRequests;
     }
     
+    const cost = details.usage ? this.trackUsage(modelName, task, details) : 0;
+    
+    this.store.record({
+      provider: modelName,
+      model: details.model || modelName,
+      task: task || 'default',
+      latencyMs: typeof latencyMs === 'number' ? latencyMs : null,
+      success,
+      errorClass,
+      inputTokens: details.usage ? details.usage.inputTokens || 0 : 0,
+      outputTokens: details.usage ? details.usage.outputTokens || 0 : 0,
+      costUsd: cost
+    });
+    
     // Save updated metrics
-    this.saveMetrics();
+    this.scheduleSave();
+  }
+
+  /**
+   * Record tokens and cost for a call
+   * @param {string} provider - Provider name
+   * @param {string} task - Task identifier
+   * @param {Object} details - { model, usage: { inputTokens, outputTokens }, prospect }
+   * @returns {number} - Cost of the call in USD
+   */
+  trackUsage(provider, task, { model, usage, prospect }) {
+    const cost = pricingConfig.freeProviders.includes(provider) ? 0 : pricingConfig.calculateCost(model, usage);
+    const day = new Date().toISOString().slice(0, 10);
+    const groups = this.metrics.usage;
+
+    UsageMetrics.addToBucket(groups, 'totals', usage, cost);
+    UsageMetrics.addToBucket(groups.byDay, day, usage, cost);
+    UsageMetrics.addToBucket(groups.byTask, task || 'default', usage, cost);
+    UsageMetrics.addToBucket(groups.byModel, model || provider, usage, cost);
+    if (prospect) {
+      UsageMetrics.addToBucket(groups.byProspect, prospect, usage, cost);
+    }
+
+    const month = UsageMetrics.addToBucket(groups.byMonth, day.slice(0, 7), usage, cost);
+    if (!month.providers) month.providers = {};
+    UsageMetrics.addToBucket(month.providers, provider, usage, cost);
+    return cost;
+  }
+
+  /**
+   * Spend so far this calendar month (UTC)
+   * @param {string} [provider] - Limit to one provider
+   * @returns {number} - Cost in USD
+   */
+  getMonthlyCost(provider = null) {
+    const month = this.metrics.usage.byMonth[new Date().toISOString().slice(0, 7)];
+    if (!month) return 0;
+    if (!provider) return month.costUsd;
+    return month.providers && month.providers[provider] ? month.providers[provider].costUsd : 0;
   }
   
-  // Get current metrics
+  // Get current metrics, with latency percentiles and error classes for the last 24 hours
   getMetrics() {
-    return this.metrics;
+    return {
+      ...this.metrics,
+      recent: this.store.getRecentSummary()
+    };
   }
 }
 
+/**
+ * Main Multi-LLM service class
+ * Manages multiple models with fallback chains
+ */
 class MultiLLMService {
   constructor() {
-    this.models = {};
+    this.registry = new ProviderRegistry(providerConfig);
     this.promptTemplates = {};
     this.initialized = false;
     this.metrics = new UsageMetrics();
   }
 
   /**
-   * Initialize LLM models
+   * Register the built-in LLM providers and prompt templates
    */
   async initialize() {
     if (this.initialized) return;
 
     console.log('Initializing Multi-LLM Service...');
 
-    // Initialize Claude if API key is available
-    if (process.env.ANTHROPIC_API_KEY) {
-      try {
-        // Create Claude client with API key and optional configuration
-        this.models.claude = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
-          // Additional client configuration options
-          maxRetries: 2,  // Retry failed requests up to 2 times
-        });
-        
-        // Get the default model from environment or config
-        const defaultModel = process.env.ANTHROPIC_MODEL || claudeModelConfig.defaultModel;
-        console.log(`Claude initialized with model: ${defaultModel}`);
-      } catch (error) {
-        console.error('Error initializing Claude:', error);
-        this.models.claude = null;
-      }
-    } else {
-      console.warn('Warning: Anthropic API key not found. Claude integration will be disabled.');
-      this.models.claude = null;
+    // Providers registered before initialization (e.g. custom ones) take precedence
+    this.registerDefaultProvider('claude', () => new AnthropicProvider({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      modelConfig: claudeModelConfig
+    }));
+
+    this.registerDefaultProvider('openai', () => new OpenAICompatibleProvider({
+      name: 'openai',
+      label: 'OpenAI',
+      apiKey: process.env.OPENAI_API_KEY || process.env.OPENAPI_KEY, // Support both for backward compatibility
+      defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+      modelConfig: openAIModelConfig
+    }));
+
+    // OpenAI-compatible local server (Ollama, llama.cpp...) when an endpoint is configured
+    if (providerConfig.localLLM.baseURL) {
+      this.registerDefaultProvider('local-llm', () => new OpenAICompatibleProvider({
+        name: 'local-llm',
+        label: 'Local LLM',
+        apiKey: providerConfig.localLLM.apiKey,
+        baseURL: providerConfig.localLLM.baseURL,
+        defaultModel: providerConfig.localLLM.defaultModel
+      }));
     }
 
-    // Initialize OpenAI if API key is available
-    const openaiKey = process.env.OPENAI_API_KEY || process.env.OPENAPI_KEY; // Support both for backward compatibility
-    if (openaiKey) {
-      try {
-        this.models.openai = new OpenAI({
-          apiKey: openaiKey,
-        });
-        console.log(`OpenAI initialized with model: ${process.env.OPENAI_MODEL || "gpt-3.5-turbo"}`);
-      } catch (error) {
-        console.error('Error initializing OpenAI:', error);
-        this.models.openai = null;
-      }
-    } else {
-      console.warn('Warning: OpenAI API key not found. OpenAI integration will be disabled.');
-      this.models.openai = null;
-    }
+    // In-process model as the final fallback
+    this.registerDefaultProvider('local', () => new TransformersProvider());
 
     // Initialize prompt templates
     this.initializePromptTemplates();
@@ -241,181 +341,62 @@ class MultiLLMService {
   }
 
   /**
-   * Initialize prompt templates for different use cases
+   * Register a built-in provider unless one with the same name already exists
+   * @param {string} name - Provider name
+   * @param {Function} createProvider - Returns the provider instance
+   */
+  registerDefaultProvider(name, createProvider) {
+    if (!this.registry.has(name)) {
+      this.registry.register(createProvider());
+    }
+  }
+
+  /**
+   * Register an additional LLM provider (see llmProviders/providerRegistry for the interface)
+   * @param {Object} provider - Provider instance
+   * @returns {Object} - The registered provider
+   */
+  registerProvider(provider) {
+    return this.registry.register(provider);
+  }
+
+  /**
+   * Look up a provider that is registered and configured
+   * @param {string} name - Provider name
+   * @returns {Object} - The provider
+   */
+  getAvailableProvider(name) {
+    const provider = this.registry.get(name);
+    if (!provider || !provider.isAvailable()) {
+      throw new Error(`${name} client not initialized - check API key in environment variables`);
+    }
+    return provider;
+  }
+
+  /**
+   * Initialize prompt templates for different use cases. Each wrapper renders
+   * the active version in the prompt registry and returns { text, key, version },
+   * so generated content names the version that actually wrote it; the
+   * wrappers keep the positional arguments callers already use.
    */
   initializePromptTemplates() {
-    // System prompt for B2B construction sales content
-    const salesSystemPrompt = 
-`You are an expert sales copywriter specializing in B2B construction technology. 
-Your task is to create persuasive, concise, and professional content for VigilantEx, 
-a company providing AI-powered surveillance for construction sites. 
-Focus on benefits, ROI, and personalization. Use a confident but not aggressive tone.`;
+    const render = (key, values) => promptRegistry.render(key, values);
 
-    // Initialize prompt templates
     this.promptTemplates = {
-      // Profile content prompt
-      profileContent: (name, title, companyInfo, interests, experience, outputFormat, greeting, roleGuidance) => `${salesSystemPrompt}
-
-Create a personalized ${outputFormat} for ${name}, who works as a ${title} ${companyInfo}.
-
-Their interests include: ${interests}
-Their experience: ${experience}
-
-VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
-
-Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
-
-Personalize the message based on their role.
-${roleGuidance}
-
-Format:
-- Start with ${greeting}
-- Include a personal connection to their work experience
-- Briefly explain our "4 Extra Employees" concept 
-- Add personalized value proposition for their specific role
-- End with a call to action for a 15-minute demo
-
-The message should be professional, concise (250-300 words), and conversational.`,
-
-      // Warm follow-up email prompt
-      warmFollowup: (name, title, companyInfo, duration, topicsDiscussed, concerns, nextSteps) => `${salesSystemPrompt}
-
-Create a warm, personalized follow-up email to ${name}, who works as a ${title} ${companyInfo}.
-
-I just had a phone call with them regarding VigilantEx's AI-powered surveillance system for construction sites. 
-
-Call details:
-- Call duration: ${duration}
-- Main topics discussed: ${topicsDiscussed}
-- Their primary concerns: ${concerns}
-- Next steps discussed: ${nextSteps}
-
-VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifying responsible parties
-
-Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
-
-Email format:
-- Start with a warm, personalized greeting referencing our phone conversation
-- Express appreciation for their time
-- Provide a brief summary of what we discussed
-- Address any specific questions or concerns they raised
-- Confirm the next steps we agreed on (like scheduling a demo)
-- Offer to answer any additional questions they might have
-- End with a friendly, professional sign-off
-
-The email should be professional, warm, concise (250 words max), and conversational.`,
-
-      // Message analysis prompt
-      messageAnalysis: (clientMessage) => `Analyze the following client message regarding VigilantEx's construction site surveillance system:
-
-"""
-${clientMessage}
-"""
-
-Provide the analysis in JSON format with these fields:
-1. sentiment: Classify as "positive", "negative", or "neutral"
-2. topics: Identify main topics discussed (e.g., pricing, features, demo request, implementation, ROI, or general inquiry)
-3. questions: Extract explicit or implied questions that need answers
-
-Note that VigilantEx provides:
-- Advanced surveillance systems for construction sites
-- Core features: security monitoring, project progress tracking, safety violation detection, and incident documentation
-- Pricing: Argos system at $1,849/month, LunaVue units at $249/month
-- Implementation: Solar-powered with StarLink connectivity, setup in less than a day
-
-Return ONLY the JSON data without any explanations.`,
-
-      // Company content prompt
-      companyContent: (companyName, industry, size, location, specialties, outputFormat, greeting, specialtyGuidance) => `${salesSystemPrompt}
-
-Create a personalized ${outputFormat} for a decision maker at ${companyName}.
-
-Company details:
-- Industry: ${industry}
-- Size: ${size}
-- Location: ${location}
-- Specialties: ${specialties}
-
-VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
-
-Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
-
-Personalize the message based on the company's specialties:
-${specialtyGuidance}
-
-Format:
-- Start with ${greeting}
-- Include a reference to the company's projects or specialties
-- Briefly explain our "4 Extra Employees" concept
-- Add personalized value proposition based on company specialties
-- End with a call to action for a 15-minute demo
-
-The message should be professional, concise (250-300 words), and conversational.`,
-
-      // Message response prompt
-      messageResponse: (clientMessage, sentiment, topics, questions, outputFormat, responseFormat, sentimentGuidance) => `${salesSystemPrompt}
-
-Create a personalized response to the following client message about VigilantEx's construction site surveillance system:
-
-CLIENT MESSAGE:
-"""
-${clientMessage}
-"""
-
-MESSAGE ANALYSIS:
-- Sentiment: ${sentiment}
-- Topics: ${topics}
-- Questions: ${questions}
-
-VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
-
-Product Information:
-- Argos system: $1,849/month, includes AI-powered surveillance, solar power, StarLink connectivity
-- LunaVue units: $249/month per unit or $199/month for multi-packs
-- Implementation: Solar-powered with StarLink connectivity, setup in less than a day
-- ROI: 35% reduction in safety violations, 22% productivity improvement, 40% decrease in theft
-
-Format the response as a ${outputFormat}.
-
-${responseFormat}
-
-The response should:
-- Acknowledge their inquiry with an appropriate tone based on sentiment
-- Address specific topics they mentioned (${topics})
-- Answer their questions (${questions})
-- Include a call to action to schedule a 15-minute demo
-- Be professional, helpful, and conversational
-- Be 250-300 words in length
-
-${sentimentGuidance}`
+      profileContent: (name, title, companyInfo, interests, experience, outputFormat, greeting, roleGuidance) =>
+        render('profile_content', { name, title, companyInfo, interests, experience, outputFormat, greeting, roleGuidance }),
+
+      warmFollowup: (name, title, companyInfo, duration, topicsDiscussed, concerns, nextSteps) =>
+        render('warm_followup', { name, title, companyInfo, duration, topicsDiscussed, concerns, nextSteps }),
+
+      messageAnalysis: (clientMessage) =>
+        render('message_analysis', { clientMessage }),
+
+      companyContent: (companyName, industry, size, location, specialties, outputFormat, greeting, specialtyGuidance) =>
+        render('company_content', { companyName, industry, size, location, specialties, outputFormat, greeting, specialtyGuidance }),
+
+      messageResponse: (clientMessage, sentiment, topics, questions, outputFormat, responseFormat, sentimentGuidance) =>
+        render('message_response', { clientMessage, sentiment, topics, questions, outputFormat, responseFormat, sentimentGuidance })
     };
   }
 
@@ -423,399 +404,349 @@ ${sentimentGuidance}`
    * Choose the best model for a specific task
    * @param {string} task - The task to perform
    * @param {Object} context - Context data for making routing decisions
-   * @returns {Object} The selected model and model name
+   * @returns {Object} The selected provider, its name and model name
    */
   selectModelForTask(task, context = {}) {
-    // Get preferred models from context, environment or defaults
-    const preferredOpenAIModel = context.model || process.env.OPENAI_MODEL || "gpt-4o-mini";
-    
-    // For Claude, use context, environment or get from configuration based on task
-    let preferredClaudeModel = context.claudeModel || process.env.ANTHROPIC_MODEL;
-    if (!preferredClaudeModel) {
-      // Map task to appropriate Claude model using configuration
-      if (task === 'fast' || task === 'quick') {
-        preferredClaudeModel = claudeModelConfig.getBestModelForTask('fast');
-      } else if (task === 'complex' || context.contentLength > 2000) {
-        preferredClaudeModel = claudeModelConfig.getBestModelForTask('complex');
-      } else {
-        preferredClaudeModel = claudeModelConfig.defaultModel;
-      }
+    const [selected] = this.getProvidersForTask(task, context);
+    if (!selected) {
+      // If nothing is available, we'll use template-based fallbacks
+      return { model: null, name: null, modelName: null };
     }
-    
-    // Check if we should use a specific model family for this task
-    let shouldUseGPT4 = false;
-    let shouldUseClaude = false;
-    
-    // Complex or long-form content is better with Claude or GPT-4
-    if (task === 'warmFollowup' || 
-        task === 'messageResponse' ||
-        task === 'profileContent' ||
-        (context.contentLength && context.contentLength > 2000)) {
-      shouldUseClaude = true;
+    return { model: selected.provider, name: selected.name, modelName: selected.modelName };
+  }
+
+  /**
+   * Available providers for a task in the order of its fallback chain
+   * @param {string} task - The task to perform
+   * @param {Object} context - Context data (contentLength, model overrides)
+   * @param {Object} [preferred] - { provider, model } to try before the chain
+   * @returns {Array<Object>} - [{ provider, name, modelName, timeoutMs }]
+   */
+  getProvidersForTask(task, context = {}, preferred = null) {
+    return this.registry.resolve(task, context, preferred);
+  }
+
+  /**
+   * Key used to attribute LLM spend to a prospect (prospects are stored by LinkedIn URL)
+   * @param {Object} profileData - LinkedIn profile data
+   * @returns {string|null} - LinkedIn URL, else the prospect's name
+   */
+  getProspectKey(profileData) {
+    if (!profileData) return null;
+    return profileData.linkedinUrl || profileData.name || null;
+  }
+
+  /**
+   * Apply the monthly budgets to a step before it runs
+   * @param {string} name - Provider name
+   * @param {string} modelName - Model the step would use
+   * @returns {Object} - { allowed, modelName, downgraded, reason }
+   */
+  checkBudget(name, modelName) {
+    const { budgets, freeProviders } = pricingConfig;
+    if (freeProviders.includes(name)) {
+      return { allowed: true, modelName, downgraded: false, reason: null };
     }
-    
-    // Structured analysis is better with OpenAI
-    if (task === 'messageAnalysis') {
-      shouldUseGPT4 = true;
+
+    // Highest share of any applicable limit spent so far
+    const limits = [
+      { label: 'monthly LLM budget', limit: budgets.monthlyUsd, spent: this.metrics.getMonthlyCost() },
+      { label: `${name} monthly budget`, limit: budgets.providers[name], spent: this.metrics.getMonthlyCost(name) }
+    ].filter(({ limit }) => limit);
+    const worst = limits.reduce((max, entry) => {
+      const ratio = entry.spent / entry.limit;
+      return !max || ratio > max.ratio ? { ...entry, ratio } : max;
+    }, null);
+
+    if (!worst || worst.ratio < 1) {
+      return { allowed: true, modelName, downgraded: false, reason: null };
     }
-    
-    // If Claude is available and recommended for this task
-    if (this.models.claude && shouldUseClaude) {
-      return {
-        model: this.models.claude,
-        name: 'claude',
-        modelName: preferredClaudeModel
-      };
+
+    const reason = `${worst.label} exceeded ($${worst.spent.toFixed(2)} of $${worst.limit.toFixed(2)})`;
+    if (budgets.action === 'block' || worst.ratio >= budgets.hardLimitRatio) {
+      return { allowed: false, modelName, downgraded: false, reason };
     }
-    
-    // If OpenAI is available 
-    if (this.models.openai) {
-      // Find the best model based on task requirements
-      let selectedModel = preferredOpenAIModel;
-      
-      // If we have model configurations, try to find the most suitable model
-      if (openAIModelConfig.modelConfig && Object.keys(openAIModelConfig.modelConfig).length > 0) {
-        // For complex tasks, prefer GPT-4 models
-        if (shouldUseGPT4 || task === 'complex') {
-          const gpt4Models = openAIModelConfig.compatibleModels.filter(m => 
-            m.includes('gpt-4') && openAIModelConfig.modelConfig[m].best_for.includes('complex')
-          );
-          
-          if (gpt4Models.length > 0) {
-            selectedModel = gpt4Models[0];
-          }
-        }
-        
-        // For analysis tasks, prefer fast models
-        if (task === 'messageAnalysis') {
-          const analysisModels = openAIModelConfig.compatibleModels.filter(m => 
-            openAIModelConfig.modelConfig[m].best_for.includes('fast')
-          );
-          
-          if (analysisModels.length > 0) {
-            selectedModel = analysisModels[0];
-          }
-        }
-      }
-      
-      return {
-        model: this.models.openai,
-        name: 'openai',
-        modelName: selectedModel
+
+    // Already on the cheapest model of its family: keep going until the hard limit
+    const cheaper = pricingConfig.getDowngrade(modelName);
+    return { allowed: true, modelName: cheaper || modelName, downgraded: !!cheaper, reason };
+  }
+
+  /**
+   * Spend against each configured budget for the current month
+   * @returns {Object} - { month, action, spentUsd, limitUsd, providers: { [name]: { spentUsd, limitUsd } } }
+   */
+  getBudgetStatus() {
+    const { budgets } = pricingConfig;
+    const providers = {};
+    this.registry.list().forEach(({ name }) => {
+      if (pricingConfig.freeProviders.includes(name)) return;
+      providers[name] = {
+        spentUsd: this.metrics.getMonthlyCost(name),
+        limitUsd: budgets.providers[name] || null
       };
-    }
-    
-    // If neither is available, we'll use template-based fallbacks
-    return { model: null, name: null, modelName: null };
+    });
+
+    return {
+      month: new Date().toISOString().slice(0, 7),
+      action: budgets.action,
+      spentUsd: this.metrics.getMonthlyCost(),
+      limitUsd: budgets.monthlyUsd,
+      providers
+    };
   }
 
   /**
-   * Generate content with Claude
-   * @param {string} prompt - The prompt to send to Claude
-   * @param {Object} options - Additional options for generation
-   * @returns {Promise<string>} - Generated content
+   * Run a prompt through a task's fallback chain. Each step gets a timeout and
+   * retries with backoff on 429/5xx; steps whose circuit breaker is open are skipped.
+   * @param {string} prompt - The prompt to send
+   * @param {string} task - Task identifier used to pick the chain and for metrics
+   * @param {Object} options - Generation options passed to each provider (systemPrompt, messages...)
+   * @param {Object} routing - { context, preferred } for choosing the steps; context.prospect attributes the cost
+   * @returns {Promise<Object>} - { content, name, modelName, usage }
    */
-  async generateWithClaude(prompt, options = {}) {
-    const startTime = Date.now();
-    try {
-      console.log('Generating content with Claude...');
+  async runChain(prompt, task, options = {}, { context = {}, preferred = null } = {}) {
+    const steps = this.getProvidersForTask(task, context, preferred);
+    if (steps.length === 0) {
+      throw new Error(`No LLM providers available for task ${task || 'default'} - check API keys in environment variables`);
+    }
 
-      if (!this.models.claude) {
-        throw new Error('Claude client not initialized - check API key in environment variables');
+    const errors = [];
+    for (const { provider, name, modelName: chainModel, timeoutMs } of steps) {
+      const budget = this.checkBudget(name, chainModel);
+      if (!budget.allowed) {
+        console.warn(`Skipping ${name}: ${budget.reason}`);
+        errors.push(`${name}: ${budget.reason}`);
+        continue;
+      }
+      const modelName = budget.modelName;
+      if (budget.downgraded) {
+        console.warn(`${budget.reason}, using ${modelName} instead of ${chainModel}`);
       }
 
-      // Get model from environment, options, or default from config
-      const model = options.model || process.env.ANTHROPIC_MODEL || claudeModelConfig.defaultModel;
-      
-      // Get model-specific configuration
-      const modelConfig = claudeModelConfig.getModelConfig(model);
-      
-      console.log(`Using Claude model: ${model}`);
+      const breaker = this.registry.getBreaker(name);
+      if (!breaker.canRequest()) {
+        console.warn(`Skipping ${name}: circuit breaker is open`);
+        errors.push(`${name}: circuit open`);
+        continue;
+      }
 
+      const settings = this.registry.getSettings(name);
+      const startTime = Date.now();
       try {
-        // Prepare the messages array - this supports both a simple prompt string
-        // and a structured conversation with multiple messages
-        const messages = Array.isArray(options.messages) ? options.messages : 
-                        [{ role: "user", content: prompt }];
-        
-        // If system prompt is provided separately, use it
-        const systemPrompt = options.systemPrompt || null;
-        
-        // Prepare API request parameters
-        const requestParams = {
-          model: model,
-          max_tokens: options.maxTokens || modelConfig.maxTokens,
-          messages: messages,
-          temperature: options.temperature || modelConfig.temperature,
-        };
-        
-        // Add system prompt if provided
-        if (systemPrompt) {
-          requestParams.system = systemPrompt;
+        console.log(`Generating ${task || 'content'} with ${name} (${modelName})...`);
+        const result = await callWithRetry(
+          () => provider.generate(prompt, { ...options, model: modelName, task, timeoutMs }),
+          { ...settings, timeoutMs, label: `${name} (${modelName})` }
+        );
+        breaker.recordSuccess();
+
+        const content = result.content;
+        const usageDetails = { model: modelName, usage: result.usage, prospect: context.prospect };
+        const minLength = provider.minContentLength || MIN_CONTENT_LENGTH;
+        if (!content || content.length <= minLength) {
+          console.warn(`${name} returned insufficient content, trying next provider...`);
+          // The tokens were still paid for
+          this.metrics.trackRequest(name, task, Date.now() - startTime, false, { ...usageDetails, errorClass: 'insufficient_content' });
+          errors.push(`${name}: insufficient content`);
+          continue;
         }
-        
-        // Add additional parameters if provided
-        if (options.topP) requestParams.top_p = options.topP;
-        if (options.topK) requestParams.top_k = options.topK;
-        
-        // Send the request to Claude
-        const message = await this.models.claude.messages.create(requestParams);
 
-        // Extract the generated text
-        const generatedText = message.content[0].text;
         const latency = Date.now() - startTime;
-        
-        // Track metrics for successful request
-        this.metrics.trackRequest('claude', options.task || null, latency, true);
-        
-        console.log(`Claude content generated successfully in ${latency}ms`);
-        return generatedText;
-      } catch (modelError) {
-        // Handle specific Claude errors
-        if (modelError.message.includes('404') || 
-            modelError.message.includes('model not found') || 
-            modelError.message.includes('no such model')) {
-          // Model not found error - try to find a suitable fallback
-          let fallbackModel = claudeModelConfig.defaultModel;
-          
-          // If trying to use a specific version that's not available,
-          // try falling back to the "latest" version of the same model family
-          if (model.includes('-2024')) {
-            const modelFamily = model.split('-2024')[0] + '-latest';
-            if (claudeModelConfig.claudeModels.includes(modelFamily)) {
-              fallbackModel = modelFamily;
-            }
-          }
-          
-          console.warn(`Model ${model} not found. Falling back to ${fallbackModel}...`);
-          
-          // Get configuration for fallback model
-          const fallbackConfig = claudeModelConfig.getModelConfig(fallbackModel);
-          
-          const fallbackMessage = await this.models.claude.messages.create({
-            model: fallbackModel,
-            max_tokens: fallbackConfig.maxTokens,
-            messages: Array.isArray(options.messages) ? options.messages : 
-                     [{ role: "user", content: prompt }],
-            temperature: fallbackConfig.temperature,
-          });
-          
-          const generatedText = fallbackMessage.content[0].text;
-          const latency = Date.now() - startTime;
-          
-          // Track metrics for successful request with fallback model
-          this.metrics.trackRequest('claude-fallback', options.task || null, latency, true);
-          
-          console.log(`Claude content generated with fallback model in ${latency}ms`);
-          return generatedText;
-        } else if (modelError.message.includes('429') || 
-                  modelError.message.includes('rate_limit') || 
-                  modelError.message.includes('quota exceeded')) {
-          // Rate limit error - wait and retry with a smaller model
-          const fallbackModel = 'claude-3-haiku-latest';
-          console.warn(`Claude rate limit hit. Waiting 2 seconds and trying with ${fallbackModel}...`);
-          
-          // Wait 2 seconds
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          try {
-            // Get configuration for the haiku model
-            const haikuConfig = claudeModelConfig.getModelConfig(fallbackModel);
-            
-            const retryMessage = await this.models.claude.messages.create({
-              model: fallbackModel,
-              max_tokens: haikuConfig.maxTokens,
-              messages: Array.isArray(options.messages) ? options.messages : 
-                       [{ role: "user", content: prompt }],
-              temperature: haikuConfig.temperature,
-            });
-            
-            const generatedText = retryMessage.content[0].text;
-            const latency = Date.now() - startTime;
-            
-            // Track metrics for successful retry
-            this.metrics.trackRequest('claude-retry', options.task || null, latency, true);
-            
-            console.log(`Claude content generated after rate limit retry in ${latency}ms`);
-            return generatedText;
-          } catch (retryError) {
-            console.error('Retry after rate limit also failed:', retryError.message);
-            throw new Error(`Claude rate limit exceeded and retry failed: ${retryError.message}`);
-          }
-        } else if (modelError.message.includes('invalid_api_key') || 
-                  modelError.message.includes('401') || 
-                  modelError.message.includes('unauthorized')) {
-          // Authentication error
-          throw new Error(`Claude API key invalid or unauthorized: ${modelError.message}`);
+        this.metrics.trackRequest(name, task, latency, true, usageDetails);
+        console.log(`${name} content generated successfully in ${latency}ms`);
+        return { content, name, modelName, usage: result.usage || null };
+      } catch (error) {
+        if (isProviderFailure(error)) {
+          breaker.recordFailure(error);
         } else {
-          // Re-throw for other types of errors
-          throw modelError;
+          breaker.release();
         }
+        this.metrics.trackRequest(name, task, Date.now() - startTime, false, { model: modelName, error });
+        console.error(`${name} (${modelName}) failed, trying next provider:`, error.message);
+        errors.push(`${name}: ${error.message}`);
       }
-    } catch (error) {
-      const latency = Date.now() - startTime;
-      
-      // Track metrics for failed request
-      this.metrics.trackRequest('claude', options.task || null, latency, false);
-      
-      console.error(`Error using Claude (${latency}ms):`, error);
-      throw error;
     }
+
+    const error = new Error(`All LLM providers failed for task ${task || 'default'} (${errors.join('; ')})`);
+    error.attempts = errors;
+    throw error;
   }
 
   /**
-   * Generate content with OpenAI
+   * Generate content through a task's fallback chain
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - { task, provider, model, prospect, withMetadata, systemPrompt, messages, maxTokens, temperature }
+   *   provider/model name the step to try before the task's chain; prospect attributes the cost;
+   *   withMetadata returns the step that actually ran along with the content
+   * @returns {Promise<string|Object>} - Generated content, or { content, provider, model, usage } with withMetadata
+   */
+  async generate(prompt, options = {}) {
+    await this.initialize();
+
+    const { provider, model, task = null, prospect = null, withMetadata = false, ...generationOptions } = options;
+    const preferred = provider ? { provider, model } : null;
+
+    const result = await this.runChain(prompt, task, generationOptions, { preferred, context: { prospect } });
+    // After a fallback the provider and model differ from the ones asked for
+    return withMetadata
+      ? { content: result.content, provider: result.name, model: result.modelName, usage: result.usage }
+      : result.content;
+  }
+
+  /**
+   * Generate content with Claude, falling back along the task's chain if Claude fails
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - Additional options for generation (withMetadata as for generate)
+   * @returns {Promise<string|Object>} - Generated content, or { content, provider, model, usage } with withMetadata
+   */
+  async generateWithClaude(prompt, options = {}) {
+    return this.generate(prompt, {
+      ...options,
+      provider: 'claude',
+      // Get model from options, environment, or default from config
+      model: options.model || process.env.ANTHROPIC_MODEL || claudeModelConfig.defaultModel
+    });
+  }
+
+  /**
+   * Generate content with OpenAI, falling back along the task's chain if OpenAI fails
    * @param {string} prompt - The prompt to send to OpenAI
-   * @returns {Promise<string>} - Generated content
+   * @param {Object} options - Options (model, systemPrompt, messages, task, maxTokens, temperature, withMetadata)
+   * @returns {Promise<string|Object>} - Generated content, or { content, provider, model, usage } with withMetadata
    */
-  async generateWithOpenAI(prompt) {
-    const startTime = Date.now();
-    try {
-      console.log('Generating content with OpenAI...');
+  async generateWithOpenAI(prompt, options = {}) {
+    return this.generate(prompt, {
+      ...options,
+      provider: 'openai',
+      // Get model from options, environment or use default
+      model: options.model || process.env.OPENAI_MODEL || "gpt-4o-mini"
+    });
+  }
 
-      if (!this.models.openai) {
-        throw new Error('OpenAI client not initialized - check API key in environment variables');
-      }
+  /**
+   * Stream content from Claude
+   * @param {string} prompt - The prompt to send to Claude
+   * @param {Object} options - Same options as generateWithClaude
+   * @returns {AsyncGenerator<Object>} - { type: 'token', text } events, then one { type: 'done', content, ... } event
+   */
+  async *streamWithClaude(prompt, options = {}) {
+    yield* this.streamWithProvider('claude', prompt, {
+      ...options,
+      model: options.model || process.env.ANTHROPIC_MODEL || claudeModelConfig.defaultModel
+    });
+  }
 
-      // Get model from environment or use default
-      const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
-      
-      // Use model-specific configuration if available
-      let temperature = 0.7;
-      let maxTokens = 800;
-      
-      if (openAIModelConfig.modelConfig[model]) {
-        // Use the configuration from our model config
-        temperature = openAIModelConfig.modelConfig[model].temperature;
-        maxTokens = openAIModelConfig.modelConfig[model].maxTokens;
-        console.log(`Using model-specific configuration for ${model}`);
+  /**
+   * Stream content from OpenAI
+   * @param {string} prompt - The prompt to send to OpenAI
+   * @param {Object} options - Options (model, systemPrompt, messages, task, maxTokens, temperature)
+   * @returns {AsyncGenerator<Object>} - { type: 'token', text } events, then one { type: 'done', content, ... } event
+   */
+  async *streamWithOpenAI(prompt, options = {}) {
+    yield* this.streamWithProvider('openai', prompt, {
+      ...options,
+      model: options.model || process.env.OPENAI_MODEL || "gpt-4o-mini"
+    });
+  }
+
+  /**
+   * Stream content from any registered provider
+   * @param {string} name - Provider name
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - Provider options; model defaults to the provider's choice for options.task
+   * @returns {AsyncGenerator<Object>} - { type: 'token', text } events, then one { type: 'done', content, ... } event
+   */
+  async *streamWithProvider(name, prompt, options = {}) {
+    await this.initialize();
+
+    const provider = this.getAvailableProvider(name);
+    const budget = this.checkBudget(name, options.model || provider.selectModel(options.task || null, {}));
+    const model = budget.modelName;
+
+    // Callers fall back to generate(), which moves on along the chain
+    if (!budget.allowed) {
+      throw new Error(`${name} skipped: ${budget.reason}`);
+    }
+    const breaker = this.registry.getBreaker(name);
+    if (!breaker.canRequest()) {
+      throw new Error(`${name} circuit breaker is open`);
+    }
+
+    const { timeoutMs } = this.registry.getSettings(name);
+    let settled = false;
+    try {
+      yield* this.streamWithTracking(name, model, prompt, options, async () =>
+        provider.stream(prompt, { ...options, model, timeoutMs })
+      );
+      settled = true;
+      breaker.recordSuccess();
+    } catch (error) {
+      settled = true;
+      if (isProviderFailure(error)) {
+        breaker.recordFailure(error);
       } else {
-        // Fallback to basic detection if configuration not found
-        const isMiniModel = model.includes('mini') || model.includes('o1-') || model.includes('o3-');
-        temperature = isMiniModel ? 0.5 : 0.7; // Lower temperature for mini models
-        maxTokens = isMiniModel ? 1000 : 800; // Slightly higher token limit for mini models
+        breaker.release();
       }
-      
-      console.log(`Using OpenAI model: ${model} (temp: ${temperature}, max_tokens: ${maxTokens})`)
-      
-      try {
-        const completion = await this.models.openai.chat.completions.create({
-          model: model,
-          messages: [
-            { role: "user", content: prompt }
-          ],
-          temperature: temperature,
-          max_tokens: maxTokens,
-          top_p: 0.9,
-        });
-
-        const generatedText = completion.choices[0].message.content.trim();
-        const latency = Date.now() - startTime;
-        
-        // Track metrics for successful request
-        this.metrics.trackRequest('openai', null, latency, true);
-        
-        console.log(`OpenAI content generated successfully in ${latency}ms`);
-        return generatedText;
-      } catch (modelError) {
-        // Check for various errors and handle appropriately
-        if (modelError.message.includes('404') || modelError.message.includes('model_not_found')) {
-          // Try to find a suitable fallback model
-          let fallbackModel = "gpt-3.5-turbo"; // Default fallback
-          
-          // Try to find a similar model from our configuration
-          if (openAIModelConfig.compatibleModels && openAIModelConfig.compatibleModels.length > 0) {
-            // If the model contains "gpt-4", try another gpt-4 model
-            if (model.includes('gpt-4')) {
-              const gpt4Models = openAIModelConfig.compatibleModels.filter(m => m.includes('gpt-4'));
-              if (gpt4Models.length > 0) {
-                fallbackModel = gpt4Models[0]; // Use the first available GPT-4 model
-              }
-            } 
-            // If the model contains "o1" or "o3", try gpt-4o-mini
-            else if (model.includes('o1') || model.includes('o3')) {
-              if (openAIModelConfig.compatibleModels.includes('gpt-4o-mini')) {
-                fallbackModel = 'gpt-4o-mini';
-              }
-            }
-          }
-          
-          console.warn(`Model ${model} not found. Falling back to ${fallbackModel}...`);
-          
-          // Get configuration for the fallback model
-          let fallbackTemp = 0.7;
-          let fallbackTokens = 800;
-          
-          if (openAIModelConfig.modelConfig && openAIModelConfig.modelConfig[fallbackModel]) {
-            fallbackTemp = openAIModelConfig.modelConfig[fallbackModel].temperature;
-            fallbackTokens = openAIModelConfig.modelConfig[fallbackModel].maxTokens;
-          }
-          
-          const fallbackCompletion = await this.models.openai.chat.completions.create({
-            model: fallbackModel,
-            messages: [
-              { role: "user", content: prompt }
-            ],
-            temperature: fallbackTemp,
-            max_tokens: fallbackTokens,
-            top_p: 0.9,
-          });
-          
-          const generatedText = fallbackCompletion.choices[0].message.content.trim();
-          const latency = Date.now() - startTime;
-          
-          // Track metrics for successful request with fallback model
-          this.metrics.trackRequest('openai-fallback', null, latency, true);
-          
-          console.log(`OpenAI content generated with fallback model in ${latency}ms`);
-          return generatedText;
-        } else if (modelError.message.includes('429') || modelError.message.includes('rate limit')) {
-          // Rate limit error - wait and retry once with a different model
-          console.warn(`OpenAI rate limit hit. Waiting 2 seconds and trying with gpt-3.5-turbo...`);
-          
-          // Wait 2 seconds
-          await new Promise(resolve => setTimeout(resolve, 2000));
-          
-          try {
-            const retryCompletion = await this.models.openai.chat.completions.create({
-              model: "gpt-3.5-turbo", // Use a different model to avoid same rate limit
-              messages: [
-                { role: "user", content: prompt }
-              ],
-              temperature: 0.7,
-              max_tokens: 800,
-              top_p: 0.9,
-            });
-            
-            const generatedText = retryCompletion.choices[0].message.content.trim();
-            const latency = Date.now() - startTime;
-            
-            // Track metrics for successful retry
-            this.metrics.trackRequest('openai-retry', null, latency, true);
-            
-            console.log(`OpenAI content generated after rate limit retry in ${latency}ms`);
-            return generatedText;
-          } catch (retryError) {
-            console.error('Retry after rate limit also failed:', retryError.message);
-            throw new Error(`OpenAI rate limit exceeded and retry failed: ${retryError.message}`);
-          }
-        } else if (modelError.message.includes('invalid_api_key') || modelError.message.includes('401')) {
-          // Authentication error
-          throw new Error(`OpenAI API key invalid or unauthorized: ${modelError.message}`);
-        } else {
-          // Re-throw for other types of errors
-          throw modelError;
+      throw error;
+    } finally {
+      // The consumer stopped reading early
+      if (!settled) breaker.release();
+    }
+  }
+
+  /**
+   * Wrap a normalised provider stream with the LLM cache and usage metrics
+   * @param {string} provider - Provider name used for metrics (claude, openai)
+   * @param {string} model - Model identifier used for the cache key
+   * @param {string} prompt - Prompt used for the cache key
+   * @param {Object} options - Generation options (task, cache, and the system prompt, messages and parameters that key the cache)
+   * @param {Function} openStream - async () => AsyncIterable of normalised events
+   * @returns {AsyncGenerator<Object>} - Token events followed by a done event
+   */
+  async *streamWithTracking(provider, model, prompt, options, openStream) {
+    const startTime = Date.now();
+    const task = options.task || null;
+    const useCache = options.cache !== false;
+
+    // Replay cached content as a single token so callers handle both paths the same way
+    const cachedContent = useCache ? llmCache.get(prompt, model, task, options) : null;
+    if (cachedContent) {
+      console.log(`Using cached response for streamed task: ${task}`);
+      this.metrics.trackRequest('cache', task, Date.now() - startTime, true);
+      yield { type: 'token', text: cachedContent };
+      yield { type: 'done', content: cachedContent, provider, model, cached: true, usage: null };
+      return;
+    }
+
+    console.log(`Streaming content with ${provider} model: ${model}`);
+    let content = '';
+    let usage = null;
+
+    try {
+      for await (const event of await openStream()) {
+        if (event.type === 'token') {
+          content += event.text;
+          yield event;
+        } else if (event.type === 'usage') {
+          usage = event.usage;
         }
       }
     } catch (error) {
       const latency = Date.now() - startTime;
-      
-      // Track metrics for failed request
-      this.metrics.trackRequest('openai', null, latency, false);
-      
-      console.error(`Error using OpenAI (${latency}ms):`, error);
+      this.metrics.trackRequest(provider, task, latency, false, { model, error });
+      console.error(`Error streaming from ${provider} (${latency}ms):`, error);
       throw error;
     }
+
+    const latency = Date.now() - startTime;
+    if (useCache && content.length > 50) {
+      llmCache.set(prompt, model, task, content, options);
+    }
+    this.metrics.trackRequest(provider, task, latency, true, { model, usage, prospect: options.prospect });
+    console.log(`${provider} stream completed in ${latency}ms`);
+
+    yield { type: 'done', content, provider, model, cached: false, usage };
   }
 
   /**
@@ -823,21 +754,20 @@ ${sentimentGuidance}`
    * @param {string} prompt - The prompt to send to the LLM
    * @param {string} task - The task identifier for model selection
    * @param {Object} context - Context data for model selection
+   * @param {Object} options - Generation options passed to the provider (e.g. messages)
    * @returns {Promise<string>} - Generated content
    */
-  async generateContent(prompt, task, context = {}) {
+  async generateContent(prompt, task, context = {}, options = {}) {
     const startTime = Date.now();
     await this.initialize();
 
-    // Select the best model for this task
-    const { model, name, modelName } = this.selectModelForTask(task, context);
+    // The cache is keyed on the model that would normally answer
+    const [primary] = this.getProvidersForTask(task, context);
+    const primaryModel = primary ? primary.modelName : 'template';
 
     try {
-      let content = null;
-      let usedModelName = name;
-      
       // Check cache first
-      const cachedContent = llmCache.get(prompt, name || 'template', task);
+      const cachedContent = llmCache.get(prompt, primaryModel, task, options);
       if (cachedContent) {
         console.log(`Using cached response for task: ${task}`);
         // Still track metrics for cache hits
@@ -845,88 +775,19 @@ ${sentimentGuidance}`
         this.metrics.trackRequest('cache', task, latency, true);
         return cachedContent;
       }
-      
-      // Try the selected model
-      if (name === 'claude') {
-        content = await this.generateWithClaude(prompt);
-      } else if (name === 'openai') {
-        content = await this.generateWithOpenAI(prompt);
-      }
 
-      // If we have content, cache it and return it
-      if (content && content.length > 50) {
-        // Store in cache for future requests
-        llmCache.set(prompt, name, task, content);
-        
-        const latency = Date.now() - startTime;
-        this.metrics.trackRequest(usedModelName, task, latency, true);
-        return content;
-      }
+      const { content, name, modelName } = await this.runChain(prompt, task, options, { context });
 
-      // If the selected model failed or didn't produce good content, try fallbacks
-      if (name === 'claude' && this.models.openai) {
-        console.log('Claude generation failed or insufficient, trying OpenAI...');
-        try {
-          content = await this.generateWithOpenAI(prompt);
-          usedModelName = 'openai'; // Update the model used
-          
-          if (content && content.length > 50) {
-            const latency = Date.now() - startTime;
-            this.metrics.trackRequest(usedModelName, task, latency, true);
-            return content;
-          }
-        } catch (openaiError) {
-          console.error('OpenAI fallback failed:', openaiError);
-        }
-      }
-      
-      // If we still don't have good content, try the local model
-      console.log('Cloud LLM generation failed or unavailable, trying local model...');
-      
-      // Initialize the local model if needed
-      await initializeLocalModel();
-      
-      if (localGenerator) {
-        try {
-          // The local model needs a shorter prompt
-          const shortenedPrompt = prompt.split('\n').slice(0, 10).join('\n') + 
-                               '\n...\n[Prompt truncated for local model]\n\nGenerate response:';
-          
-          const localStartTime = Date.now();
-          const result = await localGenerator(shortenedPrompt, {
-            max_length: 200,
-            num_return_sequences: 1,
-            temperature: 0.7,
-            top_k: 50,
-            top_p: 0.9,
-            do_sample: true,
-          });
-          
-          content = result[0].generated_text.replace(shortenedPrompt, '').trim();
-          usedModelName = 'local'; // Update the model used
-          const localLatency = Date.now() - localStartTime;
-          
-          if (content.length > 20) {
-            console.log(`Local model content generated successfully in ${localLatency}ms`);
-            const totalLatency = Date.now() - startTime;
-            this.metrics.trackRequest(usedModelName, task, totalLatency, true);
-            return content;
-          }
-        } catch (localModelError) {
-          console.error('Local model generation failed:', localModelError);
-        }
+      // Store in cache for future requests (fallback answers are not cached)
+      if (primary && name === primary.name && modelName === primaryModel) {
+        llmCache.set(prompt, modelName, task, content, options);
       }
-      
-      // If all models failed, use a template-based approach as the final fallback
-      console.log('All LLM models failed, using template as final fallback');
-      usedModelName = 'template';
-      const latency = Date.now() - startTime;
-      this.metrics.trackRequest(usedModelName, task, latency, false);
-      throw new Error('All LLM generation methods failed');
+      return content;
     } catch (error) {
+      // Callers use a template-based approach as the final fallback
       console.error(`Error generating content for task ${task}:`, error);
       const latency = Date.now() - startTime;
-      this.metrics.trackRequest('template', task, latency, false); // Fallback to template
+      this.metrics.trackRequest('template', task, latency, false, { error }); // Fallback to template
       throw error;
     }
   }
@@ -935,7 +796,7 @@ ${sentimentGuidance}`
    * Generate profile content
    * @param {Object} profileData - LinkedIn profile data
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated content
+   * @returns {Promise<Object>} - { content, promptVersion }; promptVersion is null for template fallback content
    */
   async generateProfileContent(profileData, outputFormat = 'email') {
     // Ensure service is initialized
@@ -977,7 +838,7 @@ ${sentimentGuidance}`
       const interests = profileData.interests ? profileData.interests.join(', ') : '';
 
       // Create the prompt
-      const prompt = this.promptTemplates.profileContent(
+      const { text: prompt, key, version } = this.promptTemplates.profileContent(
         profileData.name,
         profileData.title,
         companyInfo,
@@ -989,9 +850,11 @@ ${sentimentGuidance}`
       );
 
       // Generate content with the appropriate LLM
-      return await this.generateContent(prompt, 'profileContent', { 
-        contentLength: prompt.length 
+      const content = await this.generateContent(prompt, 'profileContent', { 
+        contentLength: prompt.length,
+        prospect: this.getProspectKey(profileData)
       });
+      return { content, promptVersion: promptRegistry.formatVersions({ [key]: version }) };
     } catch (error) {
       console.error('Error generating profile content:', error);
       
@@ -1057,7 +920,7 @@ ${sentimentGuidance}`
       // Track template-based fallback usage
       this.metrics.trackRequest('template', 'profileContent', 0, true);
       
-      return content;
+      return { content, promptVersion: null };
     }
   }
 
@@ -1065,7 +928,7 @@ ${sentimentGuidance}`
    * Generate a warm follow-up email after a phone call
    * @param {Object} profileData - LinkedIn profile data
    * @param {Object} callDetails - Details about the phone call
-   * @returns {Promise<string>} - Generated follow-up email
+   * @returns {Promise<Object>} - { content, promptVersion }; promptVersion is null for template fallback content
    */
   async generateWarmFollowup(profileData, callDetails) {
     // Ensure service is initialized
@@ -1078,7 +941,7 @@ ${sentimentGuidance}`
       const companyInfo = profileData.company ? `at ${profileData.company}` : '';
       
       // Create the prompt
-      const prompt = this.promptTemplates.warmFollowup(
+      const { text: prompt, key, version } = this.promptTemplates.warmFollowup(
         profileData.name,
         profileData.title,
         companyInfo,
@@ -1089,9 +952,11 @@ ${sentimentGuidance}`
       );
 
       // Generate content with the appropriate LLM
-      return await this.generateContent(prompt, 'warmFollowup', { 
-        contentLength: prompt.length 
+      const content = await this.generateContent(prompt, 'warmFollowup', { 
+        contentLength: prompt.length,
+        prospect: this.getProspectKey(profileData)
       });
+      return { content, promptVersion: promptRegistry.formatVersions({ [key]: version }) };
     } catch (error) {
       console.error('Error generating warm follow-up email:', error);
       
@@ -1137,16 +1002,32 @@ ${sentimentGuidance}`
       // Track template-based fallback usage
       this.metrics.trackRequest('template', 'warmFollowup', 0, true);
       
-      return content;
+      return { content, promptVersion: null };
     }
   }
 
+  /**
+   * Generation options replaying a conversation thread before the prompt
+   * @param {string} threadId - Thread ID (optional)
+   * @param {string} prompt - Prompt for the current request
+   * @param {string} clientMessage - Message being handled, skipped if it is the latest turn
+   * @returns {Object} - { messages } or {} when there is no thread
+   */
+  getThreadOptions(threadId, prompt, clientMessage) {
+    if (!threadId) return {};
+    const thread = threadService.getThread(threadId);
+    if (!thread || thread.turns.length === 0) return {};
+    return { messages: threadService.buildMessages(thread, prompt, { currentMessage: clientMessage }) };
+  }
+
   /**
    * Analyze a client message to identify key topics, sentiment, and questions
    * @param {string} clientMessage - Message from the client
-   * @returns {Promise<Object>} - Analysis results
+   * @param {Object} options - { threadId } conversation thread whose earlier turns are sent along
+   * @returns {Promise<Object>} - Analysis results ({ sentiment, topics, questions, promptVersion });
+   *   promptVersion is null for the keyword-based fallback
    */
-  async analyzeClientMessage(clientMessage) {
+  async analyzeClientMessage(clientMessage, options = {}) {
     // Ensure service is initialized
     await this.initialize();
     
@@ -1154,10 +1035,11 @@ ${sentimentGuidance}`
 
     try {
       // Create the prompt
-      const prompt = this.promptTemplates.messageAnalysis(clientMessage);
+      const { text: prompt, key, version } = this.promptTemplates.messageAnalysis(clientMessage);
 
       // Use the model to analyze the message
-      const result = await this.generateContent(prompt, 'messageAnalysis', {});
+      const result = await this.generateContent(prompt, 'messageAnalysis', {},
+        this.getThreadOptions(options.threadId, prompt, clientMessage));
       
       // Try to parse the result as JSON
       try {
@@ -1199,7 +1081,7 @@ ${sentimentGuidance}`
           }
           
           console.log('Successfully analyzed message with LLM');
-          return normalizedResult;
+          return { ...normalizedResult, promptVersion: promptRegistry.formatVersions({ [key]: version }) };
         } else {
           throw new Error('Invalid sentiment value in LLM response');
         }
@@ -1295,7 +1177,8 @@ ${sentimentGuidance}`
       return {
         sentiment,
         topics: topics.length > 0 ? topics : ['general inquiry'],
-        questions: questions.length > 0 ? questions : []
+        questions: questions.length > 0 ? questions : [],
+        promptVersion: null
       };
     }
   }
@@ -1305,9 +1188,11 @@ ${sentimentGuidance}`
    * @param {string} clientMessage - Original message from the client
    * @param {Object} messageAnalysis - Analysis of the client message
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated response
+   * @param {Object} options - { questions } the subset of messageAnalysis.questions to answer (default: all),
+   *   { threadId } conversation thread whose earlier turns are sent along
+   * @returns {Promise<Object>} - { content, promptVersion }; promptVersion is null for template fallback content
    */
-  async generateMessageResponse(clientMessage, messageAnalysis, outputFormat = 'email') {
+  async generateMessageResponse(clientMessage, messageAnalysis, outputFormat = 'email', options = {}) {
     // Ensure service is initialized
     await this.initialize();
     
@@ -1328,21 +1213,29 @@ ${sentimentGuidance}`
         sentimentGuidance = 'Since the sentiment is negative, be especially empathetic and focus on addressing concerns.';
       }
       
+      // Only answer the questions the user picked; the rest are left for a later reply
+      const questions = Array.isArray(options.questions) ? options.questions : messageAnalysis.questions;
+      const skippedQuestions = messageAnalysis.questions.filter(question => !questions.includes(question));
+      if (skippedQuestions.length > 0) {
+        sentimentGuidance += `${sentimentGuidance ? '\n' : ''}Do not answer these questions in this reply: ${skippedQuestions.join('; ')}.`;
+      }
+      
       // Create the prompt
-      const prompt = this.promptTemplates.messageResponse(
+      const { text: prompt, key, version } = this.promptTemplates.messageResponse(
         clientMessage,
         messageAnalysis.sentiment,
         messageAnalysis.topics.join(', '),
-        messageAnalysis.questions.join(', '),
+        questions.length > 0 ? questions.join(', ') : 'none to answer in this reply',
         outputFormat === 'email' ? 'professional email' : outputFormat === 'linkedin' ? 'LinkedIn message' : 'phone script',
         responseFormat,
         sentimentGuidance
       );
 
       // Generate content with the appropriate LLM
-      return await this.generateContent(prompt, 'messageResponse', { 
-        contentLength: prompt.length 
-      });
+      const content = await this.generateContent(prompt, 'messageResponse', {
+        contentLength: prompt.length
+      }, this.getThreadOptions(options.threadId, prompt, clientMessage));
+      return { content, promptVersion: promptRegistry.formatVersions({ [key]: version }) };
     } catch (error) {
       console.error('Error generating message response:', error);
       
@@ -1419,7 +1312,7 @@ ${sentimentGuidance}`
       // Track template-based fallback usage
       this.metrics.trackRequest('template', 'messageResponse', 0, true);
       
-      return response;
+      return { content: response, promptVersion: null };
     }
   }
 
@@ -1428,7 +1321,7 @@ ${sentimentGuidance}`
    * @param {Object} companyData - LinkedIn company data
    * @param {Array} decisionMakers - List of decision makers at the company
    * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<string>} - Generated content
+   * @returns {Promise<Object>} - { content, promptVersion }; promptVersion is null for template fallback content
    */
   async generateCompanyContent(companyData, decisionMakers, outputFormat = 'email') {
     // Ensure service is initialized
@@ -1460,7 +1353,7 @@ ${sentimentGuidance}`
       }
       
       // Create the prompt
-      const prompt = this.promptTemplates.companyContent(
+      const { text: prompt, key, version } = this.promptTemplates.companyContent(
         companyData.name,
         companyData.industry || 'construction',
         companyData.size || 'medium',
@@ -1472,9 +1365,10 @@ ${sentimentGuidance}`
       );
 
       // Generate content with the appropriate LLM
-      return await this.generateContent(prompt, 'companyContent', { 
+      const content = await this.generateContent(prompt, 'companyContent', { 
         contentLength: prompt.length 
       });
+      return { content, promptVersion: promptRegistry.formatVersions({ [key]: version }) };
     } catch (error) {
       console.error('Error generating company content:', error);
       
@@ -1529,7 +1423,7 @@ ${sentimentGuidance}`
       // Track template-based fallback usage
       this.metrics.trackRequest('template', 'companyContent', 0, true);
       
-      return content;
+      return { content, promptVersion: null };
     }
   }
 
@@ -1540,6 +1434,41 @@ ${sentimentGuidance}`
   getUsageMetrics() {
     return this.metrics.getMetrics();
   }
+
+  /**
+   * Bucketed request counts, errors, latency percentiles, tokens and cost
+   * @param {Object} query - { from, to, bucketMs, groupBy, filters } (see MetricsStore.query)
+   * @returns {Promise<Object>} - { from, to, bucketMs, groupBy, series }
+   */
+  async getMetricsTimeseries(query) {
+    return this.metrics.store.query(query);
+  }
+
+  /**
+   * Circuit breaker state per provider
+   * @returns {Object} - Keyed by provider name
+   */
+  getCircuitBreakerStates() {
+    return this.registry.getBreakerStates();
+  }
+
+  /**
+   * Describe every registered provider with its health, models, breaker and the fallback chain per task
+   * @returns {Promise<Object>} - { providers, chains }
+   */
+  async getProviderStatus() {
+    await this.initialize();
+
+    const chains = { default: this.registry.getChain(null) };
+    Object.keys(this.registry.chains).forEach(task => {
+      chains[task] = this.registry.getChain(task);
+    });
+
+    return {
+      providers: await this.registry.describe(),
+      chains
+    };
+  }
 }
 
 // Export a singleton instance
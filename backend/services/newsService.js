@@ -0,0 +1,312 @@
+/**
+ * News Service
+ *
+ * Polls the configured RSS and Atom feeds, stores their items and matches
+ * them to tracked companies by name and alias, so getCompanyNews returns
+ * real, dated articles. Feeds are read from http(s) URLs or saved XML files;
+ * polling runs as a job on the shared job queue, on a schedule or on demand.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const axios = require('axios');
+const { parseFeed } = require('../utils/feedParser');
+const { newsStore, companyStore } = require('./storageService');
+const { jobQueue, JOB_STATUS } = require('./jobQueueService');
+const companyKnowledgeService = require('./companyKnowledgeService');
+const newsConfig = require('../config/news-feeds');
+
+const JOB_TYPE = 'news-poll';
+const DAY = 24 * 60 * 60 * 1000;
+
+// Outcome of the last poll of each feed, by feed id
+const feedStatus = new Map();
+
+let timer = null;
+let lastJobId = null;
+
+/**
+ * Read a feed document
+ * @param {string} location - http(s) URL, file:// URL or file path
+ * @returns {Promise<string>} - Feed XML
+ */
+async function readFeed(location) {
+  if (/^https?:\/\//i.test(location)) {
+    const response = await axios.get(location, {
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9' },
+      timeout: newsConfig.polling.timeoutMs,
+      maxContentLength: newsConfig.polling.maxFeedBytes,
+      responseType: 'text',
+      transformResponse: [data => data]
+    });
+    return String(response.data);
+  }
+
+  const filePath = /^file:\/\//i.test(location) ? fileURLToPath(location) : path.resolve(location);
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
+/**
+ * Lower-case words separated by single spaces, padded so phrases match on word boundaries
+ * @param {string} text - Text to search
+ * @returns {string} - Normalised text
+ */
+function normalizeText(text) {
+  return ` ${String(text || '').toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/**
+ * Names a company appears under, normalised like company knowledge keys
+ * @param {Object} company - Company record
+ * @returns {Array<string>} - Distinct non-empty terms
+ */
+function companyTerms(company) {
+  const names = [company.name, ...(Array.isArray(company.aliases) ? company.aliases : [])];
+  return [...new Set(names.map(companyKnowledgeService.normalizeKey).filter(Boolean))];
+}
+
+/**
+ * Whether a news item mentions any of the terms in its title, summary or link
+ * @param {Object} item - News item
+ * @param {Array<string>} terms - Normalised names or domains
+ * @returns {boolean}
+ */
+function mentions(item, terms) {
+  const text = normalizeText(`${item.title} ${item.summary}`);
+  const raw = `${item.title} ${item.summary} ${item.url}`.toLowerCase();
+  return terms.some(term => (term.includes('.') ? raw.includes(term) : text.includes(` ${term} `)));
+}
+
+/**
+ * Tracked companies an item mentions
+ * @param {Object} item - News item
+ * @param {Array<Object>} companies - Company records
+ * @returns {Array<string>} - Company ids
+ */
+function matchCompanies(item, companies) {
+  return companies
+    .filter(company => mentions(item, companyTerms(company)))
+    .map(company => String(company.id));
+}
+
+/**
+ * Drop stored items older than the retention period
+ * @returns {number} - Items removed
+ */
+function pruneItems() {
+  const cutoff = Date.now() - newsConfig.retentionDays * DAY;
+  const expired = newsStore.list().filter(item => Date.parse(item.publishedAt || item.fetchedAt) < cutoff);
+  expired.forEach(item => newsStore.remove(item.id));
+  return expired.length;
+}
+
+/**
+ * API view of a stored item
+ * @param {Object} item - Stored news item
+ * @returns {Object} - { id, title, source, date, url, summary, companyIds }
+ */
+function toNewsItem(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    source: item.source,
+    // Undated items count from when they were first fetched
+    date: item.publishedAt || item.fetchedAt,
+    url: item.url,
+    summary: item.summary,
+    companyIds: item.companyIds
+  };
+}
+
+/**
+ * Newest first, keeping one copy of an article carried by several feeds
+ * @param {Array<Object>} items - API views of news items
+ * @returns {Array<Object>} - Sorted, de-duplicated items
+ */
+function newestFirst(items) {
+  const seen = new Set();
+  return items
+    .sort((a, b) => Date.parse(b.date) - Date.parse(a.date))
+    .filter(item => {
+      const key = item.url || item.id;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+const newsService = {
+  JOB_TYPE,
+
+  /**
+   * Fetch one feed and store its items; items already stored are updated and
+   * items older than the retention period are skipped
+   * @param {Object} feed - { id, name, location }
+   * @returns {Promise<Object>} - { id, name, items, added, matched }
+   * @throws {Error} - When the feed cannot be read or parsed
+   */
+  pollFeed: async (feed) => {
+    const parsed = parseFeed(await readFeed(feed.location));
+    const companies = companyStore.list();
+    const fetchedAt = new Date().toISOString();
+    const cutoff = Date.now() - newsConfig.retentionDays * DAY;
+    let added = 0;
+    let matched = 0;
+
+    for (const item of parsed.items) {
+      if (!item.title || !item.guid) continue;
+      // Feeds keep old items around; storing them would only get them pruned again
+      if (item.publishedAt && Date.parse(item.publishedAt) < cutoff) continue;
+
+      const fields = {
+        feedId: feed.id,
+        source: feed.name || parsed.title,
+        guid: item.guid,
+        title: item.title,
+        url: item.url,
+        summary: item.summary,
+        publishedAt: item.publishedAt,
+        companyIds: matchCompanies(item, companies)
+      };
+      if (fields.companyIds.length > 0) matched++;
+
+      const existing = newsStore.find(record => record.feedId === feed.id && record.guid === item.guid);
+      if (existing) {
+        newsStore.update(existing.id, fields);
+      } else {
+        newsStore.create({ ...fields, fetchedAt });
+        added++;
+      }
+    }
+
+    return { id: feed.id, name: feed.name, items: parsed.items.length, added, matched };
+  },
+
+  /**
+   * Poll every feed; a feed that fails is reported and the rest still run
+   * @param {Array<Object>} [feeds] - Feeds to poll (default: configured feeds)
+   * @returns {Promise<Object>} - { feeds: [{ id, name, items, added, matched } | { id, name, error }], added, pruned }
+   */
+  pollFeeds: async (feeds = newsConfig.feeds) => {
+    const results = [];
+
+    for (const feed of feeds) {
+      try {
+        const result = await newsService.pollFeed(feed);
+        feedStatus.set(feed.id, { lastPolledAt: new Date().toISOString(), lastError: null, items: result.items, added: result.added });
+        results.push(result);
+      } catch (error) {
+        console.error(`Error polling news feed ${feed.name}:`, error.message);
+        feedStatus.set(feed.id, { ...(feedStatus.get(feed.id) || {}), lastPolledAt: new Date().toISOString(), lastError: error.message });
+        results.push({ id: feed.id, name: feed.name, error: error.message });
+      }
+    }
+
+    return {
+      feeds: results,
+      added: results.reduce((sum, result) => sum + (result.added || 0), 0),
+      pruned: pruneItems()
+    };
+  },
+
+  /**
+   * Configured feeds with the outcome of their last poll
+   * @returns {Array<Object>} - [{ id, name, location, lastPolledAt, lastError, items, added }]
+   */
+  listFeeds: () => newsConfig.feeds.map(feed => ({
+    ...feed,
+    lastPolledAt: null,
+    lastError: null,
+    ...(feedStatus.get(feed.id) || {})
+  })),
+
+  /**
+   * Recent news about a company, newest first. A tracked company is matched by
+   * its name and aliases; any other name is matched as given.
+   * @param {string} companyName - Company name (or one of its aliases)
+   * @param {Object} options - Optional { limit, maxAgeDays }
+   * @returns {Array<Object>} - [{ id, title, source, date, url, summary, companyIds }]
+   */
+  getCompanyNews: (companyName, options = {}) => {
+    const { limit = newsConfig.lookup.limit, maxAgeDays = newsConfig.lookup.maxAgeDays } = options;
+    const key = companyKnowledgeService.normalizeKey(companyName);
+    if (!key) return [];
+
+    const tracked = companyStore.find(company => companyTerms(company).includes(key));
+    const terms = tracked ? companyTerms(tracked) : [key];
+    const cutoff = Date.now() - maxAgeDays * DAY;
+
+    return newestFirst(newsStore.list()
+      .filter(item => (tracked && item.companyIds.includes(String(tracked.id))) || mentions(item, terms))
+      .map(toNewsItem)
+      .filter(item => Date.parse(item.date) >= cutoff))
+      .slice(0, limit);
+  },
+
+  /**
+   * Most recent stored items from all feeds
+   * @param {Object} options - Optional { limit }
+   * @returns {Array<Object>} - [{ id, title, source, date, url, summary, companyIds }]
+   */
+  listRecent: (options = {}) => newestFirst(newsStore.list().map(toNewsItem))
+    .slice(0, options.limit || newsConfig.lookup.limit),
+
+  /**
+   * Queue a poll of every configured feed
+   * @returns {Object} - Public view of the queued job
+   */
+  startPoll: () => {
+    const job = jobQueue.enqueue(JOB_TYPE, {});
+    lastJobId = job.id;
+    return job;
+  },
+
+  /**
+   * Queue a poll unless one is already running or no feeds are configured
+   * @returns {Object|null} - Public view of the queued job, or null if skipped
+   */
+  pollIfIdle: () => {
+    const previous = lastJobId ? jobQueue.getJob(lastJobId) : null;
+    if (previous && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(previous.status)) {
+      return null;
+    }
+    if (newsConfig.feeds.length === 0) {
+      return null;
+    }
+    return newsService.startPoll();
+  },
+
+  /**
+   * Poll the feeds now and then every interval; does not keep the process alive
+   * @param {number} [intervalMs] - Time between polls (default: configured interval)
+   * @returns {Object|null} - Public view of the first poll's job, or null if none was queued
+   */
+  startScheduler: (intervalMs = newsConfig.polling.intervalMs) => {
+    if (timer) return null;
+    timer = setInterval(newsService.pollIfIdle, intervalMs);
+    timer.unref();
+    // Feed status lives in memory, so a restart would otherwise show no news until the first interval
+    return newsService.pollIfIdle();
+  },
+
+  /**
+   * Stop the scheduled polls
+   */
+  stopScheduler: () => {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+jobQueue.registerHandler(JOB_TYPE, {
+  stages: [
+    { id: 'polling', label: 'Reading news feeds and matching companies' }
+  ],
+  run: async (params, job) => {
+    job.setStage('polling');
+    return newsService.pollFeeds();
+  }
+});
+
+module.exports = newsService;
@@ -0,0 +1,194 @@
+/**
+ * Outcome Service
+ *
+ * Records what happened to generated content once it was used (sent, opened,
+ * replied, meeting booked, lost) and reports positive outcome rates by role
+ * category, output format, model, angle and prompt version, so we can see
+ * which combinations actually work.
+ */
+
+const { outcomeStore, analysisStore, prospectStore, schemas } = require('./storageService');
+const { mapToRoleCategory } = require('./researchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Outcomes that count as a win
+const POSITIVE_EVENTS = ['replied', 'meeting_booked'];
+
+// Funnel order without the terminal "lost"; reaching a stage implies the ones before it
+const FUNNEL = schemas.outcome.events.filter(event => event !== 'lost');
+
+// Report dimensions: [name, field on the outcome snapshot]
+const DIMENSIONS = [
+  ['roleCategory', 'roleCategory'],
+  ['outputFormat', 'outputFormat'],
+  ['model', 'salesCopyModel'],
+  ['angle', 'angle'],
+  ['promptVersion', 'promptVersion']
+];
+
+/**
+ * Describe how an analysis was generated, so its outcomes can be grouped later
+ * @param {Object} analysis - Saved analysis
+ * @param {string} [variantId] - A/B variant that was used
+ * @returns {Object} - { prospectId, roleCategory, outputFormat, fineTuningModel, salesCopyModel, promptVersion, angle }
+ */
+function snapshotAnalysis(analysis, variantId) {
+  const agentProcess = (analysis.metadata && analysis.metadata.process) || {};
+  const modelOptions = analysis.modelOptions || {};
+  const prospect = analysis.prospectId ? prospectStore.get(analysis.prospectId) : null;
+
+  // Prefer the role the research step settled on, else map the title
+  const title = (analysis.profileData && analysis.profileData.title) || (prospect && prospect.title) || '';
+  const researchedRole = analysis.metadata && analysis.metadata.researchSummary && analysis.metadata.researchSummary.roleCategory;
+
+  return {
+    prospectId: analysis.prospectId,
+    roleCategory: researchedRole || (title ? mapToRoleCategory(title) : ''),
+    outputFormat: analysis.outputFormat || '',
+    fineTuningModel: agentProcess.fineTuningModel || modelOptions.fineTuningModel || null,
+    salesCopyModel: agentProcess.salesCopyModel || modelOptions.salesCopyModel || null,
+    promptVersion: agentProcess.promptVersion || (analysis.metadata && analysis.metadata.promptVersion) || null,
+    angle: variantId || (analysis.sentVariant && analysis.sentVariant.id) || null
+  };
+}
+
+/**
+ * Collapse outcome events into one entry per generated artifact
+ * @param {Array<Object>} outcomes - Outcome records
+ * @returns {Array<Object>} - [{ analysisId, snapshot, reached, lost, positive, firstAt }]
+ */
+function toArtifacts(outcomes) {
+  const artifacts = new Map();
+  outcomes.forEach(outcome => {
+    const key = String(outcome.analysisId);
+    const artifact = artifacts.get(key) || { analysisId: outcome.analysisId, events: [], firstAt: outcome.occurredAt };
+    artifact.events.push(outcome.event);
+    if (outcome.occurredAt < artifact.firstAt) artifact.firstAt = outcome.occurredAt;
+    // The latest snapshot wins, e.g. once the sent variant is known
+    if (!artifact.snapshot || outcome.occurredAt >= artifact.snapshotAt) {
+      artifact.snapshot = outcome;
+      artifact.snapshotAt = outcome.occurredAt;
+    }
+    artifacts.set(key, artifact);
+  });
+
+  return [...artifacts.values()].map(artifact => ({
+    analysisId: artifact.analysisId,
+    snapshot: artifact.snapshot,
+    firstAt: artifact.firstAt,
+    reached: Math.max(0, ...artifact.events.map(event => FUNNEL.indexOf(event))),
+    lost: artifact.events.includes('lost'),
+    positive: artifact.events.some(event => POSITIVE_EVENTS.includes(event))
+  }));
+}
+
+/**
+ * Funnel counts and positive outcome rate for a group of artifacts
+ * @param {Array<Object>} artifacts - Artifacts from toArtifacts
+ * @returns {Object} - { artifacts, sent, opened, replied, meetingBooked, lost, positive, positiveRate }
+ */
+function summarize(artifacts) {
+  const reached = stage => artifacts.filter(artifact => artifact.reached >= FUNNEL.indexOf(stage)).length;
+  const positive = artifacts.filter(artifact => artifact.positive).length;
+
+  return {
+    artifacts: artifacts.length,
+    sent: reached('sent'),
+    opened: reached('opened'),
+    replied: reached('replied'),
+    meetingBooked: reached('meeting_booked'),
+    lost: artifacts.filter(artifact => artifact.lost).length,
+    positive,
+    positiveRate: artifacts.length > 0 ? Math.round((positive / artifacts.length) * 1000) / 10 : 0
+  };
+}
+
+/**
+ * Group artifacts by one or more snapshot fields, best positive rate first
+ * @param {Array<Object>} artifacts - Artifacts from toArtifacts
+ * @param {Array<Array<string>>} dimensions - [name, field] pairs
+ * @returns {Array<Object>} - Rows with the dimension values and their summary
+ */
+function breakdown(artifacts, dimensions) {
+  const groups = new Map();
+  artifacts.forEach(artifact => {
+    const values = dimensions.map(([, field]) => artifact.snapshot[field] || 'unknown');
+    const key = values.join('|');
+    if (!groups.has(key)) groups.set(key, { values, artifacts: [] });
+    groups.get(key).artifacts.push(artifact);
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      const row = {};
+      dimensions.forEach(([name], index) => { row[name] = group.values[index]; });
+      return { ...row, ...summarize(group.artifacts) };
+    })
+    .sort((a, b) => b.positiveRate - a.positiveRate || b.artifacts - a.artifacts);
+}
+
+const outcomeService = {
+  POSITIVE_EVENTS,
+
+  /**
+   * List outcome events, newest first
+   * @param {Object} filters - { analysisId, prospectId, event }
+   * @returns {Array<Object>} - Outcomes
+   */
+  listOutcomes: (filters = {}) => {
+    return outcomeStore.list({ analysisId: filters.analysisId, prospectId: filters.prospectId, event: filters.event })
+      .sort((a, b) => String(b.occurredAt).localeCompare(String(a.occurredAt)));
+  },
+
+  /**
+   * Log what happened to a saved analysis
+   * @param {string} analysisId - Analysis the outcome belongs to
+   * @param {Object} data - { event, variantId, notes, occurredAt }
+   * @returns {Object|null} - Created outcome, or null when the analysis is unknown
+   */
+  logOutcome: (analysisId, { event, variantId = null, notes = '', occurredAt } = {}) => {
+    const analysis = analysisStore.get(analysisId);
+    if (!analysis) return null;
+
+    return outcomeStore.create({
+      analysisId: analysis.id,
+      event,
+      notes,
+      occurredAt: occurredAt || new Date().toISOString(),
+      ...snapshotAnalysis(analysis, variantId)
+    });
+  },
+
+  /**
+   * Delete an outcome event logged by mistake
+   * @param {string} id - Outcome ID
+   * @returns {boolean} - Whether the outcome existed
+   */
+  removeOutcome: (id) => outcomeStore.remove(id),
+
+  /**
+   * Positive outcome rates per role category, output format, model, angle and
+   * prompt version, plus the role/format/model combinations
+   * @param {Object} options - { days } only count artifacts first used in the last N days
+   * @returns {Object} - { totals, byRoleCategory, byOutputFormat, byModel, byAngle, byPromptVersion, combinations }
+   */
+  getReport: ({ days } = {}) => {
+    let artifacts = toArtifacts(outcomeStore.list());
+    if (days) {
+      const since = new Date(Date.now() - days * DAY_MS).toISOString();
+      artifacts = artifacts.filter(artifact => artifact.firstAt >= since);
+    }
+
+    const report = { totals: summarize(artifacts) };
+    DIMENSIONS.forEach(dimension => {
+      const [name] = dimension;
+      report[`by${name.charAt(0).toUpperCase()}${name.slice(1)}`] = breakdown(artifacts, [dimension]);
+    });
+    report.combinations = breakdown(artifacts, DIMENSIONS.slice(0, 3));
+
+    return report;
+  }
+};
+
+module.exports = outcomeService;
@@ -0,0 +1,165 @@
+/**
+ * Product Knowledge Service
+ *
+ * Structured product messaging: products and pricing, the "4 Extra Employees"
+ * roles, claims with their sources and statistics. The prompt registry fills
+ * the knowledge placeholders ({productCatalog}, {extraEmployees},
+ * {keyStatistics}, {productClaims}) from this store every time it renders, so
+ * edits made on the settings page reach the next generated message. Only
+ * approved claims and statistics are used.
+ */
+
+const fs = require('fs');
+const { knowledgeStore, schemas } = require('./storageService');
+
+// Messaging the prompts used before it became editable; seeds an empty store
+const DEFAULT_KNOWLEDGE = [
+  { type: 'product', name: 'Argos', text: 'AI-powered surveillance with solar power, cameras with 360° coverage and Starlink connectivity', price: '$1,849/month' },
+  { type: 'product', name: 'LunaVu', text: 'Complements Argos by eliminating blind spots', price: '$249/month per unit or $199/month for multi-packs' },
+  { type: 'employee', name: 'Security Officer', text: 'Monitors for unauthorized access and security breaches' },
+  { type: 'employee', name: 'Project Manager', text: 'Tracks work progress and completion' },
+  { type: 'employee', name: 'Safety Coordinator', text: 'Identifies safety violations in real-time' },
+  { type: 'employee', name: 'Damage Mitigator', text: 'Documents incidents and identifies responsible parties' },
+  { type: 'statistic', text: 'Companies using our system have reduced safety incidents by 30%', source: 'VigilantEx customer data' },
+  { type: 'statistic', text: 'Safety violations have decreased by 35% through real-time monitoring', source: 'VigilantEx customer data' },
+  { type: 'statistic', text: 'Productivity has improved by 22%', source: 'VigilantEx customer data' },
+  { type: 'statistic', text: 'Theft and vandalism have decreased by 40%', source: 'VigilantEx customer data' },
+  { type: 'claim', text: 'Setup in less than a day', source: 'VigilantEx installation team' },
+  { type: 'claim', text: 'Solar-powered with Starlink connectivity, so no wiring or site internet is needed', source: 'Argos product specification' }
+];
+
+// Placeholder name to the function building its text from the knowledge records
+const PROMPT_VARIABLES = {
+  productCatalog: (records) => records
+    .filter(record => record.type === 'product')
+    .map(record => `- ${record.name}${record.price ? `: ${record.price}` : ''}${record.text ? ` - ${record.text}` : ''}`)
+    .join('\n'),
+  extraEmployees: (records) => records
+    .filter(record => record.type === 'employee')
+    .map((record, index) => `${index + 1}. ${record.name}: ${record.text}`)
+    .join('\n'),
+  keyStatistics: (records) => records
+    .filter(record => record.type === 'statistic' && record.approved)
+    .map(record => `- ${record.text}`)
+    .join('\n'),
+  productClaims: (records) => records
+    .filter(record => record.type === 'claim' && record.approved)
+    .map(record => `- ${record.text}`)
+    .join('\n')
+};
+
+/**
+ * Create the default messaging the first time the store is used. Checking the
+ * file rather than the record count keeps a deliberately emptied store empty.
+ */
+function seedDefaults() {
+  if (knowledgeStore.records || fs.existsSync(knowledgeStore.filePath)) return;
+  DEFAULT_KNOWLEDGE.forEach(item => {
+    const position = DEFAULT_KNOWLEDGE.filter(other => other.type === item.type).indexOf(item);
+    knowledgeStore.create({ ...item, approved: true, position });
+  });
+}
+
+/**
+ * Sort by type order, then position, then creation
+ * @param {Object} a - Knowledge record
+ * @param {Object} b - Knowledge record
+ * @returns {number} - Sort order
+ */
+function byPosition(a, b) {
+  const { types } = schemas.knowledge;
+  return (types.indexOf(a.type) - types.indexOf(b.type))
+    || (a.position - b.position)
+    || String(a.createdAt).localeCompare(String(b.createdAt));
+}
+
+const productKnowledgeService = {
+  /**
+   * Placeholders the registry fills from the knowledge store
+   */
+  variables: Object.keys(PROMPT_VARIABLES),
+
+  /**
+   * List knowledge records in prompt order
+   * @param {Object} filters - Optional { type }
+   * @returns {Array<Object>} - Records
+   */
+  listItems: (filters = {}) => {
+    seedDefaults();
+    return knowledgeStore.list(filters).sort(byPosition);
+  },
+
+  /**
+   * Get a knowledge record
+   * @param {number|string} id - Record id
+   * @returns {Object|null} - The record or null if not found
+   */
+  getItem: (id) => {
+    seedDefaults();
+    return knowledgeStore.get(id);
+  },
+
+  /**
+   * Add a knowledge record; it goes to the end of its type unless a position is given
+   * @param {Object} data - { type, name, text, price, source, approved, position }
+   * @returns {Object} - The stored record
+   */
+  createItem: (data) => {
+    seedDefaults();
+    const siblings = knowledgeStore.list({ type: data.type });
+    const position = typeof data.position === 'number'
+      ? data.position
+      : siblings.reduce((max, record) => Math.max(max, record.position + 1), 0);
+    return knowledgeStore.create({ ...data, position });
+  },
+
+  /**
+   * Update a knowledge record
+   * @param {number|string} id - Record id
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} - The updated record or null if not found
+   */
+  updateItem: (id, changes) => {
+    seedDefaults();
+    return knowledgeStore.update(id, changes);
+  },
+
+  /**
+   * Remove a knowledge record
+   * @param {number|string} id - Record id
+   * @returns {boolean} - True if a record was removed
+   */
+  removeItem: (id) => {
+    seedDefaults();
+    return knowledgeStore.remove(id);
+  },
+
+  /**
+   * Prompt text for every knowledge placeholder, built from the current records
+   * @returns {Object} - { productCatalog, extraEmployees, keyStatistics, productClaims }
+   */
+  getPromptValues: () => {
+    const records = productKnowledgeService.listItems();
+    const values = {};
+    Object.entries(PROMPT_VARIABLES).forEach(([name, build]) => {
+      values[name] = build(records);
+    });
+    return values;
+  },
+
+  /**
+   * Approved statistics and claims mentioning any of the keywords, in prompt order
+   * @param {Array<string>} keywords - Words to look for (case-insensitive)
+   * @returns {Array<string>} - Matching statement texts
+   */
+  findEvidence: (keywords = []) => {
+    const words = keywords.map(word => word.toLowerCase());
+    if (words.length === 0) return [];
+    return productKnowledgeService.listItems()
+      .filter(record => (record.type === 'statistic' || record.type === 'claim') && record.approved)
+      .filter(record => words.some(word => record.text.toLowerCase().includes(word)))
+      .map(record => record.text);
+  }
+};
+
+module.exports = productKnowledgeService;
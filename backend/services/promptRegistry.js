@@ -0,0 +1,324 @@
+/**
+ * Prompt Registry
+ *
+ * Versioned prompt templates stored in the prompt-templates collection. Each
+ * key has one active version that generation code renders; admins add new
+ * versions, diff them and switch the active one through /api/prompts. Keys
+ * missing from the store are seeded from services/promptTemplates.js, and
+ * keys still on an unedited default follow changes to it.
+ */
+
+const { promptTemplateStore } = require('./storageService');
+const { defaultTemplates } = require('./promptTemplates');
+const productKnowledgeService = require('./productKnowledgeService');
+
+// {name} placeholders; anything else in braces is left alone
+const PLACEHOLDER = /\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Placeholder names used in a template, in order of first use
+ * @param {string} template - Template text
+ * @returns {Array<string>} - Unique placeholder names
+ */
+function placeholdersOf(template) {
+  return [...new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Notes on versions written from the code defaults rather than through /api/prompts
+const DEFAULT_NOTES = 'Default template';
+
+/**
+ * Whether a stored version matches a default template
+ * @param {Object} record - Stored version
+ * @param {Object} definition - Default template definition
+ * @returns {boolean}
+ */
+function matchesDefault(record, definition) {
+  return record.template === definition.template
+    && record.variables.length === definition.variables.length
+    && definition.variables.every(name => record.variables.includes(name));
+}
+
+/**
+ * Create version 1 of every default template the store does not have yet.
+ * A key still running an unedited default that no longer matches the code
+ * (e.g. a store seeded before the product knowledge variables existed) gets
+ * the current default as a new active version; versions written or
+ * re-activated by an admin are left alone.
+ */
+function seedDefaults() {
+  const records = promptTemplateStore.list();
+  Object.entries(defaultTemplates).forEach(([key, definition]) => {
+    const versions = records.filter(record => record.key === key);
+    const latest = versions.reduce((newest, record) => (!newest || record.version > newest.version ? record : newest), null);
+    if (latest && (!latest.active || latest.notes !== DEFAULT_NOTES || matchesDefault(latest, definition))) return;
+
+    if (latest) {
+      promptTemplateStore.update(latest.id, { active: false });
+    }
+    promptTemplateStore.create({
+      key,
+      version: latest ? latest.version + 1 : 1,
+      description: definition.description,
+      variables: definition.variables,
+      template: definition.template,
+      active: true,
+      notes: DEFAULT_NOTES
+    });
+  });
+}
+
+/**
+ * All stored versions of a template, oldest first
+ * @param {string} key - Template key
+ * @returns {Array<Object>} - Versions
+ */
+function versionsOf(key) {
+  seedDefaults();
+  return promptTemplateStore.list({ key }).sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Line diff between two texts (longest common subsequence)
+ * @param {string} fromText - Old text
+ * @param {string} toText - New text
+ * @returns {Array<Object>} - [{ type: 'unchanged'|'removed'|'added', text }]
+ */
+function diffLines(fromText, toText) {
+  const from = fromText.split('\n');
+  const to = toText.split('\n');
+
+  // lengths[i][j] = common lines between from[i..] and to[j..]
+  const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lengths[i][j] = from[i] === to[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length || j < to.length) {
+    if (i < from.length && j < to.length && from[i] === to[j]) {
+      lines.push({ type: 'unchanged', text: from[i] });
+      i++;
+      j++;
+    } else if (i < from.length && (j === to.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: from[i] });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: to[j] });
+      j++;
+    }
+  }
+  return lines;
+}
+
+const promptRegistry = {
+  /**
+   * Whether generation code knows how to fill a template key
+   * @param {string} key - Template key
+   * @returns {boolean} - True for registered keys
+   */
+  hasKey: (key) => Object.prototype.hasOwnProperty.call(defaultTemplates, key),
+
+  /**
+   * Summary of every template key
+   * @returns {Array<Object>} - [{ key, description, variables, activeVersion, latestVersion, versions }]
+   */
+  listTemplates: () => {
+    return Object.keys(defaultTemplates).map(key => {
+      const versions = versionsOf(key);
+      const active = versions.find(version => version.active) || versions[versions.length - 1];
+      return {
+        key,
+        description: active.description,
+        variables: active.variables,
+        activeVersion: active.version,
+        latestVersion: versions[versions.length - 1].version,
+        versions: versions.length
+      };
+    });
+  },
+
+  /**
+   * All versions of a template, oldest first
+   * @param {string} key - Template key
+   * @returns {Array<Object>} - Versions (empty for unknown keys)
+   */
+  listVersions: (key) => versionsOf(key),
+
+  /**
+   * A single version of a template
+   * @param {string} key - Template key
+   * @param {number} version - Version number
+   * @returns {Object|null} - The version or null if not found
+   */
+  getVersion: (key, version) => {
+    return versionsOf(key).find(record => record.version === Number(version)) || null;
+  },
+
+  /**
+   * The version generation code currently renders
+   * @param {string} key - Template key
+   * @returns {Object|null} - Active version or null for unknown keys
+   */
+  getActive: (key) => versionsOf(key).find(record => record.active) || null,
+
+  /**
+   * Check a template against its declared variables and the values callers supply
+   * @param {string} key - Template key
+   * @param {Object} data - { template, variables }
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateTemplate: (key, { template, variables } = {}) => {
+    if (typeof template !== 'string' || !template.trim()) {
+      return ['template must be a non-empty string'];
+    }
+    if (!Array.isArray(variables) || variables.some(name => typeof name !== 'string')) {
+      return ['variables must be an array of strings'];
+    }
+
+    const errors = [];
+    const used = placeholdersOf(template);
+    const supplied = [
+      ...(defaultTemplates[key] ? defaultTemplates[key].variables : []),
+      ...productKnowledgeService.variables
+    ].filter((name, index, names) => names.indexOf(name) === index);
+
+    const undeclared = used.filter(name => !variables.includes(name));
+    if (undeclared.length > 0) errors.push(`Placeholders not declared as variables: ${undeclared.join(', ')}`);
+
+    const unused = variables.filter(name => !used.includes(name));
+    if (unused.length > 0) errors.push(`Variables not used in the template: ${unused.join(', ')}`);
+
+    // A version may only use values the generation code passes for this key
+    const unknown = variables.filter(name => !supplied.includes(name));
+    if (unknown.length > 0) {
+      errors.push(`Unknown variables for ${key}: ${unknown.join(', ')} (available: ${supplied.join(', ') || 'none'})`);
+    }
+    return errors;
+  },
+
+  /**
+   * Store a new version of a template. Call validateTemplate first.
+   * @param {string} key - Template key
+   * @param {Object} data - { template, variables, description, notes, activate }
+   * @returns {Object} - The new version
+   */
+  createVersion: (key, { template, variables, description, notes = '', activate = false }) => {
+    const versions = versionsOf(key);
+    const latest = versions[versions.length - 1];
+    const record = promptTemplateStore.create({
+      key,
+      version: latest.version + 1,
+      description: description || latest.description,
+      variables,
+      template,
+      active: false,
+      notes
+    });
+    return activate ? promptRegistry.activateVersion(key, record.version) : record;
+  },
+
+  /**
+   * Make a version the one generation code renders
+   * @param {string} key - Template key
+   * @param {number} version - Version number
+   * @returns {Object|null} - The activated version or null if not found
+   */
+  activateVersion: (key, version) => {
+    const target = promptRegistry.getVersion(key, version);
+    if (!target) return null;
+
+    versionsOf(key)
+      .filter(record => record.active && record.id !== target.id)
+      .forEach(record => promptTemplateStore.update(record.id, { active: false }));
+    return promptTemplateStore.update(target.id, { active: true });
+  },
+
+  /**
+   * Compare two versions of a template
+   * @param {string} key - Template key
+   * @param {number} fromVersion - Old version
+   * @param {number} toVersion - New version
+   * @returns {Object|null} - { key, from, to, variables: { added, removed }, added, removed, lines }, or null if a version is missing
+   */
+  diffVersions: (key, fromVersion, toVersion) => {
+    const from = promptRegistry.getVersion(key, fromVersion);
+    const to = promptRegistry.getVersion(key, toVersion);
+    if (!from || !to) return null;
+
+    const lines = diffLines(from.template, to.template);
+    return {
+      key,
+      from: from.version,
+      to: to.version,
+      variables: {
+        added: to.variables.filter(name => !from.variables.includes(name)),
+        removed: from.variables.filter(name => !to.variables.includes(name))
+      },
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length,
+      lines
+    };
+  },
+
+  /**
+   * Render the active version of a template. Product knowledge placeholders
+   * are filled from the knowledge store unless the caller passes them.
+   * @param {string} key - Template key
+   * @param {Object} values - Value for every declared variable; empty strings are allowed
+   * @returns {Object} - { text, key, version }
+   * @throws {Error} - When the key is unknown or a declared variable is missing
+   */
+  render: (key, callerValues = {}) => {
+    const active = promptRegistry.getActive(key);
+    if (!active) {
+      throw new Error(`Unknown prompt template: ${key}`);
+    }
+
+    const usesKnowledge = active.variables.some(name => productKnowledgeService.variables.includes(name));
+    const values = usesKnowledge
+      ? { ...productKnowledgeService.getPromptValues(), ...callerValues }
+      : callerValues;
+
+    const missing = active.variables.filter(name => values[name] === undefined || values[name] === null);
+    if (missing.length > 0) {
+      throw new Error(`Prompt template ${key} v${active.version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    const text = active.template.replace(PLACEHOLDER, (placeholder, name) => (
+      active.variables.includes(name) ? String(values[name]) : placeholder
+    ));
+    return { text, key, version: active.version };
+  },
+
+  /**
+   * Label for the template versions behind an artifact, e.g. "fine_tuning_system@v2+sales_copy_system@v1"
+   * @param {Object} versions - Template key to version number
+   * @returns {string} - Version label
+   */
+  formatVersions: (versions) => {
+    return Object.entries(versions).map(([key, version]) => `${key}@v${version}`).join('+');
+  },
+
+  /**
+   * Version label of the active versions of some templates
+   * @param {...string} keys - Template keys
+   * @returns {string} - Version label
+   */
+  activeVersionLabel: (...keys) => {
+    const versions = {};
+    keys.forEach(key => {
+      const active = promptRegistry.getActive(key);
+      if (active) versions[key] = active.version;
+    });
+    return promptRegistry.formatVersions(versions);
+  }
+};
+
+module.exports = promptRegistry;
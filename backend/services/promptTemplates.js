@@ -1,49 +1,60 @@
 /**
  * Prompt templates for VigilantEx content generation
- * 
- * This file contains the prompt templates used for various content generation tasks.
- * Centralizing these templates makes them easier to maintain and update.
+ *
+ * Default (version 1) templates for the prompt registry. Each template declares
+ * its variables up front and uses them as {name} placeholders; the registry
+ * refuses to render a template when a declared variable is missing. Edits made
+ * through /api/prompts are stored as new versions, so this file only seeds
+ * keys the registry has not seen yet. Product facts are not written here:
+ * {productCatalog}, {extraEmployees}, {keyStatistics} and {productClaims} are
+ * filled from the product knowledge store when a template is rendered.
  */
 
-// Try to import LangChain if available, otherwise use simple template strings
-let PromptTemplate;
-try {
-  const langchain = require('@langchain/core/prompts');
-  PromptTemplate = langchain.PromptTemplate;
-} catch (error) {
-  // Create a simplified version if LangChain is not available
-  console.warn('LangChain not available, using simplified templates');
-  PromptTemplate = {
-    fromTemplate: (template) => {
-      return {
-        template,
-        format: (values) => {
-          let result = template;
-          for (const [key, value] of Object.entries(values)) {
-            result = result.replace(new RegExp(`\\{${key}\\}`, 'g'), value);
-          }
-          return result;
-        }
-      };
-    }
-  };
-}
+const agentPrompts = require('../config/agent-prompts');
 
-/**
- * Initialize and return all prompt templates
- * @returns {Object} - Object containing all prompt templates
- */
-function initializePromptTemplates() {
-  // System prompt for B2B construction sales content
-  const salesSystemPrompt = 
+// System prompt for B2B construction sales content
+const salesSystemPrompt =
 `You are an expert sales copywriter specializing in B2B construction technology. 
 Your task is to create persuasive, concise, and professional content for VigilantEx, 
 a company providing AI-powered surveillance for construction sites. 
 Focus on benefits, ROI, and personalization. Use a confident but not aggressive tone.`;
 
-  return {
-    // Profile content prompt
-    profileContent: PromptTemplate.fromTemplate(`${salesSystemPrompt}
+const defaultTemplates = {
+  // Two-agent system prompts
+  fine_tuning_system: {
+    description: 'System prompt of the fine-tuning agent that turns research into a sales copy brief',
+    variables: [],
+    template: agentPrompts.fineTuningAgentPrompt
+  },
+  sales_copy_system: {
+    description: 'System prompt of the sales copy agent',
+    variables: ['productCatalog', 'productClaims', 'extraEmployees', 'keyStatistics'],
+    template: agentPrompts.salesCopyAgentPrompt
+  },
+  claim_rewrite: {
+    description: 'Sales copy agent rewrite of a message without the claims the fact check could not support',
+    variables: ['content', 'unsupportedClaims', 'keyStatistics', 'productClaims'],
+    template: `Rewrite the sales copy below. A fact check found claims in it that are not backed by the prospect's profile, the rep's notes, the company research or our product information:
+
+{unsupportedClaims}
+
+Remove each of these claims or replace it with general wording that states no specific fact. The only statistics and product claims you may use are:
+{keyStatistics}
+{productClaims}
+
+Keep everything else as it is: the tone, the structure, the greeting, the call to action and the sign-off. Return only the rewritten copy.
+
+SALES COPY:
+"""
+{content}
+"""`
+  },
+
+  // Direct profile outreach (email, LinkedIn message or phone script) when the two-agent pipeline is not used
+  profile_content: {
+    description: 'Direct profile outreach (email, LinkedIn message or phone script) when the two-agent pipeline is not used',
+    variables: ['name', 'title', 'companyInfo', 'interests', 'experience', 'outputFormat', 'greeting', 'roleGuidance', 'extraEmployees', 'keyStatistics'],
+    template: `${salesSystemPrompt}
 
 Create a personalized {outputFormat} for {name}, who works as a {title} {companyInfo}.
 
@@ -51,16 +62,10 @@ Their interests include: {interests}
 Their experience: {experience}
 
 VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
+{extraEmployees}
 
 Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
+{keyStatistics}
 
 Personalize the message based on their role.
 {roleGuidance}
@@ -72,10 +77,14 @@ Format:
 - Add personalized value proposition for their specific role
 - End with a call to action for a 15-minute demo
 
-The message should be professional, concise (250-300 words), and conversational.`),
+The message should be professional, concise (250-300 words), and conversational.`
+  },
 
-    // Warm follow-up email prompt
-    warmFollowup: PromptTemplate.fromTemplate(`${salesSystemPrompt}
+  // Warm follow-up email after a phone call
+  warm_followup: {
+    description: 'Warm follow-up email after a phone call',
+    variables: ['name', 'title', 'companyInfo', 'duration', 'topicsDiscussed', 'concerns', 'nextSteps', 'extraEmployees', 'keyStatistics'],
+    template: `${salesSystemPrompt}
 
 Create a warm, personalized follow-up email to {name}, who works as a {title} {companyInfo}.
 
@@ -88,16 +97,10 @@ Call details:
 - Next steps discussed: {nextSteps}
 
 VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifying responsible parties
+{extraEmployees}
 
 Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
+{keyStatistics}
 
 Email format:
 - Start with a warm, personalized greeting referencing our phone conversation
@@ -108,10 +111,14 @@ Email format:
 - Offer to answer any additional questions they might have
 - End with a friendly, professional sign-off
 
-The email should be professional, warm, concise (250 words max), and conversational.`),
+The email should be professional, warm, concise (250 words max), and conversational.`
+  },
 
-    // Message analysis prompt
-    messageAnalysis: PromptTemplate.fromTemplate(`Analyze the following client message regarding VigilantEx's construction site surveillance system:
+  // Sentiment, topics and questions of a client message, returned as JSON
+  message_analysis: {
+    description: 'Sentiment, topics and questions of a client message, returned as JSON',
+    variables: ['clientMessage', 'productCatalog', 'productClaims'],
+    template: `Analyze the following client message regarding VigilantEx's construction site surveillance system:
 
 """
 {clientMessage}
@@ -125,13 +132,19 @@ Provide the analysis in JSON format with these fields:
 Note that VigilantEx provides:
 - Advanced surveillance systems for construction sites
 - Core features: security monitoring, project progress tracking, safety violation detection, and incident documentation
-- Pricing: Argos system at $1,849/month, LunaVue units at $249/month
-- Implementation: Solar-powered with StarLink connectivity, setup in less than a day
+- Products and pricing:
+{productCatalog}
+- Implementation:
+{productClaims}
 
-Return ONLY the JSON data without any explanations.`),
+Return ONLY the JSON data without any explanations.`
+  },
 
-    // Company content prompt
-    companyContent: PromptTemplate.fromTemplate(`${salesSystemPrompt}
+  // Outreach to a decision maker based on company data
+  company_content: {
+    description: 'Outreach to a decision maker based on company data',
+    variables: ['companyName', 'industry', 'size', 'location', 'specialties', 'outputFormat', 'greeting', 'specialtyGuidance', 'extraEmployees', 'keyStatistics'],
+    template: `${salesSystemPrompt}
 
 Create a personalized {outputFormat} for a decision maker at {companyName}.
 
@@ -142,16 +155,10 @@ Company details:
 - Specialties: {specialties}
 
 VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
+{extraEmployees}
 
 Key statistics to use:
-- Companies using our system have reduced safety incidents by 30%
-- Safety violations have decreased by 35% through real-time monitoring
-- Productivity has improved by 22% 
-- Theft and vandalism have decreased by 40%
+{keyStatistics}
 
 Personalize the message based on the company's specialties:
 {specialtyGuidance}
@@ -163,10 +170,14 @@ Format:
 - Add personalized value proposition based on company specialties
 - End with a call to action for a 15-minute demo
 
-The message should be professional, concise (250-300 words), and conversational.`),
+The message should be professional, concise (250-300 words), and conversational.`
+  },
 
-    // Message response prompt
-    messageResponse: PromptTemplate.fromTemplate(`${salesSystemPrompt}
+  // Reply to a client message using its analysis
+  message_response: {
+    description: 'Reply to a client message using its analysis',
+    variables: ['clientMessage', 'sentiment', 'topics', 'questions', 'outputFormat', 'responseFormat', 'sentimentGuidance', 'extraEmployees', 'productCatalog', 'productClaims', 'keyStatistics'],
+    template: `${salesSystemPrompt}
 
 Create a personalized response to the following client message about VigilantEx's construction site surveillance system:
 
@@ -181,16 +192,14 @@ MESSAGE ANALYSIS:
 - Questions: {questions}
 
 VigilantEx provides an advanced AI-powered surveillance system for construction sites that functions like having four additional specialized team members:
-1. Security Officer: Monitors for unauthorized access and security breaches
-2. Project Manager: Tracks work progress and completion
-3. Safety Coordinator: Identifies safety violations in real-time
-4. Damage Mitigator: Documents incidents and identifies responsible parties
+{extraEmployees}
 
 Product Information:
-- Argos system: $1,849/month, includes AI-powered surveillance, solar power, StarLink connectivity
-- LunaVue units: $249/month per unit or $199/month for multi-packs
-- Implementation: Solar-powered with StarLink connectivity, setup in less than a day
-- ROI: 35% reduction in safety violations, 22% productivity improvement, 40% decrease in theft
+{productCatalog}
+{productClaims}
+
+Results to cite:
+{keyStatistics}
 
 Format the response as a {outputFormat}.
 
@@ -204,8 +213,8 @@ The response should:
 - Be professional, helpful, and conversational
 - Be 250-300 words in length
 
-{sentimentGuidance}`)
-  };
-}
+{sentimentGuidance}`
+  }
+};
 
-module.exports = { initializePromptTemplates };
\ No newline at end of file
+module.exports = { defaultTemplates };
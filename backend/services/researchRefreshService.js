@@ -0,0 +1,115 @@
+/**
+ * Research Refresh Service
+ *
+ * Background job that researches stored companies and industry trends again
+ * before their snapshots go stale, so analyses rarely wait on web research.
+ * The job runs on the shared job queue; the scheduler queues one every
+ * refresh interval unless the previous run is still going.
+ */
+
+const { jobQueue, JOB_STATUS } = require('./jobQueueService');
+const researchService = require('./researchService');
+const companyKnowledgeService = require('./companyKnowledgeService');
+const researchCacheConfig = require('../config/research-cache');
+
+const JOB_TYPE = 'research-refresh';
+
+let timer = null;
+let lastJobId = null;
+
+jobQueue.registerHandler(JOB_TYPE, {
+  stages: [
+    { id: 'selecting', label: 'Finding research due for a refresh' },
+    { id: 'refreshing', label: 'Researching companies again' }
+  ],
+  run: async (params, job) => {
+    job.setStage('selecting');
+    const entries = Array.isArray(params.keys)
+      ? params.keys
+        .map(key => companyKnowledgeService.getRecord(params.type || 'company', key))
+        .filter(Boolean)
+      : companyKnowledgeService.listDue();
+
+    job.setStage('refreshing');
+    const refreshed = [];
+    const failed = [];
+
+    // One at a time: each company is several searches and an LLM call
+    for (const entry of entries) {
+      try {
+        if (entry.type === 'industry_trends') {
+          await researchService.getIndustryTrends({ force: true });
+          refreshed.push({ key: entry.key, type: entry.type });
+          continue;
+        }
+
+        // Keying by the stored key (a domain or normalised name) keeps the new snapshot on the same record
+        const research = await researchService.researchCompany(entry.companyName, { force: true, domain: entry.key });
+        if (research.refreshStatus) {
+          // An outage or empty search left the last completed snapshot in place
+          failed.push({ key: entry.key, type: entry.type, error: `Research came back ${research.refreshStatus}; kept the last completed research` });
+        } else if (!researchService.STORED_STATUSES.includes(research.researchStatus)) {
+          // Nothing was stored; the next analysis researches live once the snapshot is stale
+          failed.push({ key: entry.key, type: entry.type, error: `Research came back ${research.researchStatus}` });
+        } else {
+          refreshed.push({ key: entry.key, type: entry.type, researchStatus: research.researchStatus });
+        }
+      } catch (error) {
+        console.error(`Error refreshing research for ${entry.key}:`, error);
+        failed.push({ key: entry.key, type: entry.type, error: error.message });
+      }
+    }
+
+    return { refreshed, failed };
+  }
+});
+
+const researchRefreshService = {
+  JOB_TYPE,
+
+  /**
+   * Queue a refresh job
+   * @param {Object} params - Optional { keys, type }; without keys every due snapshot is refreshed
+   * @returns {Object} - Public view of the queued job
+   */
+  startRefresh: (params = {}) => {
+    const job = jobQueue.enqueue(JOB_TYPE, params);
+    lastJobId = job.id;
+    return job;
+  },
+
+  /**
+   * Queue a refresh of due snapshots unless one is already running or nothing is due
+   * @returns {Object|null} - Public view of the queued job, or null if skipped
+   */
+  refreshDue: () => {
+    const previous = lastJobId ? jobQueue.getJob(lastJobId) : null;
+    if (previous && [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING].includes(previous.status)) {
+      return null;
+    }
+    if (companyKnowledgeService.listDue().length === 0) {
+      return null;
+    }
+    return researchRefreshService.startRefresh();
+  },
+
+  /**
+   * Refresh due snapshots every interval; does not keep the process alive
+   * @param {number} [intervalMs] - Time between runs (default: configured interval)
+   */
+  startScheduler: (intervalMs = researchCacheConfig.refresh.intervalMs) => {
+    if (timer) return;
+    timer = setInterval(researchRefreshService.refreshDue, intervalMs);
+    timer.unref();
+  },
+
+  /**
+   * Stop the scheduled refreshes
+   */
+  stopScheduler: () => {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = researchRefreshService;
@@ -2,84 +2,108 @@
  * Research Service
  * 
  * This service handles web research for company information and role-specific insights
- * to support the two-agent system.
+ * to support the two-agent system. Company research and industry trends are
+ * kept in the company knowledge store and reused until they are stale.
  */
 
-const { WebFetchTool } = require('../utils/webFetchTool');
+const webResearchService = require('./webResearchService');
+const companyKnowledgeService = require('./companyKnowledgeService');
 const agentPrompts = require('../config/agent-prompts');
 const multiLLMService = require('./multiLLMService');
 
+// Research outcomes worth keeping; without a search provider, during a search outage or after a failure research runs again next time
+const STORED_STATUSES = ['completed', 'no_sources'];
+
+// Research in progress by store key, so simultaneous analyses of one company share it
+const inFlight = new Map();
+
+/**
+ * Run research once per key at a time
+ * @param {string} key - Store key ('' runs without sharing)
+ * @param {Function} run - async () => result
+ * @returns {Promise<*>} - The result
+ */
+function shareInFlight(key, run) {
+  if (!key) return run();
+  if (!inFlight.has(key)) {
+    inFlight.set(key, run().finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
 /**
  * Research service for gathering information about companies and roles
  */
 const researchService = {
   /**
-   * Research company information using web sources
+   * Company research, from the company knowledge store while it is fresh and
+   * from the web otherwise. Fresh web research is stored for the next analysis,
+   * except that research which did not complete never replaces a stored
+   * completed snapshot: that snapshot is returned instead, with refreshStatus.
    * @param {string} companyName - The name of the company to research
-   * @returns {Promise<Object>} - Information about the company
+   * @param {Object} options - Additional options
+   * @param {boolean} [options.force] - Research again even if a fresh snapshot is stored
+   * @param {string} [options.domain] - Company domain, used as the store key instead of the name
+   * @returns {Promise<Object>} - fetchCompanyResearch result plus researchedAt and fromCache (and refreshStatus when the stored snapshot was kept)
    */
-  researchCompany: async (companyName) => {
+  researchCompany: async (companyName, options = {}) => {
+    const keyValue = options.domain || companyName;
+    const stored = options.force ? null : companyKnowledgeService.getSnapshot('company', keyValue);
+    if (stored && !stored.stale) {
+      console.log(`Using stored research for ${companyName} from ${stored.researchedAt}`);
+      return { ...stored.snapshot, researchedAt: stored.researchedAt, fromCache: true };
+    }
+
+    const key = companyKnowledgeService.normalizeKey(keyValue);
+    return shareInFlight(key && `company:${key}`, async () => {
+      const research = await researchService.fetchCompanyResearch(companyName);
+      const previous = key && research.researchStatus !== 'completed'
+        ? companyKnowledgeService.getSnapshot('company', keyValue)
+        : null;
+      if (previous && previous.snapshot.researchStatus === 'completed') {
+        console.warn(`Research for ${companyName} came back ${research.researchStatus}; keeping research from ${previous.researchedAt}`);
+        return { ...previous.snapshot, researchedAt: previous.researchedAt, fromCache: true, refreshStatus: research.researchStatus };
+      }
+      if (key && STORED_STATUSES.includes(research.researchStatus)) {
+        const record = companyKnowledgeService.saveSnapshot('company', keyValue, research, companyName);
+        return { ...research, researchedAt: record.researchedAt, fromCache: false };
+      }
+      return { ...research, researchedAt: new Date().toISOString(), fromCache: false };
+    });
+  },
+
+  /**
+   * Research company information using web sources, bypassing the store.
+   * Facts come only from fetched pages and keep their source URL; when no
+   * search provider is enabled or nothing is found, the company details stay unknown.
+   * @param {string} companyName - The name of the company to research
+   * @returns {Promise<Object>} - Information about the company; recentProjects, recentNews and challengesOpportunities are [{ id, text, sourceUrl, retrievedAt, confidence }]
+   */
+  fetchCompanyResearch: async (companyName) => {
     try {
       console.log(`Researching company: ${companyName}`);
-      
-      // Generate search queries
-      const queries = [
-        `${companyName} construction company`,
-        `${companyName} construction projects`,
-        `${companyName} construction news`,
-        `${companyName} company size employees`
-      ];
-      
-      // Execute queries and collect results
-      const results = [];
-      for (const query of queries) {
-        try {
-          // Construct a URL for search
-          const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}`;
-          
-          // Use WebFetchTool to get search results
-          // Note: In a production environment, you would use a proper search API
-          const result = await WebFetchTool(
-            searchUrl,
-            `Extract key information about ${companyName} from these search results. Focus on company size, industry focus, recent projects, and news.`
-          );
-          
-          results.push(result);
-        } catch (error) {
-          console.error(`Error researching query "${query}":`, error);
-        }
-      }
-      
-      // Process results with LLM to extract structured information
-      const researchPrompt = `Analyze the following search results about ${companyName} and extract key information:
-      
-      ${results.join('\n\n')}
-      
-      Please provide a structured summary with these sections:
-      1. Company Size (small/medium/large)
-      2. Industry Focus
-      3. Recent Projects
-      4. Recent News
-      5. Challenges or Opportunities
-      
-      Format as JSON.`;
-      
-      const structuredInfo = await multiLLMService.generateContent(
-        researchPrompt,
-        'analysis',
-        { model: 'gpt-4o-mini' }
-      );
-      
-      // Try to parse as JSON, fallback to text if parsing fails
-      try {
-        return JSON.parse(structuredInfo);
-      } catch (error) {
-        console.warn('Could not parse research results as JSON, returning text');
-        return { 
-          rawResearch: structuredInfo,
-          companyName
-        };
+
+      const research = await webResearchService.researchCompany(companyName);
+      if (research.status !== 'completed') {
+        console.log(`No web research for ${companyName}: ${research.status}`);
       }
+
+      const factsAbout = (category) => research.facts.filter(fact => fact.category === category);
+      const [companySize] = factsAbout('companySize');
+      const [industryFocus] = factsAbout('industryFocus');
+
+      // Projects, news and challenges keep their citation so prompts and metadata can show it
+      return {
+        companyName,
+        companySize: companySize ? companySize.statement : 'unknown',
+        industryFocus: industryFocus ? industryFocus.statement : 'construction',
+        recentProjects: factsAbout('recentProject').map(toCitedItem),
+        recentNews: factsAbout('recentNews').map(toCitedItem),
+        challengesOpportunities: factsAbout('challenge').map(toCitedItem),
+        facts: research.facts,
+        sources: research.sources,
+        researchStatus: research.status
+      };
     } catch (error) {
       console.error('Error in company research:', error);
       
@@ -90,7 +114,10 @@ const researchService = {
         industryFocus: 'construction',
         recentProjects: [],
         recentNews: [],
-        challengesOpportunities: []
+        challengesOpportunities: [],
+        facts: [],
+        sources: [],
+        researchStatus: 'failed'
       };
     }
   },
@@ -157,10 +184,31 @@ const researchService = {
   },
   
   /**
-   * Research industry trends related to construction
+   * Construction industry trends, from the company knowledge store while fresh
+   * @param {Object} options - Additional options
+   * @param {boolean} [options.force] - Generate them again even if fresh ones are stored
    * @returns {Promise<Array>} - List of industry trends
    */
-  getIndustryTrends: async () => {
+  getIndustryTrends: async (options = {}) => {
+    const { TRENDS_KEY } = companyKnowledgeService;
+    const stored = options.force ? null : companyKnowledgeService.getSnapshot('industry_trends', TRENDS_KEY);
+    if (stored && !stored.stale) return stored.snapshot;
+
+    return shareInFlight(`industry_trends:${TRENDS_KEY}`, async () => {
+      const { trends, generated } = await researchService.fetchIndustryTrends();
+      // The built-in defaults are not worth storing; the LLM is asked again next time
+      if (generated) {
+        companyKnowledgeService.saveSnapshot('industry_trends', TRENDS_KEY, trends, 'Construction industry');
+      }
+      return trends;
+    });
+  },
+
+  /**
+   * Research industry trends related to construction, bypassing the store
+   * @returns {Promise<Object>} - { trends, generated } where generated is false for the built-in defaults
+   */
+  fetchIndustryTrends: async () => {
     try {
       console.log('Researching construction industry trends');
       
@@ -176,10 +224,12 @@ const researchService = {
       
       // Try to parse as JSON, fallback to array if parsing fails
       try {
-        return JSON.parse(trendsResult);
+        const trends = JSON.parse(trendsResult);
+        if (!Array.isArray(trends)) throw new Error('Trends are not a list');
+        return { trends, generated: true };
       } catch (error) {
         console.warn('Could not parse trends as JSON, returning default trends');
-        return [
+        return { trends: [
           {
             trend: "Increasing construction site theft and vandalism",
             relevance: "Creates urgent need for advanced surveillance systems"
@@ -200,13 +250,13 @@ const researchService = {
             trend: "Remote site management becoming standard",
             relevance: "Increases demand for solutions with remote monitoring capabilities"
           }
-        ];
+        ], generated: false };
       }
     } catch (error) {
       console.error('Error getting industry trends:', error);
       
       // Return default trends if research fails
-      return [
+      return { trends: [
         {
           trend: "Increasing construction site theft and vandalism",
           relevance: "Creates urgent need for advanced surveillance systems"
@@ -215,11 +265,26 @@ const researchService = {
           trend: "Rising OSHA penalties for safety violations",
           relevance: "Makes proactive safety monitoring more important than ever"
         }
-      ];
+      ], generated: false };
     }
   }
 };
 
+/**
+ * A researched fact as a list item that keeps its citation
+ * @param {Object} fact - Fact from webResearchService
+ * @returns {Object} - { id, text, sourceUrl, retrievedAt, confidence }
+ */
+function toCitedItem(fact) {
+  return {
+    id: fact.id,
+    text: fact.statement,
+    sourceUrl: fact.sourceUrl,
+    retrievedAt: fact.retrievedAt,
+    confidence: fact.confidence
+  };
+}
+
 /**
  * Map a job title to a standardized role category
  * @param {string} jobTitle - The job title to map
@@ -246,4 +311,6 @@ function mapToRoleCategory(jobTitle) {
   return 'operations_director';
 }
 
-module.exports = researchService;
\ No newline at end of file
+module.exports = researchService;
+module.exports.mapToRoleCategory = mapToRoleCategory;
+module.exports.STORED_STATUSES = STORED_STATUSES;
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Search Provider Registry
+ *
+ * Web search backends used by company research. A provider is any object with:
+ *
+ *   name                    - unique id used in the provider order
+ *   isAvailable()           - true when the provider is enabled and configured
+ *   search(query, options)  - Promise<Array<{ title, url, snippet }>>, best match first
+ *
+ * Optional: label (display name) and health() - Promise<{ ok, latencyMs, error }>.
+ */
+
+const REQUIRED_METHODS = ['isAvailable', 'search'];
+
+class SearchProviderRegistry {
+  /**
+   * @param {Object} config - { order }
+   */
+  constructor(config = {}) {
+    this.providers = new Map();
+    this.order = config.order || [];
+  }
+
+  /**
+   * Register a provider, replacing any provider with the same name
+   * @param {Object} provider - Provider implementing the interface above
+   * @returns {Object} - The registered provider
+   */
+  register(provider) {
+    if (!provider || !provider.name) {
+      throw new Error('Search provider must have a name');
+    }
+    const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`Search provider "${provider.name}" is missing: ${missing.join(', ')}`);
+    }
+
+    this.providers.set(provider.name, provider);
+    return provider;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - Provider name
+   * @returns {boolean} - True if a provider was removed
+   */
+  unregister(name) {
+    return this.providers.delete(name);
+  }
+
+  /**
+   * @param {string} name - Provider name
+   * @returns {Object|null} - The provider or null if not registered
+   */
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  /**
+   * Set the order providers are tried in
+   * @param {Array<string>} order - Provider names
+   */
+  setOrder(order) {
+    this.order = [...order];
+  }
+
+  /**
+   * The provider research should use: the first available one in the configured
+   * order, then any other available provider
+   * @returns {Object|null} - The provider or null when none is enabled
+   */
+  getActive() {
+    const ordered = [
+      ...this.order.map(name => this.get(name)).filter(Boolean),
+      ...Array.from(this.providers.values()).filter(provider => !this.order.includes(provider.name))
+    ];
+    return ordered.find(provider => provider.isAvailable()) || null;
+  }
+
+  /**
+   * Availability and health of every registered provider
+   * @returns {Promise<Array<Object>>} - [{ name, label, available, active, health }]
+   */
+  async describe() {
+    const active = this.getActive();
+    return Promise.all(Array.from(this.providers.values()).map(async (provider) => {
+      const available = provider.isAvailable();
+      let health = { ok: false, latencyMs: null, error: 'Not enabled' };
+      if (available) {
+        health = typeof provider.health === 'function'
+          ? await provider.health().catch(error => ({ ok: false, latencyMs: null, error: error.message }))
+          : { ok: true, latencyMs: null, error: null };
+      }
+
+      return {
+        name: provider.name,
+        label: provider.label || provider.name,
+        available,
+        active: provider === active,
+        health
+      };
+    }));
+  }
+}
+
+module.exports = { SearchProviderRegistry };
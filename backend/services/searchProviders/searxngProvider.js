@@ -0,0 +1,62 @@
+/**
+ * SearXNG search provider
+ *
+ * Queries a SearXNG instance through its JSON API (/search?format=json). The
+ * instance must have the json format enabled in its settings.yml. Disabled
+ * unless SEARXNG_ENABLED=true.
+ */
+
+const axios = require('axios');
+
+class SearxngProvider {
+  /**
+   * @param {Object} settings - { enabled, baseUrl, timeoutMs, language }
+   */
+  constructor(settings = {}) {
+    this.name = 'searxng';
+    this.label = 'SearXNG';
+    this.enabled = settings.enabled === true;
+    this.baseUrl = (settings.baseUrl || '').replace(/\/+$/, '');
+    this.timeoutMs = settings.timeoutMs || 10000;
+    this.language = settings.language || 'en';
+  }
+
+  isAvailable() {
+    return this.enabled && Boolean(this.baseUrl);
+  }
+
+  /**
+   * Search the web
+   * @param {string} query - Search query
+   * @param {Object} options - { limit }
+   * @returns {Promise<Array<Object>>} - [{ title, url, snippet }], best match first
+   */
+  async search(query, { limit = 5 } = {}) {
+    const response = await axios.get(`${this.baseUrl}/search`, {
+      params: { q: query, format: 'json', language: this.language },
+      timeout: this.timeoutMs
+    });
+
+    const results = Array.isArray(response.data && response.data.results) ? response.data.results : [];
+    return results
+      .filter(result => result.url && /^https?:\/\//i.test(result.url))
+      .slice(0, limit)
+      .map(result => ({
+        title: result.title || '',
+        url: result.url,
+        snippet: result.content || ''
+      }));
+  }
+
+  async health() {
+    const startTime = Date.now();
+    try {
+      await axios.get(`${this.baseUrl}/healthz`, { timeout: this.timeoutMs });
+      return { ok: true, latencyMs: Date.now() - startTime, error: null };
+    } catch (error) {
+      return { ok: false, latencyMs: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+module.exports = { SearxngProvider };
@@ -0,0 +1,449 @@
+/**
+ * Storage Service
+ *
+ * File-backed JSON persistence for prospects, companies, saved analyses,
+ * bulk analysis batches, research snapshots and news items.
+ * Each collection is stored in its own JSON file under the data directory,
+ * so records survive server restarts without requiring a database server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Directory holding the collection files (override with DATA_DIR)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../data');
+
+/**
+ * Record schemas. Each field maps to its default value; the prospect and
+ * company schemas mirror the frontend ProspectModel and CompanyModel.
+ */
+const schemas = {
+  prospect: {
+    fields: {
+      name: '',
+      title: '',
+      company: '',
+      companyId: null,
+      email: '',
+      phone: '',
+      linkedinUrl: '',
+      location: '',
+      keySkills: [],
+      experience: [],
+      interests: [],
+      education: [],
+      painPoints: [],
+      salesAngles: [],
+      notes: '',
+      lastAnalyzed: null,
+      tags: [],
+      status: 'new',
+      potentialValue: 0,
+      summary: ''
+    },
+    statuses: ['new', 'contacted', 'qualified', 'opportunity', 'customer', 'archived']
+  },
+  company: {
+    fields: {
+      name: '',
+      // Other names the company appears under in the news (brands, abbreviations, former names)
+      aliases: [],
+      industry: '',
+      size: '',
+      location: '',
+      website: '',
+      linkedinUrl: '',
+      specialties: [],
+      description: '',
+      founded: null,
+      keyProducts: [],
+      recentNews: [],
+      painPoints: [],
+      salesAngles: [],
+      decisionMakers: [],
+      prospects: [],
+      notes: '',
+      lastAnalyzed: null,
+      tags: [],
+      status: 'new',
+      potentialValue: 0,
+      summary: ''
+    },
+    statuses: ['new', 'researched', 'approached', 'opportunity', 'customer', 'archived']
+  },
+  analysis: {
+    fields: {
+      type: 'profile',
+      outputFormat: 'email',
+      prospectId: null,
+      companyId: null,
+      profileData: null,
+      profileContent: null,
+      companyData: null,
+      companyContent: null,
+      decisionMakers: [],
+      clientMessage: null,
+      messageAnalysis: null,
+      responseContent: null,
+      metadata: null,
+      sourceUrl: null,
+      modelOptions: null,
+      // Rep's notes given to the generation, reused when the analysis is re-run
+      additionalContext: null,
+      parentId: null,
+      // A/B variants ({ id, label, focus, content }) and the one the rep sent ({ id, label, sentAt })
+      variants: [],
+      sentVariant: null
+    },
+    types: ['profile', 'company', 'message']
+  },
+  outcome: {
+    fields: {
+      analysisId: null,
+      prospectId: null,
+      event: 'sent',
+      occurredAt: null,
+      notes: '',
+      // Snapshot of how the artifact was generated, for reporting
+      roleCategory: '',
+      outputFormat: '',
+      fineTuningModel: null,
+      salesCopyModel: null,
+      promptVersion: null,
+      angle: null
+    },
+    // Funnel order; replied and meeting_booked count as positive outcomes
+    events: ['sent', 'opened', 'replied', 'meeting_booked', 'lost']
+  },
+  promptTemplate: {
+    fields: {
+      key: '',
+      version: 1,
+      description: '',
+      // Placeholders the template uses, written as {name}; rendering fails when one is missing
+      variables: [],
+      template: '',
+      active: false,
+      notes: ''
+    }
+  },
+  knowledge: {
+    fields: {
+      type: 'product',
+      name: '',
+      // Product summary, what an extra employee does, or the claim/statistic as worded in prompts
+      text: '',
+      price: '',
+      // Where a claim or statistic comes from (study, customer, internal data)
+      source: '',
+      // Only approved claims and statistics are injected into prompts
+      approved: false,
+      position: 0
+    },
+    // Products, the "4 Extra Employees" roles, claims and statistics
+    types: ['product', 'employee', 'claim', 'statistic']
+  },
+  research: {
+    fields: {
+      // Normalised company name or domain (companyKnowledgeService.normalizeKey)
+      key: '',
+      type: 'company',
+      companyName: '',
+      // Latest research: researchService.researchCompany result or the industry trends list
+      snapshot: null,
+      researchedAt: null,
+      // Earlier snapshots ({ snapshot, researchedAt }), newest first
+      history: []
+    },
+    types: ['company', 'industry_trends']
+  },
+  newsItem: {
+    fields: {
+      // Configured feed the item came from (config/news-feeds)
+      feedId: '',
+      source: '',
+      // Feed guid or Atom id, falling back to the link; unique per feed
+      guid: '',
+      title: '',
+      url: '',
+      summary: '',
+      publishedAt: null,
+      fetchedAt: null,
+      // Tracked companies the item mentions by name or alias when it was stored
+      companyIds: []
+    }
+  },
+  thread: {
+    fields: {
+      prospectId: null,
+      subject: '',
+      turns: []
+    },
+    // Turn directions: content we sent, replies we received and notes from calls
+    directions: ['outbound', 'inbound', 'note']
+  },
+  batch: {
+    fields: {
+      name: '',
+      status: 'queued',
+      outputFormat: 'email',
+      modelOptions: null,
+      rows: [],
+      startedAt: null,
+      completedAt: null,
+      error: null
+    },
+    statuses: ['queued', 'running', 'completed', 'cancelled', 'failed']
+  }
+};
+
+/**
+ * Validate a record against its schema
+ * @param {string} schemaName - Schema to validate against (prospect, company, analysis, batch, thread, outcome, promptTemplate, knowledge, research, newsItem)
+ * @param {Object} data - Record data (partial data is allowed for updates)
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateRecord(schemaName, data) {
+  const schema = schemas[schemaName];
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['Record data must be an object'];
+  }
+
+  for (const [field, defaultValue] of Object.entries(schema.fields)) {
+    const value = data[field];
+    if (value === undefined || value === null) continue;
+
+    if (Array.isArray(defaultValue) && !Array.isArray(value)) {
+      errors.push(`${field} must be an array`);
+    } else if (typeof defaultValue === 'string' && typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (typeof defaultValue === 'number' && typeof value !== 'number') {
+      errors.push(`${field} must be a number`);
+    } else if (typeof defaultValue === 'boolean' && typeof value !== 'boolean') {
+      errors.push(`${field} must be true or false`);
+    }
+  }
+
+  if (schema.statuses && data.status && !schema.statuses.includes(data.status)) {
+    errors.push(`status must be one of: ${schema.statuses.join(', ')}`);
+  }
+
+  if (schema.types && data.type && !schema.types.includes(data.type)) {
+    errors.push(`type must be one of: ${schema.types.join(', ')}`);
+  }
+
+  if (schema.events && data.event && !schema.events.includes(data.event)) {
+    errors.push(`event must be one of: ${schema.events.join(', ')}`);
+  }
+
+  return errors;
+}
+
+// Ids follow the frontend models (millisecond timestamps), bumped to stay unique
+let lastId = 0;
+function generateId() {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+}
+
+/**
+ * A collection of records persisted to a single JSON file
+ */
+class JsonCollection {
+  /**
+   * @param {string} name - Collection name (used as the file name)
+   * @param {string} schemaName - Schema applied to records in this collection
+   */
+  constructor(name, schemaName) {
+    this.name = name;
+    this.schemaName = schemaName;
+    this.filePath = path.join(DATA_DIR, `${name}.json`);
+    this.records = null;
+  }
+
+  // Load records from disk on first access
+  load() {
+    if (this.records) return this.records;
+
+    try {
+      if (!fs.existsSync(DATA_DIR)) {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+      }
+
+      if (fs.existsSync(this.filePath)) {
+        this.records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } else {
+        this.records = [];
+      }
+    } catch (error) {
+      console.error(`Error loading ${this.name} collection:`, error);
+      this.records = [];
+    }
+
+    return this.records;
+  }
+
+  // Write records to disk (via a temp file so a crash never leaves half a file)
+  save() {
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.records, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Apply schema defaults to a record
+   * @param {Object} data - Raw record data
+   * @returns {Object} - Record containing every schema field
+   */
+  normalize(data) {
+    const { fields } = schemas[this.schemaName];
+    const record = {};
+
+    for (const [field, defaultValue] of Object.entries(fields)) {
+      if (data[field] !== undefined && data[field] !== null) {
+        record[field] = data[field];
+      } else {
+        record[field] = Array.isArray(defaultValue) ? [] : defaultValue;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * List records, optionally filtered by exact field values
+   * @param {Object} filters - Field/value pairs to match
+   * @returns {Array<Object>} - Matching records
+   */
+  list(filters = {}) {
+    const entries = Object.entries(filters).filter(([, value]) => value !== undefined);
+    return this.load().filter(record =>
+      entries.every(([field, value]) => String(record[field]) === String(value))
+    );
+  }
+
+  /**
+   * Get a record by id
+   * @param {number|string} id - Record id
+   * @returns {Object|null} - The record or null if not found
+   */
+  get(id) {
+    return this.load().find(record => String(record.id) === String(id)) || null;
+  }
+
+  /**
+   * Find the first record matching a predicate
+   * @param {Function} predicate - Test function
+   * @returns {Object|null} - The record or null if not found
+   */
+  find(predicate) {
+    return this.load().find(predicate) || null;
+  }
+
+  /**
+   * Create a new record. The id and createdAt are always generated here, so
+   * request bodies cannot choose or overwrite them.
+   * @param {Object} data - Record data (only schema fields are kept)
+   * @param {Object} fixed - Optional { id, createdAt } for internal callers
+   *   (imports, backfills, tests); never pass request data here
+   * @returns {Object} - The stored record
+   */
+  create(data, fixed = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: fixed.id || generateId(),
+      ...this.normalize(data),
+      createdAt: fixed.createdAt || now,
+      updatedAt: now
+    };
+
+    this.load().push(record);
+    this.save();
+    return record;
+  }
+
+  /**
+   * Update an existing record
+   * @param {number|string} id - Record id
+   * @param {Object} changes - Fields to change
+   * @returns {Object|null} - The updated record or null if not found
+   */
+  update(id, changes) {
+    const records = this.load();
+    const index = records.findIndex(record => String(record.id) === String(id));
+    if (index === -1) return null;
+
+    const { fields } = schemas[this.schemaName];
+    const updated = { ...records[index] };
+    for (const field of Object.keys(fields)) {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    }
+    updated.updatedAt = new Date().toISOString();
+
+    records[index] = updated;
+    this.save();
+    return updated;
+  }
+
+  /**
+   * Update the record matching a field value, or create it if none exists
+   * @param {string} field - Field used to identify the record (e.g. linkedinUrl)
+   * @param {Object} data - Record data
+   * @returns {Object} - The stored record and whether it was created
+   */
+  upsertBy(field, data) {
+    const existing = data[field] ? this.find(record => record[field] === data[field]) : null;
+
+    if (existing) {
+      return { record: this.update(existing.id, data), created: false };
+    }
+    return { record: this.create(data), created: true };
+  }
+
+  /**
+   * Remove a record
+   * @param {number|string} id - Record id
+   * @returns {boolean} - True if a record was removed
+   */
+  remove(id) {
+    const records = this.load();
+    const index = records.findIndex(record => String(record.id) === String(id));
+    if (index === -1) return false;
+
+    records.splice(index, 1);
+    this.save();
+    return true;
+  }
+}
+
+// Collections used by the API
+const prospectStore = new JsonCollection('prospects', 'prospect');
+const companyStore = new JsonCollection('companies', 'company');
+const analysisStore = new JsonCollection('analyses', 'analysis');
+const batchStore = new JsonCollection('batches', 'batch');
+const threadStore = new JsonCollection('threads', 'thread');
+const outcomeStore = new JsonCollection('outcomes', 'outcome');
+const promptTemplateStore = new JsonCollection('prompt-templates', 'promptTemplate');
+const knowledgeStore = new JsonCollection('product-knowledge', 'knowledge');
+const researchStore = new JsonCollection('company-research', 'research');
+const newsStore = new JsonCollection('news-items', 'newsItem');
+
+module.exports = {
+  JsonCollection,
+  schemas,
+  validateRecord,
+  prospectStore,
+  companyStore,
+  analysisStore,
+  batchStore,
+  threadStore,
+  outcomeStore,
+  promptTemplateStore,
+  knowledgeStore,
+  researchStore,
+  newsStore
+};
@@ -0,0 +1,146 @@
+/**
+ * Thread Service
+ *
+ * Conversation threads attached to prospects: the outbound content we sent,
+ * the replies we received and notes taken on calls, all timestamped. Threads
+ * are replayed to the LLM as chat messages so message analysis and replies
+ * take the earlier conversation into account.
+ */
+
+const crypto = require('crypto');
+const { threadStore, schemas } = require('./storageService');
+
+// Only the most recent turns are replayed to keep prompts within context limits
+const MAX_HISTORY_TURNS = 20;
+
+const TURN_LABELS = {
+  inbound: 'Client message',
+  note: 'Call notes'
+};
+
+const threadService = {
+  /**
+   * List threads, most recently updated first
+   * @param {Object} filters - { prospectId }
+   * @returns {Array<Object>} - Threads
+   */
+  listThreads: (filters = {}) => {
+    return threadStore.list({ prospectId: filters.prospectId })
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  },
+
+  /**
+   * Get a thread by ID
+   * @param {string} id - Thread ID
+   * @returns {Object|null} - Thread or null when unknown
+   */
+  getThread: (id) => threadStore.get(id),
+
+  /**
+   * Create a new thread
+   * @param {Object} data - { prospectId, subject }
+   * @returns {Object} - Created thread
+   */
+  createThread: ({ prospectId = null, subject = '' } = {}) => {
+    return threadStore.create({ prospectId, subject, turns: [] });
+  },
+
+  /**
+   * Delete a thread
+   * @param {string} id - Thread ID
+   * @returns {boolean} - Whether the thread existed
+   */
+  deleteThread: (id) => threadStore.remove(id),
+
+  /**
+   * Append a turn to a thread
+   * @param {string} threadId - Thread ID
+   * @param {Object} turn - { direction, content, channel, createdAt }
+   * @returns {Object|null} - { thread, turn } or null when the thread is unknown
+   */
+  addTurn: (threadId, { direction, content, channel = null, createdAt } = {}) => {
+    const thread = threadStore.get(threadId);
+    if (!thread) return null;
+
+    if (!schemas.thread.directions.includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}`);
+    }
+    if (typeof content !== 'string' || !content.trim()) {
+      throw new Error('Turn content is required');
+    }
+
+    const turn = {
+      id: crypto.randomUUID(),
+      direction,
+      channel,
+      content: content.trim(),
+      createdAt: createdAt || new Date().toISOString()
+    };
+    const turns = [...thread.turns, turn]
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+    return { thread: threadStore.update(threadId, { turns }), turn };
+  },
+
+  /**
+   * Remove a turn from a thread
+   * @param {string} threadId - Thread ID
+   * @param {string} turnId - Turn ID
+   * @returns {Object|null} - Updated thread, or null when the thread or turn is unknown
+   */
+  removeTurn: (threadId, turnId) => {
+    const thread = threadStore.get(threadId);
+    if (!thread || !thread.turns.some(turn => turn.id === turnId)) return null;
+    return threadStore.update(threadId, { turns: thread.turns.filter(turn => turn.id !== turnId) });
+  },
+
+  /**
+   * Build chat messages replaying a thread before the given prompt.
+   * Outbound turns become assistant messages, inbound replies and call notes
+   * become user messages. Consecutive turns of the same role are merged so
+   * providers that require alternating roles accept the history.
+   * @param {Object} thread - Thread record
+   * @param {string} prompt - Prompt for the current request, sent as the last user message
+   * @param {Object} options - { currentMessage } dropped when it is already the latest inbound turn
+   * @returns {Array<Object>} - [{ role, content }]
+   */
+  buildMessages: (thread, prompt, { currentMessage } = {}) => {
+    let turns = (thread && thread.turns ? thread.turns : []).slice(-MAX_HISTORY_TURNS);
+
+    // The message being analyzed is usually logged to the thread already
+    const last = turns[turns.length - 1];
+    if (last && last.direction === 'inbound' && currentMessage && last.content.trim() === currentMessage.trim()) {
+      turns = turns.slice(0, -1);
+    }
+
+    const messages = [];
+    const push = (role, content) => {
+      const previous = messages[messages.length - 1];
+      if (previous && previous.role === role) {
+        previous.content += `\n\n${content}`;
+      } else {
+        messages.push({ role, content });
+      }
+    };
+
+    turns.forEach(turn => {
+      if (turn.direction === 'outbound') {
+        push('assistant', turn.content);
+      } else {
+        const date = String(turn.createdAt || '').slice(0, 10);
+        push('user', `${TURN_LABELS[turn.direction]}${date ? ` (${date})` : ''}:\n${turn.content}`);
+      }
+    });
+
+    // Conversations have to open with a user message
+    if (messages.length > 0 && messages[0].role === 'assistant') {
+      messages.unshift({ role: 'user', content: 'Earlier conversation with this prospect follows.' });
+    }
+    push('user', prompt);
+
+    return messages;
+  }
+};
+
+module.exports = threadService;
+module.exports.MAX_HISTORY_TURNS = MAX_HISTORY_TURNS;
@@ -7,8 +7,37 @@
 
 const multiLLMService = require('./multiLLMService');
 const researchService = require('./researchService');
-const { formatFineTuningPrompt, formatSalesCopyPrompt } = require('../utils/prompt-formatter');
+const promptRegistry = require('./promptRegistry');
+const citationService = require('./citationService');
+const claimVerificationService = require('./claimVerificationService');
+const { formatFineTuningPrompt, formatSalesCopyPrompt, formatSequenceStepPrompt, formatVariantPrompt } = require('../utils/prompt-formatter');
 const agentPrompts = require('../config/agent-prompts');
+const sequenceConfig = require('../config/outreach-sequences');
+const claimConfig = require('../config/claim-verification');
+
+/**
+ * Brief for the sales copy agent when the fine-tuning agent is skipped or unavailable
+ * @param {Object} profileData - LinkedIn profile data
+ * @param {Object} additionalContext - Additional context provided by the user
+ * @param {string} outreachType - What to write, e.g. 'sales email'
+ * @returns {string} - Prompt text
+ */
+function formatDirectBrief(profileData, additionalContext, outreachType) {
+  const name = profileData.name || 'Unknown';
+  const jobTitle = profileData.title || 'Unknown';
+  const company = profileData.company || 'Unknown';
+  const notes = (additionalContext && additionalContext.notes) ? additionalContext.notes : '';
+  
+  return `
+Generate a ${outreachType || 'sales email'} for ${name}, ${jobTitle} at ${company}.
+
+The message should showcase VigilantEx's "4 Extra Employees" concept, highlight relevant benefits for a ${jobTitle}, and conclude with a clear call to action. 
+
+Make it professional, conversational, and under 300 words.
+
+Additional context: ${notes}
+      `;
+}
 
 /**
  * Two-Agent service for personalized content generation
@@ -20,18 +49,26 @@ const twoAgentService = {
    * @param {Object} additionalContext - Additional context provided by the user
    * @param {string} outputType - Desired output format (email, linkedin, etc.)
    * @param {Object} options - Additional options
+   * @param {boolean} [options.refreshResearch] - Research the company again even if the company knowledge store has fresh research
+   * @param {string} [options.claimVerification] - 'flag', 'rewrite' or 'off' (default: config/claim-verification mode)
+   * @param {Function} [options.onStage] - Called with 'researching', 'fine_tuning', 'sales_copy' and 'verifying' as each step starts
+   * @param {Function} [options.onToken] - Called with each chunk of sales copy as it streams; a rewrite replaces the streamed copy in the result
    * @returns {Promise<Object>} - The generated content and metadata
    */
   generatePersonalizedContent: async (profileData, additionalContext, outputType, options = {}) => {
+    const reportStage = typeof options.onStage === 'function' ? options.onStage : () => {};
+    const prospect = multiLLMService.getProspectKey(profileData);
+    
     try {
       console.log(`Starting two-agent process for ${profileData.name || 'Unknown'}`);
       
       // Step 1: Gather research information
       console.log('Step 1: Gathering research information');
+      reportStage('researching');
       const [companyResearch, roleAnalysis, industryTrends] = await Promise.all([
-        researchService.researchCompany(profileData.company || ''),
+        researchService.researchCompany(profileData.company || '', { force: options.refreshResearch === true }),
         researchService.analyzeRole(profileData.title || ''),
-        researchService.getIndustryTrends()
+        researchService.getIndustryTrends({ force: options.refreshResearch === true })
       ]);
       
       // Step 2: Format data for the fine-tuning agent
@@ -54,19 +91,23 @@ const twoAgentService = {
       
       // Step 3: Run the fine-tuning agent to generate a tailored prompt
       console.log('Step 3: Running fine-tuning agent');
+      reportStage('fine_tuning');
       // Use system prompt + user prompt for the fine-tuning agent
       const fineTuningSystemPrompt = fineTuningPromptData.systemPrompt;
       const fineTuningUserPrompt = fineTuningPromptData.userPrompt;
       
       // Generate content using the fine-tuning agent (gpt-4o-mini)
-      const fineTuningOutput = await multiLLMService.generateWithOpenAI(
+      const fineTuning = await multiLLMService.generateWithOpenAI(
         fineTuningUserPrompt,
         {
           systemPrompt: fineTuningSystemPrompt,
           model: options.fineTuningModel || 'gpt-4o-mini',
-          task: 'fine-tuning'
+          task: 'fine-tuning',
+          prospect,
+          withMetadata: true
         }
       );
+      const fineTuningOutput = fineTuning.content;
       
       console.log('Fine-tuning agent completed successfully');
       
@@ -80,25 +121,40 @@ const twoAgentService = {
       
       // Step 5: Run the sales copy agent to generate the final content
       console.log('Step 5: Running sales copy agent');
+      reportStage('sales_copy');
       // Use system prompt + user prompt for the sales copy agent
       const salesCopySystemPrompt = salesCopyPromptData.systemPrompt;
       const salesCopyUserPrompt = salesCopyPromptData.userPrompt;
       
       // Generate content using the sales copy agent (claude-3-opus)
-      const salesCopyOutput = await multiLLMService.generateWithClaude(
-        salesCopyUserPrompt,
-        {
-          systemPrompt: salesCopySystemPrompt,
-          model: options.salesCopyModel || 'claude-3-opus-20240229',
-          task: 'sales_copy'
-        }
-      );
+      const salesCopyOptions = {
+        systemPrompt: salesCopySystemPrompt,
+        model: options.salesCopyModel || 'claude-3-opus-20240229',
+        task: 'sales_copy',
+        prospect
+      };
+      
+      // Stream tokens to the caller when requested, otherwise wait for the full completion
+      const salesCopy = typeof options.onToken === 'function'
+        ? await twoAgentService.streamSalesCopy(salesCopyUserPrompt, salesCopyOptions, options.onToken)
+        : await multiLLMService.generateWithClaude(salesCopyUserPrompt, { ...salesCopyOptions, withMetadata: true });
+      const salesCopyOutput = salesCopy.content;
       
       console.log('Sales copy agent completed successfully');
       
-      // Step 6: Return the final content and metadata
+      // Step 6: Check the copy's claims against its inputs, rewriting it if asked to
+      const claimVerification = twoAgentService.resolveClaimVerification(options.claimVerification);
+      if (claimVerification !== 'off') reportStage('verifying');
+      const verified = await twoAgentService.verifyContent(salesCopyOutput, {
+        profileData,
+        additionalContext,
+        facts: fineTuningPromptData.researchFacts
+      }, { ...options, claimVerification, prospect });
+      
+      // Step 7: Return the final content and metadata, with the sources behind its claims
+      const promptVersions = { ...fineTuningPromptData.promptVersions, ...salesCopyPromptData.promptVersions, ...verified.promptVersions };
       return {
-        content: salesCopyOutput,
+        content: verified.content,
         metadata: {
           profile: {
             name: profileData.name,
@@ -109,13 +165,25 @@ const twoAgentService = {
             companySize: companyResearch.companySize,
             industryFocus: companyResearch.industryFocus,
             roleCategory: roleAnalysis.roleCategory,
-            painPoints: roleAnalysis.painPoints
+            painPoints: roleAnalysis.painPoints,
+            researchStatus: companyResearch.researchStatus,
+            // When the company research was done and whether it came from the company knowledge store
+            researchedAt: companyResearch.researchedAt,
+            researchFromCache: companyResearch.fromCache
           },
+          citations: citationService.traceClaims(verified.content, fineTuningPromptData.researchFacts, profileData.company),
+          verification: verified.verification,
           outputType: outputType,
           process: {
+            // The models that actually ran, which differ from the requested ones after a fallback
+            fineTuningModel: fineTuning.model,
             fineTuningPrompt: fineTuningUserPrompt,
             fineTuningOutput: fineTuningOutput,
-            salesCopyPrompt: salesCopyUserPrompt
+            salesCopyModel: salesCopy.model,
+            salesCopyPrompt: salesCopyUserPrompt,
+            ...(verified.verification && verified.verification.rewritten ? { originalContent: salesCopyOutput } : {}),
+            promptVersion: promptRegistry.formatVersions(promptVersions),
+            promptVersions
           }
         }
       };
@@ -132,6 +200,508 @@ const twoAgentService = {
     }
   },
   
+  /**
+   * Generate A/B variants of one message, each leading with a different angle.
+   * Research and the fine-tuning agent run once; the sales copy agent then
+   * writes one version per angle. If the fine-tuning agent fails the variants
+   * are written from a direct brief.
+   * @param {Object} profileData - LinkedIn profile data
+   * @param {Object} additionalContext - Additional context provided by the user
+   * @param {string} outputType - Desired output format (email, linkedin, etc.)
+   * @param {Object} options - Additional options
+   * @param {number} [options.variants] - Number of variants; angles are picked for the prospect's role
+   * @param {Array<string>} [options.angles] - Explicit angle ids from agentPrompts.variantAngles
+   * @param {Function} [options.onStage] - Called with 'researching', 'fine_tuning' and 'sales_copy' as each step starts
+   * @param {string} [options.claimVerification] - 'flag', 'rewrite' or 'off' (default: config/claim-verification mode)
+   * @param {boolean} [options.refreshResearch] - Research the company again even if fresh research is stored
+   * @returns {Promise<Object>} - { content (first variant), variants: [{ id, label, focus, content, citations, verification }],
+   *   variantErrors: [{ id, label, error }] for the angles that failed, metadata }
+   * @throws {Error} - If every variant fails
+   */
+  generateVariants: async (profileData, additionalContext, outputType, options = {}) => {
+    const reportStage = typeof options.onStage === 'function' ? options.onStage : () => {};
+    const prospect = multiLLMService.getProspectKey(profileData);
+    
+    reportStage('researching');
+    const [companyResearch, roleAnalysis, industryTrends] = await Promise.all([
+      researchService.researchCompany(profileData.company || '', { force: options.refreshResearch === true }),
+      researchService.analyzeRole(profileData.title || ''),
+      researchService.getIndustryTrends({ force: options.refreshResearch === true })
+    ]);
+    const angles = twoAgentService.resolveVariantAngles(options, roleAnalysis.roleCategory);
+    const claimVerification = twoAgentService.resolveClaimVerification(options.claimVerification);
+    
+    console.log(`Generating ${angles.length} variants for ${profileData.name || 'Unknown'}: ${angles.map(angle => angle.id).join(', ')}`);
+    
+    reportStage('fine_tuning');
+    const fineTuningPromptData = formatFineTuningPrompt(
+      profileData,
+      additionalContext || {},
+      companyResearch,
+      roleAnalysis,
+      industryTrends,
+      outputType
+    );
+    const fineTuning = await twoAgentService.runSharedFineTuning(
+      fineTuningPromptData, profileData, additionalContext, outputType, options, prospect
+    );
+    const fineTuningOutput = fineTuning.content;
+    
+    // Variants do not depend on each other, so they are written in parallel;
+    // one failing does not lose the others
+    reportStage('sales_copy');
+    const salesCopyModel = options.salesCopyModel || 'claude-3-opus-20240229';
+    const role = agentPrompts.roleCustomization[roleAnalysis.roleCategory];
+    const painPoints = (roleAnalysis.painPoints && roleAnalysis.painPoints.length > 0)
+      ? roleAnalysis.painPoints
+      : (role ? role.painPoints : []);
+    let salesCopyVersions = {};
+    const rewriteVersions = {};
+    const settled = await Promise.allSettled(angles.map(async angle => {
+      const promptData = formatVariantPrompt(fineTuningOutput, angle, painPoints, outputType);
+      salesCopyVersions = promptData.promptVersions;
+      const salesCopy = await multiLLMService.generateWithClaude(promptData.userPrompt, {
+        systemPrompt: promptData.systemPrompt,
+        model: salesCopyModel,
+        task: 'sales_copy',
+        prospect,
+        withMetadata: true
+      });
+      const verified = await twoAgentService.verifyContent(salesCopy.content, {
+        profileData,
+        additionalContext,
+        facts: fineTuningPromptData.researchFacts
+      }, { salesCopyModel, claimVerification, prospect });
+      Object.assign(rewriteVersions, verified.promptVersions);
+      const citations = citationService.traceClaims(verified.content, fineTuningPromptData.researchFacts, profileData.company);
+      return {
+        id: angle.id,
+        label: angle.label,
+        focus: angle.focus,
+        content: verified.content,
+        model: salesCopy.model,
+        citations,
+        verification: verified.verification
+      };
+    }));
+    const variants = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+    const variantErrors = settled
+      .map((outcome, index) => ({ outcome, angle: angles[index] }))
+      .filter(({ outcome }) => outcome.status === 'rejected')
+      .map(({ outcome, angle }) => ({ id: angle.id, label: angle.label, error: outcome.reason.message || 'Generation failed' }));
+    if (variants.length === 0) {
+      throw settled[0].reason;
+    }
+    variantErrors.forEach(failure => console.error(`Variant ${failure.id} failed: ${failure.error}`));
+    const promptVersions = {
+      ...(fineTuning.skipped ? {} : fineTuningPromptData.promptVersions),
+      ...salesCopyVersions,
+      ...rewriteVersions
+    };
+    
+    return {
+      content: variants[0].content,
+      variants,
+      variantErrors,
+      metadata: {
+        profile: {
+          name: profileData.name,
+          title: profileData.title,
+          company: profileData.company
+        },
+        researchSummary: {
+          companySize: companyResearch.companySize,
+          industryFocus: companyResearch.industryFocus,
+          roleCategory: roleAnalysis.roleCategory,
+          painPoints: roleAnalysis.painPoints,
+          researchStatus: companyResearch.researchStatus,
+          researchedAt: companyResearch.researchedAt,
+          researchFromCache: companyResearch.fromCache
+        },
+        // Citations and claim check of the first variant, which is also `content`
+        citations: variants[0].citations,
+        verification: variants[0].verification,
+        outputType: outputType,
+        process: {
+          fineTuningModel: fineTuning.model,
+          fineTuningPrompt: fineTuningPromptData.userPrompt,
+          fineTuningOutput,
+          ...(fineTuning.skipped ? { fineTuningSkipped: true, fineTuningError: fineTuning.error } : {}),
+          salesCopyModel: variants[0].model,
+          angles: variants.map(variant => variant.id),
+          promptVersion: promptRegistry.formatVersions(promptVersions),
+          promptVersions
+        }
+      }
+    };
+  },
+  
+  /**
+   * Pick the angles for a set of A/B variants
+   * @param {Object} request - { angles: [id] } or { variants: count }
+   * @param {string} [roleCategory] - Role of the prospect; its strongest angles are used first
+   * @returns {Array<Object>} - [{ id, label, focus }]
+   * @throws {Error} - If an angle is unknown or the count is out of range
+   */
+  resolveVariantAngles: ({ angles, variants } = {}, roleCategory) => {
+    const available = Object.keys(agentPrompts.variantAngles);
+    
+    if (angles !== undefined) {
+      if (!Array.isArray(angles) || angles.length < 2 || angles.length > available.length) {
+        throw new Error(`angles must list 2 to ${available.length} angles`);
+      }
+      const unknown = angles.filter(id => !available.includes(id));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown angle: ${unknown.join(', ')}. Use one of: ${available.join(', ')}`);
+      }
+      if (new Set(angles).size !== angles.length) {
+        throw new Error('angles must not repeat');
+      }
+      return angles.map(id => ({ id, ...agentPrompts.variantAngles[id] }));
+    }
+    
+    if (!Number.isInteger(variants) || variants < 2 || variants > available.length) {
+      throw new Error(`variants must be a whole number from 2 to ${available.length}`);
+    }
+    const role = agentPrompts.roleCustomization[roleCategory];
+    const ordered = role && role.angles ? role.angles : available;
+    return ordered.slice(0, variants).map(id => ({ id, ...agentPrompts.variantAngles[id] }));
+  },
+  
+  /**
+   * Generate a multi-step outreach cadence. The fine-tuning agent runs once to
+   * build the strategy, then the sales copy agent writes each touch in order
+   * with the earlier touches in its prompt so later ones can refer back. If
+   * the fine-tuning agent fails the touches are written from a direct brief.
+   * @param {Object} profileData - LinkedIn profile data
+   * @param {Object} additionalContext - Additional context provided by the user
+   * @param {Object} options - Additional options
+   * @param {Array<Object>} [options.steps] - Cadence as [{ day, type }] (default: config/outreach-sequences defaultSequence)
+   * @param {string} [options.claimVerification] - 'flag', 'rewrite' or 'off' (default: config/claim-verification mode)
+   * @param {boolean} [options.refreshResearch] - Research the company again even if fresh research is stored
+   * @param {Function} [options.onStage] - Called with 'researching', 'fine_tuning' and 'sequence' as each step starts
+   * @returns {Promise<Object>} - { sequence: { prospect, strategy, totalDays, steps, stepErrors }, metadata };
+   *   stepErrors lists the touches that failed as [{ step, day, type, label, error }]
+   * @throws {Error} - If every touch fails
+   */
+  generateSequence: async (profileData, additionalContext, options = {}) => {
+    const reportStage = typeof options.onStage === 'function' ? options.onStage : () => {};
+    const prospect = multiLLMService.getProspectKey(profileData);
+    const cadence = twoAgentService.resolveSequenceSteps(options.steps);
+    const claimVerification = twoAgentService.resolveClaimVerification(options.claimVerification);
+    
+    console.log(`Starting ${cadence.length}-step outreach sequence for ${profileData.name || 'Unknown'}`);
+    
+    // Research and strategy are shared by every touch
+    reportStage('researching');
+    const [companyResearch, roleAnalysis, industryTrends] = await Promise.all([
+      researchService.researchCompany(profileData.company || '', { force: options.refreshResearch === true }),
+      researchService.analyzeRole(profileData.title || ''),
+      researchService.getIndustryTrends({ force: options.refreshResearch === true })
+    ]);
+    
+    reportStage('fine_tuning');
+    const fineTuningPromptData = formatFineTuningPrompt(
+      profileData,
+      additionalContext || {},
+      companyResearch,
+      roleAnalysis,
+      industryTrends,
+      'outreach_sequence'
+    );
+    const fineTuning = await twoAgentService.runSharedFineTuning(
+      fineTuningPromptData, profileData, additionalContext, 'multi-touch outreach sequence', options, prospect
+    );
+    const strategy = fineTuning.content;
+    
+    // Touches are written one after another so each sees the ones before it;
+    // a touch that fails is reported and the rest are still written
+    reportStage('sequence');
+    const salesCopyModel = options.salesCopyModel || 'claude-3-opus-20240229';
+    const steps = [];
+    const stepErrors = [];
+    const salesCopyModels = [];
+    let salesCopyVersions = {};
+    const rewriteVersions = {};
+    for (const step of cadence) {
+      try {
+        const promptData = formatSequenceStepPrompt(strategy, step, steps, cadence.length);
+        const salesCopy = await multiLLMService.generateWithClaude(promptData.userPrompt, {
+          systemPrompt: promptData.systemPrompt,
+          model: salesCopyModel,
+          task: 'sales_copy_sequence',
+          prospect,
+          withMetadata: true
+        });
+        salesCopyVersions = promptData.promptVersions;
+        const output = salesCopy.content;
+        
+        // Emails open with a "Subject:" line that the timeline shows separately
+        const subjectMatch = step.channel === 'email' ? output.trim().match(/^\**subject:\**\s*(.+)\n+/i) : null;
+        const touch = {
+          step: step.step,
+          day: step.day,
+          type: step.type,
+          label: step.label,
+          channel: step.channel,
+          subject: subjectMatch ? subjectMatch[1].trim() : null,
+          content: subjectMatch ? output.trim().slice(subjectMatch[0].length).trim() : output.trim(),
+          maxLength: step.maxLength || null
+        };
+        
+        // Later touches may refer back to the earlier ones
+        const verified = await twoAgentService.verifyContent(touch.content, {
+          profileData,
+          additionalContext,
+          facts: fineTuningPromptData.researchFacts,
+          priorContact: steps.length > 0
+        }, { salesCopyModel, claimVerification, prospect });
+        Object.assign(rewriteVersions, verified.promptVersions);
+        touch.content = verified.content;
+        touch.verification = verified.verification;
+        touch.citations = citationService.traceClaims(touch.content, fineTuningPromptData.researchFacts, profileData.company);
+        salesCopyModels.push(salesCopy.model);
+        steps.push(touch);
+      } catch (error) {
+        console.error(`Sequence touch ${step.step} failed: ${error.message}`);
+        stepErrors.push({ step: step.step, day: step.day, type: step.type, label: step.label, error: error.message || 'Generation failed' });
+      }
+    }
+    if (steps.length === 0) {
+      throw new Error(`Every touch of the sequence failed: ${stepErrors[0].error}`);
+    }
+    
+    console.log('Outreach sequence completed successfully');
+    const promptVersions = {
+      ...(fineTuning.skipped ? {} : fineTuningPromptData.promptVersions),
+      ...salesCopyVersions,
+      ...rewriteVersions
+    };
+    
+    return {
+      sequence: {
+        prospect: {
+          name: profileData.name,
+          title: profileData.title,
+          company: profileData.company
+        },
+        strategy,
+        totalDays: steps[steps.length - 1].day,
+        steps,
+        stepErrors
+      },
+      metadata: {
+        researchSummary: {
+          companySize: companyResearch.companySize,
+          industryFocus: companyResearch.industryFocus,
+          roleCategory: roleAnalysis.roleCategory,
+          painPoints: roleAnalysis.painPoints,
+          researchStatus: companyResearch.researchStatus,
+          researchedAt: companyResearch.researchedAt,
+          researchFromCache: companyResearch.fromCache
+        },
+        // Claims across every touch
+        citations: citationService.traceClaims(
+          steps.map(touch => touch.content).join('\n\n'),
+          fineTuningPromptData.researchFacts,
+          profileData.company
+        ),
+        // Unsupported claims across every touch
+        verification: claimVerification === 'off' ? null : {
+          mode: claimVerification,
+          rewritten: steps.some(touch => touch.verification.rewritten),
+          unsupported: steps.flatMap(touch => touch.verification.unsupported.map(claim => ({ ...claim, step: touch.step }))),
+          unsupportedCount: steps.reduce((total, touch) => total + touch.verification.unsupportedCount, 0)
+        },
+        outputType: 'sequence',
+        process: {
+          fineTuningModel: fineTuning.model,
+          fineTuningPrompt: fineTuningPromptData.userPrompt,
+          fineTuningOutput: strategy,
+          ...(fineTuning.skipped ? { fineTuningSkipped: true, fineTuningError: fineTuning.error } : {}),
+          // The model behind the first touch; a fallback part way through shows in salesCopyModels
+          salesCopyModel: salesCopyModels[0],
+          salesCopyModels,
+          promptVersion: promptRegistry.formatVersions(promptVersions),
+          promptVersions
+        }
+      }
+    };
+  },
+  
+  /**
+   * Validate a cadence and fill in each touch's channel, label and brief
+   * @param {Array<Object>} [steps] - [{ day, type }] (default: config/outreach-sequences defaultSequence)
+   * @returns {Array<Object>} - [{ step, day, type, label, channel, outputType, brief, maxLength }]
+   * @throws {Error} - If a touch type is unknown or the day offsets are invalid
+   */
+  resolveSequenceSteps: (steps) => {
+    const cadence = steps === undefined || steps === null ? sequenceConfig.defaultSequence : steps;
+    
+    if (!Array.isArray(cadence) || cadence.length === 0 || cadence.length > sequenceConfig.maxSteps) {
+      throw new Error(`steps must be an array of 1 to ${sequenceConfig.maxSteps} touches`);
+    }
+    
+    let previousDay = 0;
+    return cadence.map((step, index) => {
+      const stepType = step && sequenceConfig.stepTypes[step.type];
+      if (!stepType) {
+        throw new Error(`Unknown touch type: ${step && step.type}. Use one of: ${Object.keys(sequenceConfig.stepTypes).join(', ')}`);
+      }
+      if (!Number.isInteger(step.day) || step.day < previousDay || step.day > sequenceConfig.maxDays) {
+        throw new Error(`Touch ${index + 1} needs a whole day offset between ${previousDay} and ${sequenceConfig.maxDays}`);
+      }
+      previousDay = step.day;
+      
+      return {
+        step: index + 1,
+        day: step.day,
+        type: step.type,
+        label: stepType.label,
+        channel: stepType.channel,
+        outputType: stepType.outputType,
+        brief: stepType.brief,
+        maxLength: stepType.maxLength || null
+      };
+    });
+  },
+  
+  /**
+   * Check a claim verification mode
+   * @param {string} [mode] - 'flag', 'rewrite' or 'off' (default: config/claim-verification mode)
+   * @returns {string} - The mode to use
+   * @throws {Error} - If the mode is unknown
+   */
+  resolveClaimVerification: (mode) => {
+    if (mode === undefined || mode === null) return claimConfig.mode;
+    if (!claimConfig.modes.includes(mode)) {
+      throw new Error(`claimVerification must be one of: ${claimConfig.modes.join(', ')}`);
+    }
+    return mode;
+  },
+  
+  /**
+   * Check the factual claims in generated copy against what it was written
+   * from. In rewrite mode the sales copy agent rewrites the copy without the
+   * unsupported claims; whatever is still unsupported is returned with it.
+   * @param {string} content - Generated copy
+   * @param {Object} evidence - { profileData, additionalContext, facts, priorContact }
+   * @param {Object} options - { claimVerification, salesCopyModel, prospect }
+   * @returns {Promise<Object>} - { content, verification: { mode, rewritten, removedClaims, claims, unsupported, unsupportedCount } or null when off, promptVersions }
+   */
+  verifyContent: async (content, evidence, options = {}) => {
+    const mode = twoAgentService.resolveClaimVerification(options.claimVerification);
+    if (mode === 'off') return { content, verification: null, promptVersions: {} };
+    
+    let current = content;
+    let check = claimVerificationService.verifyClaims(current, evidence);
+    const initiallyUnsupported = check.unsupported;
+    const promptVersions = {};
+    
+    for (let attempt = 0; mode === 'rewrite' && check.unsupportedCount > 0 && attempt < claimConfig.maxRewrites; attempt++) {
+      try {
+        const prompt = promptRegistry.render('claim_rewrite', {
+          content: current,
+          unsupportedClaims: claimVerificationService.formatUnsupported(check.unsupported)
+        });
+        const rewritten = await multiLLMService.generateWithClaude(prompt.text, {
+          systemPrompt: promptRegistry.render('sales_copy_system').text,
+          model: options.salesCopyModel || 'claude-3-opus-20240229',
+          task: 'claim_rewrite',
+          prospect: options.prospect
+        });
+        if (!rewritten || !rewritten.trim()) break;
+        
+        promptVersions.claim_rewrite = prompt.version;
+        current = rewritten.trim();
+        check = claimVerificationService.verifyClaims(current, evidence);
+      } catch (error) {
+        // The copy is still usable, so its unsupported claims are flagged instead
+        console.warn(`Claim rewrite failed (${error.message}), flagging unsupported claims instead`);
+        break;
+      }
+    }
+    
+    const rewritten = current !== content;
+    const stillMade = (claim) => check.claims.some(other => other.type === claim.type && other.text.toLowerCase() === claim.text.toLowerCase());
+    return {
+      content: current,
+      verification: {
+        mode,
+        rewritten,
+        removedClaims: rewritten ? initiallyUnsupported.filter(claim => !stillMade(claim)) : [],
+        ...check
+      },
+      promptVersions
+    };
+  },
+  
+  /**
+   * Stream the sales copy agent, forwarding each chunk to onToken
+   * Falls back to a standard request if streaming fails before any text arrives.
+   * @param {string} prompt - Sales copy prompt
+   * @param {Object} llmOptions - Options for the sales copy model
+   * @param {Function} onToken - Called with each chunk of text
+   * @returns {Promise<Object>} - { content, provider, model } of the complete sales copy
+   */
+  streamSalesCopy: async (prompt, llmOptions, onToken) => {
+    let content = '';
+    let provider = null;
+    let model = null;
+    
+    try {
+      for await (const event of multiLLMService.streamWithClaude(prompt, llmOptions)) {
+        if (event.type === 'token') {
+          content += event.text;
+          onToken(event.text);
+        } else if (event.type === 'done') {
+          ({ content, provider, model } = event);
+        }
+      }
+      return { content, provider, model };
+    } catch (error) {
+      // Once text has reached the client we cannot restart the message
+      if (content) throw error;
+      
+      console.warn(`Sales copy streaming unavailable (${error.message}), using a standard request`);
+      const full = await multiLLMService.generateWithClaude(prompt, { ...llmOptions, withMetadata: true });
+      onToken(full.content);
+      return full;
+    }
+  },
+  
+  /**
+   * Run the fine-tuning agent for output shared by several sales copy calls
+   * (variants, sequence touches). When it fails, or options.skipFineTuning is
+   * set, the sales copy agent gets the direct brief instead, as in
+   * generateWithSalesCopyAgentOnly.
+   * @param {Object} promptData - Fine-tuning prompt from formatFineTuningPrompt
+   * @param {Object} profileData - LinkedIn profile data
+   * @param {Object} additionalContext - Additional context provided by the user
+   * @param {string} outreachType - What the direct brief asks for
+   * @param {Object} options - { fineTuningModel, skipFineTuning }
+   * @param {string} prospect - Prospect key for cost tracking
+   * @returns {Promise<Object>} - { content, model, skipped, error }; model is null when skipped
+   */
+  runSharedFineTuning: async (promptData, profileData, additionalContext, outreachType, options, prospect) => {
+    if (!options.skipFineTuning) {
+      try {
+        const fineTuning = await multiLLMService.generateWithOpenAI(promptData.userPrompt, {
+          systemPrompt: promptData.systemPrompt,
+          model: options.fineTuningModel || 'gpt-4o-mini',
+          task: 'fine-tuning',
+          prospect,
+          withMetadata: true
+        });
+        return { content: fineTuning.content, model: fineTuning.model, skipped: false, error: null };
+      } catch (error) {
+        console.error('Fine-tuning agent failed, falling back to a direct brief:', error.message);
+        return { content: formatDirectBrief(profileData, additionalContext, outreachType), model: null, skipped: true, error: error.message };
+      }
+    }
+    return { content: formatDirectBrief(profileData, additionalContext, outreachType), model: null, skipped: true, error: null };
+  },
+  
   /**
    * Fallback: Generate content using only the sales copy agent
    * @param {Object} profileData - LinkedIn profile data
@@ -145,37 +715,33 @@ const twoAgentService = {
       console.log('Falling back to sales copy agent only generation');
       
       // Create a direct prompt for the sales copy agent
-      const name = profileData.name || 'Unknown';
-      const jobTitle = profileData.title || 'Unknown';
-      const company = profileData.company || 'Unknown';
-      const notes = (additionalContext && additionalContext.notes) ? additionalContext.notes : '';
-      const outreachType = outputType || 'sales email';
-      
-      const directPrompt = `
-Generate a ${outreachType} for ${name}, ${jobTitle} at ${company}.
-
-The message should showcase VigilantEx's "4 Extra Employees" concept, highlight relevant benefits for a ${jobTitle}, and conclude with a clear call to action. 
-
-Make it professional, conversational, and under 300 words.
-
-Additional context: ${notes}
-      `;
+      const directPrompt = formatDirectBrief(profileData, additionalContext, outputType);
       
       // Generate content using the sales copy agent
-      const salesCopyOutput = await multiLLMService.generateWithClaude(
-        directPrompt,
-        {
-          systemPrompt: agentPrompts.salesCopyAgentPrompt,
-          model: options.salesCopyModel || 'claude-3-opus-20240229',
-          task: 'sales_copy_direct'
-        }
-      );
+      const systemPrompt = promptRegistry.render('sales_copy_system');
+      const salesCopyOptions = {
+        systemPrompt: systemPrompt.text,
+        model: options.salesCopyModel || 'claude-3-opus-20240229',
+        task: 'sales_copy_direct',
+        prospect: multiLLMService.getProspectKey(profileData)
+      };
+      const salesCopy = typeof options.onToken === 'function'
+        ? await twoAgentService.streamSalesCopy(directPrompt, salesCopyOptions, options.onToken)
+        : await multiLLMService.generateWithClaude(directPrompt, { ...salesCopyOptions, withMetadata: true });
+      const salesCopyOutput = salesCopy.content;
       
       console.log('Direct sales copy generation completed successfully');
       
+      // No research on this path, so claims can only be backed by the profile, the notes and product knowledge
+      const verified = await twoAgentService.verifyContent(salesCopyOutput, {
+        profileData,
+        additionalContext
+      }, { ...options, prospect: salesCopyOptions.prospect });
+      const promptVersions = { sales_copy_system: systemPrompt.version, ...verified.promptVersions };
+      
       // Return the result
       return {
-        content: salesCopyOutput,
+        content: verified.content,
         metadata: {
           profile: {
             name: profileData.name,
@@ -188,10 +754,17 @@ Additional context: ${notes}
             roleCategory: 'unknown',
             painPoints: []
           },
+          // No research on this path, so any claim about the company is unsourced
+          citations: citationService.traceClaims(verified.content, [], profileData.company),
+          verification: verified.verification,
           outputType: outputType,
           process: {
+            salesCopyModel: salesCopy.model,
             directPrompt: directPrompt,
-            fineTuningSkipped: true
+            fineTuningSkipped: true,
+            ...(verified.verification && verified.verification.rewritten ? { originalContent: salesCopyOutput } : {}),
+            promptVersion: promptRegistry.formatVersions(promptVersions),
+            promptVersions
           }
         }
       };
@@ -264,7 +837,7 @@ Additional context: ${notes}
       const salesCopyOutput = await multiLLMService.generateWithClaude(
         prompt,
         {
-          systemPrompt: agentPrompts.salesCopyAgentPrompt,
+          systemPrompt: promptRegistry.render('sales_copy_system').text,
           model: 'claude-3-opus-20240229',
           task: 'sales_copy_test'
         }
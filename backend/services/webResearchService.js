@@ -0,0 +1,207 @@
+/**
+ * Web Research Service
+ *
+ * Company research pipeline: search the web through the active search
+ * provider, fetch the result pages, clean them to text, split the text into
+ * chunks and have the LLM extract facts from those chunks only. Every fact
+ * names the source it came from and facts citing an unknown source are
+ * dropped, so nothing reaches outreach content without a URL behind it.
+ *
+ * Search providers are pluggable (see searchProviders/searchProviderRegistry.js)
+ * and none is enabled by default; without one, research finds nothing.
+ */
+
+const searchConfig = require('../config/search-providers');
+const { SearchProviderRegistry } = require('./searchProviders/searchProviderRegistry');
+const { SearxngProvider } = require('./searchProviders/searxngProvider');
+const { fetchPage, chunkText } = require('../utils/webFetchTool');
+const multiLLMService = require('./multiLLMService');
+
+// What extracted company facts can be about
+const FACT_CATEGORIES = ['companySize', 'industryFocus', 'recentProject', 'recentNews', 'challenge'];
+
+// How directly the source states a fact; anything else counts as medium
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+const registry = new SearchProviderRegistry({ order: searchConfig.order });
+registry.register(new SearxngProvider(searchConfig.providers.searxng));
+
+/**
+ * Pull the first JSON object out of an LLM response (bare or in a code block)
+ * @param {string} text - LLM response
+ * @returns {Object|null} - Parsed object or null if there is none
+ */
+function parseJsonObject(text) {
+  const source = String(text || '');
+  const codeBlock = source.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const body = (codeBlock ? codeBlock[1] : source).trim();
+  const objectMatch = body.match(/\{[\s\S]*\}/);
+  if (!objectMatch) return null;
+
+  try {
+    return JSON.parse(objectMatch[0]);
+  } catch (error) {
+    return null;
+  }
+}
+
+const webResearchService = {
+  /**
+   * Registry of search providers
+   */
+  searchProviders: registry,
+
+  /**
+   * Add a search provider, replacing any provider with the same name
+   * @param {Object} provider - { name, isAvailable(), search(query, options) }
+   * @returns {Object} - The registered provider
+   */
+  registerSearchProvider: (provider) => registry.register(provider),
+
+  /**
+   * Run queries through the active search provider
+   * @param {Array<string>} queries - Search queries
+   * @returns {Promise<Object>} - { provider, results: [{ title, url, snippet, query }], failed } with duplicate URLs removed, or provider null when none is enabled; failed is true when every query errored (the provider is down rather than finding nothing)
+   */
+  searchWeb: async (queries) => {
+    const provider = registry.getActive();
+    if (!provider) return { provider: null, results: [], failed: false };
+
+    const seen = new Set();
+    const results = [];
+    let errors = 0;
+    for (const query of queries) {
+      try {
+        const found = await provider.search(query, { limit: searchConfig.research.resultsPerQuery });
+        found.forEach(result => {
+          if (seen.has(result.url)) return;
+          seen.add(result.url);
+          results.push({ ...result, query });
+        });
+      } catch (error) {
+        console.error(`Search for "${query}" failed with ${provider.name}:`, error.message);
+        errors++;
+      }
+    }
+    return { provider: provider.name, results, failed: queries.length > 0 && errors === queries.length };
+  },
+
+  /**
+   * Fetch search results and split them into chunks labelled with a source id
+   * @param {Array<Object>} results - Search results, best first
+   * @returns {Promise<Array<Object>>} - [{ id, url, title, fetchedAt, chunks }] for pages that could be read
+   */
+  collectSources: async (results) => {
+    const settings = searchConfig.research;
+    const sources = [];
+
+    for (const result of results.slice(0, settings.maxPages)) {
+      try {
+        const page = await fetchPage(result.url, { timeoutMs: settings.fetchTimeoutMs, maxBytes: settings.maxPageBytes });
+        const chunks = chunkText(page.text, { size: settings.chunkSize, overlap: settings.chunkOverlap })
+          .slice(0, settings.maxChunksPerPage);
+        if (chunks.length === 0) continue;
+
+        sources.push({
+          id: `S${sources.length + 1}`,
+          url: page.url,
+          title: page.title || result.title,
+          fetchedAt: page.fetchedAt,
+          chunks
+        });
+      } catch (error) {
+        console.warn(`Skipping ${result.url}: ${error.message}`);
+      }
+    }
+    return sources;
+  },
+
+  /**
+   * Have the LLM extract facts about a company from source chunks, each tied to its source
+   * @param {string} companyName - Company researched
+   * @param {Array<Object>} sources - Sources from collectSources
+   * @returns {Promise<Array<Object>>} - [{ id, category, statement, sourceId, sourceUrl, retrievedAt, confidence }]
+   */
+  extractFacts: async (companyName, sources) => {
+    const { maxChunks } = searchConfig.research;
+    const excerpts = [];
+    sources.forEach(source => source.chunks.forEach(chunk => {
+      if (excerpts.length < maxChunks) excerpts.push(`[${source.id}] ${source.url}\n${chunk}`);
+    }));
+    if (excerpts.length === 0) return [];
+
+    const prompt = `Extract facts about the company "${companyName}" from the web page excerpts below. Each excerpt starts with its source id in brackets and its URL.
+
+${excerpts.join('\n\n---\n\n')}
+
+Rules:
+- Only state what an excerpt says. Do not guess, estimate or add outside knowledge.
+- Ignore excerpts about a different company with a similar name.
+- Every fact must cite the id of the excerpt it comes from.
+- category is one of: ${FACT_CATEGORIES.join(', ')}
+- confidence is "high" when the excerpt states the fact outright about this company, "medium" when it needs light interpretation and "low" when the excerpt is ambiguous or may be about another company.
+
+Return ONLY JSON in this shape:
+{"facts": [{"category": "recentProject", "statement": "...", "source": "S1", "confidence": "high"}]}`;
+
+    const response = await multiLLMService.generateContent(prompt, 'analysis', { model: 'gpt-4o-mini' });
+    const parsed = parseJsonObject(response);
+    if (!parsed || !Array.isArray(parsed.facts)) {
+      console.warn(`Could not parse facts extracted for ${companyName}`);
+      return [];
+    }
+
+    const byId = new Map(sources.map(source => [source.id, source]));
+    return parsed.facts
+      .filter(fact => fact && typeof fact.statement === 'string' && fact.statement.trim())
+      .filter(fact => FACT_CATEGORIES.includes(fact.category) && byId.has(fact.source))
+      .map((fact, index) => ({
+        id: `F${index + 1}`,
+        category: fact.category,
+        statement: fact.statement.trim(),
+        sourceId: fact.source,
+        sourceUrl: byId.get(fact.source).url,
+        retrievedAt: byId.get(fact.source).fetchedAt,
+        confidence: CONFIDENCE_LEVELS.includes(fact.confidence) ? fact.confidence : 'medium'
+      }));
+  },
+
+  /**
+   * Search, fetch and extract sourced facts about a company
+   * @param {string} companyName - Company to research
+   * @returns {Promise<Object>} - { status: 'completed'|'no_search_provider'|'search_failed'|'no_sources', provider, sources: [{ id, url, title, fetchedAt }], facts }
+   */
+  researchCompany: async (companyName) => {
+    const queries = [
+      `${companyName} construction company`,
+      `${companyName} construction projects`,
+      `${companyName} construction news`,
+      `${companyName} company size employees`
+    ];
+
+    const { provider, results, failed } = await webResearchService.searchWeb(queries);
+    if (!provider) {
+      return { status: 'no_search_provider', provider: null, sources: [], facts: [] };
+    }
+    if (failed) {
+      return { status: 'search_failed', provider, sources: [], facts: [] };
+    }
+
+    const sources = await webResearchService.collectSources(results);
+    if (sources.length === 0) {
+      return { status: 'no_sources', provider, sources: [], facts: [] };
+    }
+
+    const facts = await webResearchService.extractFacts(companyName, sources);
+    return {
+      status: 'completed',
+      provider,
+      sources: sources.map(({ chunks, ...source }) => source),
+      facts
+    };
+  }
+};
+
+module.exports = webResearchService;
+module.exports.FACT_CATEGORIES = FACT_CATEGORIES;
+module.exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
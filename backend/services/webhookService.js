@@ -0,0 +1,196 @@
+/**
+ * Webhook Service
+ *
+ * Validates and ingests LinkedIn payloads pushed by external automation
+ * tools (e.g. Zapier) into the prospect and company collections.
+ */
+
+const { validateSchema } = require('../utils/schemaValidator');
+const { prospectStore, companyStore } = require('./storageService');
+
+// Accepted payload shape (matches the frontend WebhookHandler / model fromLinkedInData fields)
+const linkedInPayloadSchema = {
+  linkedinUrl: { type: 'string', required: true, maxLength: 500, pattern: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/(in|company)\//i },
+  contactName: { type: 'string', maxLength: 200 },
+  contactTitle: { type: 'string', maxLength: 300 },
+  contactEmail: { type: 'string', maxLength: 320, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+  contactPhone: { type: 'string', maxLength: 50 },
+  contactKeySkills: { type: 'string', maxLength: 2000 },
+  contactSummary: { type: 'string', maxLength: 5000 },
+  companyName: { type: 'string', maxLength: 200 },
+  companyIndustry: { type: 'string', maxLength: 200 },
+  companySize: { type: 'string', maxLength: 100 },
+  companyKeyProducts: { type: 'string', maxLength: 2000 },
+  companySummary: { type: 'string', maxLength: 5000 },
+  recentCompanyNews: { type: 'string', maxLength: 5000 },
+  potentialPainPoints: { type: 'string', maxLength: 2000 },
+  suggestedSalesAngles: { type: 'string', maxLength: 2000 }
+};
+
+/**
+ * Split a delimited string into a trimmed list
+ * @param {string} value - Delimited string
+ * @param {string} separator - Separator
+ * @returns {Array<string>} - List of non-empty items
+ */
+function splitList(value, separator = ',') {
+  if (!value) return [];
+  return value.split(separator).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a LinkedIn URL so the same profile always dedupes to one record
+ * @param {string} url - LinkedIn URL
+ * @returns {string} - Normalized URL
+ */
+function normalizeLinkedInUrl(url) {
+  try {
+    const parsed = new URL(url.trim());
+    const pathname = parsed.pathname.replace(/\/+$/, '').toLowerCase();
+    return `https://www.linkedin.com${pathname}`;
+  } catch (error) {
+    return url.trim();
+  }
+}
+
+/**
+ * Determine whether a payload describes a profile or a company
+ * @param {Object} payload - Webhook payload
+ * @returns {string} - 'profile', 'company' or 'unknown'
+ */
+function detectPayloadType(payload) {
+  if (payload.contactName && payload.contactTitle) {
+    return 'profile';
+  } else if (payload.companyName && payload.companyIndustry) {
+    return 'company';
+  }
+  return 'unknown';
+}
+
+/**
+ * Validate a LinkedIn webhook payload
+ * @param {Object} payload - Webhook payload
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateLinkedInPayload(payload) {
+  const errors = validateSchema(linkedInPayloadSchema, payload);
+
+  if (errors.length === 0 && detectPayloadType(payload) === 'unknown') {
+    errors.push('Payload must include contactName and contactTitle, or companyName and companyIndustry');
+  }
+
+  return errors;
+}
+
+/**
+ * Map payload company fields to a company record
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} - Company fields
+ */
+function companyFieldsFromPayload(payload) {
+  const fields = {
+    name: payload.companyName,
+    industry: payload.companyIndustry,
+    size: payload.companySize,
+    summary: payload.companySummary,
+    lastAnalyzed: new Date().toISOString()
+  };
+
+  if (payload.companyKeyProducts) fields.keyProducts = splitList(payload.companyKeyProducts);
+  if (payload.recentCompanyNews) fields.recentNews = splitList(payload.recentCompanyNews, '. ');
+
+  return fields;
+}
+
+/**
+ * Find a stored company by (case-insensitive) name
+ * @param {string} name - Company name
+ * @returns {Object|null} - Company record or null
+ */
+function findCompanyByName(name) {
+  const target = name.trim().toLowerCase();
+  return companyStore.find(company => (company.name || '').trim().toLowerCase() === target);
+}
+
+/**
+ * Store a profile payload as a prospect, creating or linking its company
+ * @param {Object} payload - Validated webhook payload
+ * @returns {Object} - Ingestion result
+ */
+function ingestProfile(payload) {
+  const linkedinUrl = normalizeLinkedInUrl(payload.linkedinUrl);
+
+  // Attach the prospect to a company record when the payload names one
+  let company = null;
+  if (payload.companyName) {
+    company = findCompanyByName(payload.companyName);
+    if (!company) {
+      company = companyStore.create(companyFieldsFromPayload(payload));
+    }
+  }
+
+  const prospectFields = {
+    name: payload.contactName,
+    title: payload.contactTitle,
+    company: payload.companyName,
+    companyId: company ? company.id : undefined,
+    linkedinUrl,
+    email: payload.contactEmail,
+    phone: payload.contactPhone,
+    summary: payload.contactSummary,
+    lastAnalyzed: new Date().toISOString()
+  };
+
+  if (payload.contactKeySkills) prospectFields.keySkills = splitList(payload.contactKeySkills);
+  if (payload.potentialPainPoints) prospectFields.painPoints = splitList(payload.potentialPainPoints);
+  if (payload.suggestedSalesAngles) prospectFields.salesAngles = splitList(payload.suggestedSalesAngles);
+
+  const { record: prospect, created } = prospectStore.upsertBy('linkedinUrl', prospectFields);
+
+  if (company && !company.prospects.includes(prospect.id)) {
+    company = companyStore.update(company.id, { prospects: [...company.prospects, prospect.id] });
+  }
+
+  return { type: 'profile', created, prospect, company };
+}
+
+/**
+ * Store a company payload, deduping by LinkedIn URL (or name for records created from profiles)
+ * @param {Object} payload - Validated webhook payload
+ * @returns {Object} - Ingestion result
+ */
+function ingestCompany(payload) {
+  const linkedinUrl = normalizeLinkedInUrl(payload.linkedinUrl);
+  const fields = { ...companyFieldsFromPayload(payload), linkedinUrl };
+
+  const existing = companyStore.find(company => company.linkedinUrl === linkedinUrl) ||
+    findCompanyByName(payload.companyName);
+
+  if (existing) {
+    return { type: 'company', created: false, company: companyStore.update(existing.id, fields) };
+  }
+
+  return { type: 'company', created: true, company: companyStore.create(fields) };
+}
+
+/**
+ * Ingest a validated LinkedIn webhook payload
+ * @param {Object} payload - Webhook payload
+ * @returns {Object} - Ingestion result with the stored records
+ */
+function ingestLinkedInPayload(payload) {
+  const type = detectPayloadType(payload);
+
+  if (type === 'profile') {
+    return ingestProfile(payload);
+  }
+  return ingestCompany(payload);
+}
+
+module.exports = {
+  linkedInPayloadSchema,
+  normalizeLinkedInUrl,
+  detectPayloadType,
+  validateLinkedInPayload,
+  ingestLinkedInPayload
+};
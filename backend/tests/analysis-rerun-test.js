@@ -0,0 +1,129 @@
+/**
+ * Analysis Re-run Test Script
+ *
+ * Re-runs a saved profile analysis with other models through the analyses
+ * API, with the two-agent pipeline replaced by an in-memory fake, against a
+ * temporary data directory. Runs offline.
+ *
+ * Run with: node tests/analysis-rerun-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, waitForJob } = require('./helpers');
+
+// Point the storage service at a throwaway directory before loading it
+useTempDataDir('rerun');
+
+// Replace the scrapers and LLM pipeline so no browser or API key is needed
+const calls = [];
+require.cache[require.resolve('../services/profileService')] = { exports: {} };
+require.cache[require.resolve('../services/companyService')] = { exports: {} };
+require.cache[require.resolve('../services/enhancedContentGenerationService')] = { exports: {} };
+require.cache[require.resolve('../services/twoAgentService')] = {
+  exports: {
+    generatePersonalizedContent: async (profileData, context, outputType, options) => {
+      calls.push({ profileData, context, outputType, options });
+      options.onStage('researching');
+      options.onStage('fine_tuning');
+      options.onStage('sales_copy');
+      return {
+        content: `Hi ${profileData.name} from ${options.salesCopyModel}`,
+        metadata: { outputType, process: { fineTuningModel: options.fineTuningModel, salesCopyModel: options.salesCopyModel } }
+      };
+    }
+  }
+};
+
+const { analysisStore } = require('../services/storageService');
+const analysisRoutes = require('../api/routes/analysisRoutes');
+
+async function runRerunTest() {
+  console.log('=== Starting Analysis Re-run Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/analyses', analysisRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/analyses`;
+  const post = (url, body) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    const original = analysisStore.create({
+      type: 'profile',
+      outputFormat: 'linkedin',
+      sourceUrl: 'https://www.linkedin.com/in/jane',
+      profileData: { name: 'Jane', title: 'Safety Director', metadata: { outputType: 'old' } },
+      profileContent: 'Original copy',
+      additionalContext: 'Met at the ASIS trade show',
+      modelOptions: { fineTuningModel: 'gpt-4o-mini', salesCopyModel: 'claude-3-opus-20240229' }
+    });
+    const message = analysisStore.create({ type: 'message', clientMessage: 'Hello' });
+
+    // Validation
+    let response = await post(`${baseUrl}/unknown/rerun`, {});
+    assert.strictEqual(response.status, 404);
+    response = await post(`${baseUrl}/${message.id}/rerun`, {});
+    assert.strictEqual(response.status, 400);
+    response = await post(`${baseUrl}/${original.id}/rerun`, { modelOptions: 'gpt-4o' });
+    assert.strictEqual(response.status, 400);
+    response = await post(`${baseUrl}/${original.id}/rerun`, { additionalContext: 42 });
+    assert.strictEqual(response.status, 400);
+    console.log('✓ re-run rejects missing, non-profile and malformed requests');
+
+    // Re-run returns a job whose result is a new analysis linked to the original
+    const modelOptions = { fineTuningModel: 'gpt-4o', salesCopyModel: 'claude-3-haiku-20240307' };
+    response = await post(`${baseUrl}/${original.id}/rerun`, { modelOptions });
+    assert.strictEqual(response.status, 202);
+    const { data: queued } = await response.json();
+    assert.deepStrictEqual(queued.stages.map(stage => stage.id), ['researching', 'fine_tuning', 'sales_copy', 'verifying']);
+
+    const job = await waitForJob(queued.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+    const rerun = job.result.analysis;
+    assert.strictEqual(rerun.parentId, original.id);
+    assert.strictEqual(rerun.profileContent, 'Hi Jane from claude-3-haiku-20240307');
+    assert.deepStrictEqual(rerun.modelOptions, modelOptions);
+    assert.strictEqual(rerun.sourceUrl, original.sourceUrl);
+    assert.strictEqual(rerun.metadata.process.fineTuningModel, 'gpt-4o');
+    assert.strictEqual(analysisStore.get(rerun.id).profileContent, rerun.profileContent);
+    console.log('✓ re-run saves a linked analysis with the new models');
+
+    // The stored profile is reused without its old metadata and the original output format is kept
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].profileData.metadata, undefined);
+    assert.strictEqual(calls[0].profileData.name, 'Jane');
+    assert.strictEqual(calls[0].outputType, 'linkedin_message');
+    assert.strictEqual(analysisStore.get(original.id).profileContent, 'Original copy', 'original is untouched');
+    console.log('✓ re-run reuses the stored profile');
+
+    // The rep's original notes are reused unless the re-run gives its own
+    assert.strictEqual(calls[0].context.notes, 'Met at the ASIS trade show');
+    assert.strictEqual(rerun.additionalContext, 'Met at the ASIS trade show');
+    response = await post(`${baseUrl}/${original.id}/rerun`, { additionalContext: 'Now evaluating vendors' });
+    const withNotes = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(calls[1].context.notes, 'Now evaluating vendors');
+    assert.strictEqual(withNotes.result.analysis.additionalContext, 'Now evaluating vendors');
+    console.log('✓ re-run reuses the original additional context by default');
+
+    // Re-running a re-run still links to the first analysis
+    response = await post(`${baseUrl}/${rerun.id}/rerun`, {});
+    const second = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(second.result.analysis.parentId, original.id);
+    assert.strictEqual(calls[2].context.notes, 'Met at the ASIS trade show', 'notes carry over to re-runs of re-runs');
+    console.log('✓ re-runs of re-runs link to the original');
+
+    console.log('\n=== Analysis Re-run Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Analysis re-run test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runRerunTest();
@@ -0,0 +1,121 @@
+/**
+ * Batch Analysis Test Script
+ *
+ * Runs a small CSV batch end to end with the LinkedIn scraper and two-agent
+ * pipeline replaced by in-memory fakes, against a temporary data directory.
+ * Runs offline.
+ *
+ * Run with: node tests/batch-test.js
+ */
+
+const assert = require('assert');
+const { useTempDataDir } = require('./helpers');
+
+// Point the storage service at a throwaway directory before loading it
+useTempDataDir('batch');
+
+// Replace the scraper and LLM pipeline so no browser or API key is needed
+const scrapeTimes = [];
+require.cache[require.resolve('../services/profileService')] = {
+  exports: {
+    extractProfileData: async (url) => {
+      scrapeTimes.push(Date.now());
+      if (url.includes('broken')) throw new Error('Profile not found');
+      return { name: url.split('/in/')[1].replace(/\/$/, ''), title: 'Safety Manager', company: 'Acme' };
+    }
+  }
+};
+require.cache[require.resolve('../services/twoAgentService')] = {
+  exports: {
+    generatePersonalizedContent: async (profileData, context, outputType) => ({
+      content: `Hi ${profileData.name} (${outputType}) ${context.notes}`,
+      metadata: { outputType }
+    })
+  }
+};
+
+const linkedinConfig = require('../utils/linkedin/linkedinConfig');
+linkedinConfig.scraping.maxProfiles = 2;
+linkedinConfig.scraping.profileDelay = 20;
+linkedinConfig.scraping.sessionCooldown = 100;
+
+const batchService = require('../services/batchService');
+const { prospectStore } = require('../services/storageService');
+
+/**
+ * Wait until a batch stops running
+ * @param {number} id - Batch id
+ * @returns {Promise<Object>} - Finished batch
+ */
+async function waitForBatch(id) {
+  for (let i = 0; i < 100; i++) {
+    const batch = batchService.getBatch(id);
+    if (['completed', 'cancelled', 'failed'].includes(batch.status)) return batch;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('Batch did not finish in time');
+}
+
+async function runBatchTest() {
+  console.log('=== Starting Batch Analysis Test ===');
+
+  try {
+    // Header detection, quoted context, invalid and duplicate rows
+    const csv = [
+      'LinkedIn URL,Additional Context',
+      'https://www.linkedin.com/in/alice,"Met at expo, wants pricing"',
+      'https://www.linkedin.com/in/bob/,',
+      'https://example.com/not-linkedin,',
+      'https://www.linkedin.com/in/alice?trk=x,',
+      'https://www.linkedin.com/in/broken,',
+      'https://www.linkedin.com/in/carol,'
+    ].join('\n');
+
+    const rows = batchService.parseRows(csv);
+    assert.strictEqual(rows.length, 6);
+    assert.strictEqual(rows[0].additionalContext, 'Met at expo, wants pricing');
+    assert.strictEqual(rows[2].status, 'invalid');
+    assert.strictEqual(rows[3].status, 'skipped');
+    console.log('✓ CSV rows are parsed, validated and deduplicated');
+
+    // Headerless files use the first column as the URL
+    assert.strictEqual(batchService.parseRows('https://www.linkedin.com/in/dave,Hot lead')[0].additionalContext, 'Hot lead');
+    assert.throws(() => batchService.parseRows('name,email\nBob,bob@example.com'), /URL column/);
+    console.log('✓ headerless CSVs are accepted and unknown layouts rejected');
+
+    // Run the batch end to end
+    const created = batchService.createBatch({ csv, outputFormat: 'linkedin' });
+    assert.strictEqual(created.summary.total, 6);
+    const batch = await waitForBatch(created.id);
+
+    assert.strictEqual(batch.status, 'completed');
+    assert.strictEqual(batch.summary.completed, 3);
+    assert.strictEqual(batch.summary.failed, 1);
+    assert.strictEqual(batch.rows[0].content, 'Hi alice (linkedin_message) Met at expo, wants pricing');
+    assert.strictEqual(batch.rows[4].error, 'Profile not found');
+    assert.strictEqual(prospectStore.list().length, 3);
+    console.log('✓ rows are processed with per-row status');
+
+    // Rate limits: profileDelay between rows, sessionCooldown after maxProfiles
+    assert.strictEqual(scrapeTimes.length, 4);
+    assert.ok(scrapeTimes[1] - scrapeTimes[0] >= 15, 'profileDelay should separate rows');
+    assert.ok(scrapeTimes[2] - scrapeTimes[1] >= 90, 'sessionCooldown should follow maxProfiles rows');
+    console.log('✓ maxProfiles and profileDelay are honoured');
+
+    // Exports
+    const exportedCsv = batchService.exportResults(batch, 'csv');
+    assert.ok(exportedCsv.startsWith('row,profileUrl,additionalContext,status'));
+    assert.ok(exportedCsv.includes('"Met at expo, wants pricing"'));
+    const exportedJson = JSON.parse(batchService.exportResults(batch, 'json'));
+    assert.strictEqual(exportedJson.results.length, 6);
+    assert.strictEqual(exportedJson.results[1].name, 'bob');
+    console.log('✓ results export as CSV and JSON');
+
+    console.log('\n=== Batch Analysis Test Passed ===');
+  } catch (error) {
+    console.error('Batch analysis test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runBatchTest();
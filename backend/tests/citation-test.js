@@ -0,0 +1,149 @@
+/**
+ * Citation Tracking Test Script
+ *
+ * Checks researched facts keep their source URL, retrieval time and
+ * confidence through the fine-tuning prompt, and that generated content
+ * carries metadata mapping each claim about the prospect's company to its
+ * source, with unsourced claims flagged. Runs offline without API keys
+ * against a temporary data directory.
+ *
+ * Run with: node tests/citation-test.js
+ */
+
+const assert = require('assert');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('citations');
+isolateLLM();
+
+const RETRIEVED_AT = '2026-10-18T15:04:00.000Z';
+const facts = [
+  { id: 'F1', category: 'companySize', statement: 'About 450 employees across Arizona', sourceId: 'S1', sourceUrl: 'https://acme.example/about', retrievedAt: RETRIEVED_AT, confidence: 'high' },
+  { id: 'F2', category: 'recentProject', statement: 'Completed the Riverside Medical Center expansion', sourceId: 'S1', sourceUrl: 'https://acme.example/about', retrievedAt: RETRIEVED_AT, confidence: 'high' },
+  { id: 'F3', category: 'recentNews', statement: 'Awarded the Mesa transit hub contract in March', sourceId: 'S2', sourceUrl: 'https://news.example/acme-mesa', retrievedAt: RETRIEVED_AT, confidence: 'low' }
+];
+const cited = (fact) => ({ id: fact.id, text: fact.statement, sourceUrl: fact.sourceUrl, retrievedAt: fact.retrievedAt, confidence: fact.confidence });
+
+// Research results as researchService returns them once a search provider is enabled
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {
+    researchCompany: async () => ({
+      companyName: 'Acme Builders',
+      companySize: facts[0].statement,
+      industryFocus: 'construction',
+      recentProjects: [cited(facts[1])],
+      recentNews: [cited(facts[2])],
+      challengesOpportunities: [],
+      facts,
+      sources: [],
+      researchStatus: 'completed'
+    }),
+    analyzeRole: async () => ({ roleCategory: 'safety_director', painPoints: ['safety compliance'], responsibilities: [] }),
+    getIndustryTrends: async () => [{ trend: 'Labor shortages' }]
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const citationService = require('../services/citationService');
+const twoAgentService = require('../services/twoAgentService');
+
+const SALES_COPY = `Subject: Riverside and what comes next
+
+Hi Dana,
+
+Congratulations on Acme completing the Riverside Medical Center expansion! Winning the Mesa transit hub contract in March means even more sites to watch.
+I also heard Acme recently opened a new yard in Tucson.
+
+VigilantEx works like four extra employees on every site.
+
+Best,
+Mike`;
+
+async function runCitationTest() {
+  console.log('=== Starting Citation Tracking Test ===');
+
+  try {
+    // Claims are matched to facts by their key words
+    const traced = citationService.traceClaims(SALES_COPY, facts, 'Acme Builders');
+    assert.deepStrictEqual(traced.claims.map(claim => [claim.sourced, claim.factId]), [
+      [true, 'F2'],
+      [true, 'F3'],
+      [false, null]
+    ]);
+    assert.strictEqual(traced.claims[0].text, 'Congratulations on Acme completing the Riverside Medical Center expansion!');
+    assert.strictEqual(traced.claims[1].sourceUrl, 'https://news.example/acme-mesa');
+    assert.strictEqual(traced.claims[1].confidence, 'low');
+    assert.strictEqual(traced.claims[1].retrievedAt, RETRIEVED_AT);
+    assert.strictEqual(traced.claims[2].text, 'I also heard Acme recently opened a new yard in Tucson.');
+    assert.strictEqual(traced.unsourcedClaims, 1);
+    assert.deepStrictEqual(traced.sources.map(source => [source.factId, source.cited]), [['F1', false], ['F2', true], ['F3', true]]);
+
+    // Product copy and sentences that do not mention the company are not claims
+    assert.deepStrictEqual(citationService.traceClaims('VigilantEx cuts theft by 40%. Projects run smoother.', facts, 'Acme Builders').claims, []);
+    assert.deepStrictEqual(citationService.traceClaims('', [], '').claims, []);
+    console.log('✓ claims in copy map to the facts and sources behind them');
+
+    // The pipeline passes sources to the agents and records claim citations
+    const prompts = [];
+    multiLLMService.generateWithOpenAI = async (prompt, options) => {
+      prompts.push(prompt);
+      return { content: 'Generate a sales email for Dana about the Riverside expansion.', provider: 'openai', model: options.model };
+    };
+    multiLLMService.generateWithClaude = async (prompt, options) => ({ content: SALES_COPY, provider: 'claude', model: options.model });
+
+    const result = await twoAgentService.generatePersonalizedContent(
+      { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' }, {}, 'sales_email'
+    );
+    assert.ok(prompts[0].includes('[F2] Completed the Riverside Medical Center expansion (source: https://acme.example/about, retrieved 2026-10-18, confidence: high)'));
+    assert.ok(prompts[0].includes('[F3] Awarded the Mesa transit hub contract in March (source: https://news.example/acme-mesa, retrieved 2026-10-18, confidence: low)'));
+    assert.ok(prompts[0].includes('do not add others'));
+
+    const { citations } = result.metadata;
+    assert.strictEqual(citations.claims.length, 3);
+    assert.strictEqual(citations.unsourcedClaims, 1);
+    assert.strictEqual(citations.claims[0].sourceUrl, 'https://acme.example/about');
+    assert.strictEqual(result.metadata.researchSummary.researchStatus, 'completed');
+    console.log('✓ generated content metadata lists which claims map to which sources');
+
+    // Each variant carries its own citations
+    let call = 0;
+    multiLLMService.generateWithClaude = async (prompt, options) => ({
+      content: call++ === 0
+        ? 'Hi Dana, congratulations on Acme completing the Riverside Medical Center expansion.'
+        : 'Hi Dana, I read Acme just won the Phoenix airport contract.',
+      provider: 'claude',
+      model: options.model
+    });
+    const varied = await twoAgentService.generateVariants(
+      { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' }, {}, 'sales_email', { variants: 2 }
+    );
+    assert.strictEqual(varied.variants[0].citations.unsourcedClaims, 0);
+    assert.strictEqual(varied.variants[0].citations.claims[0].factId, 'F2');
+    assert.strictEqual(varied.variants[1].citations.unsourcedClaims, 1);
+    assert.deepStrictEqual(varied.metadata.citations, varied.variants[0].citations);
+    console.log('✓ variants carry their own citations');
+
+    // Without research every claim about the company is unsourced
+    multiLLMService.generateWithClaude = async (prompt, options) => ({
+      content: 'Hi Dana, congrats on Acme completing the Metro Tower project last month.',
+      provider: 'claude',
+      model: options.model
+    });
+    const direct = await twoAgentService.generateWithSalesCopyAgentOnly(
+      { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' }, {}, 'sales email'
+    );
+    assert.strictEqual(direct.metadata.citations.unsourcedClaims, 1);
+    assert.deepStrictEqual(direct.metadata.citations.sources, []);
+    console.log('✓ claims made without research are flagged as unsourced');
+
+    console.log('\n=== Citation Tracking Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Citation tracking test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runCitationTest();
@@ -0,0 +1,263 @@
+/**
+ * Claim Verification Test Script
+ *
+ * Checks the fact check run on generated sales copy: numbers, names, dates and
+ * references to earlier conversations are extracted, looked up in the profile,
+ * the additional context, the researched facts and the approved product
+ * knowledge, and the copy is either returned with its unsupported claims or
+ * rewritten without them. Runs offline without API keys against a temporary
+ * data directory.
+ *
+ * Run with: node tests/claim-verification-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('claims');
+isolateLLM(['CLAIM_VERIFICATION_MODE']);
+
+const FACTS = [
+  { id: 'F1', category: 'recentProject', statement: 'Completed the Riverside Medical Center expansion in March 2025', sourceId: 'S1', sourceUrl: 'https://acme.example/about', retrievedAt: '2026-10-18T15:04:00.000Z', confidence: 'high' }
+];
+
+// Research results as researchService returns them once a search provider is enabled
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {
+    researchCompany: async () => ({
+      companySize: 'unknown',
+      industryFocus: 'construction',
+      recentProjects: [],
+      recentNews: [],
+      challengesOpportunities: [],
+      facts: FACTS,
+      sources: [],
+      researchStatus: 'completed'
+    }),
+    analyzeRole: async () => ({ roleCategory: 'safety_director', painPoints: [], responsibilities: [] }),
+    getIndustryTrends: async () => [{ trend: 'Labor shortages' }]
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const claimVerificationService = require('../services/claimVerificationService');
+const productKnowledgeService = require('../services/productKnowledgeService');
+const twoAgentService = require('../services/twoAgentService');
+const agentRoutes = require('../api/routes/agentRoutes');
+
+const PROFILE = { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders', location: 'Phoenix, Arizona' };
+
+const SALES_COPY = `Subject: Riverside and your sites
+
+Hi Dana,
+
+As we discussed on our last call, congratulations on Acme completing the Riverside Medical Center expansion in March 2025!
+Our customers cut theft and vandalism by 40% and saw 55% fewer incidents. VigilantEx works like 4 extra employees, and Argos runs $1,849/month.
+I also heard Acme is opening the Metro Tower yard with 1,200 workers in Phoenix.
+
+Would you have 15 minutes next Tuesday for a 15-minute demo? [Booking Link]
+
+Best regards,
+Mike Cerone`;
+
+const CLEAN_COPY = `Hi Dana,
+
+Congratulations on Acme completing the Riverside Medical Center expansion in March 2025!
+Our customers cut theft and vandalism by 40%. Would you have 15 minutes next Tuesday? [Booking Link]
+
+Best regards,
+Mike Cerone`;
+
+const summarize = (claims) => claims.map(claim => [claim.type, claim.text, claim.supportedBy]);
+
+async function runClaimVerificationTest() {
+  console.log('=== Starting Claim Verification Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/agent', agentRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const post = async (url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    // Claims are extracted; the signature, placeholders and meeting lengths are not claims
+    const extracted = claimVerificationService.extractClaims(SALES_COPY);
+    assert.deepStrictEqual(extracted.map(claim => [claim.type, claim.text]), [
+      ['prior_contact', 'As we discussed'],
+      ['prior_contact', 'our last call'],
+      ['date', 'March 2025'],
+      ['statistic', '40%'],
+      ['statistic', '55%'],
+      ['statistic', '4'],
+      ['statistic', '$1,849'],
+      ['statistic', '1,200'],
+      ['name', 'Dana'],
+      ['name', 'Acme'],
+      ['name', 'Riverside Medical Center'],
+      ['name', 'Argos'],
+      ['name', 'Metro Tower'],
+      ['name', 'Phoenix']
+    ]);
+    assert.ok(extracted[0].sentence.startsWith('As we discussed on our last call'));
+    assert.deepStrictEqual(claimVerificationService.extractClaims(''), []);
+    console.log('✓ numbers, names, dates and prior-meeting references are extracted');
+
+    // Each claim is looked up in the profile, context, research and product knowledge
+    let check = claimVerificationService.verifyClaims(SALES_COPY, { profileData: PROFILE, additionalContext: { notes: '' }, facts: FACTS });
+    assert.deepStrictEqual(summarize(check.claims), [
+      ['prior_contact', 'As we discussed', null],
+      ['prior_contact', 'our last call', null],
+      ['date', 'March 2025', 'research'],
+      ['statistic', '40%', 'product'],
+      ['statistic', '55%', null],
+      ['statistic', '4', 'product'],
+      ['statistic', '$1,849', 'product'],
+      ['statistic', '1,200', null],
+      ['name', 'Dana', 'profile'],
+      ['name', 'Acme', 'profile'],
+      ['name', 'Riverside Medical Center', 'research'],
+      ['name', 'Argos', 'product'],
+      ['name', 'Metro Tower', null],
+      ['name', 'Phoenix', 'profile']
+    ]);
+    assert.strictEqual(check.unsupportedCount, 5);
+    assert.deepStrictEqual(check.unsupported.map(claim => claim.text), ['As we discussed', 'our last call', '55%', '1,200', 'Metro Tower']);
+    console.log('✓ claims are checked against profile, research and product knowledge');
+
+    // The rep's notes can back up a number, a name or an earlier call
+    check = claimVerificationService.verifyClaims(SALES_COPY, {
+      profileData: PROFILE,
+      additionalContext: { notes: 'Spoke with Dana on a call last week: the Metro Tower yard will have 1,200 workers.' },
+      facts: FACTS
+    });
+    assert.deepStrictEqual(check.unsupported.map(claim => claim.text), ['55%']);
+    assert.strictEqual(check.claims.find(claim => claim.text === 'Metro Tower').supportedBy, 'context');
+
+    // Later touches of a sequence may refer back to the earlier ones
+    check = claimVerificationService.verifyClaims('Following up on our call, Dana.', { profileData: PROFILE, priorContact: true });
+    assert.deepStrictEqual(summarize(check.claims), [['prior_contact', 'Following up on our', 'sequence'], ['name', 'Dana', 'profile']]);
+    console.log('✓ additional context and earlier touches back up claims');
+
+    // Only approved statistics count as evidence
+    const draft = productKnowledgeService.createItem({ type: 'statistic', text: 'Insurance claims dropped by 55%', approved: false });
+    assert.strictEqual(claimVerificationService.verifyClaims('We saw 55% fewer claims.', {}).unsupportedCount, 1);
+    productKnowledgeService.updateItem(draft.id, { approved: true });
+    assert.strictEqual(claimVerificationService.verifyClaims('We saw 55% fewer claims.', {}).unsupportedCount, 0);
+    productKnowledgeService.removeItem(draft.id);
+    console.log('✓ only approved product claims support the copy');
+
+    // Flag mode (the default) returns the copy as written with its unsupported claims
+    const salesCopyCalls = [];
+    let rewrites = [];
+    multiLLMService.generateWithOpenAI = async (prompt, options) => ({ content: 'Generate a sales email for Dana Site at Acme Builders.', provider: 'openai', model: options.model });
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      salesCopyCalls.push({ prompt, options });
+      if (options.task === 'claim_rewrite') return rewrites.shift();
+      return { content: SALES_COPY, provider: 'claude', model: options.model };
+    };
+
+    let response = await post('/agent/generate', { profileData: PROFILE, additionalContext: { notes: '' } });
+    assert.strictEqual(response.status, 200);
+    let result = response.body.data;
+    assert.strictEqual(result.content, SALES_COPY);
+    assert.strictEqual(result.metadata.verification.mode, 'flag');
+    assert.strictEqual(result.metadata.verification.rewritten, false);
+    assert.deepStrictEqual(result.metadata.verification.unsupported.map(claim => claim.text), ['As we discussed', 'our last call', '55%', '1,200', 'Metro Tower']);
+    assert.strictEqual(salesCopyCalls.length, 1);
+    console.log('✓ flag mode returns the unsupported claims with the content');
+
+    // Rewrite mode has the sales copy agent drop the unsupported claims
+    salesCopyCalls.length = 0;
+    rewrites = [CLEAN_COPY];
+    response = await post('/agent/generate', { profileData: PROFILE, options: { claimVerification: 'rewrite' } });
+    result = response.body.data;
+    assert.strictEqual(salesCopyCalls.length, 2);
+    const rewriteCall = salesCopyCalls[1];
+    assert.strictEqual(rewriteCall.options.task, 'claim_rewrite');
+    assert.ok(rewriteCall.prompt.includes('- "Metro Tower" (name) in: "I also heard Acme is opening the Metro Tower yard with 1,200 workers in Phoenix."'));
+    assert.ok(rewriteCall.prompt.includes('- "As we discussed" (prior contact)'));
+    assert.ok(rewriteCall.prompt.includes('Theft and vandalism have decreased by 40%'));
+    assert.ok(rewriteCall.prompt.includes(SALES_COPY));
+    assert.strictEqual(result.content, CLEAN_COPY.trim());
+    assert.strictEqual(result.metadata.verification.rewritten, true);
+    assert.strictEqual(result.metadata.verification.unsupportedCount, 0);
+    assert.deepStrictEqual(result.metadata.verification.removedClaims.map(claim => claim.text), ['As we discussed', 'our last call', '55%', '1,200', 'Metro Tower']);
+    assert.strictEqual(result.metadata.process.originalContent, SALES_COPY);
+    assert.strictEqual(result.metadata.process.promptVersions.claim_rewrite, 1);
+    assert.ok(result.metadata.process.promptVersion.endsWith('+claim_rewrite@v1'));
+    assert.strictEqual(result.metadata.citations.claims[0].factId, 'F1');
+    console.log('✓ rewrite mode rewrites the copy without the unsupported claims');
+
+    // Claims that survive the rewrite are still flagged, and a failed rewrite keeps the copy
+    rewrites = [CLEAN_COPY.replace('by 40%', 'by 55%')];
+    result = await twoAgentService.generatePersonalizedContent(PROFILE, {}, 'sales_email', { claimVerification: 'rewrite' });
+    assert.strictEqual(result.metadata.verification.rewritten, true);
+    assert.deepStrictEqual(result.metadata.verification.unsupported.map(claim => claim.text), ['55%']);
+
+    rewrites = [];
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      if (options.task === 'claim_rewrite') throw new Error('rate limited');
+      return { content: SALES_COPY, provider: 'claude', model: options.model };
+    };
+    result = await twoAgentService.generatePersonalizedContent(PROFILE, {}, 'sales_email', { claimVerification: 'rewrite' });
+    assert.strictEqual(result.content, SALES_COPY);
+    assert.strictEqual(result.metadata.verification.rewritten, false);
+    assert.strictEqual(result.metadata.verification.unsupportedCount, 5);
+    assert.strictEqual(result.metadata.process.promptVersions.claim_rewrite, undefined);
+    console.log('✓ claims left after a rewrite, or a failed rewrite, are flagged');
+
+    // Off skips the check; unknown modes are rejected before any LLM call
+    result = await twoAgentService.generatePersonalizedContent(PROFILE, {}, 'sales_email', { claimVerification: 'off' });
+    assert.strictEqual(result.metadata.verification, null);
+
+    salesCopyCalls.length = 0;
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      salesCopyCalls.push({ prompt, options });
+      return { content: SALES_COPY, provider: 'claude', model: options.model };
+    };
+    response = await post('/agent/generate', { profileData: PROFILE, options: { claimVerification: 'maybe' } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'claimVerification must be one of: flag, rewrite, off');
+    assert.strictEqual(salesCopyCalls.length, 0);
+    console.log('✓ the check can be turned off and unknown modes are rejected');
+
+    // Variants and sequence touches are checked one by one
+    const varied = await twoAgentService.generateVariants(PROFILE, {}, 'sales_email', { variants: 2 });
+    assert.ok(varied.variants.every(variant => variant.verification.unsupportedCount === 5));
+    assert.deepStrictEqual(varied.metadata.verification, varied.variants[0].verification);
+
+    multiLLMService.generateWithClaude = async (prompt, options) => ({
+      content: 'As we discussed, Acme could use 4 extra employees.',
+      provider: 'claude',
+      model: options.model
+    });
+    const { sequence, metadata } = await twoAgentService.generateSequence(PROFILE, {}, {
+      steps: [{ day: 0, type: 'intro_email' }, { day: 3, type: 'follow_up_email' }]
+    });
+    assert.strictEqual(sequence.steps[0].verification.unsupportedCount, 1);
+    assert.strictEqual(sequence.steps[1].verification.unsupportedCount, 0);
+    assert.deepStrictEqual(metadata.verification.unsupported.map(claim => [claim.step, claim.text]), [[1, 'As we discussed']]);
+    console.log('✓ variants and sequence touches carry their own checks');
+
+    console.log('\n=== Claim Verification Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Claim verification test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runClaimVerificationTest();
@@ -0,0 +1,276 @@
+/**
+ * Company Research Cache Test Script
+ *
+ * Checks company research and industry trends are stored per company and
+ * reused until stale, that forcing or staleness researches again and keeps
+ * the earlier snapshot in history, that the background refresh job picks up
+ * due snapshots, that the research API lists and refreshes them, and that
+ * analyses report how old their research is. Runs offline without API keys
+ * against a temporary data directory.
+ *
+ * Run with: node tests/company-research-cache-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM, waitForJob } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('research-cache');
+isolateLLM();
+
+// Web research as it comes back from an enabled search provider, counting each run
+const searches = [];
+let researchStatus = 'completed';
+require.cache[require.resolve('../services/webResearchService')] = {
+  exports: {
+    researchCompany: async (companyName) => {
+      searches.push(companyName);
+      return {
+        status: researchStatus,
+        facts: [
+          { id: 'F1', category: 'companySize', statement: `Run ${searches.length}: about 450 employees`, sourceId: 'S1', sourceUrl: 'https://acme.example/about', retrievedAt: new Date().toISOString(), confidence: 'high' }
+        ],
+        sources: [{ id: 'S1', url: 'https://acme.example/about', title: 'About', fetchedAt: new Date().toISOString() }]
+      };
+    }
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const trendPrompts = [];
+multiLLMService.generateContent = async (prompt) => {
+  if (prompt.includes('trends in the construction industry')) {
+    trendPrompts.push(prompt);
+    return JSON.stringify([{ trend: 'Labor shortages', relevance: 'Fewer people on site' }]);
+  }
+  return JSON.stringify({ roleCategory: 'safety_director', painPoints: ['safety compliance'], responsibilities: [] });
+};
+multiLLMService.generateWithOpenAI = async (prompt, options) => ({ content: 'Generate a short sales email for Dana.', provider: 'openai', model: options.model });
+multiLLMService.generateWithClaude = async (prompt, options) => ({
+  content: 'Hi Dana, VigilantEx watches every site around the clock.\n\nBest,\nMike',
+  provider: 'claude',
+  model: options.model
+});
+
+const researchCacheConfig = require('../config/research-cache');
+const { researchStore } = require('../services/storageService');
+const companyKnowledgeService = require('../services/companyKnowledgeService');
+const researchService = require('../services/researchService');
+const researchRefreshService = require('../services/researchRefreshService');
+const twoAgentService = require('../services/twoAgentService');
+const researchRoutes = require('../api/routes/researchRoutes');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Move a stored snapshot back in time
+ * @param {string} type - 'company' or 'industry_trends'
+ * @param {string} key - Store key
+ * @param {number} ageMs - How old the snapshot should be
+ */
+function age(type, key, ageMs) {
+  const record = researchStore.find(item => item.type === type && item.key === key);
+  researchStore.update(record.id, { researchedAt: new Date(Date.now() - ageMs).toISOString() });
+}
+
+async function runResearchCacheTest() {
+  console.log('=== Starting Company Research Cache Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/research', researchRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api/research`;
+
+  try {
+    // Names and domains normalise to one key per company
+    const { normalizeKey } = companyKnowledgeService;
+    assert.strictEqual(normalizeKey('Acme Builders, Inc.'), 'acme builders');
+    assert.strictEqual(normalizeKey('  ACME   Builders LLC '), 'acme builders');
+    assert.strictEqual(normalizeKey('https://www.Acme.com/about?x=1'), 'acme.com');
+    assert.strictEqual(normalizeKey('acme.com'), 'acme.com');
+    assert.strictEqual(normalizeKey('The Company'), 'the company');
+    assert.strictEqual(normalizeKey(''), '');
+    console.log('✓ company names and domains normalise to store keys');
+
+    // The first analysis researches; the next prospect at the company reuses it
+    const first = await researchService.researchCompany('Acme Builders, Inc.');
+    assert.strictEqual(searches.length, 1);
+    assert.strictEqual(first.fromCache, false);
+    assert.ok(first.researchedAt);
+
+    const second = await researchService.researchCompany('acme builders');
+    assert.strictEqual(searches.length, 1, 'no second round of web research');
+    assert.strictEqual(second.fromCache, true);
+    assert.strictEqual(second.researchedAt, first.researchedAt);
+    assert.strictEqual(second.companySize, 'Run 1: about 450 employees');
+    console.log('✓ research is stored per company and reused');
+
+    // Simultaneous analyses of a new company share one run
+    await Promise.all([researchService.researchCompany('Birch Co'), researchService.researchCompany('Birch Company')]);
+    assert.strictEqual(searches.length, 2);
+
+    // Forcing researches again and keeps the previous snapshot as history
+    const forced = await researchService.researchCompany('Acme Builders', { force: true });
+    assert.strictEqual(searches.length, 3);
+    assert.strictEqual(forced.fromCache, false);
+    assert.strictEqual(forced.companySize, 'Run 3: about 450 employees');
+    let record = companyKnowledgeService.getRecord('company', 'Acme Builders');
+    assert.strictEqual(record.history.length, 1);
+    assert.strictEqual(record.history[0].snapshot.companySize, 'Run 1: about 450 employees');
+    assert.strictEqual(record.snapshots, 2);
+    console.log('✓ forced research replaces the snapshot and keeps history');
+
+    // Stale snapshots are researched again before use
+    age('company', 'acme builders', researchCacheConfig.maxAgeMs.company + 1000);
+    assert.strictEqual(companyKnowledgeService.getSnapshot('company', 'Acme Builders').stale, true);
+    const refreshed = await researchService.researchCompany('Acme Builders');
+    assert.strictEqual(searches.length, 4);
+    assert.strictEqual(refreshed.fromCache, false);
+    assert.strictEqual(companyKnowledgeService.getSnapshot('company', 'Acme Builders').stale, false);
+
+    // History is capped
+    for (let i = 0; i < researchCacheConfig.historyLimit + 2; i++) {
+      await researchService.researchCompany('Acme Builders', { force: true });
+    }
+    assert.strictEqual(companyKnowledgeService.getRecord('company', 'Acme Builders').history.length, researchCacheConfig.historyLimit);
+    console.log('✓ stale research is refreshed before use and history is capped');
+
+    // Failed research is not stored, so the next analysis tries again
+    researchStatus = 'failed';
+    const failedBefore = searches.length;
+    await researchService.researchCompany('Cedar Group');
+    await researchService.researchCompany('Cedar Group');
+    assert.strictEqual(searches.length, failedBefore + 2);
+    assert.strictEqual(companyKnowledgeService.getRecord('company', 'Cedar Group'), null);
+    researchStatus = 'completed';
+
+    // Domains key the company instead of its name
+    await researchService.researchCompany('Dune Construction', { domain: 'https://www.dune.example' });
+    assert.ok(companyKnowledgeService.getRecord('company', 'dune.example'));
+    assert.strictEqual(companyKnowledgeService.getRecord('company', 'Dune Construction'), null);
+    console.log('✓ failed research is not stored and domains key companies');
+
+    // Industry trends are generated once and reused
+    const trends = await researchService.getIndustryTrends();
+    assert.deepStrictEqual(trends.map(trend => trend.trend), ['Labor shortages']);
+    await researchService.getIndustryTrends();
+    assert.strictEqual(trendPrompts.length, 1);
+    await researchService.getIndustryTrends({ force: true });
+    assert.strictEqual(trendPrompts.length, 2);
+    console.log('✓ industry trends are stored and reused');
+
+    // Only stale or nearly stale snapshots are due, oldest first
+    age('company', 'birch', researchCacheConfig.maxAgeMs.company - researchCacheConfig.refresh.refreshAheadMs / 2);
+    age('company', 'dune.example', researchCacheConfig.maxAgeMs.company + DAY);
+    assert.deepStrictEqual(companyKnowledgeService.listDue().map(entry => entry.key), ['dune.example', 'birch']);
+    console.log('✓ snapshots due for a refresh are listed oldest first');
+
+    // The background job refreshes them under the same keys
+    const beforeRefresh = searches.length;
+    const job = researchRefreshService.refreshDue();
+    assert.ok(job);
+    assert.strictEqual(researchRefreshService.refreshDue(), null, 'no second job while one is running');
+    const done = await waitForJob(job.id);
+    assert.strictEqual(done.status, 'completed');
+    assert.deepStrictEqual(done.result.refreshed.map(entry => entry.key), ['dune.example', 'birch']);
+    assert.deepStrictEqual(done.result.failed, []);
+    assert.strictEqual(searches.length, beforeRefresh + 2);
+    assert.deepStrictEqual(searches.slice(-2), ['Dune Construction', 'Birch Co']);
+    assert.deepStrictEqual(companyKnowledgeService.listDue(), []);
+    assert.strictEqual(researchStore.list({ type: 'company' }).length, 3);
+    assert.strictEqual(researchRefreshService.refreshDue(), null, 'nothing due, nothing queued');
+    console.log('✓ the refresh job researches due companies again');
+
+    // A search outage or empty result never replaces completed research
+    const before = companyKnowledgeService.getRecord('company', 'Acme Builders');
+    for (const status of ['search_failed', 'no_sources']) {
+      researchStatus = status;
+      const outageJob = await waitForJob(researchRefreshService.startRefresh({ keys: ['Acme Builders'] }).id);
+      assert.deepStrictEqual(outageJob.result.refreshed, []);
+      assert.strictEqual(outageJob.result.failed.length, 1);
+      assert.ok(outageJob.result.failed[0].error.includes(status));
+
+      const kept = await researchService.researchCompany('Acme Builders', { force: true });
+      assert.strictEqual(kept.researchStatus, 'completed');
+      assert.strictEqual(kept.fromCache, true);
+      assert.strictEqual(kept.refreshStatus, status);
+      assert.strictEqual(kept.researchedAt, before.researchedAt);
+    }
+    researchStatus = 'completed';
+    const after = companyKnowledgeService.getRecord('company', 'Acme Builders');
+    assert.strictEqual(after.researchedAt, before.researchedAt);
+    assert.deepStrictEqual(after.history, before.history);
+    console.log('✓ outages and empty searches keep the last completed research');
+
+    // The API lists, shows, refreshes and deletes stored research
+    let response = await fetch(`${baseUrl}?type=company`);
+    let body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body.data.map(entry => entry.key).sort(), ['acme builders', 'birch', 'dune.example']);
+    assert.ok(body.data.every(entry => entry.stale === false && entry.ageMs >= 0));
+
+    response = await fetch(`${baseUrl}?type=people`);
+    assert.strictEqual(response.status, 400);
+
+    response = await fetch(`${baseUrl}/${encodeURIComponent('Acme Builders LLC')}`);
+    body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.data.key, 'acme builders');
+    assert.strictEqual(body.data.history.length, researchCacheConfig.historyLimit);
+
+    response = await fetch(`${baseUrl}/construction?type=industry_trends`);
+    assert.strictEqual(response.status, 200);
+
+    response = await fetch(`${baseUrl}/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keys: ['Birch Co'] })
+    });
+    body = await response.json();
+    assert.strictEqual(response.status, 202);
+    const apiJob = await waitForJob(body.data.id);
+    assert.deepStrictEqual(apiJob.result.refreshed.map(entry => entry.key), ['birch']);
+
+    response = await fetch(`${baseUrl}/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ keys: 'birch' })
+    });
+    assert.strictEqual(response.status, 400);
+
+    response = await fetch(`${baseUrl}/birch`, { method: 'DELETE' });
+    assert.strictEqual(response.status, 200);
+    response = await fetch(`${baseUrl}/birch`);
+    assert.strictEqual(response.status, 404);
+    response = await fetch(`${baseUrl}/birch`, { method: 'DELETE' });
+    assert.strictEqual(response.status, 404);
+    console.log('✓ the research API lists, refreshes and deletes stored research');
+
+    // Analyses report the age of the research they used
+    const profile = { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' };
+    const beforeAnalysis = searches.length;
+    const result = await twoAgentService.generatePersonalizedContent(profile, {}, 'sales_email');
+    const { researchSummary } = result.metadata;
+    assert.strictEqual(searches.length, beforeAnalysis);
+    assert.strictEqual(researchSummary.researchFromCache, true);
+    assert.strictEqual(researchSummary.researchedAt, companyKnowledgeService.getSnapshot('company', 'Acme Builders').researchedAt);
+
+    const forcedAnalysis = await twoAgentService.generatePersonalizedContent(profile, {}, 'sales_email', { refreshResearch: true });
+    assert.strictEqual(searches.length, beforeAnalysis + 1);
+    assert.strictEqual(forcedAnalysis.metadata.researchSummary.researchFromCache, false);
+    console.log('✓ analyses use stored research unless asked to refresh and report its age');
+
+    console.log('\n=== Company Research Cache Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Company research cache test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runResearchCacheTest();
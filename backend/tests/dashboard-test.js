@@ -0,0 +1,98 @@
+/**
+ * Dashboard Service Test Script
+ *
+ * Builds the dashboard summary from a temporary data directory and a
+ * temporary LinkedIn error log. Runs offline.
+ *
+ * Run with: node tests/dashboard-test.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { makeTempDir } = require('./helpers');
+
+// Point the storage service and the LinkedIn error log (cwd/logs) at throwaway directories
+const dataDir = makeTempDir('dashboard');
+process.env.DATA_DIR = path.join(dataDir, 'data');
+const originalCwd = process.cwd();
+process.chdir(dataDir);
+
+const { prospectStore, companyStore, analysisStore } = require('../services/storageService');
+const { LinkedInError, LinkedInErrorLogger } = require('../utils/linkedin/linkedinErrorHandler');
+const dashboardService = require('../services/dashboardService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function runDashboardTest() {
+  console.log('=== Starting Dashboard Service Test ===');
+
+  try {
+    const acme = companyStore.create({ name: 'Acme Safety', industry: 'Manufacturing', potentialValue: 50000 });
+    const globex = companyStore.create({ name: 'Globex', industry: 'Energy', potentialValue: 120000 });
+    companyStore.create({ name: 'No Value Inc' });
+
+    prospectStore.create({ name: 'Ann', companyId: acme.id });
+    prospectStore.create({ name: 'Ben', companyId: acme.id, status: 'contacted' });
+    prospectStore.create({ name: 'Cat', companyId: globex.id, status: 'customer' });
+
+    // Pipeline follows the schema's status order and includes empty stages
+    const pipeline = dashboardService.getPipeline();
+    assert.deepStrictEqual(pipeline.map(stage => stage.status), ['new', 'contacted', 'qualified', 'opportunity', 'customer', 'archived']);
+    assert.deepStrictEqual(pipeline.map(stage => stage.count), [1, 1, 0, 0, 1, 0]);
+    console.log('✓ pipeline counts prospects per status');
+
+    // Top companies skip companies without a potential value
+    const topCompanies = dashboardService.getTopCompanies();
+    assert.deepStrictEqual(topCompanies.map(company => company.name), ['Globex', 'Acme Safety']);
+    assert.strictEqual(topCompanies[1].prospectCount, 2);
+    console.log('✓ top companies are ordered by potential value');
+
+    // Analyses per day are zero-filled and bucketed by creation day
+    analysisStore.create({ type: 'profile', result: {} });
+    analysisStore.create({ type: 'company', result: {} });
+    analysisStore.create({ type: 'message', result: {} }, { createdAt: new Date(Date.now() - 3 * DAY_MS).toISOString() });
+    analysisStore.create({ type: 'message', result: {} }, { createdAt: new Date(Date.now() - 30 * DAY_MS).toISOString() });
+
+    const series = dashboardService.getAnalysesPerDay(7);
+    assert.strictEqual(series.length, 7);
+    assert.strictEqual(series[6].date, new Date().toISOString().slice(0, 10));
+    assert.strictEqual(series[6].count, 2);
+    assert.deepStrictEqual(series[6].byType, { profile: 1, company: 1 });
+    assert.strictEqual(series[3].count, 1);
+    assert.strictEqual(series.reduce((sum, day) => sum + day.count, 0), 3);
+    console.log('✓ analyses per day are zero-filled');
+
+    // LinkedIn errors come from the log written by another logger instance
+    const writer = new LinkedInErrorLogger();
+    const originalConsoleError = console.error;
+    console.error = () => {};
+    await writer.logError(new LinkedInError('Captcha shown', 'CAPTCHA_DETECTED'), { url: 'https://www.linkedin.com/in/a' });
+    await writer.logError(new LinkedInError('Captcha shown again', 'CAPTCHA_DETECTED'));
+    await writer.logError(new LinkedInError('Rate limited', 'RATE_LIMITED'));
+    console.error = originalConsoleError;
+
+    const linkedinErrors = await dashboardService.getLinkedInErrors(2);
+    assert.strictEqual(linkedinErrors.stats.totalErrors, 3);
+    assert.strictEqual(linkedinErrors.stats.errorsByType.CAPTCHA_DETECTED, 2);
+    assert.strictEqual(linkedinErrors.analysis.mostCommonError, 'CAPTCHA_DETECTED');
+    assert.strictEqual(linkedinErrors.analysis.errorTrend, 'increasing');
+    assert.ok(linkedinErrors.analysis.recommendedAction.includes('CAPTCHA'));
+    assert.deepStrictEqual(linkedinErrors.recent.map(error => error.message), ['Rate limited', 'Captcha shown again']);
+    assert.strictEqual(linkedinErrors.recent[0].stack, undefined, 'recent errors should not include stack traces');
+    console.log('✓ LinkedIn errors are loaded from the error log');
+
+    const summary = await dashboardService.getSummary({ days: 3 });
+    assert.deepStrictEqual(summary.totals, { prospects: 3, companies: 3, analyses: 4 });
+    assert.strictEqual(summary.analysesPerDay.length, 3);
+    console.log('✓ summary combines every widget');
+
+    console.log('\n=== Dashboard Service Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Dashboard service test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    process.chdir(originalCwd);
+  }
+}
+
+runDashboardTest();
@@ -0,0 +1,78 @@
+/**
+ * Shared Test Helpers
+ *
+ * Keeps the offline test scripts away from real LLM providers and from the
+ * real data, metrics and cache files. Call isolateLLM() and useTempDataDir()
+ * before requiring any service, since services read their settings when they
+ * load. Temporary directories are removed when the process exits.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDirs = [];
+
+process.on('exit', () => {
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+/**
+ * Create a temporary directory that is removed when the process exits
+ * @param {string} name - Short name used in the directory name
+ * @returns {string} - Directory path
+ */
+function makeTempDir(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `vigilantex-${name}-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Point DATA_DIR at a temporary directory
+ * @param {string} name - Short name used in the directory name
+ * @returns {string} - Directory path
+ */
+function useTempDataDir(name) {
+  process.env.DATA_DIR = makeTempDir(name);
+  return process.env.DATA_DIR;
+}
+
+/**
+ * No real providers, metrics file or cache file: removes the provider keys
+ * and endpoints, stops the response cache writing to disk and sends metrics
+ * to a temporary directory
+ * @param {Array<string>} [unset] - Further environment variables to remove
+ */
+function isolateLLM(unset = []) {
+  ['ANTHROPIC_API_KEY', 'OPENAI_API_KEY', 'OPENAPI_KEY', 'LOCAL_LLM_BASE_URL', ...unset]
+    .forEach(name => delete process.env[name]);
+  process.env.LLM_CACHE_PERSIST = 'false';
+  process.env.LLM_METRICS_DIR = makeTempDir('metrics');
+}
+
+/**
+ * Wait for a job to finish
+ * @param {string} id - Job id
+ * @param {JobQueue} [queue] - Queue (default: the shared job queue)
+ * @returns {Promise<Object>} - Finished job
+ */
+function waitForJob(id, queue = require('../../services/jobQueueService').jobQueue) {
+  return new Promise(resolve => {
+    const current = queue.getJob(id);
+    if (queue.isFinished(current)) return resolve(current);
+    const unsubscribe = queue.subscribe(id, job => {
+      if (queue.isFinished(job)) {
+        unsubscribe();
+        resolve(job);
+      }
+    });
+  });
+}
+
+module.exports = {
+  makeTempDir,
+  useTempDataDir,
+  isolateLLM,
+  waitForJob
+};
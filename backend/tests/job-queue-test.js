@@ -0,0 +1,93 @@
+/**
+ * Job Queue Test Script
+ *
+ * Runs fake workers through the job queue to check stage reporting,
+ * progress, results, failures and subscriptions. Runs offline.
+ *
+ * Run with: node tests/job-queue-test.js
+ */
+
+const assert = require('assert');
+const { JobQueue, JOB_STATUS } = require('../services/jobQueueService');
+const { waitForJob } = require('./helpers');
+
+const stages = [
+  { id: 'scraping', label: 'Scraping' },
+  { id: 'researching', label: 'Researching' },
+  { id: 'generating', label: 'Generating' }
+];
+
+async function runJobQueueTest() {
+  console.log('=== Starting Job Queue Test ===');
+
+  try {
+    const queue = new JobQueue({ concurrency: 1 });
+
+    queue.registerHandler('ok', {
+      stages,
+      run: async (params, job) => {
+        job.setStage('scraping');
+        await new Promise(resolve => setImmediate(resolve));
+        job.setStage('researching');
+        job.setStage('generating');
+        return { echo: params.value };
+      }
+    });
+
+    queue.registerHandler('fail', {
+      stages,
+      run: async (params, job) => {
+        job.setStage('researching');
+        throw new Error('LLM unavailable');
+      }
+    });
+
+    // Enqueue returns immediately with a queued job
+    const queued = queue.enqueue('ok', { value: 42 });
+    assert.ok(queued.id, 'job should get an id');
+    assert.strictEqual(queued.params, undefined, 'params stay internal');
+    assert.strictEqual(queued.stages.length, 3);
+    console.log('✓ enqueue returns a job id');
+
+    // Subscribers see every stage in order
+    const seenStages = [];
+    queue.subscribe(queued.id, job => {
+      if (job.stage && seenStages[seenStages.length - 1] !== job.stage) seenStages.push(job.stage);
+    });
+    const done = await waitForJob(queued.id, queue);
+    assert.deepStrictEqual(seenStages, ['scraping', 'researching', 'generating']);
+    assert.strictEqual(done.status, JOB_STATUS.COMPLETED);
+    assert.strictEqual(done.progress, 100);
+    assert.deepStrictEqual(done.result, { echo: 42 });
+    assert.ok(done.stages.every(stage => stage.status === 'completed'));
+    console.log('✓ stages are reported in order and the result is stored');
+
+    // Failures are recorded on the job and the failing stage
+    const failing = queue.enqueue('fail');
+    const failed = await waitForJob(failing.id, queue);
+    assert.strictEqual(failed.status, JOB_STATUS.FAILED);
+    assert.strictEqual(failed.error, 'LLM unavailable');
+    assert.strictEqual(failed.stages[0].status, 'completed');
+    assert.strictEqual(failed.stages[1].status, 'failed');
+    console.log('✓ failures are recorded');
+
+    // Concurrency limit keeps later jobs queued
+    const first = queue.enqueue('ok', { value: 1 });
+    const second = queue.enqueue('ok', { value: 2 });
+    assert.strictEqual(queue.getJob(second.id).status, JOB_STATUS.QUEUED);
+    await waitForJob(first.id, queue);
+    assert.strictEqual((await waitForJob(second.id, queue)).result.echo, 2);
+    console.log('✓ concurrency limit is respected');
+
+    assert.throws(() => queue.enqueue('missing'), /Unknown job type/);
+    assert.strictEqual(queue.getJob('does-not-exist'), null);
+    console.log('✓ unknown types and ids are handled');
+
+    console.log('\n=== Job Queue Test Passed ===');
+  } catch (error) {
+    console.error('Job queue test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runJobQueueTest();
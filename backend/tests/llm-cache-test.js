@@ -0,0 +1,167 @@
+/**
+ * LLM Cache Test Script
+ *
+ * Checks content-addressed keys, persistence across restarts, LRU eviction,
+ * per-task TTLs, purging and debounced background writes against a temporary
+ * cache file. Runs offline.
+ *
+ * Run with: node tests/llm-cache-test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir } = require('./helpers');
+
+// Point the cache at a throwaway directory before loading it
+const dataDir = useTempDataDir('llm-cache');
+
+const { LLMCache } = require('../services/llmService');
+
+const filePath = path.join(dataDir, 'llm-cache.json');
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Prompts longer than the old 100 character key prefix that only differ at the end
+const SHARED_PREFIX = 'You are a sales assistant for VigilantEx writing a short, personalised outreach email to a construction professional. ';
+const PROMPT_A = `${SHARED_PREFIX}Prospect: Jane Doe, Safety Director at Acme Builders.`;
+const PROMPT_B = `${SHARED_PREFIX}Prospect: John Roe, Project Manager at Beta Construction.`;
+
+function createCache(options = {}) {
+  return new LLMCache({
+    filePath,
+    maxEntries: 100,
+    maxBytes: 1024 * 1024,
+    defaultTtlMs: 60000,
+    taskTtls: { noCache: 0, shortLived: 30 },
+    ...options
+  });
+}
+
+async function runCacheTest() {
+  console.log('=== Starting LLM Cache Test ===');
+
+  try {
+    const cache = createCache();
+
+    // Keys cover the whole prompt, system prompt, model and parameters
+    assert.notStrictEqual(cache.generateKey(PROMPT_A, 'gpt-4o'), cache.generateKey(PROMPT_B, 'gpt-4o'));
+    assert.strictEqual(cache.generateKey(PROMPT_A, 'gpt-4o'), cache.generateKey(PROMPT_A, 'gpt-4o'));
+    assert.notStrictEqual(cache.generateKey(PROMPT_A, 'gpt-4o'), cache.generateKey(PROMPT_A, 'gpt-4o-mini'));
+    assert.notStrictEqual(
+      cache.generateKey(PROMPT_A, 'gpt-4o', { systemPrompt: 'Be brief.' }),
+      cache.generateKey(PROMPT_A, 'gpt-4o', { systemPrompt: 'Be detailed.' })
+    );
+    assert.notStrictEqual(
+      cache.generateKey(PROMPT_A, 'gpt-4o', { temperature: 0.2 }),
+      cache.generateKey(PROMPT_A, 'gpt-4o', { temperature: 0.9 })
+    );
+    assert.strictEqual(
+      cache.generateKey(PROMPT_A, 'gpt-4o', { task: 'profileContent', cache: true }),
+      cache.generateKey(PROMPT_A, 'gpt-4o'),
+      'options that do not change the response are not part of the key'
+    );
+    assert.match(cache.generateKey(PROMPT_A, 'gpt-4o'), /^[0-9a-f]{64}$/);
+
+    cache.set(PROMPT_A, 'gpt-4o', 'profileContent', 'Email for Jane');
+    cache.set(PROMPT_B, 'gpt-4o', 'profileContent', 'Email for John');
+    assert.strictEqual(cache.get(PROMPT_A, 'gpt-4o', 'profileContent'), 'Email for Jane');
+    assert.strictEqual(cache.get(PROMPT_B, 'gpt-4o', 'profileContent'), 'Email for John');
+    assert.strictEqual(cache.get(PROMPT_A, 'gpt-4o', 'profileContent', { systemPrompt: 'Other' }), null);
+    console.log('✓ prompts sharing a long prefix get separate entries');
+
+    // Entries survive a restart
+    cache.save();
+    const reloaded = createCache();
+    assert.strictEqual(reloaded.get(PROMPT_A, 'gpt-4o', 'profileContent'), 'Email for Jane');
+    assert.strictEqual(reloaded.getStats().cacheSize, 2);
+    console.log('✓ entries are persisted and reloaded from disk');
+
+    // Per-task TTLs
+    reloaded.set('Not cached', 'gpt-4o', 'noCache', 'Should not be stored');
+    assert.strictEqual(reloaded.get('Not cached', 'gpt-4o', 'noCache'), null);
+    reloaded.set('Short lived', 'gpt-4o', 'shortLived', 'Expires quickly');
+    assert.strictEqual(reloaded.get('Short lived', 'gpt-4o', 'shortLived'), 'Expires quickly');
+    await delay(50);
+    assert.strictEqual(reloaded.get('Short lived', 'gpt-4o', 'shortLived'), null);
+    console.log('✓ per-task TTLs expire entries and a TTL of 0 disables caching');
+
+    // LRU eviction by entry count and by size
+    fs.unlinkSync(filePath);
+    const small = createCache({ maxEntries: 2 });
+    small.set('one', 'm', 't', 'first');
+    small.set('two', 'm', 't', 'second');
+    assert.strictEqual(small.get('one', 'm', 't'), 'first'); // "two" is now least recently used
+    small.set('three', 'm', 't', 'third');
+    assert.strictEqual(small.get('two', 'm', 't'), null);
+    assert.strictEqual(small.get('one', 'm', 't'), 'first');
+    assert.strictEqual(small.getStats().evictions, 1);
+
+    const tiny = createCache({ filePath: null, maxBytes: 10 });
+    tiny.set('a', 'm', 't', '123456');
+    tiny.set('b', 'm', 't', '7890ab');
+    assert.strictEqual(tiny.get('a', 'm', 't'), null);
+    assert.strictEqual(tiny.getStats().bytes, 6);
+    console.log('✓ least recently used entries are evicted beyond the entry and size limits');
+
+    // Inspect and purge
+    const admin = createCache({ filePath: path.join(dataDir, 'admin-cache.json') });
+    admin.set('p1', 'gpt-4o', 'profileContent', 'profile one');
+    admin.set('p2', 'claude-3-haiku-20240307', 'profileContent', 'profile two');
+    admin.set('m1', 'gpt-4o', 'messageAnalysis', 'analysis one');
+
+    const listed = admin.list({ task: 'profileContent' });
+    assert.strictEqual(listed.total, 2);
+    assert.strictEqual(listed.entries[0].model, 'claude-3-haiku-20240307', 'most recently used first');
+    assert.strictEqual(listed.entries[0].value, undefined);
+    assert.strictEqual(admin.getEntry(listed.entries[0].key).value, 'profile two');
+    assert.deepStrictEqual(admin.getStats().byTask, { profileContent: 2, messageAnalysis: 1 });
+
+    assert.strictEqual(admin.purge({ model: 'gpt-4o', task: 'profileContent' }), 1);
+    assert.strictEqual(admin.purge({ expired: true }), 0);
+    assert.strictEqual(admin.delete(listed.entries[0].key), true);
+    assert.strictEqual(admin.list().total, 1);
+    await admin.flush();
+    assert.strictEqual(createCache({ filePath: path.join(dataDir, 'admin-cache.json') }).list().total, 1);
+    console.log('✓ entries can be listed and purged by task or model');
+
+    // Changes are written in the background once they stop for the save delay
+    const debouncedPath = path.join(dataDir, 'debounced-cache.json');
+    const debounced = createCache({ filePath: debouncedPath, saveDelayMs: 20 });
+    const writeFileSync = fs.writeFileSync;
+    let syncWrites = 0;
+    fs.writeFileSync = (...args) => {
+      syncWrites++;
+      return writeFileSync(...args);
+    };
+    try {
+      debounced.set('d1', 'gpt-4o', 'profileContent', 'one');
+      debounced.set('d2', 'gpt-4o', 'profileContent', 'two');
+      debounced.delete(debounced.generateKey('d1', 'gpt-4o'));
+      debounced.purge({ expired: true });
+      assert.strictEqual(fs.existsSync(debouncedPath), false, 'nothing is written while changes keep coming');
+      await delay(60);
+      await debounced.writing;
+    } finally {
+      fs.writeFileSync = writeFileSync;
+    }
+    assert.strictEqual(syncWrites, 0, 'set, delete and purge never write synchronously');
+    assert.strictEqual(createCache({ filePath: debouncedPath }).list().total, 1);
+    assert.strictEqual(debounced.dirty, false);
+
+    // A synchronous save (shutdown, clear) wins over a background write still running
+    debounced.set('d3', 'gpt-4o', 'profileContent', 'three');
+    const pending = debounced.flush();
+    debounced.clear();
+    await pending;
+    assert.strictEqual(createCache({ filePath: debouncedPath }).list().total, 0);
+    assert.deepStrictEqual(fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp')), [], 'no temp files left');
+    console.log('✓ changes are written in the background after a quiet period');
+
+    console.log('\n=== LLM Cache Test Passed ===');
+  } catch (error) {
+    console.error('LLM cache test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runCacheTest();
@@ -0,0 +1,129 @@
+/**
+ * LLM Cost Accounting Test Script
+ *
+ * Checks token capture, cost aggregation by day, task, model and prospect, and
+ * the monthly budgets that downgrade or block paid models. Uses fake
+ * providers, so it runs offline without API keys.
+ *
+ * Run with: node tests/llm-cost-test.js
+ */
+
+const assert = require('assert');
+const { isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+isolateLLM();
+
+const pricingConfig = require('../config/llm-pricing');
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const CONTENT = 'A perfectly reasonable generated response that is long enough to use.';
+
+// 100k input and 10k output tokens per call
+const USAGE = { inputTokens: 100000, outputTokens: 10000 };
+
+/**
+ * Fake provider that records the models it was asked for
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider with the list of requested models
+ */
+function fakeProvider(name) {
+  const provider = {
+    name,
+    models: [],
+    isAvailable: () => true,
+    selectModel: () => `${name}-model`,
+    generate: async (prompt, options) => {
+      provider.models.push(options.model);
+      return { content: CONTENT, model: options.model, usage: { ...USAGE } };
+    },
+    stream: async function* () {},
+    listModels: async () => [`${name}-model`],
+    health: async () => ({ ok: true, latencyMs: 1, error: null })
+  };
+  return provider;
+}
+
+async function runCostTest() {
+  console.log('=== Starting LLM Cost Accounting Test ===');
+
+  try {
+    // Pricing lookup by exact id or family prefix
+    assert.deepStrictEqual(pricingConfig.getModelPricing('gpt-4o-mini-2024-07-18'), pricingConfig.pricing['gpt-4o-mini']);
+    assert.deepStrictEqual(pricingConfig.getModelPricing('claude-3-haiku-20240307'), pricingConfig.pricing['claude-3-haiku']);
+    assert.strictEqual(pricingConfig.getModelPricing('llama3.1'), null);
+    assert.strictEqual(pricingConfig.calculateCost('gpt-4o', USAGE), 0.35);
+    assert.strictEqual(pricingConfig.getDowngrade('gpt-4o-mini'), null);
+    assert.strictEqual(pricingConfig.getDowngrade('claude-3-opus-20240229'), 'claude-3-haiku-20240307');
+    console.log('✓ prices are looked up by model family');
+
+    // Start from empty aggregates whatever the local metrics file holds
+    multiLLMService.metrics.metrics.usage = {
+      totals: { requests: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 },
+      byDay: {},
+      byMonth: {},
+      byTask: {},
+      byModel: {},
+      byProspect: {}
+    };
+    const openai = multiLLMService.registerProvider(fakeProvider('openai'));
+    const local = multiLLMService.registerProvider(fakeProvider('local-llm'));
+    await multiLLMService.initialize();
+    multiLLMService.registry.unregister('local');
+    multiLLMService.registry.setChain('cost-test', [{ provider: 'openai', model: 'gpt-4o' }, 'local-llm']);
+
+    await multiLLMService.generate('First prompt', { task: 'cost-test', prospect: 'https://www.linkedin.com/in/janedoe' });
+    await multiLLMService.generate('Second prompt', { task: 'cost-test', prospect: 'https://www.linkedin.com/in/janedoe' });
+
+    const { usage } = multiLLMService.getUsageMetrics();
+    const today = new Date().toISOString().slice(0, 10);
+    assert.strictEqual(usage.totals.requests, 2);
+    assert.strictEqual(usage.totals.inputTokens, 200000);
+    assert.strictEqual(usage.totals.costUsd, 0.7);
+    assert.strictEqual(usage.byDay[today].costUsd, 0.7);
+    assert.strictEqual(usage.byTask['cost-test'].outputTokens, 20000);
+    assert.strictEqual(usage.byModel['gpt-4o'].requests, 2);
+    assert.strictEqual(usage.byProspect['https://www.linkedin.com/in/janedoe'].costUsd, 0.7);
+    assert.strictEqual(usage.byMonth[today.slice(0, 7)].providers.openai.costUsd, 0.7);
+    assert.strictEqual(multiLLMService.getBudgetStatus().spentUsd, 0.7);
+    console.log('✓ tokens and cost are aggregated by day, task, model and prospect');
+
+    // Over budget: expensive models are swapped for cheaper ones
+    pricingConfig.budgets.monthlyUsd = 0.6;
+    pricingConfig.budgets.action = 'downgrade';
+    await multiLLMService.generate('Third prompt', { task: 'cost-test' });
+    assert.strictEqual(openai.models[openai.models.length - 1], 'gpt-4o-mini');
+    assert.strictEqual(multiLLMService.getUsageMetrics().usage.byModel['gpt-4o-mini'].costUsd, 0.021);
+    console.log('✓ over budget, paid models are downgraded');
+
+    // Past the hard limit paid providers are skipped; the free local server still answers
+    pricingConfig.budgets.monthlyUsd = 0.5;
+    const callsBefore = openai.models.length;
+    const content = await multiLLMService.generate('Fourth prompt', { task: 'cost-test' });
+    assert.strictEqual(content, CONTENT);
+    assert.strictEqual(openai.models.length, callsBefore);
+    assert.strictEqual(local.models.length, 1);
+    assert.strictEqual(multiLLMService.getUsageMetrics().usage.byModel['local-llm-model'].costUsd, 0);
+    console.log('✓ past the hard limit paid providers are skipped');
+
+    // Block mode stops paid providers as soon as a limit is reached
+    pricingConfig.budgets.monthlyUsd = null;
+    pricingConfig.budgets.providers.openai = 0.7;
+    pricingConfig.budgets.action = 'block';
+    multiLLMService.registry.unregister('local-llm');
+    await assert.rejects(
+      multiLLMService.generate('Fifth prompt', { task: 'cost-test' }),
+      /openai monthly budget exceeded/
+    );
+    assert.strictEqual(multiLLMService.getBudgetStatus().providers.openai.limitUsd, 0.7);
+    console.log('✓ block mode rejects calls once a provider budget is spent');
+
+    console.log('\n=== LLM Cost Accounting Test Passed ===');
+  } catch (error) {
+    console.error('LLM cost accounting test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runCostTest();
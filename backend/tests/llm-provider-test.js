@@ -0,0 +1,123 @@
+/**
+ * LLM Provider Registry Test Script
+ *
+ * Checks provider registration, per-task fallback chains and that
+ * generateContent walks the chain. Uses fake providers, so it runs
+ * offline without API keys.
+ *
+ * Run with: node tests/llm-provider-test.js
+ */
+
+const assert = require('assert');
+const { isolateLLM } = require('./helpers');
+const { ProviderRegistry } = require('../services/llmProviders/providerRegistry');
+
+// No real providers, metrics file or cache file for this test
+isolateLLM();
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+/**
+ * Build a fake provider
+ * @param {string} name - Provider name
+ * @param {Object} behaviour - { available, content, error, model }
+ * @returns {Object} - Provider with a calls log
+ */
+function fakeProvider(name, behaviour = {}) {
+  const provider = {
+    name,
+    calls: [],
+    isAvailable: () => behaviour.available !== false,
+    selectModel: () => behaviour.model || `${name}-model`,
+    generate: async (prompt, options) => {
+      provider.calls.push({ prompt, options });
+      if (behaviour.error) throw new Error(behaviour.error);
+      return { content: behaviour.content, model: options.model, usage: null };
+    },
+    stream: async function* () {
+      yield { type: 'token', text: behaviour.content };
+    },
+    listModels: async () => [behaviour.model || `${name}-model`],
+    health: async () => ({ ok: true, latencyMs: 1, error: null })
+  };
+  return provider;
+}
+
+const LONG_TEXT = 'This response is comfortably longer than the fifty character minimum.';
+
+async function runProviderTest() {
+  console.log('=== Starting LLM Provider Registry Test ===');
+
+  try {
+    // Registration validates the interface
+    const registry = new ProviderRegistry({
+      defaultChain: ['a', 'b'],
+      chains: { special: ['b', { provider: 'a', model: 'a-large' }, 'a'] },
+      longFormChain: ['b', 'a'],
+      longContentThreshold: 100,
+      resilience: { timeoutMs: 1000, providers: { a: { timeoutMs: 5000 } } }
+    });
+    assert.throws(() => registry.register({ name: 'broken', generate: async () => ({}) }), /missing: isAvailable/);
+    registry.register(fakeProvider('a'));
+    registry.register(fakeProvider('b', { available: false }));
+    registry.register(fakeProvider('custom'));
+    console.log('✓ providers must implement the full interface');
+
+    // Fallback chain per task
+    const names = (steps) => steps.map(step => step.provider);
+    assert.deepStrictEqual(names(registry.getChain('other')), ['a', 'b']);
+    assert.deepStrictEqual(registry.getChain('special')[1], { provider: 'a', model: 'a-large' });
+    assert.deepStrictEqual(names(registry.getChain('other', { contentLength: 500 })), ['b', 'a']);
+    registry.setChain('other', ['custom', 'a']);
+    assert.deepStrictEqual(names(registry.getChain('other')), ['custom', 'a']);
+    console.log('✓ fallback chains are configurable per task');
+
+    // Unavailable providers are skipped; steps get models and timeouts
+    const resolved = registry.resolve('special');
+    assert.deepStrictEqual(resolved.map(step => `${step.name}:${step.modelName}`), ['a:a-large', 'a:a-model']);
+    assert.strictEqual(resolved[0].timeoutMs, 5000);
+    const preferred = registry.resolve('special', {}, { provider: 'a', model: 'a-model' });
+    assert.deepStrictEqual(preferred.map(step => step.modelName), ['a-model', 'a-large']);
+    const described = await registry.describe();
+    assert.strictEqual(described.find(entry => entry.name === 'b').health.error, 'Not configured');
+    assert.deepStrictEqual(described.find(entry => entry.name === 'a').models, ['a-model']);
+    assert.strictEqual(described.find(entry => entry.name === 'a').breaker.state, 'closed');
+    console.log('✓ unconfigured providers and repeated steps are skipped');
+
+    // Built-in providers register on initialize; cloud ones stay unavailable without keys
+    const failing = multiLLMService.registerProvider(fakeProvider('openai', { error: 'boom' }));
+    const local = multiLLMService.registerProvider(fakeProvider('local-llm', { content: LONG_TEXT, model: 'llama3.1' }));
+    await multiLLMService.initialize();
+    multiLLMService.registry.unregister('local'); // Keep Transformers.js out of the test
+    assert.strictEqual(multiLLMService.registry.get('openai'), failing);
+    assert.strictEqual(multiLLMService.registry.get('claude').isAvailable(), false);
+    console.log('✓ custom providers take precedence over built-ins');
+
+    // generateContent walks the chain: openai fails, claude is unconfigured, local-llm answers
+    const content = await multiLLMService.generateContent('Analyze this message', 'messageAnalysis', {});
+    assert.strictEqual(content, LONG_TEXT);
+    assert.strictEqual(failing.calls.length, 1);
+    assert.strictEqual(local.calls[0].options.model, 'llama3.1');
+    assert.strictEqual(local.calls[0].options.task, 'messageAnalysis');
+    const metrics = multiLLMService.getUsageMetrics();
+    assert.strictEqual(metrics.modelsUsed['local-llm'], 1);
+    assert.strictEqual(metrics.modelsUsed.openai, 1);
+    console.log('✓ generateContent falls back through providers in order');
+
+    // Every provider failing surfaces an error for the template fallback
+    multiLLMService.registry.unregister('local-llm');
+    await assert.rejects(
+      multiLLMService.generateContent('Another prompt', 'messageAnalysis', {}),
+      /All LLM providers failed for task messageAnalysis/
+    );
+    console.log('✓ an error is raised when every provider fails');
+
+    console.log('\n=== LLM Provider Registry Test Passed ===');
+  } catch (error) {
+    console.error('LLM provider registry test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runProviderTest();
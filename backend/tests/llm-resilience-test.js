@@ -0,0 +1,172 @@
+/**
+ * LLM Resilience Test Script
+ *
+ * Checks circuit breakers, timeouts and retry-with-backoff, and that the
+ * multi-LLM service skips a provider once its breaker has opened. Uses fake
+ * providers, so it runs offline without API keys.
+ *
+ * Run with: node tests/llm-resilience-test.js
+ */
+
+const assert = require('assert');
+const { isolateLLM } = require('./helpers');
+const { CircuitBreaker } = require('../services/llmProviders/circuitBreaker');
+const {
+  isRetryableError,
+  isProviderFailure,
+  getBackoff,
+  callWithRetry
+} = require('../services/llmProviders/resilience');
+
+// No real providers, metrics file or cache file for this test
+isolateLLM();
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Error shaped like the OpenAI/Anthropic SDK errors
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Response headers
+ * @returns {Error}
+ */
+function apiError(status, headers = {}) {
+  const error = new Error(`${status} API error`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Fake provider that runs each generate call through a handler
+ * @param {string} name - Provider name
+ * @param {Function} handler - (callNumber) => content or throws
+ * @returns {Object} - Provider with a call count
+ */
+function scriptedProvider(name, handler) {
+  const provider = {
+    name,
+    calls: 0,
+    isAvailable: () => true,
+    selectModel: () => `${name}-model`,
+    generate: async (prompt, options) => {
+      provider.calls++;
+      const content = await handler(provider.calls, options);
+      return { content, model: options.model, usage: null };
+    },
+    stream: async function* () {},
+    listModels: async () => [`${name}-model`],
+    health: async () => ({ ok: true, latencyMs: 1, error: null })
+  };
+  return provider;
+}
+
+const GOOD_CONTENT = 'A perfectly reasonable generated response that is long enough to use.';
+
+async function runResilienceTest() {
+  console.log('=== Starting LLM Resilience Test ===');
+
+  try {
+    // Breaker opens after consecutive failures and admits one trial after the cooldown
+    const breaker = new CircuitBreaker('test', { failureThreshold: 3, cooldownMs: 30 });
+    breaker.recordFailure(new Error('one'));
+    breaker.recordFailure(new Error('two'));
+    assert.strictEqual(breaker.canRequest(), true);
+    breaker.recordFailure(new Error('three'));
+    assert.strictEqual(breaker.getState().state, 'open');
+    assert.strictEqual(breaker.canRequest(), false);
+    await delay(40);
+    assert.strictEqual(breaker.canRequest(), true);
+    assert.strictEqual(breaker.canRequest(), false, 'only one trial request while half-open');
+    breaker.recordFailure(new Error('trial failed'));
+    assert.strictEqual(breaker.getState().state, 'open');
+    await delay(40);
+    assert.strictEqual(breaker.canRequest(), true);
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.getState().state, 'closed');
+    assert.strictEqual(breaker.getState().lastError, 'trial failed');
+    console.log('✓ circuit breaker opens, half-opens after the cooldown and closes on success');
+
+    // Error classification
+    assert.strictEqual(isRetryableError(apiError(429)), true);
+    assert.strictEqual(isRetryableError(apiError(503)), true);
+    assert.strictEqual(isRetryableError(apiError(400)), false);
+    assert.strictEqual(isRetryableError(Object.assign(new Error('slow'), { code: 'LLM_TIMEOUT' })), false);
+    assert.strictEqual(isProviderFailure(apiError(400)), false);
+    assert.strictEqual(isProviderFailure(apiError(401)), true);
+    assert.strictEqual(getBackoff(1, apiError(429, { 'retry-after': '2' }), { backoffMs: 100, maxBackoffMs: 10000 }), 2000);
+    assert.strictEqual(getBackoff(5, apiError(503), { backoffMs: 100, maxBackoffMs: 500 }), 500);
+    console.log('✓ 429 and 5xx are retried; bad requests do not count against the provider');
+
+    // Retry with backoff until success
+    let attempts = 0;
+    const result = await callWithRetry(async () => {
+      attempts++;
+      if (attempts < 3) throw apiError(429);
+      return 'ok';
+    }, { retries: 2, backoffMs: 1, maxBackoffMs: 5 });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(attempts, 3);
+
+    attempts = 0;
+    await assert.rejects(callWithRetry(async () => {
+      attempts++;
+      throw apiError(400);
+    }, { retries: 2, backoffMs: 1 }), /400/);
+    assert.strictEqual(attempts, 1);
+
+    await assert.rejects(
+      callWithRetry(() => delay(200), { timeoutMs: 20, label: 'slow provider' }),
+      /slow provider timed out after 20ms/
+    );
+    console.log('✓ retries with backoff and enforces per-attempt timeouts');
+
+    // The service skips a provider whose breaker has opened
+    multiLLMService.registry.resilience = {
+      timeoutMs: 1000,
+      retries: 1,
+      backoffMs: 1,
+      maxBackoffMs: 5,
+      breaker: { failureThreshold: 2, cooldownMs: 60000 }
+    };
+    const flaky = multiLLMService.registerProvider(scriptedProvider('openai', () => { throw apiError(503); }));
+    const backup = multiLLMService.registerProvider(scriptedProvider('claude', () => GOOD_CONTENT));
+    await multiLLMService.initialize();
+    multiLLMService.registry.unregister('local');
+    multiLLMService.registry.setChain('resilience-test', ['openai', 'claude']);
+
+    const first = await multiLLMService.generate('Prompt one', { task: 'resilience-test' });
+    assert.strictEqual(first, GOOD_CONTENT);
+    assert.strictEqual(flaky.calls, 2, '503 is retried once before falling back');
+
+    await multiLLMService.generate('Prompt two', { task: 'resilience-test' });
+    assert.strictEqual(multiLLMService.getCircuitBreakerStates().openai.state, 'open');
+
+    await multiLLMService.generate('Prompt three', { task: 'resilience-test' });
+    assert.strictEqual(flaky.calls, 4, 'open breaker means openai is not called again');
+    assert.strictEqual(backup.calls, 3);
+    console.log('✓ tripped providers are skipped and reported in the breaker state');
+
+    // A preferred provider goes first, then the task chain
+    const preferred = await multiLLMService.generateWithClaude('Prompt four', { task: 'resilience-test', model: 'claude-special' });
+    assert.strictEqual(preferred, GOOD_CONTENT);
+    assert.strictEqual(backup.calls, 4);
+    console.log('✓ generateWithClaude tries Claude first and keeps the chain as fallback');
+
+    // Callers can see which provider and model actually wrote the content
+    const fellBack = await multiLLMService.generateWithOpenAI('Prompt five', { task: 'resilience-test', model: 'gpt-4o', withMetadata: true });
+    assert.strictEqual(fellBack.content, GOOD_CONTENT);
+    assert.strictEqual(fellBack.provider, 'claude');
+    assert.strictEqual(fellBack.model, 'claude-model');
+    console.log('✓ withMetadata reports the provider and model that ran after a fallback');
+
+    console.log('\n=== LLM Resilience Test Passed ===');
+  } catch (error) {
+    console.error('LLM resilience test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runResilienceTest();
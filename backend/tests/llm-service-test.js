@@ -82,14 +82,18 @@ async function testServiceInitialization() {
     console.log(`${colors.green}Service initialized successfully!${colors.reset}`);
     
     // Check which providers are available
-    const models = multiLLMService.models;
-    console.log(`\nAvailable models:`);
-    console.log(`- OpenAI: ${models.openai ? colors.green + 'Available' : colors.red + 'Not available'}`);
-    console.log(`- Claude: ${models.claude ? colors.green + 'Available' : colors.red + 'Not available'}`);
+    const isAvailable = (name) => {
+      const provider = multiLLMService.registry.get(name);
+      return !!provider && provider.isAvailable();
+    };
+    console.log(`\nRegistered providers:`);
+    multiLLMService.registry.list().forEach(provider => {
+      console.log(`- ${provider.label || provider.name}: ${provider.isAvailable() ? colors.green + 'Available' : colors.red + 'Not available'}${colors.reset}`);
+    });
     
     return {
-      openaiAvailable: !!models.openai,
-      claudeAvailable: !!models.claude
+      openaiAvailable: isAvailable('openai'),
+      claudeAvailable: isAvailable('claude')
     };
   } catch (error) {
     console.log(`${colors.red}Error initializing service: ${error.message}${colors.reset}`);
@@ -139,7 +143,7 @@ function testCaching() {
   const model = "test-model";
   const task = "test-task";
   
-  const key = llmCache.generateKey(prompt, model, task);
+  const key = llmCache.generateKey(prompt, model);
   console.log(`Generated cache key: ${colors.cyan}${key}${colors.reset}`);
   
   // Test cache operations
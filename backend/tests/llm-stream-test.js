@@ -0,0 +1,124 @@
+/**
+ * LLM Streaming Test Script
+ *
+ * Feeds recorded-style Anthropic and OpenAI stream events through the
+ * normalising adapters, and checks the sales copy agent forwards tokens
+ * (and falls back when streaming is unavailable). Runs offline.
+ *
+ * Run with: node tests/llm-stream-test.js
+ */
+
+const assert = require('assert');
+const { normalizeAnthropicStream, normalizeOpenAIStream } = require('../utils/llmStream');
+
+// Stand-in for the multi-LLM service so no API keys are needed
+const fakeLLM = { streamError: null, streamed: ['Hello ', 'there'], fullCalls: 0 };
+require.cache[require.resolve('../services/multiLLMService')] = {
+  exports: {
+    streamWithClaude: async function* () {
+      if (fakeLLM.streamError) throw fakeLLM.streamError;
+      for (const text of fakeLLM.streamed) yield { type: 'token', text };
+      yield { type: 'done', content: fakeLLM.streamed.join(''), provider: 'claude', model: 'claude-3-haiku-20240307' };
+    },
+    generateWithClaude: async () => {
+      fakeLLM.fullCalls++;
+      // The chain fell back to another provider
+      return { content: 'Full response', provider: 'openai', model: 'gpt-4o-mini' };
+    },
+    getProspectKey: (profileData) => profileData.linkedinUrl || profileData.name
+  }
+};
+
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {}
+};
+
+const twoAgentService = require('../services/twoAgentService');
+
+/**
+ * Turn an array into an async iterable
+ * @param {Array} items - Items to yield
+ * @returns {AsyncGenerator}
+ */
+async function* fromArray(items) {
+  for (const item of items) yield item;
+}
+
+/**
+ * Collect every event from an async iterable
+ * @param {AsyncIterable} iterable - Source
+ * @returns {Promise<Array>}
+ */
+async function collect(iterable) {
+  const events = [];
+  for await (const event of iterable) events.push(event);
+  return events;
+}
+
+async function runStreamTest() {
+  console.log('=== Starting LLM Streaming Test ===');
+
+  try {
+    // Anthropic messages stream
+    const anthropicEvents = await collect(normalizeAnthropicStream(fromArray([
+      { type: 'message_start', message: { usage: { input_tokens: 42, output_tokens: 1 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi ' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'John' } },
+      { type: 'content_block_stop', index: 0 },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 7 } },
+      { type: 'message_stop' }
+    ])));
+    assert.deepStrictEqual(anthropicEvents, [
+      { type: 'token', text: 'Hi ' },
+      { type: 'token', text: 'John' },
+      { type: 'usage', usage: { inputTokens: 42, outputTokens: 7 } }
+    ]);
+    console.log('✓ Anthropic stream events are normalised');
+
+    // OpenAI chat completion chunks
+    const openaiEvents = await collect(normalizeOpenAIStream(fromArray([
+      { choices: [{ index: 0, delta: { role: 'assistant', content: '' } }] },
+      { choices: [{ index: 0, delta: { content: 'Hi ' } }] },
+      { choices: [{ index: 0, delta: { content: 'John' } }] },
+      { choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] },
+      { choices: [], usage: { prompt_tokens: 30, completion_tokens: 5 } }
+    ])));
+    assert.deepStrictEqual(openaiEvents, [
+      { type: 'token', text: 'Hi ' },
+      { type: 'token', text: 'John' },
+      { type: 'usage', usage: { inputTokens: 30, outputTokens: 5 } }
+    ]);
+    console.log('✓ OpenAI stream chunks are normalised');
+
+    // Stream errors surface to the caller
+    await assert.rejects(collect(normalizeAnthropicStream(fromArray([
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ]))), /Overloaded/);
+    console.log('✓ Anthropic stream errors are raised');
+
+    // Sales copy agent forwards tokens
+    const tokens = [];
+    const streamed = await twoAgentService.streamSalesCopy('prompt', {}, text => tokens.push(text));
+    assert.deepStrictEqual(tokens, ['Hello ', 'there']);
+    assert.deepStrictEqual(streamed, { content: 'Hello there', provider: 'claude', model: 'claude-3-haiku-20240307' });
+    console.log('✓ sales copy tokens are forwarded as they arrive');
+
+    // Falls back to a standard request when streaming fails up front
+    fakeLLM.streamError = new Error('stream not supported');
+    const fallbackTokens = [];
+    const fallback = await twoAgentService.streamSalesCopy('prompt', {}, text => fallbackTokens.push(text));
+    assert.strictEqual(fallback.content, 'Full response');
+    assert.strictEqual(fallback.model, 'gpt-4o-mini', 'the model that actually ran');
+    assert.deepStrictEqual(fallbackTokens, ['Full response']);
+    assert.strictEqual(fakeLLM.fullCalls, 1);
+    console.log('✓ falls back to a standard request when streaming is unavailable');
+
+    console.log('\n=== LLM Streaming Test Passed ===');
+  } catch (error) {
+    console.error('LLM streaming test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runStreamTest();
@@ -0,0 +1,103 @@
+/**
+ * Message Response Test Script
+ *
+ * Checks that replies only answer the questions picked from the message
+ * analysis, through the message API with the LLM call replaced by a fake.
+ * Runs offline without API keys.
+ *
+ * Run with: node tests/message-response-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file, cache file or data directory for this test
+useTempDataDir('message');
+isolateLLM();
+
+// The original Transformers.js service is only a fallback and needs native modules
+require.cache[require.resolve('../services/contentGenerationService')] = { exports: {} };
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const messageRoutes = require('../api/routes/messageRoutes');
+
+const CLIENT_MESSAGE = 'Hi, how much does Argos cost? How long does setup take? Do you integrate with Procore?';
+const ANALYSIS = {
+  sentiment: 'neutral',
+  topics: ['pricing', 'implementation'],
+  questions: ['How much does Argos cost?', 'How long does setup take?', 'Do you integrate with Procore?']
+};
+
+async function runMessageResponseTest() {
+  console.log('=== Starting Message Response Test ===');
+
+  // Capture the prompt instead of calling a provider
+  const prompts = [];
+  await multiLLMService.initialize();
+  multiLLMService.generateContent = async (prompt) => {
+    prompts.push(prompt);
+    return 'Hello [Client Name], thanks for reaching out.';
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/message', messageRoutes);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/message/generate-response`;
+  const post = body => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    // Without a selection every question is answered
+    let response = await post({ clientMessage: CLIENT_MESSAGE, messageAnalysis: ANALYSIS, outputFormat: 'email' });
+    assert.strictEqual(response.status, 200);
+    const { data } = await response.json();
+    assert.strictEqual(data.responseContent, 'Hello [Client Name], thanks for reaching out.');
+    assert.strictEqual(data.promptVersion, 'message_response@v1', 'the version the prompt was rendered from');
+    assert.ok(prompts[0].includes(`Questions: ${ANALYSIS.questions.join(', ')}`));
+    assert.ok(!prompts[0].includes('Do not answer'));
+    console.log('✓ all questions are answered by default');
+
+    // A selection answers only the picked questions and tells the model to skip the rest
+    response = await post({
+      clientMessage: CLIENT_MESSAGE,
+      messageAnalysis: ANALYSIS,
+      outputFormat: 'linkedin',
+      questions: ['How much does Argos cost?']
+    });
+    assert.strictEqual(response.status, 200);
+    assert.ok(prompts[1].includes('Questions: How much does Argos cost?\n'));
+    assert.ok(prompts[1].includes('Do not answer these questions in this reply: How long does setup take?; Do you integrate with Procore?.'));
+    assert.ok(prompts[1].includes('LinkedIn message'));
+    console.log('✓ only the selected questions are answered');
+
+    // Selecting nothing still drafts a reply
+    response = await post({ clientMessage: CLIENT_MESSAGE, messageAnalysis: ANALYSIS, questions: [] });
+    assert.strictEqual(response.status, 200);
+    assert.ok(prompts[2].includes('Questions: none to answer in this reply'));
+    console.log('✓ an empty selection answers no questions');
+
+    // Validation
+    response = await post({ clientMessage: CLIENT_MESSAGE, messageAnalysis: ANALYSIS, questions: 'all' });
+    assert.strictEqual(response.status, 400);
+    response = await post({ clientMessage: CLIENT_MESSAGE });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(prompts.length, 3);
+    console.log('✓ malformed requests are rejected');
+
+    console.log('\n=== Message Response Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Message response test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runMessageResponseTest();
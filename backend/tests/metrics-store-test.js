@@ -0,0 +1,109 @@
+/**
+ * Metrics Store Test Script
+ *
+ * Checks the append-only LLM metrics log: latency percentiles, error classes,
+ * bucketed time series and daily rollups, against a temporary directory.
+ * Runs offline.
+ *
+ * Run with: node tests/metrics-store-test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTempDir } = require('./helpers');
+
+const { MetricsStore } = require('../services/metricsStore');
+const { classifyError } = require('../services/llmProviders/resilience');
+
+const dir = makeTempDir('metrics-store');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+async function runMetricsStoreTest() {
+  console.log('=== Starting Metrics Store Test ===');
+
+  try {
+    // Error classes
+    const withStatus = (status) => Object.assign(new Error(`${status} error`), { status });
+    assert.strictEqual(classifyError(Object.assign(new Error('slow'), { code: 'LLM_TIMEOUT' })), 'timeout');
+    assert.strictEqual(classifyError(withStatus(429)), 'rate_limit');
+    assert.strictEqual(classifyError(withStatus(503)), 'server_error');
+    assert.strictEqual(classifyError(withStatus(401)), 'auth');
+    assert.strictEqual(classifyError(withStatus(400)), 'bad_request');
+    assert.strictEqual(classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), 'network');
+    assert.strictEqual(classifyError(Object.assign(new Error('all failed'), { attempts: [] })), 'chain_exhausted');
+    console.log('✓ errors are classified for metrics');
+
+    // 100 requests with latencies 10..1000ms, plus two failures
+    const store = new MetricsStore({ dir, retentionDays: 30 });
+    for (let i = 1; i <= 100; i++) {
+      store.record({ provider: 'openai', model: 'gpt-4o-mini', task: 'profileContent', latencyMs: i * 10, success: true, errorClass: null, inputTokens: 10, outputTokens: 5, costUsd: 0.001 });
+    }
+    store.record({ provider: 'claude', model: 'claude-3-haiku-20240307', task: 'sales_copy', latencyMs: 60000, success: false, errorClass: 'timeout' });
+    store.record({ provider: 'claude', model: 'claude-3-haiku-20240307', task: 'sales_copy', latencyMs: 200, success: false, errorClass: 'rate_limit' });
+    await store.flush();
+
+    const today = new Date().toISOString().slice(0, 10);
+    const lines = fs.readFileSync(path.join(dir, `${today}.jsonl`), 'utf8').trim().split('\n');
+    assert.strictEqual(lines.length, 102);
+
+    const recent = store.getRecentSummary();
+    assert.strictEqual(recent.byModel['gpt-4o-mini'].p50, 500);
+    assert.strictEqual(recent.byModel['gpt-4o-mini'].p95, 950);
+    assert.strictEqual(recent.byModel['gpt-4o-mini'].p99, 990);
+    assert.deepStrictEqual(recent.byTask.sales_copy.errorClasses, { timeout: 1, rate_limit: 1 });
+    assert.strictEqual(recent.overall.count, 102);
+    console.log('✓ p50/p95/p99 latency and error classes per model and task');
+
+    // Time series over the last two hours in one-hour buckets
+    const now = Date.now();
+    const series = await store.query({ from: now - 2 * HOUR_MS, to: now + 1, bucketMs: HOUR_MS });
+    assert.strictEqual(series.series.length, 1);
+    assert.strictEqual(series.series[0].key, 'all');
+    assert.strictEqual(series.series[0].points.length, 3);
+    // Buckets start at `from`, so the events recorded just now fall in the second bucket
+    const current = series.series[0].points[1];
+    assert.strictEqual(current.count, 102);
+    assert.strictEqual(current.errors, 2);
+    assert.strictEqual(current.costUsd, 0.1);
+    assert.strictEqual(series.series[0].points[0].count, 0);
+    assert.strictEqual(series.series[0].points[2].count, 0);
+
+    const byProvider = await store.query({ from: now - HOUR_MS, to: now + 1, bucketMs: HOUR_MS, groupBy: 'provider', filters: { task: 'sales_copy' } });
+    assert.deepStrictEqual(byProvider.series.map(entry => entry.key), ['claude']);
+    assert.strictEqual(byProvider.series[0].points[0].p99, 60000);
+    await assert.rejects(store.query({ from: 0, to: now, bucketMs: 1000 }), /limit is 1000/);
+    console.log('✓ time series are bucketed, grouped and filtered');
+
+    // A finished day is rolled up; raw files past the retention period are removed
+    const oldDay = new Date(now - 40 * DAY_MS).toISOString().slice(0, 10);
+    const oldEvents = [150, 450, 3000].map(latencyMs => JSON.stringify({
+      ts: `${oldDay}T12:00:00.000Z`, provider: 'openai', model: 'gpt-4o', task: 'analysis', latencyMs, success: latencyMs < 3000, errorClass: latencyMs < 3000 ? null : 'server_error', costUsd: 0.01
+    }));
+    fs.writeFileSync(path.join(dir, `${oldDay}.jsonl`), `${oldEvents.join('\n')}\n`);
+
+    await store.rollupPastDays(today);
+    assert.strictEqual(fs.existsSync(path.join(dir, `${oldDay}.jsonl`)), false);
+    assert.strictEqual(fs.existsSync(path.join(dir, `${today}.jsonl`)), true);
+    const rollup = JSON.parse(fs.readFileSync(path.join(dir, 'rollups', `${oldDay}.json`), 'utf8'));
+    assert.strictEqual(rollup.groups[0].count, 3);
+
+    const dayStart = Date.parse(oldDay);
+    const daily = await store.query({ from: dayStart, to: dayStart + 2 * DAY_MS, bucketMs: DAY_MS });
+    const point = daily.series[0].points[0];
+    assert.strictEqual(point.count, 3);
+    assert.strictEqual(point.errorClasses.server_error, 1);
+    assert.strictEqual(point.approximate, true);
+    assert.strictEqual(point.p50, 500);
+    assert.strictEqual(point.costUsd, 0.03);
+    console.log('✓ finished days are rolled up and queried after raw events expire');
+
+    console.log('\n=== Metrics Store Test Passed ===');
+  } catch (error) {
+    console.error('Metrics store test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runMetricsStoreTest();
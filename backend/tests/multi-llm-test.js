@@ -66,7 +66,8 @@ async function runTests() {
     console.log("\nGenerating with Enhanced Service (Claude/OpenAI):");
     const enhancedFollowup = await enhancedContentService.generateWarmFollowup(profileData, callDetails);
     console.log("\n--- ENHANCED WARM FOLLOW-UP EMAIL ---");
-    console.log(enhancedFollowup.substring(0, 500) + '...');
+    console.log(enhancedFollowup.content.substring(0, 500) + '...');
+    console.log('Prompt version:', enhancedFollowup.promptVersion);
     
     console.log("\nGenerating with Original Service (OpenAI):");
     const originalFollowup = await originalContentService.generateWarmFollowup(profileData, callDetails);
@@ -80,7 +81,8 @@ async function runTests() {
     console.log("\nGenerating with Enhanced Service (Claude/OpenAI):");
     const enhancedProfileContent = await enhancedContentService.generateProfileContent(profileData, 'email');
     console.log("\n--- ENHANCED PROFILE CONTENT ---");
-    console.log(enhancedProfileContent.substring(0, 500) + '...');
+    console.log(enhancedProfileContent.content.substring(0, 500) + '...');
+    console.log('Prompt version:', enhancedProfileContent.promptVersion);
     
     console.log("\nGenerating with Original Service (OpenAI):");
     const originalProfileContent = await originalContentService.generateProfileContent(profileData, 'email');
@@ -111,7 +113,8 @@ async function runTests() {
       'email'
     );
     console.log("\n--- ENHANCED MESSAGE RESPONSE ---");
-    console.log(enhancedResponse.substring(0, 500) + '...');
+    console.log(enhancedResponse.content.substring(0, 500) + '...');
+    console.log('Prompt version:', enhancedResponse.promptVersion);
     
     console.log("\nGenerating with Original Service (OpenAI):");
     const originalResponse = await originalContentService.generateMessageResponse(
@@ -133,7 +136,8 @@ async function runTests() {
       'email'
     );
     console.log("\n--- ENHANCED COMPANY CONTENT ---");
-    console.log(enhancedCompanyContent.substring(0, 500) + '...');
+    console.log(enhancedCompanyContent.content.substring(0, 500) + '...');
+    console.log('Prompt version:', enhancedCompanyContent.promptVersion);
     
     console.log("\nGenerating with Original Service (OpenAI):");
     const originalCompanyContent = await originalContentService.generateCompanyContent(
@@ -0,0 +1,237 @@
+/**
+ * News Feed Test Script
+ *
+ * Checks RSS and Atom feeds are parsed into dated items, stored without
+ * duplicates, matched to tracked companies by name and alias, and returned
+ * newest first by getCompanyNews and the news API. Runs offline against the
+ * saved feeds in tests/fixtures/feeds, read from disk and from a local server,
+ * with a temporary data directory.
+ *
+ * Run with: node tests/news-feed-test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const express = require('express');
+const { useTempDataDir, waitForJob } = require('./helpers');
+
+const FIXTURES = path.join(__dirname, 'fixtures/feeds');
+const DAY = 24 * 60 * 60 * 1000;
+
+// The ENR fixture is served over http; the press releases are read from disk
+const feedServer = express()
+  .get('/enr.rss', (req, res) => res.type('application/rss+xml').send(fs.readFileSync(path.join(FIXTURES, 'enr.xml'), 'utf8')))
+  .listen(0);
+const feedBase = `http://127.0.0.1:${feedServer.address().port}`;
+
+useTempDataDir('news');
+process.env.NEWS_FEEDS = [
+  `ENR Southwest|${feedBase}/enr.rss`,
+  `Press Releases|${path.join(FIXTURES, 'press-releases.atom')}`,
+  `Business Journal|${path.join(FIXTURES, 'missing.xml')}`
+].join(',');
+
+// Company analysis needs the transformers pipeline, which this test does not use
+require.cache[require.resolve('../services/enhancedContentGenerationService')] = { exports: {} };
+
+const newsConfig = require('../config/news-feeds');
+const { parseFeed } = require('../utils/feedParser');
+const { companyStore, newsStore } = require('../services/storageService');
+const newsService = require('../services/newsService');
+const companyService = require('../services/companyService');
+const newsRoutes = require('../api/routes/newsRoutes');
+const companiesRoutes = require('../api/routes/companiesRoutes');
+
+/**
+ * Whole days since a date, rounded up
+ * @param {string} date - ISO date
+ * @returns {number}
+ */
+const daysSince = (date) => Math.ceil((Date.now() - Date.parse(date)) / DAY);
+
+async function runNewsFeedTest() {
+  console.log('=== Starting News Feed Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/news', newsRoutes);
+  app.use('/api/companies', companiesRoutes);
+  const server = app.listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  try {
+    // Feeds come from NEWS_FEEDS
+    assert.deepStrictEqual(newsConfig.feeds.map(feed => feed.id), ['enr-southwest', 'press-releases', 'business-journal']);
+    assert.deepStrictEqual(newsConfig.parseFeedList(''), []);
+
+    // RSS: CDATA and escaped HTML become text, dates become ISO, guid falls back to the link
+    const rss = parseFeed(fs.readFileSync(path.join(FIXTURES, 'enr.xml'), 'utf8'));
+    assert.strictEqual(rss.format, 'rss');
+    assert.strictEqual(rss.title, 'ENR Southwest: Latest News');
+    assert.strictEqual(rss.items.length, 5);
+    assert.deepStrictEqual(rss.items[0], {
+      guid: 'enr-1001',
+      title: 'Acme Builders tops out Riverside Medical Center tower',
+      url: 'https://enr.example/articles/1001-riverside-topping-out',
+      summary: 'Acme Builders, Inc. placed the final beam on the 12-story tower in Phoenix. See photos',
+      publishedAt: '2026-10-06T14:00:00.000Z'
+    });
+    assert.strictEqual(rss.items[1].title, 'Turner & Sons wins $40M transit contract');
+    assert.strictEqual(rss.items[1].summary, 'The Tucson general contractor will build the Kino station.');
+    assert.strictEqual(rss.items[1].guid, rss.items[1].url);
+    assert.strictEqual(rss.items[1].publishedAt, '2026-09-14T16:15:00.000Z');
+    assert.strictEqual(rss.items[2].publishedAt, '2026-09-30T16:00:00.000Z', 'dc:date is read');
+
+    // Atom: the alternate link, published date (or updated) and summary or content
+    const atom = parseFeed(fs.readFileSync(path.join(FIXTURES, 'press-releases.atom'), 'utf8'));
+    assert.strictEqual(atom.format, 'atom');
+    assert.strictEqual(atom.title, 'Construction Press Releases');
+    assert.strictEqual(atom.items[0].url, 'https://press.example/releases/pr-77?src=feed&lang=en');
+    assert.strictEqual(atom.items[0].guid, 'tag:press.example,2026:pr-77');
+    assert.strictEqual(atom.items[0].publishedAt, '2026-10-15T08:00:00.000Z');
+    assert.strictEqual(atom.items[1].url, 'https://press.example/releases/pr-78');
+    assert.strictEqual(atom.items[1].publishedAt, '2026-10-01T10:00:00.000Z');
+    assert.strictEqual(atom.items[1].summary, 'The 40,000 square foot library opened on schedule.');
+
+    assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Not an RSS or Atom feed/);
+    console.log('✓ RSS and Atom feeds parse into dated items');
+
+    // Tracked companies, one with an alias
+    const acme = companyStore.create({ name: 'Acme Builders, Inc.', aliases: ['ABI'] });
+    const dune = companyStore.create({ name: 'Dune Construction' });
+
+    // Keep everything from this year; last year's item is not stored
+    newsConfig.retentionDays = daysSince('2026-01-01');
+    const poll = await newsService.pollFeeds();
+    assert.deepStrictEqual(poll.feeds.map(feed => [feed.id, feed.items, feed.added, feed.matched]), [
+      ['enr-southwest', 5, 4, 2],
+      ['press-releases', 2, 2, 2],
+      ['business-journal', undefined, undefined, undefined]
+    ]);
+    assert.ok(/ENOENT/.test(poll.feeds[2].error), 'a broken feed is reported without stopping the others');
+    assert.strictEqual(poll.added, 6);
+    assert.strictEqual(poll.pruned, 0);
+    assert.strictEqual(newsStore.list().length, 6);
+    assert.strictEqual(newsStore.find(item => item.guid === 'enr-0412'), null);
+
+    const stored = (guid) => newsStore.find(item => item.guid === guid);
+    assert.deepStrictEqual(stored('enr-1001').companyIds, [String(acme.id)]);
+    assert.deepStrictEqual(stored('enr-1004').companyIds, [String(acme.id)], 'matched by alias');
+    assert.deepStrictEqual(stored('enr-1003').companyIds, [], 'ACME Supply is not Acme Builders');
+    assert.deepStrictEqual(stored('tag:press.example,2026:pr-77').companyIds, [String(acme.id), String(dune.id)]);
+    assert.strictEqual(stored('enr-1001').source, 'ENR Southwest');
+    console.log('✓ feeds are polled, stored and matched to companies by name and alias');
+
+    // Polling again updates items instead of duplicating them
+    const again = await newsService.pollFeeds();
+    assert.strictEqual(again.added, 0);
+    assert.strictEqual(newsStore.list().length, 6);
+
+    // The same article from another feed (here, a file:// location) is listed once
+    await newsService.pollFeed({ id: 'syndicated', name: 'Syndicated', location: pathToFileURL(path.join(FIXTURES, 'press-releases.atom')).href });
+    assert.strictEqual(newsStore.list().length, 8);
+    console.log('✓ repeated polls and syndicated copies do not duplicate news');
+
+    // getCompanyNews: newest first, by name or alias, within the age limit
+    const maxAgeDays = daysSince('2026-01-01');
+    let news = await companyService.getCompanyNews('Acme Builders', { maxAgeDays });
+    assert.deepStrictEqual(news.map(item => item.title), [
+      'Acme Builders names Dana Site safety director',
+      'Acme Builders tops out Riverside Medical Center tower',
+      'ABI breaks ground on Mesa transit hub'
+    ]);
+    assert.deepStrictEqual(Object.keys(news[1]), ['id', 'title', 'source', 'date', 'url', 'summary', 'companyIds']);
+    assert.strictEqual(news[1].date, '2026-10-06T14:00:00.000Z');
+    assert.ok(news.every(item => !item.title.includes('ABC Construction')));
+
+    assert.deepStrictEqual((await companyService.getCompanyNews('ABI', { maxAgeDays })).map(item => item.id), news.map(item => item.id));
+    assert.strictEqual((await companyService.getCompanyNews('Acme Builders', { maxAgeDays, limit: 1 })).length, 1);
+    news = await companyService.getCompanyNews('Acme Builders', { maxAgeDays: daysSince('2026-09-01') });
+    assert.strictEqual(news.length, 2, 'older items fall outside maxAgeDays');
+
+    news = await companyService.getCompanyNews('Dune Construction', { maxAgeDays });
+    assert.deepStrictEqual(news.map(item => item.title), [
+      'Acme Builders names Dana Site safety director',
+      'Dune Construction completes Flagstaff library'
+    ]);
+
+    // Names that are not tracked, or tracked after polling, still find their news
+    news = await companyService.getCompanyNews('Turner & Sons', { maxAgeDays });
+    assert.deepStrictEqual(news.map(item => item.title), ['Turner & Sons wins $40M transit contract']);
+    const turner = companyStore.create({ name: 'Turner and Sons LLC' });
+    assert.strictEqual((await companyService.getCompanyNews('Turner and Sons', { maxAgeDays })).length, 1);
+    assert.deepStrictEqual(await companyService.getCompanyNews('Nobody Builders', { maxAgeDays }), []);
+    assert.deepStrictEqual(await companyService.getCompanyNews('', { maxAgeDays }), []);
+    console.log('✓ getCompanyNews returns dated items about the company, newest first');
+
+    // API
+    let response = await fetch(`${baseUrl}/news?company=ABI&maxAgeDays=${maxAgeDays}`);
+    let body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.data.length, 3);
+
+    response = await fetch(`${baseUrl}/news?limit=2`);
+    body = await response.json();
+    assert.deepStrictEqual(body.data.map(item => item.title), [
+      'Acme Builders names Dana Site safety director',
+      'Acme Builders tops out Riverside Medical Center tower'
+    ]);
+
+    response = await fetch(`${baseUrl}/news?limit=zero`);
+    assert.strictEqual(response.status, 400);
+
+    // The fixtures are dated 2026; widen the default age limit so they stay in range
+    newsConfig.lookup.maxAgeDays = maxAgeDays;
+    response = await fetch(`${baseUrl}/companies/${turner.id}/news`);
+    body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(body.data.map(item => item.title), ['Turner & Sons wins $40M transit contract']);
+    response = await fetch(`${baseUrl}/companies/nope/news`);
+    assert.strictEqual(response.status, 404);
+
+    response = await fetch(`${baseUrl}/news/feeds`);
+    body = await response.json();
+    assert.deepStrictEqual(body.data.map(feed => [feed.id, Boolean(feed.lastPolledAt), Boolean(feed.lastError)]), [
+      ['enr-southwest', true, false],
+      ['press-releases', true, false],
+      ['business-journal', true, true]
+    ]);
+
+    response = await fetch(`${baseUrl}/news/poll`, { method: 'POST' });
+    body = await response.json();
+    assert.strictEqual(response.status, 202);
+    assert.strictEqual(newsService.pollIfIdle(), null, 'no second poll while one is running');
+    const job = await waitForJob(body.data.id);
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.result.added, 0);
+    assert.strictEqual(job.result.feeds.length, 3);
+    console.log('✓ the news API lists company news and feeds and queues polls');
+
+    // Items past the retention period are pruned on the next poll
+    newsConfig.retentionDays = daysSince('2026-09-20');
+    const pruning = await newsService.pollFeeds();
+    assert.strictEqual(pruning.pruned, 2);
+    assert.deepStrictEqual(newsStore.list().map(item => item.guid).filter(guid => guid.startsWith('enr-')).sort(), ['enr-1001', 'enr-1003']);
+    console.log('✓ old items are pruned');
+
+    // Starting the scheduler polls straight away rather than after the first interval
+    const firstPoll = newsService.startScheduler(60 * 60 * 1000);
+    assert.ok(firstPoll, 'a poll is queued on start');
+    assert.strictEqual(newsService.startScheduler(), null, 'starting twice does not poll again');
+    assert.strictEqual((await waitForJob(firstPoll.id)).status, 'completed');
+    newsService.stopScheduler();
+    console.log('✓ the scheduler polls as soon as it starts');
+
+    console.log('\n=== News Feed Test Completed Successfully ===');
+  } catch (error) {
+    console.error('News feed test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+    feedServer.close();
+  }
+}
+
+runNewsFeedTest();
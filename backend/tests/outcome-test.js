@@ -0,0 +1,176 @@
+/**
+ * Outcome Tracking Test Script
+ *
+ * Logs sent, opened, replied, meeting booked and lost outcomes against saved
+ * analyses through the outcomes API and checks the report breaks the positive
+ * outcome rate down by role category, output format, model and angle. Runs
+ * offline against a temporary data directory.
+ *
+ * Run with: node tests/outcome-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// Throwaway data directory, and no real providers, metrics file or cache file
+useTempDataDir('outcomes');
+isolateLLM();
+
+// Replace the scrapers so no browser is needed
+require.cache[require.resolve('../services/profileService')] = { exports: {} };
+require.cache[require.resolve('../services/companyService')] = { exports: {} };
+require.cache[require.resolve('../services/contentGenerationService')] = { exports: {} };
+
+const { analysisStore, outcomeStore } = require('../services/storageService');
+const outcomeRoutes = require('../api/routes/outcomeRoutes');
+const analysisRoutes = require('../api/routes/analysisRoutes');
+
+/**
+ * Save an analysis the way the UI does after generating content
+ * @param {string} title - Prospect title
+ * @param {string} outputFormat - Output format
+ * @param {string} salesCopyModel - Sales copy model used
+ * @param {Object} [extra] - Other analysis fields
+ * @returns {Object} - Saved analysis
+ */
+function saveAnalysis(title, outputFormat, salesCopyModel, extra = {}) {
+  return analysisStore.create({
+    type: 'profile',
+    outputFormat,
+    profileData: { name: 'Dana Site', title, company: 'Acme Builders' },
+    profileContent: 'Hi Dana',
+    metadata: { process: { fineTuningModel: 'gpt-4o', salesCopyModel, promptVersion: 'v1' } },
+    ...extra
+  });
+}
+
+async function runOutcomeTest() {
+  console.log('=== Starting Outcome Tracking Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/outcomes', outcomeRoutes);
+  app.use('/api/analyses', analysisRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const superEmail = saveAnalysis('Site Superintendent', 'email', 'claude-3-haiku-20240307');
+    const superLinkedin = saveAnalysis('Site Superintendent', 'linkedin', 'claude-3-haiku-20240307');
+    const safetyEmail = saveAnalysis('Safety Manager', 'email', 'claude-3-7-sonnet-20250219');
+    const varied = saveAnalysis('Safety Manager', 'email', 'claude-3-7-sonnet-20250219', {
+      variants: [
+        { id: 'safety_first', label: 'Safety-first', content: 'Safety email' },
+        { id: 'theft_prevention', label: 'Theft prevention', content: 'Theft email' }
+      ]
+    });
+
+    // Logging snapshots how the artifact was generated
+    let response = await request('POST', '/outcomes', { analysisId: superEmail.id, event: 'sent', occurredAt: '2026-10-01T09:00:00Z' });
+    assert.strictEqual(response.status, 201);
+    const sent = response.body.data;
+    assert.strictEqual(sent.roleCategory, 'site_superintendent');
+    assert.strictEqual(sent.outputFormat, 'email');
+    assert.strictEqual(sent.fineTuningModel, 'gpt-4o');
+    assert.strictEqual(sent.salesCopyModel, 'claude-3-haiku-20240307');
+    assert.strictEqual(sent.promptVersion, 'v1');
+    assert.strictEqual(sent.occurredAt, '2026-10-01T09:00:00.000Z');
+    console.log('✓ outcomes record the role category, format, models and prompt version');
+
+    await request('POST', '/outcomes', { analysisId: superEmail.id, event: 'opened' });
+    await request('POST', '/outcomes', { analysisId: superEmail.id, event: 'meeting_booked', notes: 'Site walk Thursday' });
+    await request('POST', '/outcomes', { analysisId: superLinkedin.id, event: 'sent' });
+    await request('POST', '/outcomes', { analysisId: superLinkedin.id, event: 'lost' });
+    await request('POST', '/outcomes', { analysisId: safetyEmail.id, event: 'replied' });
+
+    // Marking a variant as sent logs the sent outcome with its angle
+    response = await request('POST', `/analyses/${varied.id}/sent-variant`, { variantId: 'theft_prevention' });
+    assert.strictEqual(response.status, 200);
+    response = await request('GET', `/outcomes?analysisId=${varied.id}`);
+    assert.strictEqual(response.body.data.length, 1);
+    assert.strictEqual(response.body.data[0].event, 'sent');
+    assert.strictEqual(response.body.data[0].angle, 'theft_prevention');
+    console.log('✓ marking a variant as sent logs the outcome with its angle');
+
+    response = await request('GET', `/outcomes?analysisId=${superEmail.id}`);
+    assert.deepStrictEqual(response.body.data.map(outcome => outcome.event).sort(), ['meeting_booked', 'opened', 'sent']);
+    assert.strictEqual(response.body.data[0].notes, 'Site walk Thursday');
+    console.log('✓ outcomes can be listed per analysis, newest first');
+
+    // Report: one artifact per analysis, positive = replied or meeting booked
+    response = await request('GET', '/outcomes/report');
+    assert.strictEqual(response.status, 200);
+    const report = response.body.data;
+    assert.deepStrictEqual(report.totals, {
+      artifacts: 4, sent: 4, opened: 2, replied: 2, meetingBooked: 1, lost: 1, positive: 2, positiveRate: 50
+    });
+
+    const byRole = Object.fromEntries(report.byRoleCategory.map(row => [row.roleCategory, row]));
+    assert.strictEqual(byRole.site_superintendent.artifacts, 2);
+    assert.strictEqual(byRole.site_superintendent.positiveRate, 50);
+    assert.strictEqual(byRole.safety_director.positiveRate, 50);
+
+    const byFormat = Object.fromEntries(report.byOutputFormat.map(row => [row.outputFormat, row]));
+    assert.strictEqual(byFormat.email.positiveRate, 66.7);
+    assert.strictEqual(byFormat.linkedin.positiveRate, 0);
+    assert.strictEqual(report.byOutputFormat[0].outputFormat, 'email');
+
+    const byModel = Object.fromEntries(report.byModel.map(row => [row.model, row]));
+    assert.strictEqual(byModel['claude-3-haiku-20240307'].positiveRate, 50);
+    assert.strictEqual(byModel['claude-3-7-sonnet-20250219'].artifacts, 2);
+
+    assert.deepStrictEqual(report.byAngle.map(row => row.angle).sort(), ['theft_prevention', 'unknown']);
+    assert.deepStrictEqual(report.byPromptVersion.map(row => row.promptVersion), ['v1']);
+
+    const top = report.combinations[0];
+    assert.strictEqual(top.positiveRate, 100);
+    assert.strictEqual(report.combinations.length, 3);
+    console.log('✓ the report breaks the positive rate down by role, format, model and combination');
+
+    // Validation
+    response = await request('POST', '/outcomes', { analysisId: superEmail.id, event: 'clicked' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/outcomes', { event: 'sent' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/outcomes', { analysisId: superEmail.id, event: 'sent', occurredAt: 'yesterday-ish' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/outcomes', { analysisId: varied.id, event: 'replied', variantId: 'four_employees_roi' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/outcomes', { analysisId: 'missing', event: 'sent' });
+    assert.strictEqual(response.status, 404);
+    const legacy = saveAnalysis('Safety Director', 'email', 'claude-3-opus-20240229');
+    delete legacy.variants;
+    analysisStore.save();
+    response = await request('POST', '/outcomes', { analysisId: legacy.id, event: 'sent', variantId: 'safety_first' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'Unknown variant for this analysis: safety_first');
+    console.log('✓ malformed outcomes are rejected');
+
+    // Deleting a mistaken entry
+    const count = outcomeStore.list().length;
+    response = await request('DELETE', `/outcomes/${sent.id}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(outcomeStore.list().length, count - 1);
+    response = await request('DELETE', `/outcomes/${sent.id}`);
+    assert.strictEqual(response.status, 404);
+    console.log('✓ outcomes can be deleted');
+
+    console.log('\n=== Outcome Tracking Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Outcome tracking test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runOutcomeTest();
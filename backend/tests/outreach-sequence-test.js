@@ -0,0 +1,183 @@
+/**
+ * Outreach Sequence Test Script
+ *
+ * Queues a multi-step outreach sequence through the jobs API with research
+ * and LLM calls replaced by fakes, and checks the fine-tuning agent runs once,
+ * every touch sees the touches before it and the cadence comes back as one
+ * structured object. Runs offline without API keys.
+ *
+ * Run with: node tests/outreach-sequence-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM, waitForJob } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('sequence');
+isolateLLM();
+
+// Replace the scrapers and research lookups so no browser or API key is needed
+require.cache[require.resolve('../services/contentGenerationService')] = { exports: {} };
+require.cache[require.resolve('../services/profileService')] = { exports: {} };
+require.cache[require.resolve('../services/companyService')] = { exports: {} };
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {
+    researchCompany: async () => ({ companySize: 'large', industryFocus: 'commercial construction', recentProjects: [], recentNews: [] }),
+    analyzeRole: async () => ({ roleCategory: 'safety_director', painPoints: ['safety compliance'], responsibilities: [] }),
+    getIndustryTrends: async () => [{ trend: 'Labor shortages' }]
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const jobRoutes = require('../api/routes/jobRoutes');
+
+const PROFILE = { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders', metadata: { outputType: 'sales_email' } };
+
+async function runSequenceTest() {
+  console.log('=== Starting Outreach Sequence Test ===');
+
+  // Record each agent call; touch N answers with its own number so references can be checked
+  const fineTuningCalls = [];
+  const salesCopyCalls = [];
+  multiLLMService.generateWithOpenAI = async (prompt, options) => {
+    fineTuningCalls.push({ prompt, options });
+    return { content: 'STRATEGY: lead with safety compliance for Dana.', provider: 'openai', model: options.model };
+  };
+  multiLLMService.generateWithClaude = async (prompt, options) => {
+    salesCopyCalls.push({ prompt, options });
+    const touch = salesCopyCalls.length;
+    const content = prompt.includes('Start with a "Subject:" line')
+      ? `Subject: Touch ${touch} subject\n\nEmail body for touch ${touch}`
+      : `Body for touch ${touch}`;
+    return { content, provider: 'claude', model: options.model };
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRoutes);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/jobs/sequence`;
+  const post = body => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  try {
+    // Default cadence: email, LinkedIn connect, follow-up email, call script, breakup email
+    let response = await post({ profileData: PROFILE, modelOptions: { salesCopyModel: 'claude-3-haiku-20240307' } });
+    assert.strictEqual(response.status, 202);
+    let job = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.deepStrictEqual(job.stages.map(stage => stage.status), ['completed', 'completed', 'completed']);
+
+    const { sequence, metadata } = job.result;
+    assert.strictEqual(fineTuningCalls.length, 1);
+    assert.ok(fineTuningCalls[0].prompt.includes('Output Type Requested: multi-touch outreach sequence'));
+    assert.strictEqual(sequence.strategy, 'STRATEGY: lead with safety compliance for Dana.');
+    assert.deepStrictEqual(sequence.prospect, { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' });
+    assert.deepStrictEqual(
+      sequence.steps.map(step => `${step.day}:${step.channel}:${step.type}`),
+      ['0:email:intro_email', '2:linkedin:linkedin_connect', '5:email:follow_up_email', '8:phone:call_script', '14:email:breakup_email']
+    );
+    assert.strictEqual(sequence.totalDays, 14);
+    assert.strictEqual(metadata.process.salesCopyModel, 'claude-3-haiku-20240307');
+    console.log('✓ the fine-tuning agent runs once and the default cadence has five touches');
+
+    // Email subjects are split out, other channels keep their content as is
+    assert.strictEqual(sequence.steps[0].subject, 'Touch 1 subject');
+    assert.strictEqual(sequence.steps[0].content, 'Email body for touch 1');
+    assert.strictEqual(sequence.steps[1].subject, null);
+    assert.strictEqual(sequence.steps[1].content, 'Body for touch 2');
+    assert.strictEqual(sequence.steps[1].maxLength, 300);
+    console.log('✓ email subjects are split from the content');
+
+    // Every touch shares the strategy and sees the touches written before it
+    assert.strictEqual(salesCopyCalls.length, 5);
+    salesCopyCalls.forEach((call, index) => {
+      assert.ok(call.prompt.includes('STRATEGY: lead with safety compliance'));
+      assert.ok(call.prompt.includes(`touch ${index + 1} of 5`));
+      assert.strictEqual(call.options.task, 'sales_copy_sequence');
+    });
+    assert.ok(salesCopyCalls[0].prompt.includes('None, this is the first touch.'));
+    assert.ok(salesCopyCalls[4].prompt.includes('--- Touch 4 (day 8, Call script) ---\nBody for touch 4'));
+    assert.ok(salesCopyCalls[4].prompt.includes('Email body for touch 1'));
+    console.log('✓ later touches are written with the earlier ones in context');
+
+    // Custom cadences
+    salesCopyCalls.length = 0;
+    response = await post({
+      profileData: PROFILE,
+      steps: [{ day: 0, type: 'linkedin_message' }, { day: 3, type: 'value_email' }, { day: 3, type: 'call_script' }]
+    });
+    job = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.deepStrictEqual(job.result.sequence.steps.map(step => step.label), ['LinkedIn message', 'Value email', 'Call script']);
+    assert.strictEqual(salesCopyCalls.length, 3);
+    console.log('✓ custom cadences are supported');
+
+    // Validation
+    response = await post({ profileData: PROFILE, steps: [{ day: 0, type: 'fax' }] });
+    assert.strictEqual(response.status, 400);
+    assert.ok((await response.json()).message.includes('Unknown touch type: fax'));
+    response = await post({ profileData: PROFILE, steps: [{ day: 5, type: 'intro_email' }, { day: 2, type: 'call_script' }] });
+    assert.strictEqual(response.status, 400);
+    response = await post({ profileData: PROFILE, steps: [] });
+    assert.strictEqual(response.status, 400);
+    response = await post({ profileData: {} });
+    assert.strictEqual(response.status, 400);
+    response = await post({ profileData: PROFILE, modelOptions: 'fast' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(fineTuningCalls.length, 2);
+    console.log('✓ malformed requests are rejected before a job is queued');
+
+    // A failed touch is reported and the remaining touches are still written
+    const generateWithClaude = multiLLMService.generateWithClaude;
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      if (prompt.includes('touch 2 of 3')) throw new Error('Claude overloaded');
+      return generateWithClaude(prompt, options);
+    };
+    const threeTouches = [{ day: 0, type: 'intro_email' }, { day: 2, type: 'linkedin_connect' }, { day: 5, type: 'call_script' }];
+    response = await post({ profileData: PROFILE, steps: threeTouches });
+    job = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.deepStrictEqual(job.result.sequence.steps.map(step => step.step), [1, 3]);
+    assert.deepStrictEqual(job.result.sequence.stepErrors, [
+      { step: 2, day: 2, type: 'linkedin_connect', label: 'LinkedIn connection request', error: 'Claude overloaded' }
+    ]);
+    assert.strictEqual(job.result.sequence.totalDays, 5);
+    assert.strictEqual(job.result.metadata.process.salesCopyModels.length, 2);
+    multiLLMService.generateWithClaude = async () => { throw new Error('Claude overloaded'); };
+    response = await post({ profileData: PROFILE, steps: threeTouches });
+    job = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(job.status, 'failed');
+    assert.ok(job.error.includes('Claude overloaded'));
+    multiLLMService.generateWithClaude = generateWithClaude;
+    console.log('✓ failed touches are reported next to the ones that were written');
+
+    // Without the fine-tuning agent the touches are written from a direct brief
+    multiLLMService.generateWithOpenAI = async () => { throw new Error('OpenAI unavailable'); };
+    salesCopyCalls.length = 0;
+    response = await post({ profileData: PROFILE, steps: threeTouches });
+    job = await waitForJob((await response.json()).data.id);
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.strictEqual(job.result.sequence.steps.length, 3);
+    assert.ok(job.result.sequence.strategy.includes('Generate a multi-touch outreach sequence for Dana Site'));
+    assert.strictEqual(job.result.metadata.process.fineTuningSkipped, true);
+    assert.strictEqual(job.result.metadata.process.fineTuningError, 'OpenAI unavailable');
+    assert.ok(salesCopyCalls.every(call => call.prompt.includes('Generate a multi-touch outreach sequence')));
+    console.log('✓ sequences fall back to the sales copy agent when fine-tuning fails');
+
+    console.log('\n=== Outreach Sequence Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Outreach sequence test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runSequenceTest();
@@ -0,0 +1,155 @@
+/**
+ * Product Knowledge Test Script
+ *
+ * Edits products, extra employees, claims and statistics through the
+ * knowledge API and checks the prompt registry renders the change on the very
+ * next prompt, that only approved claims and statistics are injected and that
+ * new template versions may use the knowledge placeholders. Runs offline
+ * without API keys against a temporary data directory.
+ *
+ * Run with: node tests/product-knowledge-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('knowledge');
+isolateLLM();
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const promptRegistry = require('../services/promptRegistry');
+const knowledgeRoutes = require('../api/routes/knowledgeRoutes');
+const promptRoutes = require('../api/routes/promptRoutes');
+
+async function runProductKnowledgeTest() {
+  console.log('=== Starting Product Knowledge Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/knowledge', knowledgeRoutes);
+  app.use('/api/prompts', promptRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    // The store starts with the messaging the prompts used to hard-code
+    let response = await request('GET', '/knowledge');
+    assert.strictEqual(response.status, 200);
+    const items = response.body.data;
+    assert.deepStrictEqual(items.filter(item => item.type === 'employee').map(item => item.name), [
+      'Security Officer', 'Project Manager', 'Safety Coordinator', 'Damage Mitigator'
+    ]);
+    assert.strictEqual(items.filter(item => item.type === 'statistic').length, 4);
+    assert.ok(items.every(item => item.approved));
+    const argos = items.find(item => item.name === 'Argos');
+    assert.strictEqual(argos.price, '$1,849/month');
+
+    response = await request('GET', '/knowledge?type=claim');
+    assert.strictEqual(response.body.data.length, 2);
+    assert.ok(response.body.data.every(item => item.source));
+
+    const salesCopy = promptRegistry.render('sales_copy_system').text;
+    assert.ok(salesCopy.includes('- Argos: $1,849/month - AI-powered surveillance'));
+    assert.ok(salesCopy.includes('4. Damage Mitigator: Documents incidents and identifies responsible parties'));
+    assert.ok(salesCopy.includes('- Theft and vandalism have decreased by 40%'));
+    assert.ok(!/\{(productCatalog|extraEmployees|keyStatistics|productClaims)\}/.test(salesCopy));
+    console.log('✓ the store is seeded with the default messaging and rendered into prompts');
+
+    // An edit shows up in the next render without touching the templates
+    response = await request('PUT', `/knowledge/${argos.id}`, { price: '$1,899/month' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.price, '$1,899/month');
+    assert.ok(promptRegistry.render('sales_copy_system').text.includes('- Argos: $1,899/month'));
+    await multiLLMService.initialize();
+    assert.ok(multiLLMService.promptTemplates.messageAnalysis('How much is it?').text.includes('$1,899/month'));
+    assert.ok(!multiLLMService.promptTemplates.messageAnalysis('How much is it?').text.includes('$1,849/month'));
+    assert.strictEqual(promptRegistry.render('sales_copy_system').version, 1);
+    console.log('✓ edits apply to every prompt on the next render');
+
+    // Only approved claims and statistics are injected
+    response = await request('POST', '/knowledge', {
+      type: 'statistic',
+      text: 'Insurance premiums dropped by 12%',
+      source: 'Pilot with two customers',
+      approved: false
+    });
+    assert.strictEqual(response.status, 201);
+    const pending = response.body.data;
+    assert.strictEqual(pending.position, 4);
+    response = await request('GET', '/knowledge/preview');
+    assert.ok(!response.body.data.keyStatistics.includes('Insurance premiums'));
+
+    await request('PUT', `/knowledge/${pending.id}`, { approved: true });
+    response = await request('GET', '/knowledge/preview');
+    assert.ok(response.body.data.keyStatistics.endsWith('- Insurance premiums dropped by 12%'));
+    assert.ok(promptRegistry.render('sales_copy_system').text.includes('Insurance premiums dropped by 12%'));
+    console.log('✓ claims and statistics are injected once approved');
+
+    // Renaming an extra employee reaches every template that lists them
+    const securityOfficer = items.find(item => item.name === 'Security Officer');
+    await request('PUT', `/knowledge/${securityOfficer.id}`, { name: 'Site Security Officer' });
+    const followup = promptRegistry.render('warm_followup', {
+      name: 'Dana', title: 'Safety Director', companyInfo: '', duration: '15 minutes',
+      topicsDiscussed: 'theft', concerns: 'cost', nextSteps: 'demo'
+    }).text;
+    assert.ok(followup.includes('1. Site Security Officer: Monitors for unauthorized access'));
+    console.log('✓ extra employee changes reach every template that lists them');
+
+    // Callers may still override a knowledge value for one render
+    const overridden = promptRegistry.render('sales_copy_system', { keyStatistics: '- Custom stat' }).text;
+    assert.ok(overridden.includes('- Custom stat') && !overridden.includes('Insurance premiums'));
+
+    // New template versions may use knowledge placeholders on any key
+    response = await request('POST', '/prompts/message_analysis/versions', {
+      template: 'Analyze {clientMessage}\nStats:\n{keyStatistics}',
+      variables: ['clientMessage', 'keyStatistics'],
+      activate: true
+    });
+    assert.strictEqual(response.status, 201);
+    assert.ok(promptRegistry.render('message_analysis', { clientMessage: 'Hi' }).text.includes('Insurance premiums dropped by 12%'));
+    console.log('✓ template versions can use the knowledge placeholders');
+
+    // Validation
+    response = await request('POST', '/knowledge', { type: 'testimonial', text: 'Great' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/knowledge', { type: 'employee', text: 'Watches the gate' });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.message.includes('name is required'));
+    response = await request('POST', '/knowledge', { type: 'claim', text: 'Works at night', approved: 'yes' });
+    assert.strictEqual(response.status, 400);
+    response = await request('PUT', `/knowledge/${pending.id}`, { text: '  ' });
+    assert.strictEqual(response.status, 400);
+    response = await request('PUT', '/knowledge/missing', { text: 'x' });
+    assert.strictEqual(response.status, 404);
+    console.log('✓ malformed knowledge items are rejected');
+
+    // Deleting
+    response = await request('DELETE', `/knowledge/${pending.id}`);
+    assert.strictEqual(response.status, 200);
+    response = await request('DELETE', `/knowledge/${pending.id}`);
+    assert.strictEqual(response.status, 404);
+    assert.ok(!promptRegistry.render('sales_copy_system').text.includes('Insurance premiums'));
+    console.log('✓ deleted items drop out of the prompts');
+
+    console.log('\n=== Product Knowledge Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Product knowledge test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runProductKnowledgeTest();
@@ -0,0 +1,85 @@
+/**
+ * Profile Job Test Script
+ *
+ * Queues profile analyses through the jobs API with the scraper and the
+ * two-agent pipeline replaced by in-memory fakes, and checks a failed
+ * generation is reported as an error rather than as content. Runs offline.
+ *
+ * Run with: node tests/profile-job-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, waitForJob } = require('./helpers');
+
+// Point the storage service at a throwaway directory before loading it
+useTempDataDir('profile-job');
+
+// Replace the scrapers and LLM pipeline so no browser or API key is needed
+let failGeneration = false;
+require.cache[require.resolve('../services/companyService')] = { exports: {} };
+require.cache[require.resolve('../services/enhancedContentGenerationService')] = { exports: {} };
+require.cache[require.resolve('../services/profileService')] = {
+  exports: {
+    extractProfileData: async () => ({ name: 'Jane Doe', title: 'Safety Director', company: 'Acme Builders' })
+  }
+};
+require.cache[require.resolve('../services/twoAgentService')] = {
+  exports: {
+    resolveClaimVerification: () => null,
+    generatePersonalizedContent: async (profileData, context, outputType, options) => {
+      options.onStage('sales_copy');
+      options.onToken('Hi Jane, ');
+      if (failGeneration) throw new Error('Sales copy agent failed: overloaded');
+      return { content: 'Hi Jane, safer sites start here.', metadata: { outputType } };
+    }
+  }
+};
+
+const jobRoutes = require('../api/routes/jobRoutes');
+
+async function runProfileJobTest() {
+  console.log('=== Starting Profile Job Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/jobs', jobRoutes);
+  const server = app.listen(0);
+  const url = `http://127.0.0.1:${server.address().port}/api/jobs/profile`;
+  const runJob = async () => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profileUrl: 'https://www.linkedin.com/in/jane' })
+    });
+    assert.strictEqual(response.status, 202);
+    return waitForJob((await response.json()).data.id);
+  };
+
+  try {
+    let job = await runJob();
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.strictEqual(job.result.content, 'Hi Jane, safer sites start here.');
+    assert.strictEqual(job.result.generationError, undefined);
+    console.log('✓ generated content is returned with the scraped profile');
+
+    // A failed generation keeps the profile but returns no content to send
+    failGeneration = true;
+    job = await runJob();
+    assert.strictEqual(job.status, 'completed', job.error);
+    assert.strictEqual(job.result.profileData.name, 'Jane Doe');
+    assert.strictEqual(job.result.content, null);
+    assert.strictEqual(job.result.metadata, null);
+    assert.strictEqual(job.result.generationError, 'Sales copy agent failed: overloaded');
+    console.log('✓ a failed generation is reported as an error, not as content');
+
+    console.log('\n=== Profile Job Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Profile job test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runProfileJobTest();
@@ -0,0 +1,210 @@
+/**
+ * Prompt Registry Test Script
+ *
+ * Lists, adds, diffs and activates prompt template versions through the
+ * prompts API, checks rendering fails on missing variables and that content
+ * from the two-agent pipeline and the single-prompt generators records the
+ * template versions that produced it. Runs offline without API keys against a temporary data directory.
+ *
+ * Run with: node tests/prompt-registry-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('prompts');
+isolateLLM();
+
+// Replace the research lookups so no API key is needed
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {
+    researchCompany: async () => ({ companySize: 'large', industryFocus: 'commercial construction', recentProjects: [], recentNews: [] }),
+    analyzeRole: async () => ({ roleCategory: 'safety_director', painPoints: ['safety compliance'], responsibilities: [] }),
+    getIndustryTrends: async () => [{ trend: 'Labor shortages' }]
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const agentPrompts = require('../config/agent-prompts');
+const { promptTemplateStore } = require('../services/storageService');
+const { defaultTemplates } = require('../services/promptTemplates');
+const promptRegistry = require('../services/promptRegistry');
+const twoAgentService = require('../services/twoAgentService');
+const promptRoutes = require('../api/routes/promptRoutes');
+
+async function runPromptRegistryTest() {
+  console.log('=== Starting Prompt Registry Test ===');
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/prompts', promptRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api/prompts`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    // Every template starts at version 1, seeded from the code defaults
+    let response = await request('GET', '/');
+    assert.strictEqual(response.status, 200);
+    const keys = response.body.data.map(template => template.key);
+    assert.deepStrictEqual(keys, [
+      'fine_tuning_system', 'sales_copy_system', 'claim_rewrite', 'profile_content', 'warm_followup',
+      'message_analysis', 'company_content', 'message_response'
+    ]);
+    response.body.data.forEach(template => assert.strictEqual(template.activeVersion, 1));
+    assert.deepStrictEqual(response.body.data.find(template => template.key === 'message_analysis').variables, ['clientMessage', 'productCatalog', 'productClaims']);
+    assert.strictEqual(promptRegistry.getActive('sales_copy_system').template, agentPrompts.salesCopyAgentPrompt);
+    console.log('✓ templates are seeded as version 1 with their variables');
+
+    // Rendering fills every declared variable and refuses to leave one out
+    const rendered = promptRegistry.render('message_analysis', { clientMessage: 'Does it work at {night}?' });
+    assert.ok(rendered.text.includes('Does it work at {night}?'));
+    assert.strictEqual(rendered.version, 1);
+    assert.throws(() => promptRegistry.render('message_analysis', {}), /missing variables: clientMessage/);
+    assert.throws(
+      () => promptRegistry.render('warm_followup', { name: 'Dana', title: 'Safety Director', companyInfo: '', duration: '15 minutes' }),
+      /missing variables: topicsDiscussed, concerns, nextSteps/
+    );
+    assert.throws(() => promptRegistry.render('nope'), /Unknown prompt template: nope/);
+    await multiLLMService.initialize();
+    assert.ok(multiLLMService.promptTemplates.messageAnalysis('Hi').text.includes('"""\nHi\n"""'));
+    console.log('✓ rendering fails when a declared variable is missing');
+
+    // New versions must declare exactly the placeholders they use, from the values callers pass
+    response = await request('POST', '/message_analysis/versions', { template: 'Analyze {clientMessage} for {prospect}', variables: ['clientMessage'] });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.message.includes('Placeholders not declared as variables: prospect'));
+    response = await request('POST', '/message_analysis/versions', { template: 'Analyze {clientMessage}', variables: ['clientMessage', 'prospect'] });
+    assert.strictEqual(response.status, 400);
+    assert.ok(response.body.message.includes('Unknown variables for message_analysis: prospect'));
+    response = await request('POST', '/message_analysis/versions', { template: '', variables: [] });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/nope/versions', { template: 'x', variables: [] });
+    assert.strictEqual(response.status, 404);
+    console.log('✓ malformed versions are rejected');
+
+    // Adding a version does not change what is rendered until it is activated
+    const v1 = promptRegistry.getActive('sales_copy_system').template;
+    const v2Text = v1.replace('Keep all messages under 250 words', 'Keep all messages under 150 words');
+    const v1Variables = promptRegistry.getActive('sales_copy_system').variables;
+    response = await request('POST', '/sales_copy_system/versions', { template: v2Text, variables: v1Variables, notes: 'Shorter copy' });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual(response.body.data.version, 2);
+    assert.strictEqual(response.body.data.active, false);
+    assert.strictEqual(promptRegistry.render('sales_copy_system').version, 1);
+
+    response = await request('GET', '/sales_copy_system/diff?from=1&to=2');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.added, 1);
+    assert.strictEqual(response.body.data.removed, 1);
+    const changed = response.body.data.lines.filter(line => line.type !== 'unchanged');
+    assert.ok(changed[0].text.includes('under 250 words') && changed[0].type === 'removed');
+    assert.ok(changed[1].text.includes('under 150 words') && changed[1].type === 'added');
+    response = await request('GET', '/sales_copy_system/diff?from=1&to=9');
+    assert.strictEqual(response.status, 404);
+    response = await request('GET', '/sales_copy_system/diff?from=one');
+    assert.strictEqual(response.status, 400);
+    console.log('✓ versions can be diffed line by line');
+
+    response = await request('POST', '/sales_copy_system/versions/2/activate');
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.active, true);
+    response = await request('GET', '/sales_copy_system/versions');
+    assert.deepStrictEqual(response.body.data.map(version => version.active), [false, true]);
+    response = await request('POST', '/sales_copy_system/versions/7/activate');
+    assert.strictEqual(response.status, 404);
+    console.log('✓ activating a version switches the one that is rendered');
+
+    // Generated content records the template versions behind it
+    const systemPrompts = [];
+    multiLLMService.generateWithOpenAI = async (prompt, options) => {
+      systemPrompts.push(options.systemPrompt);
+      return { content: 'Generate a sales email for Dana.', provider: 'openai', model: options.model };
+    };
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      systemPrompts.push(options.systemPrompt);
+      return { content: 'Hi Dana', provider: 'claude', model: options.model };
+    };
+    const result = await twoAgentService.generatePersonalizedContent(
+      { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' }, {}, 'sales_email'
+    );
+    assert.deepStrictEqual(result.metadata.process.promptVersions, { fine_tuning_system: 1, sales_copy_system: 2 });
+    assert.strictEqual(result.metadata.process.promptVersion, 'fine_tuning_system@v1+sales_copy_system@v2');
+    assert.strictEqual(systemPrompts[1], promptRegistry.render('sales_copy_system').text);
+    assert.ok(systemPrompts[1].includes('under 150 words'));
+
+    // Rolling back is activating the old version again
+    await request('POST', '/sales_copy_system/versions/1/activate');
+    assert.strictEqual(promptRegistry.activeVersionLabel('sales_copy_system', 'message_response'), 'sales_copy_system@v1+message_response@v1');
+    console.log('✓ generated content records which template versions produced it');
+
+    // Content names the version it was rendered from, even if another is activated while it is generated
+    const generateContent = multiLLMService.generateContent;
+    multiLLMService.generateContent = async (prompt, task) => {
+      if (task === 'companyContent') {
+        const active = promptRegistry.getActive('company_content');
+        promptRegistry.createVersion('company_content', { template: `${active.template}\nBe brief.`, variables: active.variables, activate: true });
+      }
+      return task === 'messageAnalysis' ? '{"sentiment": "positive", "topics": ["pricing"], "questions": []}' : 'Generated copy';
+    };
+    const company = { name: 'Acme Builders', specialties: ['Commercial construction'] };
+    let generated = await multiLLMService.generateCompanyContent(company, [], 'email');
+    assert.deepStrictEqual(generated, { content: 'Generated copy', promptVersion: 'company_content@v1' });
+    assert.strictEqual(promptRegistry.getActive('company_content').version, 2);
+    generated = await multiLLMService.generateCompanyContent(company, [], 'email');
+    assert.strictEqual(generated.promptVersion, 'company_content@v2');
+    assert.strictEqual(promptRegistry.getActive('company_content').version, 3);
+    const dana = { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' };
+    assert.strictEqual((await multiLLMService.generateWarmFollowup(dana, {})).promptVersion, 'warm_followup@v1');
+    assert.strictEqual((await multiLLMService.generateProfileContent(dana, 'email')).promptVersion, 'profile_content@v1');
+    assert.strictEqual((await multiLLMService.generateMessageResponse('How much?', { sentiment: 'neutral', topics: [], questions: [] })).promptVersion, 'message_response@v1');
+    const messageAnalysis = await multiLLMService.analyzeClientMessage('How much is it?');
+    assert.strictEqual(messageAnalysis.promptVersion, 'message_analysis@v1');
+    assert.strictEqual(messageAnalysis.sentiment, 'positive');
+
+    // Template fallback content was not written from a registry prompt
+    multiLLMService.generateContent = async () => { throw new Error('No providers'); };
+    generated = await multiLLMService.generateWarmFollowup(dana, {});
+    assert.ok(generated.content.startsWith('Hi Dana'));
+    assert.strictEqual(generated.promptVersion, null);
+    assert.strictEqual((await multiLLMService.analyzeClientMessage('How much is it?')).promptVersion, null);
+    multiLLMService.generateContent = generateContent;
+    console.log('✓ content names the version it was rendered from, and none for template fallbacks');
+
+    // Stores seeded before a default changed move to the new default unless an admin chose a version
+    const oldDefault = promptTemplateStore.find(record => record.key === 'warm_followup' && record.version === 1);
+    promptTemplateStore.update(oldDefault.id, {
+      template: defaultTemplates.warm_followup.template.replace('{extraEmployees}', '1. Security Officer').replace('{keyStatistics}', '- 30% fewer safety incidents'),
+      variables: defaultTemplates.warm_followup.variables.filter(name => !['extraEmployees', 'keyStatistics'].includes(name))
+    });
+    const updated = promptRegistry.getActive('warm_followup');
+    assert.strictEqual(updated.version, 2);
+    assert.strictEqual(updated.template, defaultTemplates.warm_followup.template);
+    assert.ok(updated.variables.includes('extraEmployees'));
+    assert.strictEqual(promptRegistry.getVersion('warm_followup', 1).active, false);
+    assert.strictEqual(promptRegistry.listVersions('warm_followup').length, 2, 'migrated once');
+    assert.strictEqual(promptRegistry.getActive('sales_copy_system').version, 1, 'a rollback is kept');
+    assert.strictEqual(promptRegistry.listVersions('sales_copy_system').length, 2);
+    console.log('✓ unedited defaults seeded before a change move to the current default');
+
+    console.log('\n=== Prompt Registry Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Prompt registry test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runPromptRegistryTest();
@@ -0,0 +1,81 @@
+/**
+ * Storage Service Test Script
+ *
+ * Exercises the file-backed prospect, company and analysis collections
+ * against a temporary data directory. Runs offline.
+ *
+ * Run with: node tests/storage-test.js
+ */
+
+const assert = require('assert');
+const { useTempDataDir } = require('./helpers');
+
+// Point the storage service at a throwaway directory before loading it
+useTempDataDir('storage');
+
+const { JsonCollection, validateRecord, prospectStore } = require('../services/storageService');
+
+function runStorageTest() {
+  console.log('=== Starting Storage Service Test ===');
+
+  try {
+    // Create applies schema defaults
+    const prospect = prospectStore.create({
+      name: 'John Smith',
+      title: 'Safety Director',
+      linkedinUrl: 'https://www.linkedin.com/in/johnsmith'
+    });
+    assert.ok(prospect.id, 'prospect should get an id');
+    assert.strictEqual(prospect.status, 'new');
+    assert.deepStrictEqual(prospect.painPoints, []);
+    console.log('✓ create applies schema defaults');
+
+    // Ids and creation times come from the store, not the data
+    const spoofed = prospectStore.create({ id: prospect.id, name: 'Mallory', createdAt: '2000-01-01T00:00:00.000Z' });
+    assert.notStrictEqual(spoofed.id, prospect.id);
+    assert.notStrictEqual(spoofed.createdAt, '2000-01-01T00:00:00.000Z');
+    assert.strictEqual(prospectStore.get(prospect.id).name, 'John Smith');
+    const imported = prospectStore.create({ name: 'Imported' }, { id: 'import-1', createdAt: '2020-01-01T00:00:00.000Z' });
+    assert.strictEqual(imported.id, 'import-1');
+    assert.strictEqual(imported.createdAt, '2020-01-01T00:00:00.000Z');
+    prospectStore.remove(spoofed.id);
+    prospectStore.remove(imported.id);
+    console.log('✓ create generates ids and timestamps unless an internal caller fixes them');
+
+    // Upsert by LinkedIn URL updates instead of duplicating
+    const { record, created } = prospectStore.upsertBy('linkedinUrl', {
+      linkedinUrl: 'https://www.linkedin.com/in/johnsmith',
+      status: 'contacted'
+    });
+    assert.strictEqual(created, false);
+    assert.strictEqual(record.id, prospect.id);
+    assert.strictEqual(record.status, 'contacted');
+    assert.strictEqual(prospectStore.list().length, 1);
+    console.log('✓ upsertBy updates the existing record');
+
+    // Records survive a reload from disk
+    const reloaded = new JsonCollection('prospects', 'prospect');
+    assert.strictEqual(reloaded.get(prospect.id).name, 'John Smith');
+    console.log('✓ records persist to disk');
+
+    // Filters and removal
+    assert.strictEqual(prospectStore.list({ status: 'new' }).length, 0);
+    assert.strictEqual(prospectStore.remove(prospect.id), true);
+    assert.strictEqual(prospectStore.get(prospect.id), null);
+    console.log('✓ list filters and remove work');
+
+    // Validation
+    assert.deepStrictEqual(validateRecord('prospect', { status: 'new' }), []);
+    assert.strictEqual(validateRecord('prospect', { status: 'bogus' }).length, 1);
+    assert.strictEqual(validateRecord('company', { specialties: 'Safety' }).length, 1);
+    assert.strictEqual(validateRecord('analysis', { type: 'email' }).length, 1);
+    console.log('✓ validateRecord rejects bad fields');
+
+    console.log('\n=== Storage Service Test Passed ===');
+  } catch (error) {
+    console.error('Storage service test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runStorageTest();
@@ -0,0 +1,159 @@
+/**
+ * Conversation Thread Test Script
+ *
+ * Checks the thread API and that message analysis and replies replay the
+ * thread's earlier turns as chat messages, with the LLM call replaced by a
+ * fake. Runs offline without API keys against a temporary data directory.
+ *
+ * Run with: node tests/thread-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// Keep the collections and LLM state out of the real data directory
+useTempDataDir('threads');
+isolateLLM();
+
+// The original Transformers.js service is only a fallback and needs native modules
+require.cache[require.resolve('../services/contentGenerationService')] = { exports: {} };
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const threadService = require('../services/threadService');
+const { prospectStore } = require('../services/storageService');
+const threadRoutes = require('../api/routes/threadRoutes');
+const messageRoutes = require('../api/routes/messageRoutes');
+
+const CLIENT_MESSAGE = 'Thanks for the call. What would two Argos units cost per month?';
+
+async function runThreadTest() {
+  console.log('=== Starting Conversation Thread Test ===');
+
+  // Capture the generation options instead of calling a provider
+  const calls = [];
+  await multiLLMService.initialize();
+  multiLLMService.generateContent = async (prompt, task, context, options = {}) => {
+    calls.push({ prompt, task, options });
+    return task === 'messageAnalysis'
+      ? '{"sentiment": "positive", "topics": ["pricing"], "questions": ["What would two Argos units cost per month?"]}'
+      : 'Hello [Client Name], two Argos units are $3,698/month.';
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/threads', threadRoutes);
+  app.use('/api/message', messageRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const request = async (method, url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    const prospect = prospectStore.create({ name: 'Dana Site', company: 'Acme Builders' });
+
+    // Threads belong to a stored prospect
+    let response = await request('POST', '/threads', { prospectId: 'missing', subject: 'Argos pricing' });
+    assert.strictEqual(response.status, 404);
+    response = await request('POST', '/threads', { subject: 'Argos pricing' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/threads', { prospectId: prospect.id, subject: 'Argos pricing' });
+    assert.strictEqual(response.status, 201);
+    const thread = response.body.data;
+    assert.deepStrictEqual(thread.turns, []);
+    console.log('✓ threads are created for stored prospects');
+
+    // Turns are validated and kept in chronological order
+    response = await request('POST', `/threads/${thread.id}/turns`, { direction: 'sideways', content: 'Hi' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', `/threads/${thread.id}/turns`, { direction: 'note', content: '  ' });
+    assert.strictEqual(response.status, 400);
+    response = await request('POST', '/threads/missing/turns', { direction: 'note', content: 'Hi' });
+    assert.strictEqual(response.status, 404);
+
+    await request('POST', `/threads/${thread.id}/turns`, {
+      direction: 'note', content: 'Site has two gates, theft last month.', createdAt: '2026-03-02T15:00:00Z'
+    });
+    await request('POST', `/threads/${thread.id}/turns`, {
+      direction: 'outbound', channel: 'email', content: 'Hi Dana, following up on Argos.', createdAt: '2026-03-01T09:00:00Z'
+    });
+    response = await request('POST', `/threads/${thread.id}/turns`, {
+      direction: 'inbound', channel: 'email', content: CLIENT_MESSAGE, createdAt: '2026-03-03T10:00:00Z'
+    });
+    assert.strictEqual(response.status, 201);
+    assert.deepStrictEqual(response.body.data.thread.turns.map(turn => turn.direction), ['outbound', 'note', 'inbound']);
+    assert.ok(response.body.data.turn.id);
+    console.log('✓ turns are validated and sorted by timestamp');
+
+    response = await request('GET', `/threads?prospectId=${prospect.id}`);
+    assert.strictEqual(response.body.data.length, 1);
+    response = await request('GET', '/threads?prospectId=other');
+    assert.strictEqual(response.body.data.length, 0);
+    console.log('✓ threads are listed per prospect');
+
+    // History is replayed as alternating messages, without repeating the current message
+    const messages = threadService.buildMessages(threadService.getThread(thread.id), 'PROMPT', { currentMessage: CLIENT_MESSAGE });
+    assert.deepStrictEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+    assert.strictEqual(messages[1].content, 'Hi Dana, following up on Argos.');
+    assert.ok(messages[2].content.startsWith('Call notes (2026-03-02):\nSite has two gates'));
+    assert.ok(messages[2].content.endsWith('\n\nPROMPT'));
+    assert.ok(!messages.some(message => message.content.includes(CLIENT_MESSAGE)));
+    console.log('✓ thread turns become alternating chat messages');
+
+    // Message endpoints send the thread along
+    response = await request('POST', '/message/analyze', { clientMessage: CLIENT_MESSAGE, threadId: thread.id });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.messageAnalysis.questions, ['What would two Argos units cost per month?']);
+    assert.strictEqual(calls[0].task, 'messageAnalysis');
+    assert.strictEqual(calls[0].options.messages.length, 3);
+    assert.strictEqual(calls[0].options.messages[2].content.slice(-calls[0].prompt.length), calls[0].prompt);
+
+    response = await request('POST', '/message/generate-response', {
+      clientMessage: CLIENT_MESSAGE,
+      messageAnalysis: response.body.data.messageAnalysis,
+      threadId: thread.id
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(calls[1].task, 'messageResponse');
+    assert.strictEqual(calls[1].options.messages[1].role, 'assistant');
+
+    // Without a thread the request stays stateless
+    await request('POST', '/message/analyze', { clientMessage: CLIENT_MESSAGE });
+    assert.deepStrictEqual(calls[2].options, {});
+
+    response = await request('POST', '/message/analyze', { clientMessage: CLIENT_MESSAGE, threadId: 'missing' });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(calls.length, 3);
+    console.log('✓ message analysis and replies use the thread history');
+
+    // Removing turns and threads
+    const noteId = threadService.getThread(thread.id).turns[1].id;
+    response = await request('DELETE', `/threads/${thread.id}/turns/${noteId}`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.turns.length, 2);
+    response = await request('DELETE', `/threads/${thread.id}/turns/${noteId}`);
+    assert.strictEqual(response.status, 404);
+    response = await request('DELETE', `/threads/${thread.id}`);
+    assert.strictEqual(response.status, 200);
+    response = await request('GET', `/threads/${thread.id}`);
+    assert.strictEqual(response.status, 404);
+    console.log('✓ turns and threads can be deleted');
+
+    console.log('\n=== Conversation Thread Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Conversation thread test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runThreadTest();
@@ -0,0 +1,225 @@
+/**
+ * A/B Variant Test Script
+ *
+ * Requests A/B variants through the agent API with research and LLM calls
+ * replaced by fakes, then saves them and records which one was sent through
+ * the analyses API. Runs offline without API keys against a temporary data
+ * directory.
+ *
+ * Run with: node tests/variant-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file or cache file for this test
+useTempDataDir('variants');
+isolateLLM();
+
+// Replace the scrapers and research lookups so no browser or API key is needed
+require.cache[require.resolve('../services/contentGenerationService')] = { exports: {} };
+require.cache[require.resolve('../services/profileService')] = { exports: {} };
+require.cache[require.resolve('../services/companyService')] = { exports: {} };
+require.cache[require.resolve('../services/researchService')] = {
+  exports: {
+    researchCompany: async () => ({ companySize: 'large', industryFocus: 'commercial construction', recentProjects: [], recentNews: [] }),
+    analyzeRole: async (title) => ({
+      roleCategory: title.includes('Superintendent') ? 'site_superintendent' : 'safety_director',
+      painPoints: [],
+      responsibilities: []
+    }),
+    getIndustryTrends: async () => [{ trend: 'Labor shortages' }],
+    mapToRoleCategory: () => 'safety_director'
+  }
+};
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const { analysisStore } = require('../services/storageService');
+const productKnowledgeService = require('../services/productKnowledgeService');
+const agentRoutes = require('../api/routes/agentRoutes');
+const analysisRoutes = require('../api/routes/analysisRoutes');
+
+const PROFILE = { name: 'Dana Site', title: 'Safety Director', company: 'Acme Builders' };
+
+async function runVariantTest() {
+  console.log('=== Starting A/B Variant Test ===');
+
+  // Each variant echoes its angle so the prompts can be matched to the results
+  const fineTuningCalls = [];
+  const salesCopyCalls = [];
+  multiLLMService.generateWithOpenAI = async (prompt, options) => {
+    fineTuningCalls.push(prompt);
+    return { content: 'Generate a sales email for Dana Site, Safety Director at Acme Builders.', provider: 'openai', model: options.model };
+  };
+  multiLLMService.generateWithClaude = async (prompt, options) => {
+    salesCopyCalls.push({ prompt, options });
+    return { content: `Email leading with ${prompt.match(/ANGLE FOR THIS VERSION: (.+)/)[1]}`, provider: 'claude', model: options.model };
+  };
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/agent', agentRoutes);
+  app.use('/api/analyses', analysisRoutes);
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+  const post = async (url, body) => {
+    const response = await fetch(`${base}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  try {
+    // A count picks the strongest angles for the prospect's role
+    let response = await post('/agent/generate', { profileData: PROFILE, options: { variants: 3 } });
+    assert.strictEqual(response.status, 200);
+    const result = response.body.data;
+    assert.deepStrictEqual(result.variants.map(variant => variant.id), ['safety_first', 'dispute_protection', 'four_employees_roi']);
+    assert.deepStrictEqual(result.variants.map(variant => variant.label), ['Safety-first', 'Dispute protection', '"4 Extra Employees" ROI']);
+    assert.strictEqual(result.variants[0].content, 'Email leading with Safety-first');
+    assert.strictEqual(result.content, result.variants[0].content);
+    assert.deepStrictEqual(result.metadata.process.angles, ['safety_first', 'dispute_protection', 'four_employees_roi']);
+    console.log('✓ variants follow the role\'s angle order and carry their labels');
+
+    // The fine-tuning agent runs once and every variant builds on its output
+    assert.strictEqual(fineTuningCalls.length, 1);
+    assert.strictEqual(salesCopyCalls.length, 3);
+    salesCopyCalls.forEach(call => {
+      assert.ok(call.prompt.startsWith('\nGenerate a sales email for Dana Site'));
+      assert.ok(call.prompt.includes('OSHA compliance challenges'));
+      assert.strictEqual(call.options.task, 'sales_copy');
+    });
+    console.log('✓ one fine-tuning run feeds every variant, with the role pain points');
+
+    // Explicit angles, and another role's order
+    response = await post('/agent/generate', { profileData: PROFILE, options: { angles: ['theft_prevention', 'safety_first'] } });
+    assert.deepStrictEqual(response.body.data.variants.map(variant => variant.id), ['theft_prevention', 'safety_first']);
+    response = await post('/agent/generate', { profileData: { ...PROFILE, title: 'Site Superintendent' }, options: { variants: 2 } });
+    assert.deepStrictEqual(response.body.data.variants.map(variant => variant.id), ['theft_prevention', 'project_visibility']);
+    console.log('✓ angles can be chosen explicitly');
+
+    // Angle figures come from the knowledge store, so edits there reach the next variants
+    const anglePrompt = (label) => salesCopyCalls.filter(call => call.prompt.includes(`ANGLE FOR THIS VERSION: ${label}`)).pop().prompt;
+    assert.ok(anglePrompt('Safety-first').includes('- Safety violations have decreased by 35% through real-time monitoring'));
+    assert.ok(anglePrompt('Theft prevention').includes('- Theft and vandalism have decreased by 40%'));
+    assert.ok(!anglePrompt('Theft prevention').includes('35%'), 'only the angle\'s own figures');
+    const theftStatistic = productKnowledgeService.listItems({ type: 'statistic' }).find(record => record.text.startsWith('Theft'));
+    productKnowledgeService.updateItem(theftStatistic.id, { text: 'Theft and vandalism have decreased by 45%' });
+    await post('/agent/generate', { profileData: PROFILE, options: { angles: ['theft_prevention', 'project_visibility'] } });
+    assert.ok(anglePrompt('Theft prevention').includes('- Theft and vandalism have decreased by 45%'));
+    assert.ok(!anglePrompt('Theft prevention').includes('40%'));
+    assert.ok(!anglePrompt('Project visibility').includes('approved facts'), 'no facts block without matching evidence');
+    console.log('✓ angle figures come from the product knowledge store');
+
+    // Metadata records the models that actually ran, not the ones asked for
+    assert.strictEqual(result.metadata.process.fineTuningModel, 'gpt-4o-mini');
+    assert.strictEqual(result.metadata.process.salesCopyModel, 'claude-3-opus-20240229');
+    const generateWithClaude = multiLLMService.generateWithClaude;
+    multiLLMService.generateWithClaude = async () => ({ content: 'Email from the fallback model', provider: 'openai', model: 'gpt-4o' });
+    response = await post('/agent/generate', { profileData: PROFILE, options: { variants: 2 } });
+    assert.strictEqual(response.body.data.metadata.process.salesCopyModel, 'gpt-4o');
+    assert.deepStrictEqual(response.body.data.variants.map(variant => variant.model), ['gpt-4o', 'gpt-4o']);
+    response = await post('/agent/generate', { profileData: PROFILE });
+    assert.strictEqual(response.body.data.metadata.process.salesCopyModel, 'gpt-4o');
+    multiLLMService.generateWithClaude = generateWithClaude;
+    console.log('✓ metadata records the models used after a fallback');
+
+    // One failed variant does not lose the others
+    multiLLMService.generateWithClaude = async (prompt, options) => {
+      if (prompt.includes('ANGLE FOR THIS VERSION: Theft prevention')) throw new Error('Claude overloaded');
+      return generateWithClaude(prompt, options);
+    };
+    response = await post('/agent/generate', { profileData: PROFILE, options: { angles: ['theft_prevention', 'safety_first', 'project_visibility'] } });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(response.body.data.variants.map(variant => variant.id), ['safety_first', 'project_visibility']);
+    assert.deepStrictEqual(response.body.data.variantErrors, [{ id: 'theft_prevention', label: 'Theft prevention', error: 'Claude overloaded' }]);
+    assert.strictEqual(response.body.data.content, 'Email leading with Safety-first');
+    assert.deepStrictEqual(response.body.data.metadata.process.angles, ['safety_first', 'project_visibility']);
+    response = await post('/agent/generate', { profileData: PROFILE, options: { angles: ['theft_prevention', 'safety_first'] } });
+    assert.deepStrictEqual(response.body.data.variantErrors, [{ id: 'theft_prevention', label: 'Theft prevention', error: 'Claude overloaded' }]);
+    multiLLMService.generateWithClaude = async () => { throw new Error('Claude overloaded'); };
+    response = await post('/agent/generate', { profileData: PROFILE, options: { variants: 2 } });
+    assert.strictEqual(response.status, 500);
+    multiLLMService.generateWithClaude = generateWithClaude;
+    console.log('✓ failed variants are reported next to the ones that succeeded');
+
+    // Without the fine-tuning agent the variants are written from a direct brief
+    const generateWithOpenAI = multiLLMService.generateWithOpenAI;
+    multiLLMService.generateWithOpenAI = async () => { throw new Error('OpenAI unavailable'); };
+    const callsBeforeFallback = salesCopyCalls.length;
+    response = await post('/agent/generate', { profileData: PROFILE, options: { variants: 2 } });
+    multiLLMService.generateWithOpenAI = generateWithOpenAI;
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.variants.length, 2);
+    const fallbackProcess = response.body.data.metadata.process;
+    assert.strictEqual(fallbackProcess.fineTuningSkipped, true);
+    assert.strictEqual(fallbackProcess.fineTuningError, 'OpenAI unavailable');
+    assert.strictEqual(fallbackProcess.fineTuningModel, null);
+    assert.ok(!fallbackProcess.promptVersion.includes('fine_tuning_system'));
+    salesCopyCalls.slice(callsBeforeFallback).forEach(call => {
+      assert.ok(call.prompt.includes('Generate a sales_email for Dana Site, Safety Director at Acme Builders.'));
+      assert.ok(call.prompt.includes('ANGLE FOR THIS VERSION:'));
+    });
+    console.log('✓ variants fall back to the sales copy agent when fine-tuning fails');
+
+    // Validation happens before any LLM call
+    const callsBefore = salesCopyCalls.length;
+    for (const options of [{ variants: 1 }, { variants: 9 }, { variants: 'three' }, { angles: ['safety_first', 'fax'] }, { angles: ['safety_first', 'safety_first'] }]) {
+      response = await post('/agent/generate', { profileData: PROFILE, options });
+      assert.strictEqual(response.status, 400, JSON.stringify(options));
+      assert.strictEqual(response.body.success, false);
+    }
+    response = await post('/agent/generate?stream=true', { profileData: PROFILE, options: { variants: 2 } });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(salesCopyCalls.length, callsBefore);
+    console.log('✓ malformed variant requests are rejected');
+
+    // The rep's pick is recorded on the saved analysis
+    response = await post('/analyses', {
+      type: 'profile',
+      outputFormat: 'email',
+      profileData: PROFILE,
+      profileContent: result.content,
+      variants: result.variants
+    });
+    assert.strictEqual(response.status, 201);
+    const analysis = response.body.data;
+    assert.strictEqual(analysis.sentVariant, null);
+
+    response = await post(`/analyses/${analysis.id}/sent-variant`, { variantId: 'dispute_protection' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.data.sentVariant.id, 'dispute_protection');
+    assert.strictEqual(response.body.data.sentVariant.label, 'Dispute protection');
+    assert.ok(response.body.data.sentVariant.sentAt);
+    assert.strictEqual(response.body.data.profileContent, 'Email leading with Dispute protection');
+
+    response = await post(`/analyses/${analysis.id}/sent-variant`, { variantId: 'nope' });
+    assert.strictEqual(response.status, 400);
+    response = await post('/analyses/missing/sent-variant', { variantId: 'safety_first' });
+    assert.strictEqual(response.status, 404);
+    console.log('✓ the sent variant is recorded on the analysis');
+
+    // Analyses saved before variants existed are rejected, not an error
+    const legacy = analysisStore.create({ type: 'profile', profileData: PROFILE, profileContent: 'Older email' });
+    delete legacy.variants;
+    analysisStore.save();
+    response = await post(`/analyses/${legacy.id}/sent-variant`, { variantId: 'safety_first' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.message, 'This analysis has no variants');
+    console.log('✓ analyses without variants reject a sent variant');
+
+    console.log('\n=== A/B Variant Test Completed Successfully ===');
+  } catch (error) {
+    console.error('A/B variant test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runVariantTest();
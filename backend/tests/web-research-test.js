@@ -0,0 +1,192 @@
+/**
+ * Web Research Test Script
+ *
+ * Checks company research no longer invents facts: with no search provider
+ * enabled it returns nothing, and with a SearXNG-style provider it fetches the
+ * result pages, cleans and chunks them, and keeps only extracted facts that
+ * cite one of the fetched pages. Runs offline against a local server standing
+ * in for SearXNG and the result pages.
+ *
+ * Run with: node tests/web-research-test.js
+ */
+
+const assert = require('assert');
+const express = require('express');
+const { useTempDataDir, isolateLLM } = require('./helpers');
+
+// No real providers, metrics file, cache file or stored research for this test
+isolateLLM(['SEARXNG_ENABLED']);
+useTempDataDir('research');
+
+const multiLLMService = require('../services/multiLLMService');
+multiLLMService.metrics.saveMetrics = () => {};
+
+const { htmlToText, chunkText } = require('../utils/webFetchTool');
+const { SearxngProvider } = require('../services/searchProviders/searxngProvider');
+const webResearchService = require('../services/webResearchService');
+const researchService = require('../services/researchService');
+
+const ABOUT_PAGE = `<!DOCTYPE html>
+<html><head><title>About Acme Builders &amp; Co</title>
+<style>body { color: red; }</style>
+<script>window.tracking = "Acme has 9,999 employees";</script></head>
+<body>
+<nav><a href="/">Home</a> | <a href="/careers">Careers</a></nav>
+<h1>About&nbsp;Acme</h1>
+<p>Acme Builders employs about 450 people across Arizona.</p>
+<p>We recently completed the <b>Riverside Medical Center</b> expansion.</p>
+<footer>&copy; Acme Builders</footer>
+</body></html>`;
+
+const NEWS_PAGE = `<html><head><title>Acme wins contract</title></head>
+<body><article><h2>News</h2><p>Acme Builders was awarded the Mesa transit hub contract in March.</p></article></body></html>`;
+
+async function runWebResearchTest() {
+  console.log('=== Starting Web Research Test ===');
+
+  // Stand-in for a SearXNG instance and the pages it finds
+  const searches = [];
+  const app = express();
+  app.get('/search', (req, res) => {
+    searches.push(req.query);
+    res.json({
+      results: [
+        { title: 'About Acme', url: `${base}/pages/about`, content: 'Acme Builders employs...' },
+        { title: 'Acme news', url: `${base}/pages/news`, content: 'Acme wins...' },
+        { title: 'Gone', url: `${base}/pages/missing`, content: '' },
+        { title: 'Brochure', url: `${base}/pages/brochure.pdf`, content: '' },
+        { title: 'Not the web', url: 'ftp://example.com/file', content: '' }
+      ]
+    });
+  });
+  app.get('/pages/about', (req, res) => res.type('html').send(ABOUT_PAGE));
+  app.get('/pages/news', (req, res) => res.type('html').send(NEWS_PAGE));
+  app.get('/pages/brochure.pdf', (req, res) => res.type('application/pdf').send('%PDF-1.4'));
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const prompts = [];
+  multiLLMService.generateContent = async (prompt) => {
+    prompts.push(prompt);
+    return '```json\n' + JSON.stringify({
+      facts: [
+        { category: 'companySize', statement: 'About 450 employees across Arizona', source: 'S1', confidence: 'high' },
+        { category: 'recentProject', statement: 'Completed the Riverside Medical Center expansion', source: 'S1', confidence: 'high' },
+        { category: 'recentNews', statement: 'Awarded the Mesa transit hub contract in March', source: 'S2', confidence: 'certain' },
+        { category: 'recentNews', statement: 'Opened an office in Denver', source: 'S7' },
+        { category: 'revenue', statement: '$500 million revenue', source: 'S1' },
+        { category: 'recentProject', statement: '', source: 'S2' }
+      ]
+    }) + '\n```';
+  };
+
+  try {
+    // Cleaning and chunking
+    const { title, text } = htmlToText(ABOUT_PAGE);
+    assert.strictEqual(title, 'About Acme Builders & Co');
+    assert.ok(text.includes('About Acme'));
+    assert.ok(text.includes('We recently completed the Riverside Medical Center expansion.'));
+    assert.ok(!text.includes('9,999') && !text.includes('color: red') && !text.includes('Careers'));
+    assert.ok(!/[<>]/.test(text));
+
+    const paragraphs = Array.from({ length: 40 }, (_, index) => `Paragraph ${index} talks about site safety and schedules.`).join('\n');
+    const chunks = chunkText(paragraphs, { size: 300, overlap: 50 });
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.length <= 300));
+    assert.ok(chunks[0].endsWith('schedules.'));
+    assert.ok(chunks[0].slice(-50).includes(chunks[1].slice(0, 20)), 'consecutive chunks overlap');
+    assert.ok(chunks[chunks.length - 1].includes('Paragraph 39'));
+    assert.deepStrictEqual(chunkText(''), []);
+    console.log('✓ pages are cleaned to readable text and chunked with overlap');
+
+    // Nothing is enabled by default, so nothing is made up
+    assert.strictEqual(webResearchService.searchProviders.getActive(), null);
+    let company = await researchService.researchCompany('Acme Builders');
+    assert.strictEqual(company.researchStatus, 'no_search_provider');
+    assert.strictEqual(company.companySize, 'unknown');
+    assert.deepStrictEqual(company.recentProjects, []);
+    assert.deepStrictEqual(company.recentNews, []);
+    assert.deepStrictEqual(company.facts, []);
+    assert.strictEqual(prompts.length, 0);
+    console.log('✓ without a search provider research returns no company facts');
+
+    // A disabled provider stays out of the way even when configured
+    webResearchService.registerSearchProvider(new SearxngProvider({ enabled: false, baseUrl: base }));
+    assert.strictEqual(webResearchService.searchProviders.getActive(), null);
+
+    // Plugging in a SearXNG endpoint
+    webResearchService.registerSearchProvider(new SearxngProvider({ enabled: true, baseUrl: `${base}/` }));
+    const providers = await webResearchService.searchProviders.describe();
+    assert.strictEqual(providers.length, 1);
+    assert.strictEqual(providers[0].active, true);
+
+    company = await researchService.researchCompany('Acme Builders');
+    assert.strictEqual(company.researchStatus, 'completed');
+    assert.strictEqual(searches.length, 4);
+    assert.strictEqual(searches[0].format, 'json');
+    assert.strictEqual(searches[0].q, 'Acme Builders construction company');
+
+    // Only the readable HTML pages become sources; each keeps its URL
+    assert.deepStrictEqual(company.sources.map(source => [source.id, source.url]), [
+      ['S1', `${base}/pages/about`],
+      ['S2', `${base}/pages/news`]
+    ]);
+    assert.strictEqual(company.sources[0].title, 'About Acme Builders & Co');
+    assert.ok(company.sources[0].fetchedAt);
+
+    // The LLM sees page text labelled by source, never scripts or search snippets
+    assert.strictEqual(prompts.length, 1);
+    assert.ok(prompts[0].includes(`[S1] ${base}/pages/about`));
+    assert.ok(prompts[0].includes(`[S2] ${base}/pages/news`));
+    assert.ok(prompts[0].includes('Acme Builders employs about 450 people across Arizona.'));
+    assert.ok(!prompts[0].includes('9,999'));
+    console.log('✓ search results are fetched, cleaned and labelled by source for extraction');
+
+    // Facts without a fetched source, or outside the known categories, are dropped
+    const [about, news] = company.sources;
+    assert.deepStrictEqual(company.facts, [
+      { id: 'F1', category: 'companySize', statement: 'About 450 employees across Arizona', sourceId: 'S1', sourceUrl: about.url, retrievedAt: about.fetchedAt, confidence: 'high' },
+      { id: 'F2', category: 'recentProject', statement: 'Completed the Riverside Medical Center expansion', sourceId: 'S1', sourceUrl: about.url, retrievedAt: about.fetchedAt, confidence: 'high' },
+      { id: 'F3', category: 'recentNews', statement: 'Awarded the Mesa transit hub contract in March', sourceId: 'S2', sourceUrl: news.url, retrievedAt: news.fetchedAt, confidence: 'medium' }
+    ]);
+    assert.strictEqual(company.companySize, 'About 450 employees across Arizona');
+    assert.deepStrictEqual(company.recentProjects, [
+      { id: 'F2', text: 'Completed the Riverside Medical Center expansion', sourceUrl: about.url, retrievedAt: about.fetchedAt, confidence: 'high' }
+    ]);
+    assert.deepStrictEqual(company.recentNews.map(item => item.text), ['Awarded the Mesa transit hub contract in March']);
+    console.log('✓ every extracted fact is tied to the URL it came from');
+
+    // Search results that cannot be read leave research empty rather than guessed
+    webResearchService.registerSearchProvider({
+      name: 'searxng',
+      isAvailable: () => true,
+      search: async () => [{ title: 'Gone', url: `${base}/pages/missing`, snippet: 'Acme has 2,000 employees' }]
+    });
+    const empty = await webResearchService.researchCompany('Acme Builders');
+    assert.strictEqual(empty.status, 'no_sources');
+    assert.deepStrictEqual(empty.facts, []);
+    assert.strictEqual(prompts.length, 1);
+
+    // A provider that errors on every query is an outage, not an empty result
+    webResearchService.registerSearchProvider({
+      name: 'searxng',
+      isAvailable: () => true,
+      search: async () => { throw new Error('connect ECONNREFUSED'); }
+    });
+    const outage = await webResearchService.researchCompany('Acme Builders');
+    assert.strictEqual(outage.status, 'search_failed');
+    assert.deepStrictEqual(outage.facts, []);
+
+    assert.throws(() => webResearchService.registerSearchProvider({ name: 'broken', isAvailable: () => true }), /missing: search/);
+    console.log('✓ unreadable results and malformed providers are handled');
+
+    console.log('\n=== Web Research Test Completed Successfully ===');
+  } catch (error) {
+    console.error('Web research test failed:', error);
+    process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+runWebResearchTest();
@@ -0,0 +1,111 @@
+/**
+ * Webhook Ingestion Test Script
+ *
+ * Checks LinkedIn webhook payload validation, signature verification and
+ * deduplication against a temporary data directory. Runs offline.
+ *
+ * Run with: node tests/webhook-test.js
+ */
+
+const assert = require('assert');
+const { useTempDataDir } = require('./helpers');
+
+// Point the storage service at a throwaway directory before loading it
+useTempDataDir('webhook');
+process.env.WEBHOOK_SECRET = 'test-secret';
+
+const webhookService = require('../services/webhookService');
+const { signPayload, verifyWebhookSignature } = require('../middleware/webhookSignature');
+const { prospectStore, companyStore } = require('../services/storageService');
+
+const profilePayload = {
+  contactName: 'Jane Doe',
+  contactTitle: 'Safety Director',
+  companyName: 'Acme Construction',
+  companyIndustry: 'Construction',
+  linkedinUrl: 'https://www.linkedin.com/in/janedoe/?trk=zapier',
+  contactKeySkills: 'OSHA, Site Safety, Risk Management',
+  potentialPainPoints: 'Theft on job sites, Compliance reporting'
+};
+
+/**
+ * Run the signature middleware against a fake request
+ * @param {string} rawBody - Raw request body
+ * @param {string} signature - Signature header value
+ * @returns {Object} - { statusCode, passed }
+ */
+function runSignatureCheck(rawBody, signature) {
+  const result = { statusCode: null, passed: false };
+  const req = { headers: {}, rawBody: Buffer.from(rawBody) };
+  if (signature) req.headers['x-webhook-signature'] = signature;
+  const res = {
+    status(code) { result.statusCode = code; return this; },
+    json() { return this; }
+  };
+
+  verifyWebhookSignature(req, res, () => { result.passed = true; });
+  return result;
+}
+
+function runWebhookTest() {
+  console.log('=== Starting Webhook Ingestion Test ===');
+
+  try {
+    // Signature verification
+    const body = JSON.stringify(profilePayload);
+    assert.strictEqual(runSignatureCheck(body, signPayload(body, 'test-secret')).passed, true);
+    assert.strictEqual(runSignatureCheck(body, signPayload(body, 'wrong-secret')).statusCode, 401);
+    assert.strictEqual(runSignatureCheck(body, null).statusCode, 401);
+    console.log('✓ signature verification accepts valid and rejects invalid signatures');
+
+    // Validation
+    assert.deepStrictEqual(webhookService.validateLinkedInPayload(profilePayload), []);
+    assert.ok(webhookService.validateLinkedInPayload({ ...profilePayload, linkedinUrl: 'https://example.com/janedoe' }).length > 0);
+    assert.ok(webhookService.validateLinkedInPayload({ linkedinUrl: 'https://www.linkedin.com/in/x' }).length > 0);
+    assert.ok(webhookService.validateLinkedInPayload({ ...profilePayload, contactName: 42 }).length > 0);
+    console.log('✓ payload validation rejects bad payloads');
+
+    // First delivery creates the prospect and company
+    const first = webhookService.ingestLinkedInPayload(profilePayload);
+    assert.strictEqual(first.type, 'profile');
+    assert.strictEqual(first.created, true);
+    assert.strictEqual(first.prospect.linkedinUrl, 'https://www.linkedin.com/in/janedoe');
+    assert.deepStrictEqual(first.prospect.keySkills, ['OSHA', 'Site Safety', 'Risk Management']);
+    assert.strictEqual(first.prospect.companyId, first.company.id);
+    assert.deepStrictEqual(first.company.prospects, [first.prospect.id]);
+    console.log('✓ profile payload creates a linked prospect and company');
+
+    // Repeat delivery (different URL form) is deduplicated
+    const second = webhookService.ingestLinkedInPayload({
+      ...profilePayload,
+      linkedinUrl: 'http://linkedin.com/in/JaneDoe/',
+      contactTitle: 'VP of Safety'
+    });
+    assert.strictEqual(second.created, false);
+    assert.strictEqual(second.prospect.id, first.prospect.id);
+    assert.strictEqual(second.prospect.title, 'VP of Safety');
+    assert.strictEqual(prospectStore.list().length, 1);
+    assert.strictEqual(companyStore.list().length, 1);
+    console.log('✓ repeat deliveries update instead of duplicating');
+
+    // Company payload merges into the company created from the profile
+    const company = webhookService.ingestLinkedInPayload({
+      companyName: 'Acme Construction',
+      companyIndustry: 'Construction',
+      companySize: '500-1000 employees',
+      linkedinUrl: 'https://www.linkedin.com/company/acme-construction'
+    });
+    assert.strictEqual(company.type, 'company');
+    assert.strictEqual(company.created, false);
+    assert.strictEqual(company.company.id, first.company.id);
+    assert.strictEqual(company.company.size, '500-1000 employees');
+    console.log('✓ company payload merges with the existing company');
+
+    console.log('\n=== Webhook Ingestion Test Passed ===');
+  } catch (error) {
+    console.error('Webhook ingestion test failed:', error);
+    process.exitCode = 1;
+  }
+}
+
+runWebhookTest();
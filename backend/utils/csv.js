@@ -0,0 +1,86 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 style CSV parsing and serialisation (quoted fields,
+ * escaped quotes, embedded commas and newlines) for bulk uploads and exports.
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of cell values (blank lines are dropped)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  rows.push(row);
+
+  return rows
+    .map(cells => cells.map(value => value.trim()))
+    .filter(cells => cells.some(value => value !== ''));
+}
+
+/**
+ * Quote a value for CSV output when needed
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+function escapeCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise records to CSV text
+ * @param {Array<Object>} records - Records to write
+ * @param {Array<string>} columns - Column keys, in order (also used as the header row)
+ * @returns {string} - CSV text
+ */
+function toCsv(records, columns) {
+  const lines = [columns.map(escapeCell).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCell(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
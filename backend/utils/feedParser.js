@@ -0,0 +1,122 @@
+/**
+ * Feed Parser
+ *
+ * Reads RSS 2.0 and Atom feeds into plain items without an XML library. Feed
+ * items are flat enough that matching the few elements we need is reliable;
+ * titles and summaries may carry escaped HTML or CDATA and come out as text.
+ */
+
+const { htmlToText } = require('./webFetchTool');
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Undo XML escaping
+ * @param {string} text - Escaped text
+ * @returns {string} - Unescaped text
+ */
+function unescapeXml(text) {
+  return text.replace(/&(#x?[0-9a-f]+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return XML_ENTITIES[code.toLowerCase()];
+  });
+}
+
+/**
+ * Inner content of the first matching element
+ * @param {string} xml - XML fragment
+ * @param {Array<string>} names - Element names to try in order (with namespace prefix where needed)
+ * @returns {string|null} - Raw inner content, or null if none of the elements is present
+ */
+function elementContent(xml, names) {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)<\\/${name}>`, 'i'));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Readable text of an element's content: CDATA is unwrapped, escaping undone and markup removed
+ * @param {string|null} content - Raw inner content
+ * @returns {string} - Text on a single line
+ */
+function toText(content) {
+  if (!content) return '';
+  const unwrapped = content.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data);
+  const html = /<!\[CDATA\[/.test(content) ? unwrapped : unescapeXml(unwrapped);
+  return htmlToText(html).text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalise a feed date to ISO 8601
+ * @param {string} value - RFC 822 (RSS) or RFC 3339 (Atom) date
+ * @returns {string|null} - ISO timestamp, or null when missing or unreadable
+ */
+function toIsoDate(value) {
+  const time = Date.parse(String(value || '').trim());
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Link of an Atom entry: the alternate link, or the first link
+ * @param {string} entry - Entry XML
+ * @returns {string} - URL or ''
+ */
+function atomLink(entry) {
+  const links = entry.match(/<link\b[^>]*>/gi) || [];
+  const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+    return match ? unescapeXml(match[1]) : null;
+  };
+  const alternate = links.find(tag => ['alternate', null].includes(attribute(tag, 'rel')));
+  const chosen = alternate || links[0];
+  return chosen ? attribute(chosen, 'href') || '' : '';
+}
+
+/**
+ * Parse an RSS 2.0 or Atom document
+ * @param {string} xml - Feed XML
+ * @returns {Object} - { format: 'rss'|'atom', title, items: [{ guid, title, url, summary, publishedAt }] }
+ * @throws {Error} - When the document is neither RSS nor Atom
+ */
+function parseFeed(xml) {
+  const source = String(xml || '').replace(/<!--[\s\S]*?-->/g, '');
+
+  if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(source)) {
+    const channel = elementContent(source, ['channel']) || source;
+    const items = (source.match(/<item[\s>][\s\S]*?<\/item>/gi) || []).map(item => {
+      const url = toText(elementContent(item, ['link']));
+      return {
+        guid: toText(elementContent(item, ['guid'])) || url,
+        title: toText(elementContent(item, ['title'])),
+        url,
+        summary: toText(elementContent(item, ['description', 'content:encoded'])),
+        publishedAt: toIsoDate(toText(elementContent(item, ['pubDate', 'dc:date'])))
+      };
+    });
+    return { format: 'rss', title: toText(elementContent(channel.replace(/<item[\s>][\s\S]*$/i, ''), ['title'])), items };
+  }
+
+  if (/<feed[\s>]/i.test(source)) {
+    const header = source.replace(/<entry[\s>][\s\S]*$/i, '');
+    const items = (source.match(/<entry[\s>][\s\S]*?<\/entry>/gi) || []).map(entry => {
+      const url = atomLink(entry);
+      return {
+        guid: toText(elementContent(entry, ['id'])) || url,
+        title: toText(elementContent(entry, ['title'])),
+        url,
+        summary: toText(elementContent(entry, ['summary', 'content'])),
+        publishedAt: toIsoDate(toText(elementContent(entry, ['published', 'updated'])))
+      };
+    });
+    return { format: 'atom', title: toText(elementContent(header, ['title'])), items };
+  }
+
+  throw new Error('Not an RSS or Atom feed');
+}
+
+module.exports = { parseFeed };
@@ -82,7 +82,10 @@ const config = {
     maxProfiles: 10,
     
     // Delay between profile scraping (in milliseconds)
-    profileDelay: 3000
+    profileDelay: 3000,
+    
+    // Pause after every maxProfiles profiles before starting a new session (in milliseconds)
+    sessionCooldown: 60000
   }
 };
 
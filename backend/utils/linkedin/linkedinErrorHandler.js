@@ -108,6 +108,7 @@ class LinkedInErrorLogger {
     
     this.errorCount = 0;
     this.errorsByType = {};
+    this.errorTimestamps = null; // Filled by loadErrors()
   }
   
   /**
@@ -214,6 +215,42 @@ class LinkedInErrorLogger {
     };
   }
   
+  /**
+   * Load logged errors from the log file (including the most recent rotated file)
+   * so a fresh logger can report on errors from other processes
+   * @param {number} limit - Maximum number of recent errors to return
+   * @returns {Promise<Array>} Recent errors, newest first (without stack traces)
+   */
+  async loadErrors(limit = 20) {
+    const logPath = path.join(this.options.logDirectory, this.options.errorLogFile);
+    const entries = [];
+    
+    for (const filePath of [`${logPath}.1`, logPath]) {
+      const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch (parseError) {
+          // Skip partially written lines
+        }
+      }
+    }
+    
+    this.errorCount = entries.length;
+    this.errorsByType = {};
+    entries.forEach(entry => {
+      const errorType = entry.errorType || 'UNKNOWN';
+      this.errorsByType[errorType] = (this.errorsByType[errorType] || 0) + 1;
+    });
+    this.errorTimestamps = entries.map(entry => Date.parse(entry.timestamp)).filter(time => !isNaN(time));
+    
+    return entries
+      .slice(-limit)
+      .reverse()
+      .map(({ timestamp, errorType, message, context }) => ({ timestamp, errorType, message, context }));
+  }
+  
   /**
    * Analyze errors to detect patterns
    * @returns {Object} Error analysis
@@ -226,6 +263,19 @@ class LinkedInErrorLogger {
       errorTrend: 'stable'
     };
     
+    // Compare the last 24 hours with the 24 hours before when errors were loaded from the log
+    if (this.errorTimestamps) {
+      const dayMs = 24 * 60 * 60 * 1000;
+      const now = Date.now();
+      const lastDay = this.errorTimestamps.filter(time => time > now - dayMs).length;
+      const previousDay = this.errorTimestamps.filter(time => time <= now - dayMs && time > now - 2 * dayMs).length;
+      if (lastDay > previousDay) {
+        analysis.errorTrend = 'increasing';
+      } else if (lastDay < previousDay) {
+        analysis.errorTrend = 'decreasing';
+      }
+    }
+    
     // Find most common error type
     for (const [type, count] of Object.entries(this.errorsByType)) {
       if (count > analysis.mostCommonCount) {
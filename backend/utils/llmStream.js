@@ -0,0 +1,62 @@
+/**
+ * LLM Stream Adapters
+ *
+ * Normalise provider-specific streaming responses into one event shape:
+ *   { type: 'token', text }                        - a chunk of generated text
+ *   { type: 'usage', usage: { inputTokens, outputTokens } } - emitted once at the end
+ */
+
+/**
+ * Normalise an Anthropic messages stream (messages.create with stream: true)
+ * @param {AsyncIterable<Object>} stream - Raw Anthropic stream events
+ * @returns {AsyncGenerator<Object>} - Normalised events
+ */
+async function* normalizeAnthropicStream(stream) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  for await (const event of stream) {
+    if (event.type === 'message_start' && event.message?.usage) {
+      usage.inputTokens = event.message.usage.input_tokens || 0;
+      usage.outputTokens = event.message.usage.output_tokens || 0;
+    } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      if (event.delta.text) {
+        yield { type: 'token', text: event.delta.text };
+      }
+    } else if (event.type === 'message_delta' && event.usage) {
+      usage.outputTokens = event.usage.output_tokens || usage.outputTokens;
+    } else if (event.type === 'error') {
+      throw new Error(event.error?.message || 'Anthropic stream error');
+    }
+  }
+
+  yield { type: 'usage', usage };
+}
+
+/**
+ * Normalise an OpenAI chat completions stream (chat.completions.create with stream: true)
+ * @param {AsyncIterable<Object>} stream - Raw OpenAI stream chunks
+ * @returns {AsyncGenerator<Object>} - Normalised events
+ */
+async function* normalizeOpenAIStream(stream) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  for await (const chunk of stream) {
+    const text = chunk.choices?.[0]?.delta?.content;
+    if (text) {
+      yield { type: 'token', text };
+    }
+
+    // Sent on the final chunk when stream_options.include_usage is set
+    if (chunk.usage) {
+      usage.inputTokens = chunk.usage.prompt_tokens || 0;
+      usage.outputTokens = chunk.usage.completion_tokens || 0;
+    }
+  }
+
+  yield { type: 'usage', usage };
+}
+
+module.exports = {
+  normalizeAnthropicStream,
+  normalizeOpenAIStream
+};
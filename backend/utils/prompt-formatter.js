@@ -4,7 +4,8 @@
  * Utility for formatting prompts for the fine-tuning and sales copy agents
  */
 
-const agentPrompts = require('../config/agent-prompts');
+const promptRegistry = require('../services/promptRegistry');
+const productKnowledgeService = require('../services/productKnowledgeService');
 
 /**
  * Format LinkedIn profile data for the fine-tuning agent
@@ -50,8 +51,9 @@ Profile Information:
 Company Research:
 - Size: ${companySize}
 - Industry Focus: ${industryFocus}
-- Recent Projects: ${formatList(recentProjects)}
-- Recent News: ${formatList(recentNews)}
+- Recent Projects: ${formatCitedList(recentProjects)}
+- Recent News: ${formatCitedList(recentNews)}
+Only mention company projects or news listed above, worded as listed. Each comes from the cited source; do not add others.
 
 Role Analysis:
 - Category: ${roleCategory}
@@ -73,8 +75,11 @@ SPECIAL INSTRUCTIONS:
 3. Keep the message concise and direct, focusing on the most relevant pain points for a ${jobTitle}.
   `;
   
+  const systemPrompt = promptRegistry.render('fine_tuning_system');
+  
   return {
-    systemPrompt: agentPrompts.fineTuningAgentPrompt,
+    systemPrompt: systemPrompt.text,
+    promptVersions: { fine_tuning_system: systemPrompt.version },
     userPrompt: contextForAgent,
     profileData: {
       name,
@@ -89,6 +94,8 @@ SPECIAL INSTRUCTIONS:
       recentProjects,
       recentNews
     },
+    // Every sourced fact the agents were given, for mapping claims in the output back to sources
+    researchFacts: companyResearch.facts || [],
     outputType: outreachType
   };
 }
@@ -109,9 +116,11 @@ function formatSalesCopyPrompt(fineTuningOutput, profileData, outputType) {
   // Process the fine-tuning output
   // This will already be a prompted instruction for the sales copy agent
   const prompt = fineTuningOutput.trim();
+  const systemPrompt = promptRegistry.render('sales_copy_system');
   
   return {
-    systemPrompt: agentPrompts.salesCopyAgentPrompt,
+    systemPrompt: systemPrompt.text,
+    promptVersions: { sales_copy_system: systemPrompt.version },
     userPrompt: prompt,
     profileData: {
       name,
@@ -122,6 +131,79 @@ function formatSalesCopyPrompt(fineTuningOutput, profileData, outputType) {
   };
 }
 
+/**
+ * Format the sales copy prompt for one touch of an outreach sequence.
+ * The fine-tuning agent's strategy is shared by every touch; earlier touches
+ * are included so each one can build on what the prospect has already received.
+ * @param {string} strategy - Output from the fine-tuning agent
+ * @param {Object} step - { step, day, label, channel, outputType, brief, maxLength }
+ * @param {Array<Object>} previousSteps - Touches already written ({ step, day, label, content })
+ * @param {number} totalSteps - Number of touches in the sequence
+ * @returns {Object} - Formatted data for the sales copy agent
+ */
+function formatSequenceStepPrompt(strategy, step, previousSteps, totalSteps) {
+  const earlierTouches = previousSteps.length > 0
+    ? previousSteps.map(previous => `--- Touch ${previous.step} (day ${previous.day}, ${previous.label}) ---\n${previous.content}`).join('\n\n')
+    : 'None, this is the first touch.';
+
+  const userPrompt = `
+Outreach strategy for this prospect:
+${strategy.trim()}
+
+You are writing touch ${step.step} of ${totalSteps} in a multi-step outreach sequence.
+Touch: ${step.label} (${mapOutputType(step.outputType)}), sent on day ${step.day}.
+Brief: ${step.brief}
+${step.maxLength ? `Hard limit: ${step.maxLength} characters.\n` : ''}${step.channel === 'email' ? 'Start with a "Subject:" line.\n' : ''}
+Earlier touches the prospect has already received:
+${earlierTouches}
+
+Refer back to earlier touches where it helps (for example "following up on my email from last week"), do not repeat their wording and do not introduce yourself again after the first touch. Return only the content of this touch.
+  `;
+
+  const systemPrompt = promptRegistry.render('sales_copy_system');
+
+  return {
+    systemPrompt: systemPrompt.text,
+    promptVersions: { sales_copy_system: systemPrompt.version },
+    userPrompt,
+    outputType: mapOutputType(step.outputType)
+  };
+}
+
+/**
+ * Format the sales copy prompt for one A/B variant. Every variant starts from
+ * the same fine-tuning output and is steered towards a single angle.
+ * @param {string} fineTuningOutput - Output from the fine-tuning agent
+ * @param {Object} angle - { label, focus, evidence } from the variantAngles in config/agent-prompts.js
+ * @param {Array<string>} painPoints - Pain points of the prospect's role
+ * @param {string} outputType - The desired output type
+ * @returns {Object} - Formatted data for the sales copy agent
+ */
+function formatVariantPrompt(fineTuningOutput, angle, painPoints, outputType) {
+  // Figures come from the knowledge store so edits there reach the variant copy
+  const evidence = productKnowledgeService.findEvidence(angle.evidence);
+  const evidenceText = evidence.length > 0
+    ? `\nBack the angle up with these approved facts and no other figures:\n${evidence.map(text => `- ${text}`).join('\n')}`
+    : '';
+  const userPrompt = `
+${fineTuningOutput.trim()}
+
+ANGLE FOR THIS VERSION: ${angle.label}
+${angle.focus}${evidenceText}
+Pick the pain point from this list that fits the angle best and build the message around it: ${formatList(painPoints)}.
+Other versions of this ${mapOutputType(outputType)} take different angles, so commit to this one instead of covering every benefit.
+  `;
+
+  const systemPrompt = promptRegistry.render('sales_copy_system');
+
+  return {
+    systemPrompt: systemPrompt.text,
+    promptVersions: { sales_copy_system: systemPrompt.version },
+    userPrompt,
+    outputType: mapOutputType(outputType)
+  };
+}
+
 /**
  * Map output type to a standardized format
  * @param {string} outputType - The output type string
@@ -144,6 +226,10 @@ function mapOutputType(outputType) {
     return 'LinkedIn message';
   } else if (type.includes('text') || type.includes('sms')) {
     return 'text message';
+  } else if (type.includes('call') || type.includes('phone')) {
+    return 'cold call script';
+  } else if (type.includes('sequence')) {
+    return 'multi-touch outreach sequence';
   }
   
   // Default to sales email
@@ -163,7 +249,45 @@ function formatList(arr) {
   return arr.join(', ');
 }
 
+/**
+ * Format researched items with their sources, e.g.
+ * "[F2] Completed the Riverside expansion (source: https://..., retrieved 2026-10-19, confidence: high)".
+ * Plain strings are listed as they are.
+ * @param {Array<string|Object>} items - Strings or { id, text, sourceUrl, retrievedAt, confidence }
+ * @returns {string} - Formatted list
+ */
+function formatCitedList(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return 'None available';
+  }
+
+  return items.map(item => {
+    if (typeof item === 'string') return item;
+    const retrieved = item.retrievedAt ? `, retrieved ${String(item.retrievedAt).slice(0, 10)}` : '';
+    return `[${item.id}] ${item.text} (source: ${item.sourceUrl}${retrieved}, confidence: ${item.confidence})`;
+  }).join('; ');
+}
+
+/**
+ * Map a UI output format (email, linkedin, phone) to a two-agent output type
+ * @param {string} outputFormat - UI output format
+ * @returns {string} - Two-agent output type
+ */
+function mapOutputFormat(outputFormat) {
+  switch (outputFormat) {
+    case 'linkedin':
+      return 'linkedin_message';
+    case 'phone':
+      return 'text_message';
+    default:
+      return 'sales_email';
+  }
+}
+
 module.exports = {
   formatFineTuningPrompt,
-  formatSalesCopyPrompt
+  formatSalesCopyPrompt,
+  formatSequenceStepPrompt,
+  formatVariantPrompt,
+  mapOutputFormat
 };
\ No newline at end of file
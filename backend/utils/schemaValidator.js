@@ -0,0 +1,66 @@
+/**
+ * Schema Validator
+ *
+ * Minimal declarative validation for incoming JSON payloads.
+ *
+ * A schema maps field names to rules:
+ *   { type: 'string' | 'number' | 'boolean' | 'array' | 'object',
+ *     required: boolean, maxLength: number, pattern: RegExp, enum: Array }
+ */
+
+/**
+ * Get the schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - Type name
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate data against a schema
+ * @param {Object} schema - Field rules keyed by field name
+ * @param {Object} data - Data to validate
+ * @returns {Array<string>} - List of validation errors (empty when valid)
+ */
+function validateSchema(schema, data) {
+  if (typeOf(data) !== 'object') {
+    return ['Payload must be a JSON object'];
+  }
+
+  const errors = [];
+
+  for (const [field, rules] of Object.entries(schema)) {
+    const value = data[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rules.required) {
+        errors.push(`${field} is required`);
+      }
+      continue;
+    }
+
+    if (rules.type && typeOf(value) !== rules.type) {
+      errors.push(`${field} must be of type ${rules.type}`);
+      continue;
+    }
+
+    if (rules.maxLength && value.length > rules.maxLength) {
+      errors.push(`${field} must be at most ${rules.maxLength} characters`);
+    }
+
+    if (rules.pattern && !rules.pattern.test(value)) {
+      errors.push(`${field} has an invalid format`);
+    }
+
+    if (rules.enum && !rules.enum.includes(value)) {
+      errors.push(`${field} must be one of: ${rules.enum.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -1,132 +1,131 @@
 /**
  * Web Fetch Tool
- * 
- * A utility for fetching and processing web content using LLMs.
- * Note: This is a simplified version. In production, you would use a proper
- * API for web search and content retrieval.
+ *
+ * Fetches web pages for company research and turns them into readable text
+ * split into overlapping chunks, so the LLM only ever sees what a page
+ * actually says and every chunk keeps the URL it came from.
  */
 
 const axios = require('axios');
-const OpenAI = require('openai');
-const dotenv = require('dotenv');
 
-// Load environment variables
-dotenv.config();
+const USER_AGENT = 'Mozilla/5.0 (compatible; VigilantExResearch/1.0)';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Elements whose content is never readable page text
+const SKIPPED_ELEMENTS = ['script', 'style', 'noscript', 'svg', 'iframe', 'template', 'head', 'nav', 'footer', 'form'];
+
+// Elements that end a line of text
+const BLOCK_ELEMENTS = 'p|div|br|li|ul|ol|h[1-6]|tr|table|section|article|header|main|aside|blockquote|pre|hr|dd|dt';
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  ndash: '-', mdash: '-', hellip: '...', rsquo: "'", lsquo: "'", rdquo: '"', ldquo: '"', copy: '(c)', reg: '(R)'
+};
 
 /**
- * Fetch and process web content using LLMs
- * @param {string} url - The URL to fetch
- * @param {string} prompt - The prompt to process the content
- * @returns {Promise<string>} - The processed content
+ * Decode HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
  */
-async function WebFetchTool(url, prompt) {
-  try {
-    console.log(`Fetching content from URL: ${url}`);
-    
-    // Simple content mock for demo purposes
-    // In production, you would fetch real content from the URL
-    let content;
-    if (url.includes('google.com/search')) {
-      content = mockSearchResults(url);
-    } else {
-      // For non-search URLs, try to fetch content (with limitations)
-      try {
-        const response = await axios.get(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-          },
-          timeout: 5000
-        });
-        content = response.data;
-      } catch (error) {
-        console.warn(`Failed to fetch URL ${url}:`, error.message);
-        content = `Failed to fetch content from ${url}. Error: ${error.message}`;
-      }
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(value) && value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
     }
-    
-    // Process content with LLM
-    const response = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful assistant that extracts and summarizes information from web content.'
-        },
-        {
-          role: 'user',
-          content: `Here is content from the URL ${url}:\n\n${content}\n\n${prompt}`
-        }
-      ],
-      max_tokens: 500,
-      temperature: 0.5
-    });
-    
-    return response.choices[0].message.content.trim();
-  } catch (error) {
-    console.error('Error in WebFetchTool:', error);
-    return `Error processing the URL: ${error.message}`;
+    const named = NAMED_ENTITIES[code.toLowerCase()];
+    return named !== undefined ? named : entity;
+  });
+}
+
+/**
+ * Turn an HTML document into readable text: scripts, styles, navigation and
+ * markup are dropped, block elements become line breaks and whitespace is collapsed
+ * @param {string} html - HTML source
+ * @returns {Object} - { title, text }
+ */
+function htmlToText(html) {
+  const source = String(html || '');
+  const titleMatch = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  let text = source.replace(/<!--[\s\S]*?-->/g, ' ');
+  SKIPPED_ELEMENTS.forEach(element => {
+    text = text.replace(new RegExp(`<${element}\\b[\\s\\S]*?<\\/${element}\\s*>`, 'gi'), ' ');
+  });
+  text = text
+    .replace(new RegExp(`<\\/?(?:${BLOCK_ELEMENTS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]+>/g, ' ');
+  text = decodeEntities(text)
+    .split('\n')
+    .map(line => line.replace(/[ \t\f\v\u00a0]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+  return { title, text };
+}
+
+/**
+ * Split text into chunks of roughly `size` characters, breaking at paragraph or
+ * sentence ends where possible and repeating `overlap` characters between chunks
+ * @param {string} text - Readable text
+ * @param {Object} options - { size, overlap }
+ * @returns {Array<string>} - Chunks in page order
+ */
+function chunkText(text, { size = 1500, overlap = 150 } = {}) {
+  const chunks = [];
+  const source = String(text || '').trim();
+  let start = 0;
+
+  while (start < source.length) {
+    let end = Math.min(start + size, source.length);
+    if (end < source.length) {
+      // Prefer a paragraph break, then a sentence end, in the second half of the chunk
+      const window = source.slice(start + Math.floor(size / 2), end);
+      const paragraph = window.lastIndexOf('\n');
+      const sentence = Math.max(window.lastIndexOf('. '), window.lastIndexOf('! '), window.lastIndexOf('? '));
+      const cut = paragraph !== -1 ? paragraph : sentence !== -1 ? sentence + 1 : -1;
+      if (cut !== -1) end = start + Math.floor(size / 2) + cut + 1;
+    }
+
+    const chunk = source.slice(start, end).trim();
+    if (chunk) chunks.push(chunk);
+    if (end >= source.length) break;
+    start = Math.max(end - overlap, start + 1);
   }
+
+  return chunks;
 }
 
 /**
- * Generate mock search results based on the query
- * @param {string} url - The search URL
- * @returns {string} - Mock search results
+ * Fetch a page and return its readable text
+ * @param {string} url - Page URL (http or https)
+ * @param {Object} options - { timeoutMs, maxBytes }
+ * @returns {Promise<Object>} - { url, title, text, fetchedAt }
+ * @throws {Error} - When the URL is not http(s), the request fails or the page is not HTML or text
  */
-function mockSearchResults(url) {
-  const decodedUrl = decodeURIComponent(url);
-  const query = decodedUrl.includes('q=') ? 
-    decodedUrl.split('q=')[1].split('&')[0] : 
-    'unknown query';
-  
-  console.log(`Mock search for query: ${query}`);
-  
-  // Extract company name from query
-  const companyMatch = query.match(/(.*?)\s+construction/i);
-  const companyName = companyMatch ? companyMatch[1] : 'the company';
-  
-  if (query.includes('size') || query.includes('employees')) {
-    return `
-      ${companyName} Construction - Company Profile
-      ${companyName} Construction is a ${['small', 'medium', 'large'][Math.floor(Math.random() * 3)]} construction company with approximately ${Math.floor(Math.random() * 1000) + 100} employees. Founded in ${2000 - Math.floor(Math.random() * 30)}, they specialize in ${['commercial', 'residential', 'industrial', 'infrastructure'][Math.floor(Math.random() * 4)]} construction projects.
-      
-      Company Overview - ${companyName} Construction
-      Headquarters: ${['Phoenix, AZ', 'Austin, TX', 'Denver, CO', 'Seattle, WA'][Math.floor(Math.random() * 4)]}
-      Annual Revenue: $${Math.floor(Math.random() * 900) + 100} million
-      Projects Completed: ${Math.floor(Math.random() * 500) + 100}
-      Safety Record: ${Math.floor(Math.random() * 3) + 3}/5 stars
-    `;
-  } else if (query.includes('projects')) {
-    return `
-      Recent Projects - ${companyName} Construction
-      ${companyName} recently completed the ${['Central Plaza', 'Riverside Development', 'Metro Tower', 'Harbor Complex'][Math.floor(Math.random() * 4)]} project valued at $${Math.floor(Math.random() * 100) + 20} million. The project was completed ${Math.random() > 0.5 ? 'ahead of schedule' : 'on schedule'} and ${Math.random() > 0.7 ? 'under budget' : 'within budget'}.
-      
-      Upcoming Projects for ${companyName}
-      ${companyName} has been awarded the contract for the new ${['City Center Revitalization', 'University Campus Expansion', 'Healthcare Facility', 'Mixed-Use Development'][Math.floor(Math.random() * 4)]} project, expected to begin in Q${Math.floor(Math.random() * 4) + 1} ${new Date().getFullYear()}.
-    `;
-  } else if (query.includes('news')) {
-    return `
-      ${companyName} Construction News
-      ${companyName} recently ${['expanded operations', 'opened a new office', 'won a major contract', 'partnered with a technology provider'][Math.floor(Math.random() * 4)]} in ${['Phoenix', 'Austin', 'Denver', 'Seattle'][Math.floor(Math.random() * 4)]}.
-      
-      Industry News
-      Construction industry faces challenges with ${['supply chain disruptions', 'labor shortages', 'rising material costs', 'regulatory compliance'][Math.floor(Math.random() * 4)]}. ${companyName} implementing ${['new technology', 'improved processes', 'strategic partnerships', 'staff training'][Math.floor(Math.random() * 4)]} to address these issues.
-    `;
-  } else {
-    return `
-      ${companyName} Construction - General Information
-      ${companyName} is a ${['well-established', 'growing', 'leading', 'recognized'][Math.floor(Math.random() * 4)]} construction company specializing in ${['commercial', 'residential', 'industrial', 'infrastructure'][Math.floor(Math.random() * 4)]} projects.
-      
-      The company has been in business for ${Math.floor(Math.random() * 30) + 10} years and has completed over ${Math.floor(Math.random() * 500) + 100} projects. They are known for their ${['quality', 'innovation', 'reliability', 'efficiency'][Math.floor(Math.random() * 4)]} and commitment to ${['safety', 'sustainability', 'client satisfaction', 'community development'][Math.floor(Math.random() * 4)]}.
-      
-      Current challenges in the industry include ${['labor shortages', 'supply chain disruptions', 'rising material costs', 'regulatory compliance'][Math.floor(Math.random() * 4)]}.
-    `;
+async function fetchPage(url, { timeoutMs = 8000, maxBytes = 2 * 1024 * 1024 } = {}) {
+  if (!/^https?:\/\//i.test(url)) {
+    throw new Error(`Not an http(s) URL: ${url}`);
   }
+
+  const response = await axios.get(url, {
+    headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,text/plain;q=0.9' },
+    timeout: timeoutMs,
+    maxContentLength: maxBytes,
+    responseType: 'text',
+    transformResponse: [data => data]
+  });
+
+  const contentType = String(response.headers['content-type'] || '');
+  if (contentType && !/text\/html|application\/xhtml|text\/plain/i.test(contentType)) {
+    throw new Error(`Unsupported content type ${contentType} at ${url}`);
+  }
+
+  const { title, text } = /text\/plain/i.test(contentType)
+    ? { title: '', text: String(response.data).trim() }
+    : htmlToText(response.data);
+
+  return { url, title, text, fetchedAt: new Date().toISOString() };
 }
 
-module.exports = { WebFetchTool };
\ No newline at end of file
+module.exports = { fetchPage, htmlToText, chunkText };
@@ -1,9 +1,10 @@
-import React, { Suspense } from 'react';
+import React, { Suspense, useEffect } from 'react';
 import { ChakraProvider, Spinner, Box } from '@chakra-ui/react';
 import MainLayout from './components/layout/MainLayout';
 import ProfileAnalysisTab from './pages/ProfileAnalysisTab';
 import CompanyAnalysisTab from './pages/CompanyAnalysisTab';
 import MessageAnalysisTab from './pages/MessageAnalysisTab';
+import BulkAnalysisTab from './pages/BulkAnalysisTab';
 import SavedAnalysesTab from './pages/SavedAnalysesTab';
 import DashboardTab from './pages/DashboardTab';
 import SettingsTab from './pages/SettingsTab';
@@ -12,7 +13,12 @@ import theme from './theme';
 import useStore from './store';
 
 function App() {
-  const { activeTab } = useStore();
+  const { activeTab, loadPersistedData } = useStore();
+  
+  // Load stored prospects, companies and analyses once on startup
+  useEffect(() => {
+    loadPersistedData();
+  }, [loadPersistedData]);
   
   // Render the appropriate tab based on activeTab state
   const renderTabContent = () => {
@@ -23,6 +29,8 @@ function App() {
         return <CompanyAnalysisTab />;
       case 'message':
         return <MessageAnalysisTab />;
+      case 'bulk':
+        return <BulkAnalysisTab />;
       case 'saved':
         return <SavedAnalysesTab />;
       case 'dashboard':
@@ -1,12 +1,13 @@
 import React from 'react';
-import { Flex, Spinner, Text, VStack } from '@chakra-ui/react';
+import { Flex, Progress, Spinner, Text, VStack } from '@chakra-ui/react';
 import useStore from '../../store';
 
 const LoadingSpinner = ({ message }) => {
-  const { processingStage } = useStore();
+  const { processingStage, jobStatus } = useStore();
   
-  // Get message based on processingStage if not provided
-  const loadingMessage = message || (
+  // Prefer the stage reported by the backend job, then fall back to processingStage
+  const showJobProgress = !message && jobStatus && jobStatus.status === 'running';
+  const loadingMessage = message || (showJobProgress && jobStatus.stageLabel) || (
     processingStage === 'loading' ? 'Collecting data...' :
     processingStage === 'analyzing' ? 'Analyzing information...' :
     processingStage === 'generating' ? 'Generating content...' :
@@ -28,6 +29,17 @@ const LoadingSpinner = ({ message }) => {
             {loadingMessage}
           </Text>
         )}
+        {showJobProgress && (
+          <Progress
+            value={jobStatus.progress}
+            size="sm"
+            width="200px"
+            colorScheme="purple"
+            borderRadius="full"
+            hasStripe
+            isAnimated
+          />
+        )}
       </VStack>
     </Flex>
   );
@@ -14,6 +14,7 @@ import {
   FiUser, 
   FiUsers, 
   FiMessageSquare, 
+  FiUpload, 
   FiStar, 
   FiPieChart, 
   FiSettings, 
@@ -137,6 +138,13 @@ const Sidebar = () => {
         >
           {sidebarOpen && 'Message Analysis'}
         </SidebarItem>
+        <SidebarItem 
+          icon={FiUpload} 
+          isActive={activeTab === 'bulk'} 
+          onClick={() => setActiveTab('bulk')}
+        >
+          {sidebarOpen && 'Bulk Analysis'}
+        </SidebarItem>
         <Divider borderColor={borderColor} my="4" />
         <SidebarItem 
           icon={FiStar} 
@@ -0,0 +1,73 @@
+import React from 'react';
+import {
+  Box,
+  HStack,
+  VStack,
+  Text,
+  Badge,
+  Link,
+  Icon,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiAlertTriangle, FiExternalLink } from 'react-icons/fi';
+
+const CONFIDENCE_COLORS = {
+  high: 'green',
+  medium: 'yellow',
+  low: 'red'
+};
+
+/**
+ * Claims about the prospect's company found in generated copy, each with the
+ * source it came from; claims without a source are flagged for checking
+ * @param {Object} citations - { claims: [{ text, sourced, factId, sourceUrl, retrievedAt, confidence }], unsourcedClaims }
+ * @returns {JSX.Element} Citation list component
+ */
+const CitationList = ({ citations }) => {
+  const sourcedBg = useColorModeValue('gray.50', 'gray.700');
+  const unsourcedBg = useColorModeValue('orange.50', 'orange.900');
+
+  if (!citations || citations.claims.length === 0) {
+    return (
+      <Text fontSize="sm" color="gray.500">
+        No claims about the company were found in this copy.
+      </Text>
+    );
+  }
+
+  return (
+    <VStack align="stretch" spacing={2}>
+      {citations.claims.map((claim, index) => (
+        <Box
+          key={`${claim.factId || 'unsourced'}-${index}`}
+          bg={claim.sourced ? sourcedBg : unsourcedBg}
+          p={2}
+          borderRadius="md"
+        >
+          <Text fontSize="sm">{claim.text}</Text>
+          {claim.sourced ? (
+            <HStack spacing={2} mt={1} flexWrap="wrap">
+              <Badge>{claim.factId}</Badge>
+              <Badge colorScheme={CONFIDENCE_COLORS[claim.confidence] || 'gray'}>{claim.confidence} confidence</Badge>
+              {claim.retrievedAt && (
+                <Text fontSize="xs" color="gray.500">
+                  Retrieved {new Date(claim.retrievedAt).toLocaleDateString()}
+                </Text>
+              )}
+              <Link href={claim.sourceUrl} isExternal fontSize="xs" color="brand.primary" noOfLines={1}>
+                {claim.sourceUrl} <Icon as={FiExternalLink} mx="2px" />
+              </Link>
+            </HStack>
+          ) : (
+            <Badge colorScheme="orange" mt={1}>
+              <Icon as={FiAlertTriangle} mr={1} />
+              No source, check before sending
+            </Badge>
+          )}
+        </Box>
+      ))}
+    </VStack>
+  );
+};
+
+export default CitationList;
@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  Box,
+  HStack,
+  VStack,
+  Text,
+  Badge,
+  Alert,
+  AlertIcon,
+  useColorModeValue
+} from '@chakra-ui/react';
+
+const CLAIM_TYPE_LABELS = {
+  prior_contact: 'Earlier contact',
+  date: 'Date',
+  statistic: 'Number',
+  name: 'Name'
+};
+
+/**
+ * Result of the fact check run on generated copy: whether it was rewritten
+ * and which claims nothing in the profile, notes, research or product
+ * knowledge supports
+ * @param {Object} verification - { mode, rewritten, removedClaims, unsupported: [{ type, text, sentence }] }
+ * @returns {JSX.Element} Claim check component
+ */
+const ClaimCheck = ({ verification }) => {
+  const claimBg = useColorModeValue('orange.50', 'orange.900');
+
+  return (
+    <VStack align="stretch" spacing={2}>
+      {verification.rewritten && (
+        <Alert status="info" borderRadius="md" fontSize="sm">
+          <AlertIcon />
+          Rewritten to remove {verification.removedClaims.length} unsupported claim{verification.removedClaims.length === 1 ? '' : 's'}
+        </Alert>
+      )}
+
+      {verification.unsupported.length === 0 ? (
+        <Text fontSize="sm" color="gray.500">
+          Every number, name, date and earlier-contact reference is backed by the inputs.
+        </Text>
+      ) : (
+        verification.unsupported.map((claim, index) => (
+          <Box key={`${claim.type}-${claim.text}-${index}`} bg={claimBg} p={2} borderRadius="md">
+            <HStack spacing={2} mb={1}>
+              <Badge colorScheme="orange">{CLAIM_TYPE_LABELS[claim.type] || claim.type}</Badge>
+              <Text fontSize="sm" fontWeight="bold">{claim.text}</Text>
+              {claim.step && <Text fontSize="xs" color="gray.500">Touch {claim.step}</Text>}
+            </HStack>
+            <Text fontSize="xs" color="gray.500">{claim.sentence}</Text>
+          </Box>
+        ))
+      )}
+    </VStack>
+  );
+};
+
+export default ClaimCheck;
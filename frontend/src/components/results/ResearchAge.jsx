@@ -0,0 +1,46 @@
+import React from 'react';
+import { HStack, Text, Badge, Tooltip } from '@chakra-ui/react';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * How long ago research was done, in words
+ * @param {string} researchedAt - ISO timestamp
+ * @returns {string} e.g. "just now", "5 hours ago", "3 days ago"
+ */
+const formatAge = (researchedAt) => {
+  const ageMs = Math.max(0, Date.now() - new Date(researchedAt).getTime());
+  if (ageMs < HOUR) return 'just now';
+  if (ageMs < DAY) {
+    const hours = Math.floor(ageMs / HOUR);
+    return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  }
+  const days = Math.floor(ageMs / DAY);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+};
+
+/**
+ * Age of the company research an analysis used and whether it came from the
+ * company knowledge store or was researched for this analysis
+ * @param {Object} researchSummary - { researchedAt, researchFromCache }
+ * @returns {JSX.Element|null} Research age component
+ */
+const ResearchAge = ({ researchSummary }) => {
+  if (!researchSummary?.researchedAt) return null;
+
+  return (
+    <HStack spacing={2}>
+      <Tooltip label={new Date(researchSummary.researchedAt).toLocaleString()}>
+        <Text fontSize="xs" color="gray.500">
+          Company researched {formatAge(researchSummary.researchedAt)}
+        </Text>
+      </Tooltip>
+      <Badge colorScheme={researchSummary.researchFromCache ? 'gray' : 'green'} fontSize="0.6em">
+        {researchSummary.researchFromCache ? 'Stored' : 'Fresh'}
+      </Badge>
+    </HStack>
+  );
+};
+
+export default ResearchAge;
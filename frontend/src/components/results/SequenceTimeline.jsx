@@ -0,0 +1,106 @@
+import React from 'react';
+import {
+  Box,
+  Flex,
+  HStack,
+  VStack,
+  Text,
+  Badge,
+  Icon,
+  IconButton,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiMail, FiLinkedin, FiPhone, FiCopy } from 'react-icons/fi';
+
+const CHANNEL_STYLES = {
+  email: { icon: FiMail, color: 'purple' },
+  linkedin: { icon: FiLinkedin, color: 'linkedin' },
+  phone: { icon: FiPhone, color: 'green' }
+};
+
+/**
+ * Vertical timeline of an outreach sequence, one entry per touch
+ * @param {Object} sequence - { steps: [{ step, day, channel, label, subject, content, maxLength, citations, verification }] }
+ * @param {Function} onCopy - Called with the text of a touch when its copy button is clicked
+ * @returns {JSX.Element} Sequence timeline component
+ */
+const SequenceTimeline = ({ sequence, onCopy }) => {
+  const lineColor = useColorModeValue('gray.200', 'gray.600');
+  const contentBg = useColorModeValue('gray.50', 'gray.700');
+
+  return (
+    <VStack spacing={0} align="stretch">
+      {sequence.steps.map((touch, index) => {
+        const style = CHANNEL_STYLES[touch.channel] || CHANNEL_STYLES.email;
+        const isLast = index === sequence.steps.length - 1;
+        const overLimit = touch.maxLength && touch.content.length > touch.maxLength;
+
+        return (
+          <Flex key={touch.step} gap={4}>
+            {/* Day marker and connecting line */}
+            <Flex direction="column" align="center" minW="56px">
+              <Flex
+                w="40px"
+                h="40px"
+                borderRadius="full"
+                bg={`${style.color}.500`}
+                color="white"
+                align="center"
+                justify="center"
+                flexShrink={0}
+              >
+                <Icon as={style.icon} />
+              </Flex>
+              <Text fontSize="xs" fontWeight="bold" mt={1}>Day {touch.day}</Text>
+              {!isLast && <Box flex="1" w="2px" bg={lineColor} my={1} />}
+            </Flex>
+
+            <Box flex="1" pb={isLast ? 0 : 6}>
+              <Flex justifyContent="space-between" alignItems="center" mb={2}>
+                <HStack spacing={2}>
+                  <Text fontWeight="bold">{touch.step}. {touch.label}</Text>
+                  <Badge colorScheme={style.color}>{touch.channel}</Badge>
+                  {touch.maxLength && (
+                    <Badge colorScheme={overLimit ? 'red' : 'gray'}>
+                      {touch.content.length}/{touch.maxLength}
+                    </Badge>
+                  )}
+                  {touch.verification?.unsupportedCount > 0 && (
+                    <Tooltip label={touch.verification.unsupported.map(claim => claim.text).join(', ')}>
+                      <Badge colorScheme="orange">{touch.verification.unsupportedCount} unsupported</Badge>
+                    </Tooltip>
+                  )}
+                  {touch.citations?.unsourcedClaims > 0 && (
+                    <Tooltip label={touch.citations.claims.filter(claim => !claim.sourced).map(claim => claim.text).join(' ')}>
+                      <Badge colorScheme="orange">{touch.citations.unsourcedClaims} unsourced</Badge>
+                    </Tooltip>
+                  )}
+                </HStack>
+                <Tooltip label="Copy">
+                  <IconButton
+                    size="xs"
+                    variant="ghost"
+                    aria-label="Copy touch"
+                    icon={<FiCopy />}
+                    onClick={() => onCopy(touch.subject ? `Subject: ${touch.subject}\n\n${touch.content}` : touch.content)}
+                  />
+                </Tooltip>
+              </Flex>
+              {touch.subject && (
+                <Text fontSize="sm" mb={1}>
+                  <Text as="span" color="gray.500">Subject: </Text>{touch.subject}
+                </Text>
+              )}
+              <Box bg={contentBg} p={3} borderRadius="md">
+                <Text fontSize="sm" whiteSpace="pre-wrap">{touch.content}</Text>
+              </Box>
+            </Box>
+          </Flex>
+        );
+      })}
+    </VStack>
+  );
+};
+
+export default SequenceTimeline;
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Card,
+  CardHeader,
+  CardBody,
+  Heading,
+  Text,
+  VStack,
+  HStack,
+  Input,
+  Textarea,
+  Button,
+  IconButton,
+  Switch,
+  FormControl,
+  FormLabel,
+  Badge,
+  Icon,
+  Spinner,
+  Code,
+  useToast,
+  useColorModeValue
+} from '@chakra-ui/react';
+import { FiPackage, FiUsers, FiCheckCircle, FiBarChart2, FiTrash2, FiPlus, FiEye } from 'react-icons/fi';
+import apiService from '../../services/apiService';
+
+// Sections of the knowledge store, in prompt order
+const KNOWLEDGE_SECTIONS = [
+  { type: 'product', title: 'Products', icon: FiPackage, description: 'Products and pricing listed in the {productCatalog} placeholder.', hasName: true, hasPrice: true },
+  { type: 'employee', title: '"4 Extra Employees"', icon: FiUsers, description: 'Roles listed in the {extraEmployees} placeholder.', hasName: true },
+  { type: 'claim', title: 'Claims', icon: FiCheckCircle, description: 'Approved claims fill the {productClaims} placeholder. Record where each claim comes from.', hasSource: true, hasApproval: true },
+  { type: 'statistic', title: 'Statistics', icon: FiBarChart2, description: 'Approved statistics fill the {keyStatistics} placeholder. Unapproved ones are kept but never used.', hasSource: true, hasApproval: true }
+];
+
+const EMPTY_ITEM = { name: '', text: '', price: '', source: '', approved: false };
+
+/**
+ * Editable fields of a knowledge item
+ * @param {Object} props - { section, item, onChange }
+ * @returns {JSX.Element} Knowledge item fields
+ */
+const KnowledgeFields = ({ section, item, onChange }) => (
+  <VStack spacing={2} align="stretch" flex="1">
+    {(section.hasName || section.hasPrice) && (
+      <HStack>
+        {section.hasName && (
+          <Input size="sm" placeholder="Name" value={item.name} onChange={(e) => onChange({ name: e.target.value })} />
+        )}
+        {section.hasPrice && (
+          <Input size="sm" placeholder="Price" value={item.price} onChange={(e) => onChange({ price: e.target.value })} />
+        )}
+      </HStack>
+    )}
+    <Textarea
+      size="sm"
+      rows={2}
+      placeholder={section.type === 'product' ? 'Summary' : section.type === 'employee' ? 'What this role does' : 'Wording used in prompts'}
+      value={item.text}
+      onChange={(e) => onChange({ text: e.target.value })}
+    />
+    {(section.hasSource || section.hasApproval) && (
+      <HStack>
+        {section.hasSource && (
+          <Input size="sm" placeholder="Source" value={item.source} onChange={(e) => onChange({ source: e.target.value })} />
+        )}
+        {section.hasApproval && (
+          <FormControl display="flex" alignItems="center" w="auto">
+            <FormLabel mb="0" fontSize="sm">Approved</FormLabel>
+            <Switch colorScheme="purple" isChecked={item.approved} onChange={(e) => onChange({ approved: e.target.checked })} />
+          </FormControl>
+        )}
+      </HStack>
+    )}
+  </VStack>
+);
+
+/**
+ * Product knowledge settings: products, the "4 Extra Employees", claims and
+ * statistics injected into every prompt when it is rendered
+ * @returns {JSX.Element} Product knowledge settings component
+ */
+const ProductKnowledgeSettings = () => {
+  const [items, setItems] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [newItems, setNewItems] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const toast = useToast();
+
+  const cardBg = useColorModeValue('white', 'gray.800');
+  const headerBg = useColorModeValue('gray.50', 'gray.700');
+
+  const loadKnowledge = async () => {
+    try {
+      const [knowledge, values] = await Promise.all([apiService.getKnowledge(), apiService.getKnowledgePreview()]);
+      setItems(knowledge);
+      setPreview(values);
+      setDrafts({});
+    } catch (error) {
+      toast({ title: 'Could not load product knowledge', description: error.message, status: 'error', duration: 5000, isClosable: true });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadKnowledge();
+  }, []);
+
+  const runAndReload = async (action, successTitle) => {
+    try {
+      await action();
+      toast({ title: successTitle, description: 'Prompts use the change from the next generation on.', status: 'success', duration: 3000, isClosable: true });
+      await loadKnowledge();
+      return true;
+    } catch (error) {
+      toast({ title: 'Could not save product knowledge', description: error.message, status: 'error', duration: 5000, isClosable: true });
+      return false;
+    }
+  };
+
+  const handleSave = (item) => runAndReload(
+    () => apiService.updateKnowledgeItem(item.id, drafts[item.id]),
+    'Knowledge updated'
+  );
+
+  const handleDelete = (item) => runAndReload(
+    () => apiService.deleteKnowledgeItem(item.id),
+    'Knowledge deleted'
+  );
+
+  const handleAdd = async (section) => {
+    const added = await runAndReload(
+      () => apiService.createKnowledgeItem({ ...EMPTY_ITEM, ...newItems[section.type], type: section.type }),
+      'Knowledge added'
+    );
+    if (added) setNewItems(current => ({ ...current, [section.type]: EMPTY_ITEM }));
+  };
+
+  if (isLoading) {
+    return <Box p={5}><Spinner /></Box>;
+  }
+
+  return (
+    <VStack spacing={6} align="stretch">
+      {KNOWLEDGE_SECTIONS.map(section => (
+        <Card key={section.type} bg={cardBg} shadow="md" borderRadius="lg" overflow="hidden">
+          <CardHeader bg={headerBg} py={4}>
+            <HStack>
+              <Icon as={section.icon} fontSize="24px" color="brand.primary" />
+              <Heading size="md">{section.title}</Heading>
+            </HStack>
+            <Text mt={2} fontSize="sm" color="gray.500">{section.description}</Text>
+          </CardHeader>
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              {items.filter(item => item.type === section.type).map(item => {
+                const draft = { ...item, ...drafts[item.id] };
+                return (
+                  <HStack key={item.id} align="start">
+                    <KnowledgeFields
+                      section={section}
+                      item={draft}
+                      onChange={(changes) => setDrafts(current => ({ ...current, [item.id]: { ...current[item.id], ...changes } }))}
+                    />
+                    <VStack>
+                      {section.hasApproval && !item.approved && <Badge colorScheme="orange">Not used</Badge>}
+                      <Button size="sm" colorScheme="purple" isDisabled={!drafts[item.id]} onClick={() => handleSave(item)}>
+                        Save
+                      </Button>
+                      <IconButton size="sm" variant="ghost" aria-label="Delete" icon={<FiTrash2 />} onClick={() => handleDelete(item)} />
+                    </VStack>
+                  </HStack>
+                );
+              })}
+
+              <HStack align="start" pt={2} borderTopWidth="1px">
+                <KnowledgeFields
+                  section={section}
+                  item={{ ...EMPTY_ITEM, ...newItems[section.type] }}
+                  onChange={(changes) => setNewItems(current => ({ ...current, [section.type]: { ...EMPTY_ITEM, ...current[section.type], ...changes } }))}
+                />
+                <Button size="sm" leftIcon={<FiPlus />} onClick={() => handleAdd(section)}>
+                  Add
+                </Button>
+              </HStack>
+            </VStack>
+          </CardBody>
+        </Card>
+      ))}
+
+      {preview && (
+        <Card bg={cardBg} shadow="md" borderRadius="lg" overflow="hidden">
+          <CardHeader bg={headerBg} py={4}>
+            <HStack>
+              <Icon as={FiEye} fontSize="24px" color="brand.primary" />
+              <Heading size="md">What Prompts Receive</Heading>
+            </HStack>
+          </CardHeader>
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              {Object.entries(preview).map(([name, text]) => (
+                <Box key={name}>
+                  <Text fontSize="sm" fontWeight="bold" mb={1}>{`{${name}}`}</Text>
+                  <Code display="block" whiteSpace="pre-wrap" p={3} fontSize="sm">{text || '(empty)'}</Code>
+                </Box>
+              ))}
+            </VStack>
+          </CardBody>
+        </Card>
+      )}
+    </VStack>
+  );
+};
+
+export default ProductKnowledgeSettings;
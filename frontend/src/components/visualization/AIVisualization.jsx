@@ -6,9 +6,13 @@ import useStore from '../../store';
 // AI Visualization component using Three.js
 const AIVisualization = ({ activeTab, stage }) => {
   // Use provided stage or get from store
-  const { processingStage: storeStage } = useStore();
+  const { processingStage: storeStage, jobStatus } = useStore();
   const processingStage = stage || storeStage;
   
+  // Real progress reported by the backend analysis job (0-1)
+  const isProcessing = ['loading', 'analyzing', 'generating'].includes(processingStage);
+  const jobProgress = isProcessing && jobStatus ? (jobStatus.progress || 0) / 100 : 0;
+  
   // Create refs for the objects we'll animate
   const groupRef = useRef();
   const sphereRef = useRef();
@@ -196,6 +200,14 @@ const AIVisualization = ({ activeTab, stage }) => {
         />
       </mesh>
       
+      {/* Progress ring that fills as the backend job moves through its stages */}
+      {isProcessing && jobProgress > 0 && (
+        <mesh>
+          <ringGeometry args={[1.1, 1.2, 64, 1, Math.PI / 2, -Math.PI * 2 * jobProgress]} />
+          <meshBasicMaterial color={getColor()} side={THREE.DoubleSide} transparent opacity={0.8} />
+        </mesh>
+      )}
+      
       {/* Particles representing data and processing */}
       <points ref={particlesRef}>
         <bufferGeometry />
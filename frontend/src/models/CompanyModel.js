@@ -5,6 +5,7 @@ class CompanyModel {
   constructor(data = {}) {
     this.id = data.id || Date.now();
     this.name = data.name || '';
+    this.aliases = data.aliases || []; // Other names the company appears under in the news
     this.industry = data.industry || '';
     this.size = data.size || '';
     this.location = data.location || '';
@@ -89,6 +90,7 @@ class CompanyModel {
     return {
       id: this.id,
       name: this.name,
+      aliases: this.aliases,
       industry: this.industry,
       size: this.size,
       location: this.location,
@@ -0,0 +1,412 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  Box,
+  Grid,
+  GridItem,
+  Heading,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Input,
+  Button,
+  VStack,
+  HStack,
+  Card,
+  CardHeader,
+  CardBody,
+  Text,
+  Badge,
+  Flex,
+  Icon,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  useDisclosure,
+  useColorModeValue,
+  useToast
+} from '@chakra-ui/react';
+import {
+  FiUpload,
+  FiDownload,
+  FiAlertTriangle,
+  FiList,
+  FiEye,
+  FiXCircle
+} from 'react-icons/fi';
+import FormatSelector from '../components/common/FormatSelector';
+import apiService from '../services/apiService';
+import useModelSettings from '../hooks/useModelSettings';
+
+// How often to refresh a running batch
+const POLL_INTERVAL = 3000;
+
+const STATUS_COLORS = {
+  pending: 'gray',
+  processing: 'blue',
+  completed: 'green',
+  failed: 'red',
+  invalid: 'orange',
+  skipped: 'yellow',
+  cancelled: 'gray',
+  queued: 'gray',
+  running: 'blue'
+};
+
+const isActive = (batch) => batch && (batch.status === 'queued' || batch.status === 'running');
+
+const BulkAnalysisTab = () => {
+  const { getModelOptions } = useModelSettings();
+  const toast = useToast();
+  const { isOpen, onOpen, onClose } = useDisclosure();
+  const fileInputRef = useRef(null);
+
+  // Upload form
+  const [file, setFile] = useState(null);
+  const [batchName, setBatchName] = useState('');
+  const [outputFormat, setOutputFormat] = useState('email');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Batches
+  const [batches, setBatches] = useState([]);
+  const [currentBatch, setCurrentBatch] = useState(null);
+  const [selectedRow, setSelectedRow] = useState(null);
+
+  const loadBatches = () => {
+    apiService.getBatches()
+      .then(setBatches)
+      .catch(err => console.error('Failed to load batches:', err));
+  };
+
+  useEffect(() => {
+    loadBatches();
+  }, []);
+
+  // Poll the selected batch while it is still running
+  useEffect(() => {
+    if (!isActive(currentBatch)) return undefined;
+
+    const timer = setTimeout(() => {
+      apiService.getBatch(currentBatch.id)
+        .then(batch => {
+          setCurrentBatch(batch);
+          if (!isActive(batch)) loadBatches();
+        })
+        .catch(err => console.error('Failed to refresh batch:', err));
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [currentBatch]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const csv = await file.text();
+      const batch = await apiService.createBatch(csv, {
+        name: batchName || file.name,
+        outputFormat,
+        modelOptions: getModelOptions()
+      });
+
+      setCurrentBatch(batch);
+      setFile(null);
+      setBatchName('');
+      if (fileInputRef.current) fileInputRef.current.value = '';
+      loadBatches();
+
+      toast({
+        title: 'Bulk analysis started',
+        description: `${batch.summary.total} rows queued`,
+        status: 'success',
+        duration: 3000,
+        isClosable: true
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setCurrentBatch(await apiService.cancelBatch(currentBatch.id));
+      loadBatches();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const openBatch = async (batchId) => {
+    try {
+      setCurrentBatch(await apiService.getBatch(batchId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const viewRow = (row) => {
+    setSelectedRow(row);
+    onOpen();
+  };
+
+  const cardBg = useColorModeValue('white', 'brand.card.dark');
+  const summary = currentBatch?.summary;
+  const runnable = summary ? summary.total - summary.invalid - summary.skipped : 0;
+  const progress = runnable > 0 ? Math.round((summary.processed / runnable) * 100) : 0;
+
+  return (
+    <Box>
+      <Heading size="lg" mb="6">Bulk Prospect Analysis</Heading>
+
+      <Grid templateColumns={{ base: '1fr', lg: '1fr 2fr' }} gap={6}>
+        {/* Upload Section */}
+        <GridItem>
+          <VStack spacing={6} align="stretch">
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiUpload} mr="2" />
+                  Upload CSV
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <form onSubmit={handleSubmit}>
+                  <VStack spacing={4} align="stretch">
+                    <FormControl isRequired>
+                      <FormLabel>LinkedIn URLs (CSV)</FormLabel>
+                      <Input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".csv,text/csv"
+                        p={1}
+                        onChange={(e) => setFile(e.target.files[0] || null)}
+                        isDisabled={submitting}
+                      />
+                      <FormHelperText>
+                        Include a <code>url</code> column and an optional <code>additionalContext</code> column.
+                        Profiles are scraped one at a time with LinkedIn rate limits applied.
+                      </FormHelperText>
+                    </FormControl>
+
+                    <FormControl>
+                      <FormLabel>Batch Name (Optional)</FormLabel>
+                      <Input
+                        value={batchName}
+                        onChange={(e) => setBatchName(e.target.value)}
+                        placeholder="e.g. Q3 trade show leads"
+                        isDisabled={submitting}
+                      />
+                    </FormControl>
+
+                    <FormatSelector selectedFormat={outputFormat} onChange={setOutputFormat} />
+
+                    <Button
+                      type="submit"
+                      colorScheme="purple"
+                      leftIcon={<FiUpload />}
+                      isLoading={submitting}
+                      loadingText="Uploading..."
+                      isDisabled={!file}
+                    >
+                      Start Bulk Analysis
+                    </Button>
+                  </VStack>
+                </form>
+              </CardBody>
+            </Card>
+
+            {/* Previous Batches */}
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiList} mr="2" />
+                  Recent Batches
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                {batches.length === 0 ? (
+                  <Text color="gray.500">No batches yet</Text>
+                ) : (
+                  <VStack spacing={2} align="stretch">
+                    {batches.slice(0, 10).map(batch => (
+                      <Button
+                        key={batch.id}
+                        variant={currentBatch?.id === batch.id ? 'solid' : 'ghost'}
+                        justifyContent="space-between"
+                        onClick={() => openBatch(batch.id)}
+                      >
+                        <Text isTruncated maxW="60%">{batch.name}</Text>
+                        <HStack>
+                          <Text fontSize="xs" color="gray.500">
+                            {batch.summary.completed}/{batch.summary.total}
+                          </Text>
+                          <Badge colorScheme={STATUS_COLORS[batch.status]}>{batch.status}</Badge>
+                        </HStack>
+                      </Button>
+                    ))}
+                  </VStack>
+                )}
+              </CardBody>
+            </Card>
+          </VStack>
+        </GridItem>
+
+        {/* Results Section */}
+        <GridItem>
+          <VStack spacing={6} align="stretch">
+            {error && (
+              <Card bg="red.50" borderColor="red.300" borderWidth="1px" shadow="md" borderRadius="lg">
+                <CardBody>
+                  <HStack>
+                    <Icon as={FiAlertTriangle} color="red.500" />
+                    <Text color="red.500">{error}</Text>
+                  </HStack>
+                </CardBody>
+              </Card>
+            )}
+
+            {currentBatch ? (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardHeader>
+                  <Flex justifyContent="space-between" alignItems="center" wrap="wrap" gap={2}>
+                    <HStack>
+                      <Heading size="md">{currentBatch.name}</Heading>
+                      <Badge colorScheme={STATUS_COLORS[currentBatch.status]}>{currentBatch.status}</Badge>
+                    </HStack>
+                    <HStack>
+                      {isActive(currentBatch) && (
+                        <Button size="sm" variant="outline" colorScheme="red" leftIcon={<FiXCircle />} onClick={handleCancel}>
+                          Cancel
+                        </Button>
+                      )}
+                      <Button
+                        as="a"
+                        size="sm"
+                        leftIcon={<FiDownload />}
+                        href={apiService.getBatchResultsUrl(currentBatch.id, 'csv')}
+                      >
+                        CSV
+                      </Button>
+                      <Button
+                        as="a"
+                        size="sm"
+                        leftIcon={<FiDownload />}
+                        href={apiService.getBatchResultsUrl(currentBatch.id, 'json')}
+                      >
+                        JSON
+                      </Button>
+                    </HStack>
+                  </Flex>
+                </CardHeader>
+                <CardBody>
+                  <VStack spacing={4} align="stretch">
+                    <Box>
+                      <Flex justifyContent="space-between" mb={1}>
+                        <Text fontSize="sm">
+                          {summary.processed} of {runnable} profiles processed
+                        </Text>
+                        <Text fontSize="sm" color="gray.500">
+                          {summary.completed} completed · {summary.failed} failed · {summary.invalid + summary.skipped} skipped
+                        </Text>
+                      </Flex>
+                      <Progress
+                        value={progress}
+                        size="sm"
+                        colorScheme="purple"
+                        borderRadius="full"
+                        hasStripe={isActive(currentBatch)}
+                        isAnimated={isActive(currentBatch)}
+                      />
+                    </Box>
+
+                    <TableContainer maxH="500px" overflowY="auto">
+                      <Table size="sm">
+                        <Thead>
+                          <Tr>
+                            <Th>#</Th>
+                            <Th>Profile</Th>
+                            <Th>Status</Th>
+                            <Th></Th>
+                          </Tr>
+                        </Thead>
+                        <Tbody>
+                          {currentBatch.rows.map(row => (
+                            <Tr key={row.row}>
+                              <Td>{row.row}</Td>
+                              <Td maxW="320px">
+                                <Text fontWeight="medium" isTruncated>
+                                  {row.profile ? `${row.profile.name} · ${row.profile.company}` : row.profileUrl}
+                                </Text>
+                                {row.error && (
+                                  <Text fontSize="xs" color="red.500" isTruncated>{row.error}</Text>
+                                )}
+                              </Td>
+                              <Td>
+                                <Badge colorScheme={STATUS_COLORS[row.status]}>{row.status}</Badge>
+                              </Td>
+                              <Td>
+                                {row.content && (
+                                  <Button size="xs" leftIcon={<FiEye />} onClick={() => viewRow(row)}>
+                                    View
+                                  </Button>
+                                )}
+                              </Td>
+                            </Tr>
+                          ))}
+                        </Tbody>
+                      </Table>
+                    </TableContainer>
+                  </VStack>
+                </CardBody>
+              </Card>
+            ) : (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardBody>
+                  <Text color="gray.500" textAlign="center">
+                    Upload a CSV or choose a previous batch to see per-row results
+                  </Text>
+                </CardBody>
+              </Card>
+            )}
+          </VStack>
+        </GridItem>
+      </Grid>
+
+      {/* Generated content for a single row */}
+      <Modal isOpen={isOpen} onClose={onClose} size="xl">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>{selectedRow?.profile?.name || selectedRow?.profileUrl}</ModalHeader>
+          <ModalCloseButton />
+          <ModalBody pb={6}>
+            {selectedRow?.additionalContext && (
+              <Text fontSize="sm" color="gray.500" mb={3}>
+                Context: {selectedRow.additionalContext}
+              </Text>
+            )}
+            <Text whiteSpace="pre-wrap">{selectedRow?.content}</Text>
+          </ModalBody>
+        </ModalContent>
+      </Modal>
+    </Box>
+  );
+};
+
+export default BulkAnalysisTab;
@@ -1,13 +1,448 @@
 import React from 'react';
-import { Box, Heading, Text } from '@chakra-ui/react';
+import {
+  Box,
+  Grid,
+  GridItem,
+  Heading,
+  FormControl,
+  FormLabel,
+  Input,
+  Button,
+  VStack,
+  HStack,
+  Card,
+  CardHeader,
+  CardBody,
+  Text,
+  Badge,
+  Divider,
+  Flex,
+  Icon,
+  Link,
+  Tooltip,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  useColorModeValue
+} from '@chakra-ui/react';
+import {
+  FiBriefcase,
+  FiSend,
+  FiCopy,
+  FiCheck,
+  FiAlertTriangle,
+  FiBookmark,
+  FiFileText,
+  FiUsers,
+  FiUserCheck,
+  FiExternalLink,
+  FiMapPin,
+  FiGlobe
+} from 'react-icons/fi';
+import { Canvas } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import AIVisualization from '../components/visualization/AIVisualization';
+import FormatSelector from '../components/common/FormatSelector';
+import ContentPreview from '../components/common/ContentPreview';
+import useStore from '../store';
+import useModelSettings from '../hooks/useModelSettings';
+
+/**
+ * Badge color for a decision maker's relevance ("Very High - ...", "High - ...")
+ * @param {string} relevance - Relevance text from the backend
+ * @returns {string} - Chakra color scheme
+ */
+const getRelevanceColor = (relevance = '') => {
+  if (relevance.startsWith('Very High')) return 'green';
+  if (relevance.startsWith('High')) return 'teal';
+  if (relevance.startsWith('Medium')) return 'yellow';
+  return 'gray';
+};
 
 const CompanyAnalysisTab = () => {
+  const {
+    companyUrl,
+    setCompanyUrl,
+    companyData,
+    companyContent,
+    decisionMakers,
+    companyLoading,
+    companyError,
+    analyzeCompany,
+    analyzeDecisionMaker,
+    profileLoading,
+    outputFormat,
+    setOutputFormat,
+    processingStage,
+    jobStatus,
+    saveAnalysis
+  } = useStore();
+
+  const { getModelOptions } = useModelSettings();
+
+  // Copy to clipboard function
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text)
+      .then(() => {
+        alert('Content copied to clipboard!');
+      })
+      .catch(err => {
+        console.error('Failed to copy: ', err);
+      });
+  };
+
+  const cardBg = useColorModeValue('white', 'brand.card.dark');
+
   return (
     <Box>
-      <Heading size="lg" mb="6">Company Analysis</Heading>
-      <Text>Company analysis feature coming soon...</Text>
+      <Heading size="lg" mb="6">LinkedIn Company Analysis</Heading>
+
+      <Grid templateColumns={{ base: '1fr', lg: 'repeat(2, 1fr)' }} gap={6}>
+        {/* Input Section */}
+        <GridItem>
+          <VStack spacing={6} align="stretch">
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiBriefcase} mr="2" />
+                  Company Input
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <form onSubmit={(e) => { e.preventDefault(); analyzeCompany(); }}>
+                  <VStack spacing={4} align="stretch">
+                    <FormControl isRequired>
+                      <FormLabel>LinkedIn Company URL</FormLabel>
+                      <Input
+                        type="url"
+                        value={companyUrl}
+                        onChange={(e) => setCompanyUrl(e.target.value)}
+                        placeholder="https://www.linkedin.com/company/company-name"
+                        isDisabled={companyLoading}
+                      />
+                    </FormControl>
+
+                    <FormatSelector
+                      selectedFormat={outputFormat}
+                      onChange={setOutputFormat}
+                    />
+
+                    <Button
+                      type="submit"
+                      colorScheme="purple"
+                      isLoading={companyLoading}
+                      loadingText={jobStatus?.stageLabel ? `${jobStatus.stageLabel}...` : 'Processing...'}
+                      leftIcon={<FiSend />}
+                      isDisabled={!companyUrl || companyLoading}
+                    >
+                      Analyze Company
+                    </Button>
+                  </VStack>
+                </form>
+              </CardBody>
+            </Card>
+
+            {/* Company Summary */}
+            {companyData && (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardHeader>
+                  <Flex justifyContent="space-between" alignItems="center">
+                    <Heading size="md">
+                      <Icon as={FiBriefcase} mr="2" />
+                      {companyData.name}
+                    </Heading>
+                    <Button size="sm" leftIcon={<FiBookmark />} onClick={saveAnalysis}>
+                      Save Analysis
+                    </Button>
+                  </Flex>
+                </CardHeader>
+                <CardBody>
+                  <VStack spacing={4} align="stretch">
+                    {companyData.scrapingError && (
+                      <HStack>
+                        <Icon as={FiAlertTriangle} color="orange.400" />
+                        <Text fontSize="sm" color="orange.400">
+                          LinkedIn could not be scraped, so sample company data is shown
+                        </Text>
+                      </HStack>
+                    )}
+
+                    <Grid templateColumns={{ base: '1fr', md: 'repeat(2, 1fr)' }} gap={4}>
+                      <GridItem>
+                        <Text fontWeight="bold">Industry:</Text>
+                        <Text>{companyData.industry || 'Not specified'}</Text>
+                      </GridItem>
+                      <GridItem>
+                        <Text fontWeight="bold">Size:</Text>
+                        <Text>{companyData.size || 'Not specified'}</Text>
+                      </GridItem>
+                      <GridItem>
+                        <Text fontWeight="bold">Location:</Text>
+                        <HStack spacing={1}>
+                          <Icon as={FiMapPin} color="gray.500" />
+                          <Text>{companyData.location || 'Not specified'}</Text>
+                        </HStack>
+                      </GridItem>
+                      <GridItem>
+                        <Text fontWeight="bold">Founded:</Text>
+                        <Text>{companyData.founded || 'N/A'}</Text>
+                      </GridItem>
+                    </Grid>
+
+                    {companyData.website && (
+                      <HStack spacing={1}>
+                        <Icon as={FiGlobe} color="gray.500" />
+                        <Link
+                          href={companyData.website.startsWith('http') ? companyData.website : `https://${companyData.website}`}
+                          isExternal
+                          color="brand.primary"
+                        >
+                          {companyData.website}
+                        </Link>
+                      </HStack>
+                    )}
+
+                    {companyData.about && (
+                      <>
+                        <Divider />
+                        <Box>
+                          <Text fontWeight="bold" mb="2">About:</Text>
+                          <Text fontSize="sm">{companyData.about}</Text>
+                        </Box>
+                      </>
+                    )}
+
+                    {companyData.specialties && companyData.specialties.length > 0 && (
+                      <>
+                        <Divider />
+                        <Box>
+                          <Text fontWeight="bold" mb="2">Specialties:</Text>
+                          <Flex flexWrap="wrap" gap="2">
+                            {companyData.specialties.map((specialty, index) => (
+                              <Badge key={index} colorScheme="purple" px="2" py="1" borderRadius="md">
+                                {specialty}
+                              </Badge>
+                            ))}
+                          </Flex>
+                        </Box>
+                      </>
+                    )}
+
+                    {companyData.recentPosts && companyData.recentPosts.length > 0 && (
+                      <>
+                        <Divider />
+                        <Box>
+                          <Text fontWeight="bold" mb="2">Recent Updates:</Text>
+                          <VStack spacing={1} align="stretch">
+                            {companyData.recentPosts.map((post, index) => (
+                              <HStack key={index} justify="space-between">
+                                <Text fontSize="sm">{post.title}</Text>
+                                <Text fontSize="xs" color="gray.500" flexShrink={0}>{post.date}</Text>
+                              </HStack>
+                            ))}
+                          </VStack>
+                        </Box>
+                      </>
+                    )}
+
+                    {companyData.news && companyData.news.length > 0 && (
+                      <>
+                        <Divider />
+                        <Box>
+                          <Text fontWeight="bold" mb="2">In the News:</Text>
+                          <VStack spacing={2} align="stretch">
+                            {companyData.news.map((item) => (
+                              <Box key={item.id}>
+                                <HStack justify="space-between" align="start">
+                                  <Link href={item.url} isExternal fontSize="sm" color="brand.primary">
+                                    {item.title} <Icon as={FiExternalLink} mx="1px" />
+                                  </Link>
+                                  <Text fontSize="xs" color="gray.500" flexShrink={0}>
+                                    {new Date(item.date).toLocaleDateString()}
+                                  </Text>
+                                </HStack>
+                                <Text fontSize="xs" color="gray.500">{item.source}</Text>
+                              </Box>
+                            ))}
+                          </VStack>
+                        </Box>
+                      </>
+                    )}
+                  </VStack>
+                </CardBody>
+              </Card>
+            )}
+          </VStack>
+        </GridItem>
+
+        {/* Visualization and Results Section */}
+        <GridItem>
+          <VStack spacing={6} align="stretch">
+            {/* AI Visualization */}
+            <Card bg={cardBg} shadow="md" borderRadius="lg" overflow="hidden">
+              <Box height="250px" bg="gray.900" position="relative">
+                <Canvas camera={{ position: [0, 0, 5], fov: 75 }}>
+                  <ambientLight intensity={0.5} />
+                  <pointLight position={[10, 10, 10]} />
+                  <AIVisualization activeTab="company" stage={processingStage} />
+                  <OrbitControls enableZoom={false} enablePan={false} />
+                </Canvas>
+              </Box>
+              <CardBody>
+                <Box textAlign="center">
+                  {!companyLoading && !companyData && (
+                    <Text fontWeight="medium">Ready to analyze LinkedIn company</Text>
+                  )}
+                  {companyLoading && (
+                    <VStack spacing={2}>
+                      <Text fontWeight="medium">
+                        {jobStatus?.stageLabel || (jobStatus?.status === 'queued' ? 'Waiting in queue...' : 'Collecting company data...')}
+                      </Text>
+                      <Progress
+                        value={jobStatus?.progress || 0}
+                        size="sm"
+                        width="100%"
+                        colorScheme="purple"
+                        borderRadius="full"
+                        hasStripe
+                        isAnimated
+                      />
+                      {jobStatus?.stages && (
+                        <Text fontSize="xs" color="gray.500">
+                          Step {Math.max(jobStatus.stages.findIndex(stage => stage.id === jobStatus.stage) + 1, 1)} of {jobStatus.stages.length}
+                        </Text>
+                      )}
+                    </VStack>
+                  )}
+                  {!companyLoading && companyData && (
+                    <HStack justifyContent="center" spacing={1}>
+                      <Icon as={FiCheck} color="green.500" />
+                      <Text fontWeight="medium" color="green.500">Analysis complete</Text>
+                    </HStack>
+                  )}
+                </Box>
+              </CardBody>
+            </Card>
+
+            {/* Error Message */}
+            {companyError && (
+              <Card bg="red.50" borderColor="red.300" borderWidth="1px" shadow="md" borderRadius="lg">
+                <CardBody>
+                  <HStack>
+                    <Icon as={FiAlertTriangle} color="red.500" />
+                    <Text color="red.500">{companyError}</Text>
+                  </HStack>
+                </CardBody>
+              </Card>
+            )}
+
+            {/* Generated Content Preview */}
+            {companyData && companyContent && (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardHeader>
+                  <Flex justifyContent="space-between" alignItems="center">
+                    <Heading size="md">
+                      <Icon as={FiFileText} mr="2" />
+                      Generated Content
+                    </Heading>
+                    <Button size="sm" leftIcon={<FiCopy />} onClick={() => copyToClipboard(companyContent)}>
+                      Copy
+                    </Button>
+                  </Flex>
+                </CardHeader>
+                <CardBody>
+                  <ContentPreview
+                    content={companyContent}
+                    outputFormat={outputFormat}
+                    profileData={decisionMakers[0]}
+                  />
+                </CardBody>
+              </Card>
+            )}
+          </VStack>
+        </GridItem>
+
+        {/* Decision Makers */}
+        {companyData && (
+          <GridItem colSpan={{ base: 1, lg: 2 }}>
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiUsers} mr="2" />
+                  Decision Makers
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                {decisionMakers.length === 0 ? (
+                  <Text color="gray.500">No decision makers were identified for this company</Text>
+                ) : (
+                  <TableContainer>
+                    <Table size="sm">
+                      <Thead>
+                        <Tr>
+                          <Th>Name</Th>
+                          <Th>Title</Th>
+                          <Th>Relevance</Th>
+                          <Th />
+                        </Tr>
+                      </Thead>
+                      <Tbody>
+                        {decisionMakers.map((person, index) => {
+                          const [level, reason] = (person.relevance || '').split(' - ');
+                          return (
+                            <Tr key={`${person.linkedinUrl || person.name}-${index}`}>
+                              <Td>
+                                <HStack spacing={1}>
+                                  <Text fontWeight="medium">{person.name}</Text>
+                                  {person.linkedinUrl && (
+                                    <Link href={person.linkedinUrl} isExternal color="gray.500">
+                                      <Icon as={FiExternalLink} />
+                                    </Link>
+                                  )}
+                                </HStack>
+                              </Td>
+                              <Td whiteSpace="normal">{person.title}</Td>
+                              <Td whiteSpace="normal">
+                                {level && <Badge colorScheme={getRelevanceColor(person.relevance)}>{level}</Badge>}
+                                {reason && <Text fontSize="xs" color="gray.500" mt={1}>{reason}</Text>}
+                              </Td>
+                              <Td textAlign="right">
+                                <Tooltip
+                                  label={person.linkedinUrl
+                                    ? 'Run the profile analysis for this person'
+                                    : 'No LinkedIn profile URL was found for this person'}
+                                >
+                                  <Button
+                                    size="sm"
+                                    colorScheme="purple"
+                                    variant="outline"
+                                    leftIcon={<FiUserCheck />}
+                                    onClick={() => analyzeDecisionMaker(person, getModelOptions())}
+                                    isDisabled={!person.linkedinUrl || profileLoading || companyLoading}
+                                  >
+                                    Analyze this person
+                                  </Button>
+                                </Tooltip>
+                              </Td>
+                            </Tr>
+                          );
+                        })}
+                      </Tbody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardBody>
+            </Card>
+          </GridItem>
+        )}
+      </Grid>
     </Box>
   );
 };
 
-export default CompanyAnalysisTab;
\ No newline at end of file
+export default CompanyAnalysisTab;
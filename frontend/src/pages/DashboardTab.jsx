@@ -1,13 +1,482 @@
-import React from 'react';
-import { Box, Heading, Text } from '@chakra-ui/react';
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  GridItem,
+  Heading,
+  Button,
+  VStack,
+  HStack,
+  Card,
+  CardHeader,
+  CardBody,
+  Text,
+  Badge,
+  Flex,
+  Icon,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatHelpText,
+  SimpleGrid,
+  Spinner,
+  Tooltip,
+  useColorModeValue
+} from '@chakra-ui/react';
+import {
+  FiRefreshCw,
+  FiAlertTriangle,
+  FiUsers,
+  FiBarChart2,
+  FiBriefcase,
+  FiCpu,
+  FiLinkedin,
+  FiTarget
+} from 'react-icons/fi';
+import apiService from '../services/apiService';
+
+// Days shown in the analyses-per-day chart
+const ACTIVITY_DAYS = 14;
+
+const STATUS_COLORS = {
+  new: 'gray',
+  contacted: 'blue',
+  qualified: 'purple',
+  opportunity: 'orange',
+  customer: 'green',
+  archived: 'red'
+};
+
+const TREND_COLORS = {
+  increasing: 'red',
+  decreasing: 'green',
+  stable: 'gray'
+};
+
+// Outcome report breakdowns shown next to the combinations table
+const OUTCOME_BREAKDOWNS = [
+  { key: 'byRoleCategory', field: 'roleCategory', label: 'Role Category' },
+  { key: 'byOutputFormat', field: 'outputFormat', label: 'Output Format' },
+  { key: 'byModel', field: 'model', label: 'Sales Copy Model' },
+  { key: 'byAngle', field: 'angle', label: 'Angle' }
+];
+
+const formatCurrency = (value) => `$${Number(value || 0).toLocaleString()}`;
 
 const DashboardTab = () => {
+  const [summary, setSummary] = useState(null);
+  const [llmMetrics, setLLMMetrics] = useState(null);
+  const [outcomeReport, setOutcomeReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadDashboard = async () => {
+    setLoading(true);
+    setError(null);
+
+    // LLM metrics and outcomes are optional: the rest of the dashboard still renders without them
+    const [summaryResult, metricsResult, outcomeResult] = await Promise.allSettled([
+      apiService.getDashboard(ACTIVITY_DAYS),
+      apiService.getLLMMetrics(),
+      apiService.getOutcomeReport()
+    ]);
+
+    if (summaryResult.status === 'fulfilled') {
+      setSummary(summaryResult.value);
+    } else {
+      setError(summaryResult.reason.message);
+    }
+    setLLMMetrics(metricsResult.status === 'fulfilled' ? metricsResult.value : null);
+    setOutcomeReport(outcomeResult.status === 'fulfilled' ? outcomeResult.value : null);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    loadDashboard();
+  }, []);
+
+  const cardBg = useColorModeValue('white', 'brand.card.dark');
+  const barBg = useColorModeValue('brand.primary', 'brand.secondary');
+
+  const pipelineTotal = summary ? summary.pipeline.reduce((sum, stage) => sum + stage.count, 0) : 0;
+  const maxPerDay = summary ? Math.max(1, ...summary.analysesPerDay.map(day => day.count)) : 1;
+  const openBreakers = llmMetrics
+    ? Object.entries(llmMetrics.circuitBreakers || {}).filter(([, breaker]) => breaker.state !== 'closed')
+    : [];
+  const recentLatency = llmMetrics?.recent?.overall;
+  const linkedinErrors = summary?.linkedinErrors;
+
   return (
     <Box>
-      <Heading size="lg" mb="6">Dashboard</Heading>
-      <Text>Dashboard feature coming soon...</Text>
+      <Flex justify="space-between" align="center" mb="6">
+        <Heading size="lg">Dashboard</Heading>
+        <Button
+          leftIcon={<FiRefreshCw />}
+          variant="outline"
+          onClick={loadDashboard}
+          isLoading={loading}
+          loadingText="Refreshing..."
+        >
+          Refresh
+        </Button>
+      </Flex>
+
+      {error && (
+        <Card bg="red.50" borderColor="red.300" borderWidth="1px" shadow="md" borderRadius="lg" mb={6}>
+          <CardBody>
+            <HStack>
+              <Icon as={FiAlertTriangle} color="red.500" />
+              <Text color="red.500">{error}</Text>
+            </HStack>
+          </CardBody>
+        </Card>
+      )}
+
+      {!summary && loading && (
+        <Flex justify="center" py={10}>
+          <Spinner size="xl" color="brand.primary" />
+        </Flex>
+      )}
+
+      {summary && (
+        <Grid templateColumns={{ base: '1fr', lg: 'repeat(2, 1fr)' }} gap={6}>
+          {/* Prospect Pipeline */}
+          <GridItem>
+            <Card bg={cardBg} shadow="md" borderRadius="lg" h="100%">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiUsers} mr="2" />
+                  Prospect Pipeline
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={3} align="stretch">
+                  {summary.pipeline.map(stage => (
+                    <Box key={stage.status}>
+                      <Flex justify="space-between" mb={1}>
+                        <Badge colorScheme={STATUS_COLORS[stage.status]}>{stage.status}</Badge>
+                        <Text fontSize="sm" fontWeight="bold">{stage.count}</Text>
+                      </Flex>
+                      <Progress
+                        value={pipelineTotal > 0 ? (stage.count / pipelineTotal) * 100 : 0}
+                        colorScheme={STATUS_COLORS[stage.status]}
+                        size="sm"
+                        borderRadius="md"
+                      />
+                    </Box>
+                  ))}
+                  <Text fontSize="sm" color="gray.500">
+                    {summary.totals.prospects} prospects across {summary.totals.companies} companies
+                  </Text>
+                </VStack>
+              </CardBody>
+            </Card>
+          </GridItem>
+
+          {/* Analyses per Day */}
+          <GridItem>
+            <Card bg={cardBg} shadow="md" borderRadius="lg" h="100%">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiBarChart2} mr="2" />
+                  Analyses per Day
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <Flex align="flex-end" h="160px" gap={1}>
+                  {summary.analysesPerDay.map(day => (
+                    <Tooltip
+                      key={day.date}
+                      label={`${day.date}: ${day.count} (${Object.entries(day.byType).map(([type, count]) => `${type} ${count}`).join(', ') || 'none'})`}
+                    >
+                      <Box
+                        flex="1"
+                        bg={barBg}
+                        borderRadius="sm"
+                        minH="2px"
+                        h={`${(day.count / maxPerDay) * 100}%`}
+                      />
+                    </Tooltip>
+                  ))}
+                </Flex>
+                <Flex justify="space-between" mt={2}>
+                  <Text fontSize="xs" color="gray.500">{summary.analysesPerDay[0]?.date}</Text>
+                  <Text fontSize="xs" color="gray.500">
+                    {summary.analysesPerDay.reduce((sum, day) => sum + day.count, 0)} in the last {summary.analysesPerDay.length} days
+                  </Text>
+                  <Text fontSize="xs" color="gray.500">
+                    {summary.analysesPerDay[summary.analysesPerDay.length - 1]?.date}
+                  </Text>
+                </Flex>
+              </CardBody>
+            </Card>
+          </GridItem>
+
+          {/* Top Companies */}
+          <GridItem>
+            <Card bg={cardBg} shadow="md" borderRadius="lg" h="100%">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiBriefcase} mr="2" />
+                  Top Companies by Potential Value
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                {summary.topCompanies.length === 0 ? (
+                  <Text color="gray.500">No companies with a potential value yet</Text>
+                ) : (
+                  <TableContainer>
+                    <Table size="sm">
+                      <Thead>
+                        <Tr>
+                          <Th>Company</Th>
+                          <Th>Status</Th>
+                          <Th isNumeric>Prospects</Th>
+                          <Th isNumeric>Potential Value</Th>
+                        </Tr>
+                      </Thead>
+                      <Tbody>
+                        {summary.topCompanies.map(company => (
+                          <Tr key={company.id}>
+                            <Td>
+                              <Text fontWeight="medium">{company.name}</Text>
+                              {company.industry && <Text fontSize="xs" color="gray.500">{company.industry}</Text>}
+                            </Td>
+                            <Td><Badge>{company.status}</Badge></Td>
+                            <Td isNumeric>{company.prospectCount}</Td>
+                            <Td isNumeric>{formatCurrency(company.potentialValue)}</Td>
+                          </Tr>
+                        ))}
+                      </Tbody>
+                    </Table>
+                  </TableContainer>
+                )}
+              </CardBody>
+            </Card>
+          </GridItem>
+
+          {/* LLM Health */}
+          <GridItem>
+            <Card bg={cardBg} shadow="md" borderRadius="lg" h="100%">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiCpu} mr="2" />
+                  LLM Health
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                {!llmMetrics ? (
+                  <Text color="gray.500">LLM metrics are not available</Text>
+                ) : (
+                  <VStack spacing={4} align="stretch">
+                    <SimpleGrid columns={2} spacing={4}>
+                      <Stat>
+                        <StatLabel>Success Rate</StatLabel>
+                        <StatNumber>{llmMetrics.successRatePercentage}%</StatNumber>
+                        <StatHelpText>{llmMetrics.totalRequests} requests</StatHelpText>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Cache Hit Rate</StatLabel>
+                        <StatNumber>{llmMetrics.cache?.hitRate ?? 0}%</StatNumber>
+                        <StatHelpText>{llmMetrics.cache?.cacheSize ?? 0} cached responses</StatHelpText>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>p95 Latency (last hour)</StatLabel>
+                        <StatNumber>
+                          {recentLatency?.p95 != null ? `${Math.round(recentLatency.p95)} ms` : '-'}
+                        </StatNumber>
+                        <StatHelpText>{recentLatency?.count ?? 0} recent requests</StatHelpText>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Spend This Month</StatLabel>
+                        <StatNumber>${(llmMetrics.budget?.spentUsd ?? 0).toFixed(2)}</StatNumber>
+                        {llmMetrics.budget?.limitUsd > 0 && (
+                          <StatHelpText>of ${llmMetrics.budget.limitUsd} budget</StatHelpText>
+                        )}
+                      </Stat>
+                    </SimpleGrid>
+
+                    {openBreakers.length === 0 ? (
+                      <Text fontSize="sm" color="green.500">All provider circuit breakers are closed</Text>
+                    ) : (
+                      <VStack spacing={1} align="stretch">
+                        {openBreakers.map(([provider, breaker]) => (
+                          <HStack key={provider}>
+                            <Badge colorScheme={breaker.state === 'open' ? 'red' : 'orange'}>{breaker.state}</Badge>
+                            <Text fontSize="sm" fontWeight="medium">{provider}</Text>
+                            {breaker.lastError && (
+                              <Text fontSize="xs" color="gray.500" isTruncated>{breaker.lastError}</Text>
+                            )}
+                          </HStack>
+                        ))}
+                      </VStack>
+                    )}
+                  </VStack>
+                )}
+              </CardBody>
+            </Card>
+          </GridItem>
+
+          {/* Outcomes by role, format and model */}
+          <GridItem colSpan={{ base: 1, lg: 2 }}>
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Flex justify="space-between" align="center">
+                  <Heading size="md">
+                    <Icon as={FiTarget} mr="2" />
+                    What Works
+                  </Heading>
+                  {outcomeReport?.totals.artifacts > 0 && (
+                    <Badge colorScheme="green">{outcomeReport.totals.positiveRate}% positive</Badge>
+                  )}
+                </Flex>
+              </CardHeader>
+              <CardBody>
+                {!outcomeReport || outcomeReport.totals.artifacts === 0 ? (
+                  <Text color="gray.500">
+                    No outcomes logged yet. Log sent, opened, replied, meeting booked or lost from a saved analysis.
+                  </Text>
+                ) : (
+                  <VStack spacing={6} align="stretch">
+                    <SimpleGrid columns={{ base: 2, md: 5 }} spacing={4}>
+                      <Stat>
+                        <StatLabel>Sent</StatLabel>
+                        <StatNumber>{outcomeReport.totals.sent}</StatNumber>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Opened</StatLabel>
+                        <StatNumber>{outcomeReport.totals.opened}</StatNumber>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Replied</StatLabel>
+                        <StatNumber>{outcomeReport.totals.replied}</StatNumber>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Meetings</StatLabel>
+                        <StatNumber>{outcomeReport.totals.meetingBooked}</StatNumber>
+                      </Stat>
+                      <Stat>
+                        <StatLabel>Lost</StatLabel>
+                        <StatNumber>{outcomeReport.totals.lost}</StatNumber>
+                      </Stat>
+                    </SimpleGrid>
+
+                    <SimpleGrid columns={{ base: 1, md: 2, xl: 4 }} spacing={4}>
+                      {OUTCOME_BREAKDOWNS.map(breakdown => (
+                        <Box key={breakdown.key}>
+                          <Text fontWeight="bold" fontSize="sm" mb={2}>{breakdown.label}</Text>
+                          <VStack spacing={2} align="stretch">
+                            {outcomeReport[breakdown.key].map(row => (
+                              <Box key={row[breakdown.field]}>
+                                <Flex justify="space-between" mb={1}>
+                                  <Text fontSize="xs" isTruncated>{row[breakdown.field]}</Text>
+                                  <Text fontSize="xs" fontWeight="bold">{row.positiveRate}% of {row.artifacts}</Text>
+                                </Flex>
+                                <Progress value={row.positiveRate} colorScheme="green" size="xs" borderRadius="md" />
+                              </Box>
+                            ))}
+                          </VStack>
+                        </Box>
+                      ))}
+                    </SimpleGrid>
+
+                    <TableContainer>
+                      <Table size="sm">
+                        <Thead>
+                          <Tr>
+                            <Th>Role Category</Th>
+                            <Th>Format</Th>
+                            <Th>Model</Th>
+                            <Th isNumeric>Artifacts</Th>
+                            <Th isNumeric>Replied</Th>
+                            <Th isNumeric>Meetings</Th>
+                            <Th isNumeric>Positive Rate</Th>
+                          </Tr>
+                        </Thead>
+                        <Tbody>
+                          {outcomeReport.combinations.map(row => (
+                            <Tr key={`${row.roleCategory}-${row.outputFormat}-${row.model}`}>
+                              <Td>{row.roleCategory}</Td>
+                              <Td>{row.outputFormat}</Td>
+                              <Td>{row.model}</Td>
+                              <Td isNumeric>{row.artifacts}</Td>
+                              <Td isNumeric>{row.replied}</Td>
+                              <Td isNumeric>{row.meetingBooked}</Td>
+                              <Td isNumeric>{row.positiveRate}%</Td>
+                            </Tr>
+                          ))}
+                        </Tbody>
+                      </Table>
+                    </TableContainer>
+                  </VStack>
+                )}
+              </CardBody>
+            </Card>
+          </GridItem>
+
+          {/* LinkedIn Scraping Errors */}
+          <GridItem colSpan={{ base: 1, lg: 2 }}>
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Flex justify="space-between" align="center">
+                  <Heading size="md">
+                    <Icon as={FiLinkedin} mr="2" />
+                    LinkedIn Scraping Errors
+                  </Heading>
+                  {linkedinErrors.stats.totalErrors > 0 && (
+                    <Badge colorScheme={TREND_COLORS[linkedinErrors.analysis.errorTrend]}>
+                      {linkedinErrors.analysis.errorTrend}
+                    </Badge>
+                  )}
+                </Flex>
+              </CardHeader>
+              <CardBody>
+                {linkedinErrors.stats.totalErrors === 0 ? (
+                  <Text color="gray.500">No LinkedIn scraping errors logged</Text>
+                ) : (
+                  <Grid templateColumns={{ base: '1fr', lg: '1fr 2fr' }} gap={6}>
+                    <VStack spacing={3} align="stretch">
+                      <Text>
+                        <strong>{linkedinErrors.stats.totalErrors}</strong> errors logged, most often{' '}
+                        <Badge colorScheme="red">{linkedinErrors.analysis.mostCommonError}</Badge>{' '}
+                        ({linkedinErrors.analysis.mostCommonCount})
+                      </Text>
+                      {linkedinErrors.analysis.recommendedAction && (
+                        <Box>
+                          <Text fontWeight="bold" mb={1}>Recommended Action</Text>
+                          <Text fontSize="sm" whiteSpace="pre-wrap">{linkedinErrors.analysis.recommendedAction}</Text>
+                        </Box>
+                      )}
+                    </VStack>
+
+                    <VStack spacing={2} align="stretch">
+                      {linkedinErrors.recent.map((entry, index) => (
+                        <Box key={`${entry.timestamp}-${index}`} borderWidth="1px" borderRadius="md" p={2}>
+                          <HStack justify="space-between">
+                            <Badge colorScheme="red">{entry.errorType}</Badge>
+                            <Text fontSize="xs" color="gray.500">{new Date(entry.timestamp).toLocaleString()}</Text>
+                          </HStack>
+                          <Text fontSize="sm" mt={1}>{entry.message}</Text>
+                        </Box>
+                      ))}
+                    </VStack>
+                  </Grid>
+                )}
+              </CardBody>
+            </Card>
+          </GridItem>
+        </Grid>
+      )}
     </Box>
   );
 };
 
-export default DashboardTab;
\ No newline at end of file
+export default DashboardTab;
@@ -1,13 +1,558 @@
-import React from 'react';
-import { Box, Heading, Text } from '@chakra-ui/react';
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  GridItem,
+  Heading,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  Textarea,
+  Input,
+  Select,
+  Button,
+  Checkbox,
+  VStack,
+  HStack,
+  Card,
+  CardHeader,
+  CardBody,
+  Text,
+  Badge,
+  Divider,
+  Flex,
+  Icon,
+  IconButton,
+  Tabs,
+  TabList,
+  Tab,
+  TabPanels,
+  TabPanel,
+  useColorModeValue,
+  useToast
+} from '@chakra-ui/react';
+import {
+  FiMessageSquare,
+  FiSearch,
+  FiSend,
+  FiCopy,
+  FiSave,
+  FiAlertTriangle,
+  FiHelpCircle,
+  FiFileText,
+  FiUsers,
+  FiPlus,
+  FiPhoneCall,
+  FiTrash2
+} from 'react-icons/fi';
+import FormatSelector from '../components/common/FormatSelector';
+import ContentPreview from '../components/common/ContentPreview';
+import useStore from '../store';
+import apiService from '../services/apiService';
+
+const SENTIMENT_COLORS = {
+  positive: 'green',
+  neutral: 'gray',
+  negative: 'red'
+};
+
+const TURN_STYLES = {
+  outbound: { label: 'Sent', color: 'purple' },
+  inbound: { label: 'Received', color: 'blue' },
+  note: { label: 'Call note', color: 'orange' }
+};
 
 const MessageAnalysisTab = () => {
+  const {
+    clientMessage,
+    setClientMessage,
+    messageAnalysis,
+    messageLoading,
+    messageError,
+    analyzeMessage,
+    selectedQuestions,
+    toggleQuestion,
+    setSelectedQuestions,
+    generateMessageResponse,
+    responseLoading,
+    responseContent,
+    setResponseContent,
+    saveMessageResponse,
+    outputFormat,
+    setOutputFormat,
+    prospects,
+    messageThread,
+    setMessageThread,
+    addThreadTurn,
+    removeThreadTurn
+  } = useStore();
+
+  const toast = useToast();
+  const [prospectId, setProspectId] = useState(messageThread ? String(messageThread.prospectId) : '');
+  const [threads, setThreads] = useState([]);
+  const [newSubject, setNewSubject] = useState('');
+  const [noteText, setNoteText] = useState('');
+  const [threadBusy, setThreadBusy] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const showError = (title, error) => {
+    toast({
+      title,
+      description: error.message,
+      status: 'error',
+      duration: 5000,
+      isClosable: true
+    });
+  };
+
+  // Load the prospect's threads and keep the selected one if it belongs to them
+  useEffect(() => {
+    if (!prospectId) {
+      setThreads([]);
+      setMessageThread(null);
+      return;
+    }
+
+    let cancelled = false;
+    apiService.getThreads(prospectId)
+      .then(items => {
+        if (cancelled) return;
+        setThreads(items);
+        const current = useStore.getState().messageThread;
+        if (!current || !items.some(item => item.id === current.id)) {
+          setMessageThread(items[0] || null);
+        }
+      })
+      .catch(error => {
+        if (!cancelled) showError('Failed to load threads', error);
+      });
+    return () => { cancelled = true; };
+  }, [prospectId]);
+
+  // Keep the thread list in step with turns added to the selected thread
+  useEffect(() => {
+    if (messageThread) {
+      setThreads(items => items.map(item => (item.id === messageThread.id ? messageThread : item)));
+    }
+  }, [messageThread]);
+
+  const handleCreateThread = async () => {
+    setThreadBusy(true);
+    try {
+      const thread = await apiService.createThread(
+        prospectId,
+        newSubject.trim() || `Conversation ${new Date().toLocaleDateString()}`
+      );
+      setThreads(items => [thread, ...items]);
+      setMessageThread(thread);
+      setNewSubject('');
+    } catch (error) {
+      showError('Failed to start thread', error);
+    } finally {
+      setThreadBusy(false);
+    }
+  };
+
+  const handleAddNote = async () => {
+    setThreadBusy(true);
+    try {
+      await addThreadTurn({ direction: 'note', channel: 'phone', content: noteText });
+      setNoteText('');
+    } catch (error) {
+      showError('Failed to add call note', error);
+    } finally {
+      setThreadBusy(false);
+    }
+  };
+
+  const handleRemoveTurn = async (turnId) => {
+    try {
+      await removeThreadTurn(turnId);
+    } catch (error) {
+      showError('Failed to remove entry', error);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await saveMessageResponse(prospectId || null);
+      const prospect = prospects.find(item => String(item.id) === prospectId);
+      toast({
+        title: 'Reply saved',
+        description: prospect
+          ? `Added to ${prospect.name}'s history${messageThread ? ` and the "${messageThread.subject}" thread` : ''}`
+          : 'Saved to Saved Analyses',
+        status: 'success',
+        duration: 3000,
+        isClosable: true
+      });
+    } catch (error) {
+      showError('Failed to save reply', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Copy to clipboard function
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text)
+      .then(() => {
+        alert('Content copied to clipboard!');
+      })
+      .catch(err => {
+        console.error('Failed to copy: ', err);
+      });
+  };
+
+  const cardBg = useColorModeValue('white', 'brand.card.dark');
+  const questions = messageAnalysis?.questions || [];
+  const turns = messageThread?.turns || [];
+
   return (
     <Box>
-      <Heading size="lg" mb="6">Message Analysis</Heading>
-      <Text>Message analysis feature coming soon...</Text>
+      <Heading size="lg" mb="6">Client Message Analysis</Heading>
+
+      <Grid templateColumns={{ base: '1fr', lg: 'repeat(2, 1fr)' }} gap={6}>
+        {/* Input and Analysis Section */}
+        <GridItem>
+          <VStack spacing={6} align="stretch">
+            {/* Conversation thread */}
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiUsers} mr="2" />
+                  Conversation
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4} align="stretch">
+                  <FormControl>
+                    <FormLabel>Prospect</FormLabel>
+                    <Select
+                      value={prospectId}
+                      onChange={(e) => setProspectId(e.target.value)}
+                      placeholder="No prospect (one-off message)"
+                    >
+                      {prospects.map(prospect => (
+                        <option key={prospect.id} value={String(prospect.id)}>
+                          {prospect.name}{prospect.company ? ` (${prospect.company})` : ''}
+                        </option>
+                      ))}
+                    </Select>
+                    <FormHelperText>
+                      Earlier messages and call notes in the selected thread are sent along with the analysis and the reply.
+                    </FormHelperText>
+                  </FormControl>
+
+                  {prospectId && (
+                    <>
+                      <FormControl>
+                        <FormLabel>Thread</FormLabel>
+                        <Select
+                          value={messageThread ? messageThread.id : ''}
+                          onChange={(e) => setMessageThread(threads.find(item => item.id === e.target.value) || null)}
+                          placeholder="No thread"
+                        >
+                          {threads.map(thread => (
+                            <option key={thread.id} value={thread.id}>
+                              {thread.subject || 'Untitled'} ({thread.turns.length})
+                            </option>
+                          ))}
+                        </Select>
+                      </FormControl>
+
+                      <HStack>
+                        <Input
+                          size="sm"
+                          value={newSubject}
+                          onChange={(e) => setNewSubject(e.target.value)}
+                          placeholder="Subject of a new thread"
+                        />
+                        <Button
+                          size="sm"
+                          leftIcon={<FiPlus />}
+                          onClick={handleCreateThread}
+                          isLoading={threadBusy}
+                          flexShrink={0}
+                        >
+                          New Thread
+                        </Button>
+                      </HStack>
+                    </>
+                  )}
+
+                  {messageThread && (
+                    <>
+                      <Divider />
+                      {turns.length === 0 ? (
+                        <Text fontSize="sm" color="gray.500">Nothing logged in this thread yet</Text>
+                      ) : (
+                        <VStack spacing={3} align="stretch" maxH="320px" overflowY="auto">
+                          {turns.map(turn => (
+                            <Box key={turn.id} borderLeftWidth="3px" borderColor={`${TURN_STYLES[turn.direction].color}.400`} pl="3">
+                              <Flex justifyContent="space-between" alignItems="center">
+                                <HStack spacing={2}>
+                                  <Badge colorScheme={TURN_STYLES[turn.direction].color}>
+                                    {TURN_STYLES[turn.direction].label}
+                                  </Badge>
+                                  <Text fontSize="xs" color="gray.500">
+                                    {new Date(turn.createdAt).toLocaleString()}
+                                    {turn.channel ? ` · ${turn.channel}` : ''}
+                                  </Text>
+                                </HStack>
+                                <IconButton
+                                  size="xs"
+                                  variant="ghost"
+                                  aria-label="Remove from thread"
+                                  icon={<FiTrash2 />}
+                                  onClick={() => handleRemoveTurn(turn.id)}
+                                />
+                              </Flex>
+                              <Text fontSize="sm" whiteSpace="pre-wrap" noOfLines={6}>{turn.content}</Text>
+                            </Box>
+                          ))}
+                        </VStack>
+                      )}
+
+                      <Textarea
+                        size="sm"
+                        value={noteText}
+                        onChange={(e) => setNoteText(e.target.value)}
+                        placeholder="Notes from a call with the prospect..."
+                        rows={3}
+                      />
+                      <Button
+                        size="sm"
+                        leftIcon={<FiPhoneCall />}
+                        onClick={handleAddNote}
+                        isLoading={threadBusy}
+                        isDisabled={!noteText.trim()}
+                        alignSelf="flex-start"
+                      >
+                        Add Call Note
+                      </Button>
+                    </>
+                  )}
+                </VStack>
+              </CardBody>
+            </Card>
+
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Heading size="md">
+                  <Icon as={FiMessageSquare} mr="2" />
+                  Client Message
+                </Heading>
+              </CardHeader>
+              <CardBody>
+                <form onSubmit={(e) => { e.preventDefault(); analyzeMessage(); }}>
+                  <VStack spacing={4} align="stretch">
+                    <FormControl isRequired>
+                      <FormLabel>Email or Message Thread</FormLabel>
+                      <Textarea
+                        value={clientMessage}
+                        onChange={(e) => setClientMessage(e.target.value)}
+                        placeholder="Paste the client's email or the whole thread here..."
+                        rows={10}
+                        isDisabled={messageLoading}
+                      />
+                      <FormHelperText>
+                        Sentiment, topics and every question the client asked are extracted so you can pick what to answer.
+                      </FormHelperText>
+                    </FormControl>
+
+                    <Button
+                      type="submit"
+                      colorScheme="purple"
+                      isLoading={messageLoading}
+                      loadingText="Analyzing message..."
+                      leftIcon={<FiSearch />}
+                      isDisabled={!clientMessage || messageLoading}
+                    >
+                      Analyze Message
+                    </Button>
+                  </VStack>
+                </form>
+              </CardBody>
+            </Card>
+
+            {/* Error Message */}
+            {messageError && (
+              <Card bg="red.50" borderColor="red.300" borderWidth="1px" shadow="md" borderRadius="lg">
+                <CardBody>
+                  <HStack>
+                    <Icon as={FiAlertTriangle} color="red.500" />
+                    <Text color="red.500">{messageError}</Text>
+                  </HStack>
+                </CardBody>
+              </Card>
+            )}
+
+            {/* Analysis */}
+            {messageAnalysis && (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardHeader>
+                  <Flex justifyContent="space-between" alignItems="center">
+                    <Heading size="md">
+                      <Icon as={FiHelpCircle} mr="2" />
+                      Message Analysis
+                    </Heading>
+                    <Badge colorScheme={SENTIMENT_COLORS[messageAnalysis.sentiment] || 'gray'} px="2" py="1">
+                      {messageAnalysis.sentiment}
+                    </Badge>
+                  </Flex>
+                </CardHeader>
+                <CardBody>
+                  <VStack spacing={4} align="stretch">
+                    {messageAnalysis.topics.length > 0 && (
+                      <Box>
+                        <Text fontWeight="bold" mb="2">Topics:</Text>
+                        <Flex flexWrap="wrap" gap="2">
+                          {messageAnalysis.topics.map((topic, index) => (
+                            <Badge key={index} colorScheme="purple" px="2" py="1" borderRadius="md">
+                              {topic}
+                            </Badge>
+                          ))}
+                        </Flex>
+                      </Box>
+                    )}
+
+                    <Divider />
+
+                    <Box>
+                      <Flex justifyContent="space-between" alignItems="center" mb="2">
+                        <Text fontWeight="bold">Questions to Answer:</Text>
+                        {questions.length > 1 && (
+                          <HStack spacing={1}>
+                            <Button size="xs" variant="ghost" onClick={() => setSelectedQuestions([...questions])}>
+                              All
+                            </Button>
+                            <Button size="xs" variant="ghost" onClick={() => setSelectedQuestions([])}>
+                              None
+                            </Button>
+                          </HStack>
+                        )}
+                      </Flex>
+                      {questions.length === 0 ? (
+                        <Text fontSize="sm" color="gray.500">No questions were found in this message</Text>
+                      ) : (
+                        <VStack spacing={2} align="stretch">
+                          {questions.map((question, index) => (
+                            <Checkbox
+                              key={index}
+                              colorScheme="purple"
+                              isChecked={selectedQuestions.includes(question)}
+                              onChange={() => toggleQuestion(question)}
+                              isDisabled={responseLoading}
+                            >
+                              <Text fontSize="sm">{question}</Text>
+                            </Checkbox>
+                          ))}
+                        </VStack>
+                      )}
+                    </Box>
+
+                    <Divider />
+
+                    <FormatSelector
+                      selectedFormat={outputFormat}
+                      onChange={setOutputFormat}
+                    />
+
+                    <Button
+                      colorScheme="purple"
+                      leftIcon={<FiSend />}
+                      onClick={generateMessageResponse}
+                      isLoading={responseLoading}
+                      loadingText="Drafting reply..."
+                    >
+                      {responseContent ? 'Regenerate Reply' : 'Generate Reply'}
+                      {questions.length > 0 && ` (${selectedQuestions.length} of ${questions.length} questions)`}
+                    </Button>
+                  </VStack>
+                </CardBody>
+              </Card>
+            )}
+          </VStack>
+        </GridItem>
+
+        {/* Reply Section */}
+        <GridItem>
+          {responseContent !== null ? (
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardHeader>
+                <Flex justifyContent="space-between" alignItems="center">
+                  <Heading size="md">
+                    <Icon as={FiFileText} mr="2" />
+                    Reply
+                  </Heading>
+                  <Button size="sm" leftIcon={<FiCopy />} onClick={() => copyToClipboard(responseContent)}>
+                    Copy
+                  </Button>
+                </Flex>
+              </CardHeader>
+              <CardBody>
+                <VStack spacing={4} align="stretch">
+                  <Tabs variant="soft-rounded" colorScheme="purple" size="sm">
+                    <TabList>
+                      <Tab>Edit</Tab>
+                      <Tab>Preview</Tab>
+                    </TabList>
+                    <TabPanels>
+                      <TabPanel px={0}>
+                        <Textarea
+                          value={responseContent}
+                          onChange={(e) => setResponseContent(e.target.value)}
+                          rows={16}
+                          fontSize="sm"
+                          isDisabled={responseLoading}
+                        />
+                      </TabPanel>
+                      <TabPanel px={0}>
+                        <ContentPreview content={responseContent} outputFormat={outputFormat} />
+                      </TabPanel>
+                    </TabPanels>
+                  </Tabs>
+
+                  <Divider />
+
+                  <Text fontSize="sm" color="gray.500">
+                    {!prospectId
+                      ? 'Pick a prospect under Conversation to add the reply to their history.'
+                      : messageThread
+                        ? 'Saving logs the client message and this reply to the selected thread.'
+                        : 'Saving adds the reply to the prospect\'s history.'}
+                  </Text>
+
+                  <Button
+                    leftIcon={<FiSave />}
+                    onClick={handleSave}
+                    isLoading={saving}
+                    loadingText="Saving..."
+                    isDisabled={!responseContent.trim() || responseLoading}
+                    alignSelf="flex-start"
+                  >
+                    Save Reply
+                  </Button>
+                </VStack>
+              </CardBody>
+            </Card>
+          ) : (
+            <Card bg={cardBg} shadow="md" borderRadius="lg">
+              <CardBody>
+                <Text color="gray.500" textAlign="center" py={10}>
+                  {messageAnalysis
+                    ? 'Pick the questions to answer and generate a reply'
+                    : 'Analyze a client message to draft a reply'}
+                </Text>
+              </CardBody>
+            </Card>
+          )}
+        </GridItem>
+      </Grid>
     </Box>
   );
 };
 
-export default MessageAnalysisTab;
\ No newline at end of file
+export default MessageAnalysisTab;
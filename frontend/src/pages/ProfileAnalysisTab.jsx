@@ -28,7 +28,12 @@ import {
   AccordionItem,
   AccordionButton,
   AccordionPanel,
-  AccordionIcon
+  AccordionIcon,
+  Progress,
+  Select,
+  SimpleGrid,
+  Checkbox,
+  useToast
 } from '@chakra-ui/react';
 import { 
   FiUser, 
@@ -43,14 +48,19 @@ import {
   FiFileText,
   FiBriefcase,
   FiCpu,
-  FiSettings
+  FiSettings,
+  FiCalendar,
+  FiColumns
 } from 'react-icons/fi';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls } from '@react-three/drei';
 import AIVisualization from '../components/visualization/AIVisualization';
-import LoadingSpinner from '../components/common/LoadingSpinner';
 import FormatSelector from '../components/common/FormatSelector';
 import ContentPreview from '../components/common/ContentPreview';
+import SequenceTimeline from '../components/results/SequenceTimeline';
+import CitationList from '../components/results/CitationList';
+import ClaimCheck from '../components/results/ClaimCheck';
+import ResearchAge from '../components/results/ResearchAge';
 import useStore from '../store';
 import useModelSettings from '../hooks/useModelSettings';
 
@@ -66,22 +76,78 @@ const ProfileAnalysisTab = () => {
     outputFormat,
     setOutputFormat,
     processingStage,
-    saveAnalysis
+    jobStatus,
+    streamingContent,
+    saveAnalysis,
+    sequence,
+    sequenceLoading,
+    sequenceError,
+    sequenceJobStatus,
+    generateSequence,
+    variants,
+    variantsLoading,
+    variantsError,
+    variantErrors,
+    sentVariantId,
+    generateVariants,
+    markVariantSent
   } = useStore();
   
+  const toast = useToast();
+  
   // Get model settings
   const { getModelOptions } = useModelSettings();
   
   // Local state
   const [additionalContext, setAdditionalContext] = useState('');
   const [generatedMetadata, setGeneratedMetadata] = useState(null);
+  const [variantCount, setVariantCount] = useState(3);
+  const [markingVariant, setMarkingVariant] = useState(null);
+  const [refreshResearch, setRefreshResearch] = useState(false);
+  
+  // Model settings plus whether to bypass stored company research
+  const getAnalysisOptions = () => (
+    refreshResearch ? { ...getModelOptions(), refreshResearch: true } : getModelOptions()
+  );
   
   // Create a custom analyze function that uses the model settings and additional context
   const handleAnalysis = () => {
-    const modelOptions = getModelOptions();
+    const modelOptions = getAnalysisOptions();
     analyzeProfile(additionalContext, modelOptions);
   };
   
+  const handleVariants = () => {
+    generateVariants(additionalContext, getAnalysisOptions(), variantCount);
+  };
+  
+  const handleMarkSent = async (variant) => {
+    setMarkingVariant(variant.id);
+    try {
+      await markVariantSent(variant.id);
+      toast({
+        title: `"${variant.label}" marked as sent`,
+        description: 'Saved with all variants for win-rate reporting',
+        status: 'success',
+        duration: 3000,
+        isClosable: true
+      });
+    } catch (error) {
+      toast({
+        title: 'Failed to record the sent variant',
+        description: error.message,
+        status: 'error',
+        duration: 5000,
+        isClosable: true
+      });
+    } finally {
+      setMarkingVariant(null);
+    }
+  };
+  
+  const handleSequence = () => {
+    generateSequence(additionalContext, getAnalysisOptions());
+  };
+  
   // Copy to clipboard function
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text)
@@ -152,6 +218,15 @@ const ProfileAnalysisTab = () => {
                     />
                   </FormControl>
                   
+                  <Checkbox
+                    colorScheme="purple"
+                    isChecked={refreshResearch}
+                    onChange={(e) => setRefreshResearch(e.target.checked)}
+                    isDisabled={profileLoading}
+                  >
+                    <Text fontSize="sm">Research the company again instead of using stored research</Text>
+                  </Checkbox>
+                  
                   {/* Format Selector Component */}
                   <FormatSelector 
                     selectedFormat={outputFormat} 
@@ -174,6 +249,7 @@ const ProfileAnalysisTab = () => {
                     colorScheme="purple"
                     isLoading={profileLoading}
                     loadingText={
+                      jobStatus?.stageLabel ? `${jobStatus.stageLabel}...` :
                       processingStage === 'loading' ? 'Collecting data...' :
                       processingStage === 'analyzing' ? 'Analyzing profile...' :
                       processingStage === 'generating' ? 'Generating content...' :
@@ -196,32 +272,38 @@ const ProfileAnalysisTab = () => {
             {/* AI Visualization */}
             <Card bg={cardBg} shadow="md" borderRadius="lg" overflow="hidden">
               <Box height="250px" bg="gray.900" position="relative">
-                {profileLoading ? (
-                  <Box position="absolute" top="0" left="0" right="0" bottom="0" display="flex" alignItems="center" justifyContent="center">
-                    <LoadingSpinner />
-                  </Box>
-                ) : (
-                  <Canvas camera={{ position: [0, 0, 5], fov: 75 }}>
-                    <ambientLight intensity={0.5} />
-                    <pointLight position={[10, 10, 10]} />
-                    <AIVisualization activeTab="profile" stage={processingStage} />
-                    <OrbitControls enableZoom={false} enablePan={false} />
-                  </Canvas>
-                )}
+                <Canvas camera={{ position: [0, 0, 5], fov: 75 }}>
+                  <ambientLight intensity={0.5} />
+                  <pointLight position={[10, 10, 10]} />
+                  <AIVisualization activeTab="profile" stage={processingStage} />
+                  <OrbitControls enableZoom={false} enablePan={false} />
+                </Canvas>
               </Box>
               <CardBody>
                 <Box textAlign="center">
                   {processingStage === 'idle' && (
                     <Text fontWeight="medium">Ready to analyze LinkedIn profile</Text>
                   )}
-                  {processingStage === 'loading' && (
-                    <Text fontWeight="medium">Collecting profile data...</Text>
-                  )}
-                  {processingStage === 'analyzing' && (
-                    <Text fontWeight="medium">Researching role and company...</Text>
-                  )}
-                  {processingStage === 'generating' && (
-                    <Text fontWeight="medium">Creating personalized content...</Text>
+                  {profileLoading && (
+                    <VStack spacing={2}>
+                      <Text fontWeight="medium">
+                        {jobStatus?.stageLabel || (jobStatus?.status === 'queued' ? 'Waiting in queue...' : 'Collecting profile data...')}
+                      </Text>
+                      <Progress
+                        value={jobStatus?.progress || 0}
+                        size="sm"
+                        width="100%"
+                        colorScheme="purple"
+                        borderRadius="full"
+                        hasStripe
+                        isAnimated
+                      />
+                      {jobStatus?.stages && (
+                        <Text fontSize="xs" color="gray.500">
+                          Step {Math.max(jobStatus.stages.findIndex(stage => stage.id === jobStatus.stage) + 1, 1)} of {jobStatus.stages.length}
+                        </Text>
+                      )}
+                    </VStack>
                   )}
                   {processingStage === 'complete' && (
                     <HStack justifyContent="center" spacing={1}>
@@ -245,6 +327,27 @@ const ProfileAnalysisTab = () => {
               </Card>
             )}
             
+            {/* Sales copy as it streams in from the backend job */}
+            {profileLoading && streamingContent && (
+              <Card bg={cardBg} shadow="md" borderRadius="lg">
+                <CardHeader>
+                  <Flex justifyContent="space-between" alignItems="center">
+                    <Heading size="md">
+                      <Icon as={FiFileText} mr="2" />
+                      Generated Content
+                    </Heading>
+                    <Badge colorScheme="purple">Writing...</Badge>
+                  </Flex>
+                </CardHeader>
+                <CardBody>
+                  <ContentPreview 
+                    content={streamingContent} 
+                    outputFormat={outputFormat}
+                  />
+                </CardBody>
+              </Card>
+            )}
+            
             {/* Results Preview (only shown when data is available) */}
             {profileData && profileContent && (
               <VStack spacing={6} align="stretch">
@@ -270,6 +373,166 @@ const ProfileAnalysisTab = () => {
                   </CardBody>
                 </Card>
                 
+                {/* A/B Variants */}
+                <Card bg={cardBg} shadow="md" borderRadius="lg">
+                  <CardHeader>
+                    <Flex justifyContent="space-between" alignItems="center" gap={2}>
+                      <Heading size="md">
+                        <Icon as={FiColumns} mr="2" />
+                        A/B Variants
+                      </Heading>
+                      <HStack>
+                        <Select
+                          size="sm"
+                          w="auto"
+                          value={variantCount}
+                          onChange={(e) => setVariantCount(Number(e.target.value))}
+                          isDisabled={variantsLoading}
+                        >
+                          {[2, 3, 4, 5].map(count => (
+                            <option key={count} value={count}>{count} angles</option>
+                          ))}
+                        </Select>
+                        <Button
+                          size="sm"
+                          colorScheme="purple"
+                          variant={variants ? 'outline' : 'solid'}
+                          onClick={handleVariants}
+                          isLoading={variantsLoading}
+                          loadingText="Writing variants..."
+                        >
+                          {variants ? 'Regenerate' : 'Generate Variants'}
+                        </Button>
+                      </HStack>
+                    </Flex>
+                  </CardHeader>
+                  <CardBody>
+                    {variantsError && (
+                      <HStack mb={4}>
+                        <Icon as={FiAlertTriangle} color="red.500" />
+                        <Text color="red.500" fontSize="sm">{variantsError}</Text>
+                      </HStack>
+                    )}
+                    {variants && variantErrors.map(failure => (
+                      <HStack key={failure.id} mb={4}>
+                        <Icon as={FiAlertTriangle} color="orange.500" />
+                        <Text color="orange.600" fontSize="sm">{failure.label} variant could not be written: {failure.error}</Text>
+                      </HStack>
+                    ))}
+                    {variants ? (
+                      <SimpleGrid columns={{ base: 1, md: Math.min(variants.length, 3) }} spacing={4}>
+                        {variants.map(variant => (
+                          <Box
+                            key={variant.id}
+                            borderWidth={sentVariantId === variant.id ? '2px' : '1px'}
+                            borderColor={sentVariantId === variant.id ? 'green.400' : borderColor}
+                            borderRadius="md"
+                            p={3}
+                          >
+                            <VStack align="stretch" spacing={3} h="100%">
+                              <Flex justifyContent="space-between" alignItems="center">
+                                <Badge colorScheme="purple">{variant.label}</Badge>
+                                <HStack spacing={1}>
+                                  {variant.verification?.unsupportedCount > 0 && (
+                                    <Tooltip label={variant.verification.unsupported.map(claim => claim.text).join(', ')}>
+                                      <Badge colorScheme="orange">{variant.verification.unsupportedCount} unsupported</Badge>
+                                    </Tooltip>
+                                  )}
+                                  {variant.citations?.unsourcedClaims > 0 && (
+                                    <Tooltip label={variant.citations.claims.filter(claim => !claim.sourced).map(claim => claim.text).join(' ')}>
+                                      <Badge colorScheme="orange">{variant.citations.unsourcedClaims} unsourced</Badge>
+                                    </Tooltip>
+                                  )}
+                                  {sentVariantId === variant.id && <Badge colorScheme="green">Sent</Badge>}
+                                </HStack>
+                              </Flex>
+                              <Text fontSize="xs" color="gray.500">{variant.focus}</Text>
+                              <Text fontSize="sm" whiteSpace="pre-wrap" flex="1">{variant.content}</Text>
+                              <HStack>
+                                <Button size="xs" leftIcon={<FiCopy />} onClick={() => copyToClipboard(variant.content)}>
+                                  Copy
+                                </Button>
+                                <Button
+                                  size="xs"
+                                  colorScheme="green"
+                                  variant={sentVariantId === variant.id ? 'solid' : 'outline'}
+                                  leftIcon={<FiCheck />}
+                                  onClick={() => handleMarkSent(variant)}
+                                  isLoading={markingVariant === variant.id}
+                                  isDisabled={sentVariantId === variant.id}
+                                >
+                                  {sentVariantId === variant.id ? 'Sent' : 'Mark as Sent'}
+                                </Button>
+                              </HStack>
+                            </VStack>
+                          </Box>
+                        ))}
+                      </SimpleGrid>
+                    ) : (
+                      !variantsLoading && (
+                        <Text fontSize="sm" color="gray.500">
+                          Write the message from different angles, such as safety-first, theft prevention or the "4 Extra Employees" ROI pitch, and record which one you sent.
+                        </Text>
+                      )
+                    )}
+                  </CardBody>
+                </Card>
+                
+                {/* Outreach Sequence */}
+                <Card bg={cardBg} shadow="md" borderRadius="lg">
+                  <CardHeader>
+                    <Flex justifyContent="space-between" alignItems="center">
+                      <Heading size="md">
+                        <Icon as={FiCalendar} mr="2" />
+                        Outreach Sequence
+                      </Heading>
+                      <Button
+                        size="sm"
+                        colorScheme="purple"
+                        variant={sequence ? 'outline' : 'solid'}
+                        onClick={handleSequence}
+                        isLoading={sequenceLoading}
+                        loadingText={sequenceJobStatus?.stageLabel || 'Starting...'}
+                      >
+                        {sequence ? 'Regenerate' : 'Generate Sequence'}
+                      </Button>
+                    </Flex>
+                  </CardHeader>
+                  <CardBody>
+                    {sequenceLoading && (
+                      <Progress value={sequenceJobStatus?.progress || 0} size="xs" colorScheme="purple" mb={4} borderRadius="full" />
+                    )}
+                    {sequenceError && (
+                      <HStack mb={4}>
+                        <Icon as={FiAlertTriangle} color="red.500" />
+                        <Text color="red.500" fontSize="sm">{sequenceError}</Text>
+                      </HStack>
+                    )}
+                    {sequence && (sequence.stepErrors || []).map(failure => (
+                      <HStack key={failure.step} mb={4}>
+                        <Icon as={FiAlertTriangle} color="orange.500" />
+                        <Text color="orange.600" fontSize="sm">
+                          Touch {failure.step} ({failure.label}, day {failure.day}) could not be written: {failure.error}
+                        </Text>
+                      </HStack>
+                    ))}
+                    {sequence ? (
+                      <>
+                        <Text fontSize="sm" color="gray.500" mb={4}>
+                          {sequence.steps.length} touches over {sequence.totalDays} days, each written with the earlier ones in mind
+                        </Text>
+                        <SequenceTimeline sequence={sequence} onCopy={copyToClipboard} />
+                      </>
+                    ) : (
+                      !sequenceLoading && (
+                        <Text fontSize="sm" color="gray.500">
+                          Turn this analysis into a cadence: intro email, LinkedIn connect, follow-up email, call script and breakup email.
+                        </Text>
+                      )
+                    )}
+                  </CardBody>
+                </Card>
+                
                 {/* Profile Insights */}
                 <Card bg={cardBg} shadow="md" borderRadius="lg">
                   <CardHeader>
@@ -355,6 +618,7 @@ const ProfileAnalysisTab = () => {
                                   {generatedMetadata.researchSummary && (
                                     <Box>
                                       <Text fontWeight="bold" fontSize="sm">Research Summary:</Text>
+                                      <ResearchAge researchSummary={generatedMetadata.researchSummary} />
                                       <Grid templateColumns={{ base: '1fr', sm: 'repeat(2, 1fr)' }} gap={2} mt={2}>
                                         <Box>
                                           <Text fontSize="xs" color="gray.500">Company Size:</Text>
@@ -385,6 +649,34 @@ const ProfileAnalysisTab = () => {
                                     </Box>
                                   )}
                                   
+                                  {generatedMetadata.verification && (
+                                    <Box>
+                                      <HStack mb={2}>
+                                        <Text fontWeight="bold" fontSize="sm">Fact Check:</Text>
+                                        {generatedMetadata.verification.unsupportedCount > 0 && (
+                                          <Badge colorScheme="orange">
+                                            {generatedMetadata.verification.unsupportedCount} unsupported
+                                          </Badge>
+                                        )}
+                                      </HStack>
+                                      <ClaimCheck verification={generatedMetadata.verification} />
+                                    </Box>
+                                  )}
+                                  
+                                  {generatedMetadata.citations && (
+                                    <Box>
+                                      <HStack mb={2}>
+                                        <Text fontWeight="bold" fontSize="sm">Claims and Sources:</Text>
+                                        {generatedMetadata.citations.unsourcedClaims > 0 && (
+                                          <Badge colorScheme="orange">
+                                            {generatedMetadata.citations.unsourcedClaims} unsourced
+                                          </Badge>
+                                        )}
+                                      </HStack>
+                                      <CitationList citations={generatedMetadata.citations} />
+                                    </Box>
+                                  )}
+                                  
                                   <Divider />
                                   
                                   <HStack justifyContent="space-between">
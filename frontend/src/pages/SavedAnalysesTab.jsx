@@ -1,13 +1,820 @@
-import React from 'react';
-import { Box, Heading, Text } from '@chakra-ui/react';
+import React, { useState, useMemo, useEffect } from 'react';
+import {
+  Box,
+  Grid,
+  Heading,
+  FormControl,
+  FormLabel,
+  Input,
+  InputGroup,
+  InputLeftElement,
+  Select,
+  Button,
+  IconButton,
+  VStack,
+  HStack,
+  SimpleGrid,
+  Card,
+  CardHeader,
+  CardBody,
+  Text,
+  Badge,
+  Flex,
+  Icon,
+  Link,
+  Progress,
+  Table,
+  Thead,
+  Tbody,
+  Tr,
+  Th,
+  Td,
+  TableContainer,
+  Accordion,
+  AccordionItem,
+  AccordionButton,
+  AccordionPanel,
+  AccordionIcon,
+  Modal,
+  ModalOverlay,
+  ModalContent,
+  ModalHeader,
+  ModalCloseButton,
+  ModalBody,
+  useDisclosure,
+  useColorModeValue,
+  useToast
+} from '@chakra-ui/react';
+import {
+  FiSearch,
+  FiEye,
+  FiTrash2,
+  FiRefreshCw,
+  FiAlertTriangle,
+  FiBookmark,
+  FiExternalLink,
+  FiFlag,
+  FiInfo
+} from 'react-icons/fi';
+import ContentPreview from '../components/common/ContentPreview';
+import CitationList from '../components/results/CitationList';
+import ClaimCheck from '../components/results/ClaimCheck';
+import ResearchAge from '../components/results/ResearchAge';
+import apiService from '../services/apiService';
+import useStore from '../store';
+import useModelSettings from '../hooks/useModelSettings';
+
+const TYPE_COLORS = {
+  profile: 'purple',
+  company: 'blue',
+  message: 'green'
+};
+
+// Labels for the two-agent process fields stored with profile analyses
+const PROCESS_FIELDS = [
+  { key: 'fineTuningPrompt', label: 'Fine-tuning Agent Prompt' },
+  { key: 'fineTuningOutput', label: 'Fine-tuning Agent Output (Sales Copy Prompt Guidance)' },
+  { key: 'salesCopyPrompt', label: 'Sales Copy Agent Prompt' },
+  { key: 'directPrompt', label: 'Direct Sales Copy Prompt (Fine-tuning Skipped)' },
+  { key: 'originalContent', label: 'Copy Before the Fact-Check Rewrite' }
+];
+
+// Outcome events in funnel order; replied and meeting booked count as positive
+const OUTCOME_EVENTS = [
+  { value: 'sent', label: 'Sent', color: 'gray' },
+  { value: 'opened', label: 'Opened', color: 'blue' },
+  { value: 'replied', label: 'Replied', color: 'green' },
+  { value: 'meeting_booked', label: 'Meeting Booked', color: 'purple' },
+  { value: 'lost', label: 'Lost', color: 'red' }
+];
+
+/**
+ * Generated content of an analysis
+ * @param {Object} analysis - Saved analysis
+ * @returns {string} - Content text
+ */
+const getContent = (analysis) => {
+  if (analysis.type === 'profile') return analysis.profileContent || '';
+  if (analysis.type === 'company') return analysis.companyContent || '';
+  return analysis.responseContent || '';
+};
+
+/**
+ * Short title for an analysis
+ * @param {Object} analysis - Saved analysis
+ * @returns {string} - Title
+ */
+const getTitle = (analysis) => {
+  if (analysis.type === 'profile') {
+    const { name, title, company } = analysis.profileData || {};
+    return [name, [title, company].filter(Boolean).join(' at ')].filter(Boolean).join(', ') || 'Profile analysis';
+  }
+  if (analysis.type === 'company') return analysis.companyData?.name || 'Company analysis';
+  const message = analysis.clientMessage || '';
+  return message.length > 60 ? `${message.substring(0, 60)}...` : message || 'Message analysis';
+};
+
+/**
+ * Models used to generate an analysis
+ * @param {Object} analysis - Saved analysis
+ * @returns {Array<string>} - Model ids
+ */
+const getModels = (analysis) => {
+  const agentProcess = analysis.metadata?.process || {};
+  const models = analysis.modelOptions || {
+    fineTuningModel: agentProcess.fineTuningModel,
+    salesCopyModel: agentProcess.salesCopyModel
+  };
+  return [models.fineTuningModel, models.salesCopyModel].filter(Boolean);
+};
+
+// Everything the full-text search looks at, lower-cased
+const getSearchText = (analysis) => [
+  getTitle(analysis),
+  getContent(analysis),
+  analysis.clientMessage,
+  analysis.sourceUrl,
+  analysis.messageAnalysis ? JSON.stringify(analysis.messageAnalysis) : '',
+  analysis.companyData?.industry,
+  analysis.metadata?.process?.fineTuningOutput
+].filter(Boolean).join('\n').toLowerCase();
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '-');
 
 const SavedAnalysesTab = () => {
+  const { savedAnalyses, deleteAnalysis, rerunAnalysis } = useStore();
+  const { fineTuningModels, salesCopyModels, selectedFineTuner, selectedSalesCopy } = useModelSettings();
+  const toast = useToast();
+  const { isOpen, onOpen, onClose } = useDisclosure();
+
+  // Filters
+  const [search, setSearch] = useState('');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [formatFilter, setFormatFilter] = useState('');
+  const [modelFilter, setModelFilter] = useState('');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+
+  // Detail view and re-run
+  const [selectedId, setSelectedId] = useState(null);
+  const [rerunModels, setRerunModels] = useState({ fineTuningModel: '', salesCopyModel: '' });
+  const [rerunStatus, setRerunStatus] = useState(null);
+  const [rerunning, setRerunning] = useState(false);
+  const [rerunError, setRerunError] = useState(null);
+
+  // Outcomes logged against the open analysis
+  const [outcomes, setOutcomes] = useState([]);
+  const [outcomeNotes, setOutcomeNotes] = useState('');
+  const [loggingEvent, setLoggingEvent] = useState(null);
+
+  const modelOptions = useMemo(
+    () => Array.from(new Set(savedAnalyses.flatMap(getModels))).sort(),
+    [savedAnalyses]
+  );
+
+  const filteredAnalyses = useMemo(() => {
+    const terms = search.toLowerCase().split(/\s+/).filter(Boolean);
+    // Date inputs are local days; include the whole "to" day
+    const from = fromDate ? new Date(`${fromDate}T00:00:00`).getTime() : null;
+    const to = toDate ? new Date(`${toDate}T23:59:59.999`).getTime() : null;
+
+    return savedAnalyses
+      .filter(analysis => {
+        if (typeFilter && analysis.type !== typeFilter) return false;
+        if (formatFilter && analysis.outputFormat !== formatFilter) return false;
+        if (modelFilter && !getModels(analysis).includes(modelFilter)) return false;
+
+        const createdAt = new Date(analysis.createdAt).getTime();
+        if (from !== null && createdAt < from) return false;
+        if (to !== null && createdAt > to) return false;
+
+        if (terms.length > 0) {
+          const text = getSearchText(analysis);
+          return terms.every(term => text.includes(term));
+        }
+        return true;
+      })
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }, [savedAnalyses, search, typeFilter, formatFilter, modelFilter, fromDate, toDate]);
+
+  const selected = savedAnalyses.find(analysis => analysis.id === selectedId) || null;
+
+  // The original analysis and all of its re-runs, oldest first
+  const versions = useMemo(() => {
+    if (!selected) return [];
+    const rootId = selected.parentId || selected.id;
+    return savedAnalyses
+      .filter(analysis => analysis.id === rootId || analysis.parentId === rootId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }, [savedAnalyses, selected]);
+
+  useEffect(() => {
+    if (!selectedId) return;
+    setOutcomes([]);
+    apiService.getOutcomes({ analysisId: selectedId })
+      .then(setOutcomes)
+      .catch(() => setOutcomes([]));
+  }, [selectedId]);
+
+  const hasFilters = search || typeFilter || formatFilter || modelFilter || fromDate || toDate;
+
+  const clearFilters = () => {
+    setSearch('');
+    setTypeFilter('');
+    setFormatFilter('');
+    setModelFilter('');
+    setFromDate('');
+    setToDate('');
+  };
+
+  const openAnalysis = (analysis) => {
+    setSelectedId(analysis.id);
+    setRerunModels({ fineTuningModel: selectedFineTuner, salesCopyModel: selectedSalesCopy });
+    setRerunStatus(null);
+    setRerunError(null);
+    setOutcomeNotes('');
+    onOpen();
+  };
+
+  const handleDelete = async (analysis) => {
+    if (!window.confirm(`Delete "${getTitle(analysis)}"?`)) return;
+    await deleteAnalysis(analysis.id);
+    if (analysis.id === selectedId) onClose();
+  };
+
+  const handleRerun = async () => {
+    setRerunning(true);
+    setRerunError(null);
+    setRerunStatus(null);
+
+    try {
+      await rerunAnalysis(selected.id, rerunModels, setRerunStatus);
+      toast({
+        title: 'Re-run complete',
+        description: 'The new version was saved next to the original.',
+        status: 'success',
+        duration: 4000,
+        isClosable: true
+      });
+    } catch (err) {
+      setRerunError(err.message);
+    } finally {
+      setRerunning(false);
+      setRerunStatus(null);
+    }
+  };
+
+  const handleLogOutcome = async (event) => {
+    setLoggingEvent(event);
+    try {
+      const outcome = await apiService.logOutcome({
+        analysisId: selected.id,
+        event,
+        variantId: selected.sentVariant?.id,
+        notes: outcomeNotes
+      });
+      setOutcomes([outcome, ...outcomes]);
+      setOutcomeNotes('');
+    } catch (err) {
+      toast({
+        title: 'Could not log outcome',
+        description: err.message,
+        status: 'error',
+        duration: 4000,
+        isClosable: true
+      });
+    } finally {
+      setLoggingEvent(null);
+    }
+  };
+
+  const handleDeleteOutcome = async (outcomeId) => {
+    try {
+      await apiService.deleteOutcome(outcomeId);
+      setOutcomes(outcomes.filter(outcome => outcome.id !== outcomeId));
+    } catch (err) {
+      toast({
+        title: 'Could not delete outcome',
+        description: err.message,
+        status: 'error',
+        duration: 4000,
+        isClosable: true
+      });
+    }
+  };
+
+  const cardBg = useColorModeValue('white', 'brand.card.dark');
+  const preBg = useColorModeValue('gray.50', 'gray.700');
+
   return (
     <Box>
       <Heading size="lg" mb="6">Saved Analyses</Heading>
-      <Text>Saved analyses feature coming soon...</Text>
+
+      <VStack spacing={6} align="stretch">
+        {/* Search and Filters */}
+        <Card bg={cardBg} shadow="md" borderRadius="lg">
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              <InputGroup>
+                <InputLeftElement pointerEvents="none">
+                  <Icon as={FiSearch} color="gray.400" />
+                </InputLeftElement>
+                <Input
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                  placeholder="Search generated content, names, messages..."
+                />
+              </InputGroup>
+
+              <SimpleGrid columns={{ base: 1, md: 3, xl: 5 }} spacing={4}>
+                <FormControl>
+                  <FormLabel fontSize="sm">Type</FormLabel>
+                  <Select size="sm" value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+                    <option value="">All types</option>
+                    <option value="profile">Profile</option>
+                    <option value="company">Company</option>
+                    <option value="message">Message</option>
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">Output Format</FormLabel>
+                  <Select size="sm" value={formatFilter} onChange={(e) => setFormatFilter(e.target.value)}>
+                    <option value="">All formats</option>
+                    <option value="email">Email</option>
+                    <option value="linkedin">LinkedIn</option>
+                    <option value="phone">Phone</option>
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">Model</FormLabel>
+                  <Select size="sm" value={modelFilter} onChange={(e) => setModelFilter(e.target.value)}>
+                    <option value="">All models</option>
+                    {modelOptions.map(model => (
+                      <option key={model} value={model}>{model}</option>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">From</FormLabel>
+                  <Input size="sm" type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+                </FormControl>
+                <FormControl>
+                  <FormLabel fontSize="sm">To</FormLabel>
+                  <Input size="sm" type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+                </FormControl>
+              </SimpleGrid>
+
+              <Flex justify="space-between" align="center">
+                <Text fontSize="sm" color="gray.500">
+                  Showing {filteredAnalyses.length} of {savedAnalyses.length} analyses
+                </Text>
+                {hasFilters && (
+                  <Button size="sm" variant="ghost" onClick={clearFilters}>Clear filters</Button>
+                )}
+              </Flex>
+            </VStack>
+          </CardBody>
+        </Card>
+
+        {/* Library */}
+        <Card bg={cardBg} shadow="md" borderRadius="lg">
+          <CardHeader>
+            <Heading size="md">
+              <Icon as={FiBookmark} mr="2" />
+              Library
+            </Heading>
+          </CardHeader>
+          <CardBody>
+            {filteredAnalyses.length === 0 ? (
+              <Text color="gray.500">
+                {savedAnalyses.length === 0
+                  ? 'No saved analyses yet. Save a profile, company or message analysis to see it here.'
+                  : 'No analyses match the current filters'}
+              </Text>
+            ) : (
+              <TableContainer>
+                <Table size="sm">
+                  <Thead>
+                    <Tr>
+                      <Th>Type</Th>
+                      <Th>Analysis</Th>
+                      <Th>Format</Th>
+                      <Th>Models</Th>
+                      <Th>Saved</Th>
+                      <Th />
+                    </Tr>
+                  </Thead>
+                  <Tbody>
+                    {filteredAnalyses.map(analysis => (
+                      <Tr key={analysis.id}>
+                        <Td>
+                          <Badge colorScheme={TYPE_COLORS[analysis.type]}>{analysis.type}</Badge>
+                          {analysis.parentId && <Badge ml={1} variant="outline">re-run</Badge>}
+                        </Td>
+                        <Td maxW="360px">
+                          <Text fontWeight="medium" isTruncated>{getTitle(analysis)}</Text>
+                          <Text fontSize="xs" color="gray.500" isTruncated>{getContent(analysis)}</Text>
+                        </Td>
+                        <Td>{analysis.outputFormat}</Td>
+                        <Td>
+                          <VStack spacing={0} align="start">
+                            {getModels(analysis).map(model => (
+                              <Text key={model} fontSize="xs">{model}</Text>
+                            ))}
+                          </VStack>
+                        </Td>
+                        <Td fontSize="xs">{formatDate(analysis.createdAt)}</Td>
+                        <Td>
+                          <HStack spacing={1} justify="flex-end">
+                            <IconButton
+                              size="sm"
+                              variant="ghost"
+                              icon={<FiEye />}
+                              aria-label="View analysis"
+                              onClick={() => openAnalysis(analysis)}
+                            />
+                            <IconButton
+                              size="sm"
+                              variant="ghost"
+                              colorScheme="red"
+                              icon={<FiTrash2 />}
+                              aria-label="Delete analysis"
+                              onClick={() => handleDelete(analysis)}
+                            />
+                          </HStack>
+                        </Td>
+                      </Tr>
+                    ))}
+                  </Tbody>
+                </Table>
+              </TableContainer>
+            )}
+          </CardBody>
+        </Card>
+      </VStack>
+
+      {/* Detail View */}
+      <Modal isOpen={isOpen && !!selected} onClose={onClose} size="5xl" scrollBehavior="inside">
+        <ModalOverlay />
+        <ModalContent>
+          <ModalHeader>
+            {selected && (
+              <HStack>
+                <Badge colorScheme={TYPE_COLORS[selected.type]}>{selected.type}</Badge>
+                <Text>{getTitle(selected)}</Text>
+              </HStack>
+            )}
+          </ModalHeader>
+          <ModalCloseButton />
+          <ModalBody pb={6}>
+            {selected && (
+              <VStack spacing={5} align="stretch">
+                <HStack spacing={4} wrap="wrap" fontSize="sm" color="gray.500">
+                  <Text>Saved {formatDate(selected.createdAt)}</Text>
+                  <Text>Format: {selected.outputFormat}</Text>
+                  {getModels(selected).length > 0 && <Text>Models: {getModels(selected).join(', ')}</Text>}
+                  {(selected.metadata?.process?.promptVersion || selected.metadata?.promptVersion) && (
+                    <Text>Prompts: {selected.metadata?.process?.promptVersion || selected.metadata.promptVersion}</Text>
+                  )}
+                  {selected.sourceUrl && (
+                    <Link href={selected.sourceUrl} isExternal color="brand.primary">
+                      LinkedIn <Icon as={FiExternalLink} mx="1" />
+                    </Link>
+                  )}
+                </HStack>
+
+                {selected.type === 'message' && (
+                  <Box>
+                    <Text fontWeight="bold" mb={1}>Client Message</Text>
+                    <Box bg={preBg} p={3} borderRadius="md" whiteSpace="pre-wrap" fontSize="sm">
+                      {selected.clientMessage}
+                    </Box>
+                  </Box>
+                )}
+
+                <Box>
+                  <Text fontWeight="bold" mb={2}>Generated Content</Text>
+                  <ContentPreview
+                    content={getContent(selected)}
+                    outputFormat={selected.outputFormat}
+                    profileData={selected.profileData}
+                  />
+                </Box>
+
+                <Accordion allowMultiple>
+                  {selected.metadata?.researchSummary && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <Box flex="1" textAlign="left" fontWeight="medium">Research Summary</Box>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <Box mb={2}>
+                          <ResearchAge researchSummary={selected.metadata.researchSummary} />
+                        </Box>
+                        <Box as="pre" bg={preBg} p={3} borderRadius="md" fontSize="xs" whiteSpace="pre-wrap">
+                          {JSON.stringify(selected.metadata.researchSummary, null, 2)}
+                        </Box>
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+
+                  {selected.metadata?.verification && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <HStack flex="1" textAlign="left">
+                          <Text fontWeight="medium">Fact Check</Text>
+                          {selected.metadata.verification.unsupportedCount > 0 && (
+                            <Badge colorScheme="orange">{selected.metadata.verification.unsupportedCount} unsupported</Badge>
+                          )}
+                        </HStack>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <ClaimCheck verification={selected.metadata.verification} />
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+
+                  {selected.metadata?.citations && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <HStack flex="1" textAlign="left">
+                          <Text fontWeight="medium">Claims and Sources</Text>
+                          {selected.metadata.citations.unsourcedClaims > 0 && (
+                            <Badge colorScheme="orange">{selected.metadata.citations.unsourcedClaims} unsourced</Badge>
+                          )}
+                        </HStack>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <CitationList citations={selected.metadata.citations} />
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+
+                  {PROCESS_FIELDS.filter(field => selected.metadata?.process?.[field.key]).map(field => (
+                    <AccordionItem key={field.key}>
+                      <AccordionButton>
+                        <Box flex="1" textAlign="left" fontWeight="medium">{field.label}</Box>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <Box as="pre" bg={preBg} p={3} borderRadius="md" fontSize="xs" whiteSpace="pre-wrap">
+                          {selected.metadata.process[field.key]}
+                        </Box>
+                      </AccordionPanel>
+                    </AccordionItem>
+                  ))}
+
+                  {selected.type === 'company' && selected.decisionMakers?.length > 0 && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <Box flex="1" textAlign="left" fontWeight="medium">
+                          Decision Makers ({selected.decisionMakers.length})
+                        </Box>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <VStack spacing={1} align="stretch">
+                          {selected.decisionMakers.map((person, index) => (
+                            <Text key={`${person.name}-${index}`} fontSize="sm">
+                              <strong>{person.name}</strong>{person.title ? `, ${person.title}` : ''}
+                            </Text>
+                          ))}
+                        </VStack>
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+
+                  {selected.variants?.length > 0 && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <Box flex="1" textAlign="left" fontWeight="medium">
+                          A/B Variants ({selected.variants.length}){selected.sentVariant ? `, sent: ${selected.sentVariant.label}` : ''}
+                        </Box>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <VStack spacing={3} align="stretch">
+                          {selected.variants.map(variant => (
+                            <Box key={variant.id}>
+                              <HStack mb={1}>
+                                <Badge colorScheme="purple">{variant.label}</Badge>
+                                {selected.sentVariant?.id === variant.id && (
+                                  <Badge colorScheme="green">Sent {formatDate(selected.sentVariant.sentAt)}</Badge>
+                                )}
+                                {variant.verification?.unsupportedCount > 0 && (
+                                  <Badge colorScheme="orange">{variant.verification.unsupportedCount} unsupported</Badge>
+                                )}
+                                {variant.citations?.unsourcedClaims > 0 && (
+                                  <Badge colorScheme="orange">{variant.citations.unsourcedClaims} unsourced</Badge>
+                                )}
+                              </HStack>
+                              <Box bg={preBg} p={3} borderRadius="md" fontSize="xs" whiteSpace="pre-wrap">
+                                {variant.content}
+                              </Box>
+                            </Box>
+                          ))}
+                        </VStack>
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+
+                  {selected.type === 'message' && selected.messageAnalysis && (
+                    <AccordionItem>
+                      <AccordionButton>
+                        <Box flex="1" textAlign="left" fontWeight="medium">Message Analysis</Box>
+                        <AccordionIcon />
+                      </AccordionButton>
+                      <AccordionPanel>
+                        <Box as="pre" bg={preBg} p={3} borderRadius="md" fontSize="xs" whiteSpace="pre-wrap">
+                          {JSON.stringify(selected.messageAnalysis, null, 2)}
+                        </Box>
+                      </AccordionPanel>
+                    </AccordionItem>
+                  )}
+                </Accordion>
+
+                {/* What happened after the content was used */}
+                {selected.type !== 'message' && (
+                  <Card variant="outline">
+                    <CardBody>
+                      <VStack spacing={3} align="stretch">
+                        <Heading size="sm">
+                          <Icon as={FiFlag} mr="2" />
+                          Outcomes
+                        </Heading>
+                        <Input
+                          size="sm"
+                          placeholder="Notes (optional), e.g. who replied and what they said"
+                          value={outcomeNotes}
+                          onChange={(e) => setOutcomeNotes(e.target.value)}
+                        />
+                        <HStack spacing={2} wrap="wrap">
+                          {OUTCOME_EVENTS.map(event => (
+                            <Button
+                              key={event.value}
+                              size="sm"
+                              variant="outline"
+                              colorScheme={event.color}
+                              onClick={() => handleLogOutcome(event.value)}
+                              isLoading={loggingEvent === event.value}
+                              isDisabled={loggingEvent !== null}
+                            >
+                              {event.label}
+                            </Button>
+                          ))}
+                        </HStack>
+                        {outcomes.length === 0 ? (
+                          <Text fontSize="sm" color="gray.500">No outcomes logged yet</Text>
+                        ) : (
+                          <VStack spacing={1} align="stretch">
+                            {outcomes.map(outcome => {
+                              const event = OUTCOME_EVENTS.find(item => item.value === outcome.event);
+                              return (
+                                <HStack key={outcome.id} spacing={2}>
+                                  <Badge colorScheme={event?.color}>{event?.label || outcome.event}</Badge>
+                                  <Text fontSize="xs" color="gray.500">{formatDate(outcome.occurredAt)}</Text>
+                                  {outcome.angle && <Badge variant="outline">{outcome.angle}</Badge>}
+                                  <Text fontSize="sm" flex="1" isTruncated>{outcome.notes}</Text>
+                                  <IconButton
+                                    size="xs"
+                                    variant="ghost"
+                                    aria-label="Delete outcome"
+                                    icon={<FiTrash2 />}
+                                    onClick={() => handleDeleteOutcome(outcome.id)}
+                                  />
+                                </HStack>
+                              );
+                            })}
+                          </VStack>
+                        )}
+                      </VStack>
+                    </CardBody>
+                  </Card>
+                )}
+
+                {/* Re-run with different models (profile analyses only: they keep the scraped profile to reuse) */}
+                {!(selected.type === 'profile' && selected.profileData) && (
+                  <HStack>
+                    <Icon as={FiInfo} color="gray.500" />
+                    <Text fontSize="sm" color="gray.500">
+                      Re-running with different models is available for profile analyses only.
+                      Generate company and message analyses again from their tabs.
+                    </Text>
+                  </HStack>
+                )}
+                {selected.type === 'profile' && selected.profileData && (
+                  <Card variant="outline">
+                    <CardBody>
+                      <VStack spacing={4} align="stretch">
+                        <Heading size="sm">
+                          <Icon as={FiRefreshCw} mr="2" />
+                          Re-run with Different Models
+                        </Heading>
+                        <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                          <FormControl>
+                            <FormLabel fontSize="sm">Fine-tuning Agent</FormLabel>
+                            <Select
+                              size="sm"
+                              value={rerunModels.fineTuningModel}
+                              onChange={(e) => setRerunModels({ ...rerunModels, fineTuningModel: e.target.value })}
+                              isDisabled={rerunning}
+                            >
+                              {fineTuningModels.map(model => (
+                                <option key={model.id} value={model.id}>{model.label}</option>
+                              ))}
+                            </Select>
+                          </FormControl>
+                          <FormControl>
+                            <FormLabel fontSize="sm">Sales Copy Agent</FormLabel>
+                            <Select
+                              size="sm"
+                              value={rerunModels.salesCopyModel}
+                              onChange={(e) => setRerunModels({ ...rerunModels, salesCopyModel: e.target.value })}
+                              isDisabled={rerunning}
+                            >
+                              {salesCopyModels.map(model => (
+                                <option key={model.id} value={model.id}>{model.label}</option>
+                              ))}
+                            </Select>
+                          </FormControl>
+                        </SimpleGrid>
+
+                        {selected.additionalContext && (
+                          <Text fontSize="sm" color="gray.600">
+                            Reuses the original notes: {selected.additionalContext}
+                          </Text>
+                        )}
+
+                        {rerunning && (
+                          <Box>
+                            <Text fontSize="sm" mb={1}>{rerunStatus?.stageLabel || 'Queued...'}</Text>
+                            <Progress value={rerunStatus?.progress || 0} size="sm" colorScheme="purple" borderRadius="md" />
+                          </Box>
+                        )}
+
+                        {rerunError && (
+                          <HStack>
+                            <Icon as={FiAlertTriangle} color="red.500" />
+                            <Text color="red.500" fontSize="sm">{rerunError}</Text>
+                          </HStack>
+                        )}
+
+                        <Button
+                          colorScheme="purple"
+                          leftIcon={<FiRefreshCw />}
+                          onClick={handleRerun}
+                          isLoading={rerunning}
+                          loadingText="Re-running..."
+                          alignSelf="flex-start"
+                        >
+                          Re-run Analysis
+                        </Button>
+                      </VStack>
+                    </CardBody>
+                  </Card>
+                )}
+
+                {/* Side-by-side comparison of the original and its re-runs */}
+                {versions.length > 1 && (
+                  <Box>
+                    <Text fontWeight="bold" mb={2}>Compare Versions ({versions.length})</Text>
+                    <Grid templateColumns={{ base: '1fr', lg: `repeat(${Math.min(versions.length, 3)}, 1fr)` }} gap={4}>
+                      {versions.map(version => (
+                        <Card
+                          key={version.id}
+                          variant="outline"
+                          borderColor={version.id === selected.id ? 'brand.primary' : undefined}
+                        >
+                          <CardHeader pb={2}>
+                            <HStack justify="space-between">
+                              <Badge variant={version.parentId ? 'outline' : 'solid'}>
+                                {version.parentId ? 're-run' : 'original'}
+                              </Badge>
+                              <Button size="xs" variant="ghost" onClick={() => setSelectedId(version.id)}>
+                                Open
+                              </Button>
+                            </HStack>
+                            <Text fontSize="xs" color="gray.500" mt={1}>{formatDate(version.createdAt)}</Text>
+                            <Text fontSize="xs" color="gray.500">{getModels(version).join(' + ') || 'default models'}</Text>
+                          </CardHeader>
+                          <CardBody pt={0}>
+                            <Text fontSize="sm" whiteSpace="pre-wrap">{getContent(version)}</Text>
+                          </CardBody>
+                        </Card>
+                      ))}
+                    </Grid>
+                  </Box>
+                )}
+              </VStack>
+            )}
+          </ModalBody>
+        </ModalContent>
+      </Modal>
     </Box>
   );
 };
 
-export default SavedAnalysesTab;
\ No newline at end of file
+export default SavedAnalysesTab;
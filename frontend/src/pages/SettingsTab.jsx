@@ -10,8 +10,9 @@ import {
   Icon,
   HStack
 } from '@chakra-ui/react';
-import { FiCpu, FiSliders, FiGlobe, FiDatabase } from 'react-icons/fi';
+import { FiCpu, FiBookOpen, FiSliders, FiGlobe, FiDatabase } from 'react-icons/fi';
 import ModelSettings from '../components/settings/ModelSettings';
+import ProductKnowledgeSettings from '../components/settings/ProductKnowledgeSettings';
 
 const SettingsTab = () => {
   return (
@@ -26,6 +27,12 @@ const SettingsTab = () => {
               <span>AI Models</span>
             </HStack>
           </Tab>
+          <Tab>
+            <HStack>
+              <Icon as={FiBookOpen} mr="2" />
+              <span>Product Knowledge</span>
+            </HStack>
+          </Tab>
           <Tab>
             <HStack>
               <Icon as={FiSliders} mr="2" />
@@ -50,6 +57,9 @@ const SettingsTab = () => {
           <TabPanel>
             <ModelSettings />
           </TabPanel>
+          <TabPanel>
+            <ProductKnowledgeSettings />
+          </TabPanel>
           <TabPanel>
             <Box p={5}>Interface settings coming soon...</Box>
           </TabPanel>
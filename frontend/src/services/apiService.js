@@ -11,6 +11,9 @@ const apiClient = axios.create({
 
 const API_URL = 'http://localhost:5007/api';
 
+// How often to poll a job when server-sent events are unavailable
+const JOB_POLL_INTERVAL = 2000;
+
 /**
  * Service for making API calls to the backend
  */
@@ -127,6 +130,33 @@ const apiService = {
     }
   },
   
+  /**
+   * Generate A/B variants of the outreach message, each leading with a different angle
+   * @param {Object} profileData - LinkedIn profile data
+   * @param {string} additionalContext - Additional context about the prospect
+   * @param {string} outputFormat - Desired output format (email, linkedin, phone)
+   * @param {Object} modelOptions - Model options for the agents
+   * @param {number} count - Number of variants
+   * @returns {Promise<Object>} - { content, variants: [{ id, label, focus, content, citations }], metadata }
+   */
+  generateVariants: async (profileData, additionalContext = '', outputFormat = 'email', modelOptions = {}, count = 3) => {
+    try {
+      const response = await apiClient.post('/agent/generate', {
+        profileData,
+        additionalContext: { notes: additionalContext },
+        outputType: mapOutputFormat(outputFormat),
+        options: { ...modelOptions, variants: count }
+      }, {
+        // Several sales copy runs take longer than a single message
+        timeout: 180000
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error generating variants:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to generate variants');
+    }
+  },
+  
   /**
    * Test the fine-tuning agent
    * @param {Object} profileData - LinkedIn profile data
@@ -184,17 +214,219 @@ const apiService = {
     }
   },
 
+  /**
+   * Queue a background LinkedIn profile analysis
+   * @param {string} profileUrl - LinkedIn profile URL
+   * @param {string} outputFormat - Desired output format (email, linkedin, phone)
+   * @param {string} additionalContext - Additional context about the prospect
+   * @param {Object} modelOptions - Model options for the agents
+   * @returns {Promise<Object>} - The queued job
+   */
+  startProfileAnalysis: async (profileUrl, outputFormat, additionalContext = '', modelOptions = {}) => {
+    try {
+      const response = await apiClient.post('/jobs/profile', {
+        profileUrl,
+        outputFormat,
+        additionalContext,
+        modelOptions
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error starting profile analysis:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to start profile analysis');
+    }
+  },
+
+  /**
+   * Queue a background LinkedIn company analysis
+   * @param {string} companyUrl - LinkedIn company URL
+   * @param {string} outputFormat - Desired output format (email, linkedin, phone)
+   * @returns {Promise<Object>} - The queued job
+   */
+  startCompanyAnalysis: async (companyUrl, outputFormat) => {
+    try {
+      const response = await apiClient.post('/jobs/company', {
+        companyUrl,
+        outputFormat
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error starting company analysis:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to start company analysis');
+    }
+  },
+
+  /**
+   * Queue a multi-step outreach sequence for an analyzed profile
+   * @param {Object} profileData - Profile data from the profile analysis
+   * @param {string} additionalContext - Additional context about the prospect
+   * @param {Object} modelOptions - Model options for the agents
+   * @param {Array<Object>} steps - Cadence as [{ day, type }] (default: the backend's five-touch cadence)
+   * @returns {Promise<Object>} - The queued job; its result holds { sequence, metadata }
+   */
+  startSequence: async (profileData, additionalContext = '', modelOptions = {}, steps) => {
+    try {
+      const response = await apiClient.post('/jobs/sequence', {
+        profileData,
+        additionalContext,
+        modelOptions,
+        steps
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error starting outreach sequence:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to start outreach sequence');
+    }
+  },
+
+  /**
+   * Get the current state of a background job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} - Job status, stages and result
+   */
+  getJob: async (jobId) => {
+    try {
+      const response = await apiClient.get(`/jobs/${jobId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching job:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch job');
+    }
+  },
+
+  /**
+   * Follow a background job until it finishes. Uses server-sent events and
+   * falls back to polling if the event stream is unavailable.
+   * @param {string} jobId - Job ID
+   * @param {Function} onUpdate - Called with every job update
+   * @param {Function} onToken - Called with each chunk of streamed output
+   * @returns {Promise<Object>} - The finished job
+   */
+  watchJob: (jobId, onUpdate = () => {}, onToken = () => {}) => new Promise((resolve, reject) => {
+    let finished = false;
+
+    // Returns true once the job has completed or failed
+    const handleUpdate = (job) => {
+      onUpdate(job);
+      if (job.status === 'completed' || job.status === 'failed') {
+        finished = true;
+        resolve(job);
+      }
+      return finished;
+    };
+
+    const poll = async () => {
+      try {
+        const job = await apiService.getJob(jobId);
+        if (!handleUpdate(job)) {
+          setTimeout(poll, JOB_POLL_INTERVAL);
+        }
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    const source = new EventSource(`${API_URL}/jobs/${jobId}/events`);
+    source.addEventListener('job', (event) => {
+      if (handleUpdate(JSON.parse(event.data))) {
+        source.close();
+      }
+    });
+    source.addEventListener('token', (event) => {
+      onToken(JSON.parse(event.data).text);
+    });
+    source.onerror = () => {
+      source.close();
+      if (!finished) {
+        poll();
+      }
+    };
+  }),
+
+  /**
+   * Start a bulk profile analysis from CSV text
+   * @param {string} csv - CSV text with a URL column and optional additionalContext column
+   * @param {Object} options - { name, outputFormat, modelOptions }
+   * @returns {Promise<Object>} - The created batch
+   */
+  createBatch: async (csv, options = {}) => {
+    try {
+      const response = await axios.post(`${API_URL}/batches`, { csv, ...options });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating batch:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to start bulk analysis');
+    }
+  },
+
+  /**
+   * List bulk analysis batches
+   * @returns {Promise<Array>} - Batch summaries
+   */
+  getBatches: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/batches`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching batches:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch batches');
+    }
+  },
+
+  /**
+   * Get a batch with per-row status
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - Batch
+   */
+  getBatch: async (batchId) => {
+    try {
+      const response = await axios.get(`${API_URL}/batches/${batchId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching batch:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch batch');
+    }
+  },
+
+  /**
+   * Cancel a running batch
+   * @param {string} batchId - Batch ID
+   * @returns {Promise<Object>} - Updated batch
+   */
+  cancelBatch: async (batchId) => {
+    try {
+      const response = await axios.post(`${API_URL}/batches/${batchId}/cancel`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error cancelling batch:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to cancel batch');
+    }
+  },
+
+  /**
+   * Build the download URL for batch results
+   * @param {string} batchId - Batch ID
+   * @param {string} format - 'csv' or 'json'
+   * @returns {string} - Download URL
+   */
+  getBatchResultsUrl: (batchId, format = 'csv') => `${API_URL}/batches/${batchId}/results?format=${format}`,
+
   /**
    * Analyze a client message
    * @param {string} clientMessage - Message from the client
-   * @param {string} outputFormat - Desired output format (email, linkedin, phone)
-   * @returns {Promise<Object>} - Analysis results
+   * @param {string} threadId - Conversation thread whose earlier turns give context (optional)
+   * @returns {Promise<Object>} - Analysis results ({ status, data: { messageAnalysis } })
    */
-  analyzeMessage: async (clientMessage, outputFormat) => {
+  analyzeMessage: async (clientMessage, threadId = null) => {
     try {
       const response = await apiClient.post('/message/analyze', {
         clientMessage,
-        outputFormat
+        threadId: threadId || undefined
       });
       return response.data;
     } catch (error) {
@@ -203,6 +435,31 @@ const apiService = {
     }
   },
 
+  /**
+   * Draft a reply to an analyzed client message
+   * @param {string} clientMessage - Message from the client
+   * @param {Object} messageAnalysis - { sentiment, topics, questions } from analyzeMessage
+   * @param {string} outputFormat - Desired output format (email, linkedin, phone)
+   * @param {Array<string>} questions - Questions to answer (default: all)
+   * @param {string} threadId - Conversation thread whose earlier turns give context (optional)
+   * @returns {Promise<Object>} - { responseContent, promptVersion }
+   */
+  generateMessageResponse: async (clientMessage, messageAnalysis, outputFormat, questions, threadId = null) => {
+    try {
+      const response = await apiClient.post('/message/generate-response', {
+        clientMessage,
+        messageAnalysis,
+        outputFormat,
+        questions,
+        threadId: threadId || undefined
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error generating message response:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to generate response');
+    }
+  },
+
   /**
    * Check API health
    * @returns {Promise<Object>} - Health status
@@ -271,6 +528,35 @@ const apiService = {
     }
   },
 
+  /**
+   * Get the dashboard summary
+   * @param {number} days - Number of days in the analyses-per-day chart
+   * @returns {Promise<Object>} - { totals, pipeline, analysesPerDay, topCompanies, linkedinErrors }
+   */
+  getDashboard: async (days = 14) => {
+    try {
+      const response = await axios.get(`${API_URL}/dashboard`, { params: { days } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching dashboard:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch dashboard');
+    }
+  },
+
+  /**
+   * Get LLM usage metrics (success rate, cache, circuit breakers, budget)
+   * @returns {Promise<Object>} - Metrics
+   */
+  getLLMMetrics: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/profile/metrics`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching LLM metrics:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch LLM metrics');
+    }
+  },
+
   /**
    * Get all prospects
    * @returns {Promise<Array>} - List of prospects
@@ -311,6 +597,342 @@ const apiService = {
       console.error('Error fetching saved analyses:', error);
       throw new Error(error.response?.data?.message || 'Failed to fetch saved analyses');
     }
+  },
+
+  /**
+   * Create a prospect (updates the existing one if the LinkedIn URL is already stored)
+   * @param {Object} prospect - Prospect fields (see ProspectModel)
+   * @returns {Promise<Object>} - Stored prospect
+   */
+  createProspect: async (prospect) => {
+    try {
+      const response = await axios.post(`${API_URL}/prospects`, prospect);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating prospect:', error);
+      throw new Error(error.response?.data?.message || 'Failed to create prospect');
+    }
+  },
+
+  /**
+   * Update a prospect
+   * @param {number} id - Prospect ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} - Updated prospect
+   */
+  updateProspect: async (id, changes) => {
+    try {
+      const response = await axios.put(`${API_URL}/prospects/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating prospect:', error);
+      throw new Error(error.response?.data?.message || 'Failed to update prospect');
+    }
+  },
+
+  /**
+   * Delete a prospect
+   * @param {number} id - Prospect ID
+   * @returns {Promise<Object>} - Deletion status
+   */
+  deleteProspect: async (id) => {
+    try {
+      const response = await axios.delete(`${API_URL}/prospects/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting prospect:', error);
+      throw new Error(error.response?.data?.message || 'Failed to delete prospect');
+    }
+  },
+
+  /**
+   * Create a company (updates the existing one if the LinkedIn URL is already stored)
+   * @param {Object} company - Company fields (see CompanyModel)
+   * @returns {Promise<Object>} - Stored company
+   */
+  createCompany: async (company) => {
+    try {
+      const response = await axios.post(`${API_URL}/companies`, company);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating company:', error);
+      throw new Error(error.response?.data?.message || 'Failed to create company');
+    }
+  },
+
+  /**
+   * Update a company
+   * @param {number} id - Company ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} - Updated company
+   */
+  updateCompany: async (id, changes) => {
+    try {
+      const response = await axios.put(`${API_URL}/companies/${id}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating company:', error);
+      throw new Error(error.response?.data?.message || 'Failed to update company');
+    }
+  },
+
+  /**
+   * Save an analysis
+   * @param {Object} analysis - Analysis to save
+   * @returns {Promise<Object>} - Stored analysis
+   */
+  saveAnalysis: async (analysis) => {
+    try {
+      const response = await axios.post(`${API_URL}/analyses`, analysis);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving analysis:', error);
+      throw new Error(error.response?.data?.message || 'Failed to save analysis');
+    }
+  },
+
+  /**
+   * Re-run a saved profile analysis with other models
+   * @param {number} id - Analysis ID
+   * @param {Object} modelOptions - { fineTuningModel, salesCopyModel }
+   * @returns {Promise<Object>} - The queued job; its result holds the new analysis
+   */
+  rerunAnalysis: async (id, modelOptions) => {
+    try {
+      const response = await axios.post(`${API_URL}/analyses/${id}/rerun`, { modelOptions });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error re-running analysis:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to re-run analysis');
+    }
+  },
+
+  /**
+   * Record which A/B variant of a saved analysis was sent
+   * @param {number} id - Analysis ID
+   * @param {string} variantId - Angle id of the variant
+   * @returns {Promise<Object>} - The updated analysis
+   */
+  recordSentVariant: async (id, variantId) => {
+    try {
+      const response = await axios.post(`${API_URL}/analyses/${id}/sent-variant`, { variantId });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error recording sent variant:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to record sent variant');
+    }
+  },
+
+  /**
+   * List logged outcomes
+   * @param {Object} filters - { analysisId, prospectId, event }
+   * @returns {Promise<Array>} - Outcomes, newest first
+   */
+  getOutcomes: async (filters = {}) => {
+    try {
+      const response = await axios.get(`${API_URL}/outcomes`, { params: filters });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching outcomes:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch outcomes');
+    }
+  },
+
+  /**
+   * Log what happened to a saved analysis
+   * @param {Object} outcome - { analysisId, event, variantId, notes, occurredAt }
+   * @returns {Promise<Object>} - The logged outcome
+   */
+  logOutcome: async (outcome) => {
+    try {
+      const response = await axios.post(`${API_URL}/outcomes`, outcome);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error logging outcome:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to log outcome');
+    }
+  },
+
+  /**
+   * Delete an outcome logged by mistake
+   * @param {number} id - Outcome ID
+   * @returns {Promise<Object>} - Deletion status
+   */
+  deleteOutcome: async (id) => {
+    try {
+      const response = await axios.delete(`${API_URL}/outcomes/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting outcome:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to delete outcome');
+    }
+  },
+
+  /**
+   * Get positive outcome rates by role category, output format, model, angle and prompt version
+   * @param {number} [days] - Only count content first used in the last N days
+   * @returns {Promise<Object>} - { totals, byRoleCategory, byOutputFormat, byModel, byAngle, byPromptVersion, combinations }
+   */
+  getOutcomeReport: async (days) => {
+    try {
+      const response = await axios.get(`${API_URL}/outcomes/report`, { params: days ? { days } : {} });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching outcome report:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch outcome report');
+    }
+  },
+
+  /**
+   * Get the product knowledge used in prompts
+   * @returns {Promise<Array>} - Products, extra employees, claims and statistics in prompt order
+   */
+  getKnowledge: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/knowledge`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching product knowledge:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch product knowledge');
+    }
+  },
+
+  /**
+   * Add a product, extra employee, claim or statistic
+   * @param {Object} item - { type, name, text, price, source, approved }
+   * @returns {Promise<Object>} - The stored item
+   */
+  createKnowledgeItem: async (item) => {
+    try {
+      const response = await axios.post(`${API_URL}/knowledge`, item);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating product knowledge:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to create product knowledge');
+    }
+  },
+
+  /**
+   * Update a product knowledge item; prompts use it on their next render
+   * @param {number} id - Item ID
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - The updated item
+   */
+  updateKnowledgeItem: async (id, changes) => {
+    try {
+      const response = await axios.put(`${API_URL}/knowledge/${id}`, changes);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error updating product knowledge:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to update product knowledge');
+    }
+  },
+
+  /**
+   * Delete a product knowledge item
+   * @param {number} id - Item ID
+   * @returns {Promise<Object>} - Deletion status
+   */
+  deleteKnowledgeItem: async (id) => {
+    try {
+      const response = await axios.delete(`${API_URL}/knowledge/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting product knowledge:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to delete product knowledge');
+    }
+  },
+
+  /**
+   * Get the text the knowledge placeholders currently render to in prompts
+   * @returns {Promise<Object>} - { productCatalog, extraEmployees, keyStatistics, productClaims }
+   */
+  getKnowledgePreview: async () => {
+    try {
+      const response = await axios.get(`${API_URL}/knowledge/preview`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching product knowledge preview:', error);
+      throw new Error(error.response?.data?.message || error.message || 'Failed to fetch product knowledge preview');
+    }
+  },
+
+  /**
+   * Delete a saved analysis
+   * @param {number} id - Analysis ID
+   * @returns {Promise<Object>} - Deletion status
+   */
+  deleteSavedAnalysis: async (id) => {
+    try {
+      const response = await axios.delete(`${API_URL}/analyses/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error deleting saved analysis:', error);
+      throw new Error(error.response?.data?.message || 'Failed to delete saved analysis');
+    }
+  },
+
+  /**
+   * Get a prospect's conversation threads
+   * @param {number} prospectId - Prospect ID
+   * @returns {Promise<Array>} - Threads, most recently updated first
+   */
+  getThreads: async (prospectId) => {
+    try {
+      const response = await axios.get(`${API_URL}/threads`, { params: { prospectId } });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error fetching threads:', error);
+      throw new Error(error.response?.data?.message || 'Failed to fetch threads');
+    }
+  },
+
+  /**
+   * Start a conversation thread for a prospect
+   * @param {number} prospectId - Prospect ID
+   * @param {string} subject - Thread subject
+   * @returns {Promise<Object>} - Created thread
+   */
+  createThread: async (prospectId, subject = '') => {
+    try {
+      const response = await axios.post(`${API_URL}/threads`, { prospectId, subject });
+      return response.data.data;
+    } catch (error) {
+      console.error('Error creating thread:', error);
+      throw new Error(error.response?.data?.message || 'Failed to create thread');
+    }
+  },
+
+  /**
+   * Append a turn to a conversation thread
+   * @param {string} threadId - Thread ID
+   * @param {Object} turn - { direction: outbound|inbound|note, content, channel }
+   * @returns {Promise<Object>} - The updated thread
+   */
+  addThreadTurn: async (threadId, turn) => {
+    try {
+      const response = await axios.post(`${API_URL}/threads/${threadId}/turns`, turn);
+      return response.data.data.thread;
+    } catch (error) {
+      console.error('Error adding thread turn:', error);
+      throw new Error(error.response?.data?.message || 'Failed to add to thread');
+    }
+  },
+
+  /**
+   * Remove a turn from a conversation thread
+   * @param {string} threadId - Thread ID
+   * @param {string} turnId - Turn ID
+   * @returns {Promise<Object>} - The updated thread
+   */
+  deleteThreadTurn: async (threadId, turnId) => {
+    try {
+      const response = await axios.delete(`${API_URL}/threads/${threadId}/turns/${turnId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error removing thread turn:', error);
+      throw new Error(error.response?.data?.message || 'Failed to remove turn');
+    }
   }
 };
 
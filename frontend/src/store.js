@@ -1,6 +1,25 @@
 import { create } from 'zustand';
 import apiService from './services/apiService';
 
+// Replace a record in a list by id, or append it if it is new
+const upsertById = (list, record) => {
+  const exists = list.some(item => item.id === record.id);
+  return exists
+    ? list.map(item => (item.id === record.id ? record : item))
+    : [...list, record];
+};
+
+// Map background job stages onto the coarse processing stages used by the visualization
+const JOB_STAGE_TO_PROCESSING = {
+  scraping: 'loading',
+  researching: 'analyzing',
+  decision_makers: 'analyzing',
+  fine_tuning: 'generating',
+  sales_copy: 'generating',
+  verifying: 'generating',
+  generating: 'generating'
+};
+
 const useStore = create((set, get) => ({
   // Profile analysis
   profileUrl: '',
@@ -8,6 +27,17 @@ const useStore = create((set, get) => ({
   profileLoading: false,
   profileError: null,
   profileContent: null,
+  profileContext: '', // Rep's notes the profile was analyzed with, saved so re-runs reuse them
+  sequence: null, // Multi-step outreach cadence for the analyzed profile ({ prospect, strategy, totalDays, steps })
+  sequenceLoading: false,
+  sequenceError: null,
+  sequenceJobStatus: null,
+  variants: null, // A/B variants of the profile message ([{ id, label, focus, content, citations }])
+  variantsLoading: false,
+  variantsError: null,
+  variantErrors: [], // Angles whose variant failed ([{ id, label, error }])
+  variantAnalysisId: null, // Saved analysis holding the variants once one is marked as sent
+  sentVariantId: null,
   
   // Company analysis
   companyUrl: '',
@@ -15,6 +45,7 @@ const useStore = create((set, get) => ({
   companyLoading: false,
   companyError: null,
   companyContent: null,
+  companyPromptVersion: null, // Prompt template version that wrote companyContent
   decisionMakers: [],
   
   // Message analysis
@@ -22,15 +53,21 @@ const useStore = create((set, get) => ({
   messageAnalysis: null,
   messageLoading: false,
   messageError: null,
+  selectedQuestions: [], // Questions from messageAnalysis the reply should answer
+  responseLoading: false,
   responseContent: null,
+  responsePromptVersion: null, // Prompt template version that wrote responseContent
+  messageThread: null, // Conversation thread the message belongs to (earlier turns are sent as context)
   
   // UI state
-  activeTab: 'profile', // 'profile', 'company', or 'message'
+  activeTab: 'profile', // 'profile', 'company', 'message', 'bulk', ...
   colorMode: 'light', // 'light' or 'dark'
   sidebarOpen: true,
   
   // Processing state
   processingStage: 'idle', // idle, loading, analyzing, generating, complete
+  jobStatus: null, // Latest update from the backend analysis job (stage, stageLabel, progress, stages)
+  streamingContent: '', // Sales copy received so far while the profile job is generating
   outputFormat: 'email', // email, linkedin, phone
   
   // Database entities
@@ -38,6 +75,25 @@ const useStore = create((set, get) => ({
   companies: [], // List of all companies
   savedAnalyses: [], // List of saved analyses
   
+  // Load prospects, companies and saved analyses from the backend
+  loadPersistedData: async () => {
+    try {
+      const [prospects, companies, analyses] = await Promise.all([
+        apiService.getProspects(),
+        apiService.getCompanies(),
+        apiService.getSavedAnalyses()
+      ]);
+      
+      set({
+        prospects: prospects.data || [],
+        companies: companies.data || [],
+        savedAnalyses: analyses.data || []
+      });
+    } catch (error) {
+      console.error('Failed to load persisted data:', error);
+    }
+  },
+  
   // UI Actions
   setActiveTab: (tab) => set({ activeTab: tab }),
   toggleSidebar: () => set((state) => ({ sidebarOpen: !state.sidebarOpen })),
@@ -54,78 +110,78 @@ const useStore = create((set, get) => ({
     
     set({ 
       profileLoading: true,
+      profileContext: additionalContext,
       processingStage: 'loading',
-      profileError: null 
+      profileError: null,
+      jobStatus: null,
+      streamingContent: '',
+      sequence: null,
+      sequenceError: null,
+      variants: null,
+      variantsError: null,
+      variantErrors: [],
+      variantAnalysisId: null,
+      sentVariantId: null
     });
     
     try {
-      // Process in stages to show visualization
-      setTimeout(() => {
-        set({ processingStage: 'analyzing' });
-        
-        setTimeout(() => {
-          set({ processingStage: 'generating' });
-          
-          try {
-            console.log("Starting profile analysis with URL:", profileUrl);
-            apiService.analyzeProfile(profileUrl, outputFormat, additionalContext, modelOptions)
-              .then(response => {
-                if (response.status === 'success') {
-                  console.log("Successful profile analysis:", response);
-                  // Save to prospects list if it's a new prospect
-                  const newProspect = {
-                    id: Date.now(),
-                    name: response.data.profileData.name,
-                    title: response.data.profileData.title,
-                    company: response.data.profileData.company,
-                    url: profileUrl,
-                    createdAt: new Date().toISOString(),
-                    lastAnalyzed: new Date().toISOString(),
-                  };
-                  
-                  set((state) => {
-                    // Only add if not already in list
-                    const exists = state.prospects.some(p => p.url === profileUrl);
-                    return {
-                      profileData: {
-                        ...response.data.profileData,
-                        metadata: response.data.metadata || null
-                      },
-                      profileContent: response.data.content,
-                      profileLoading: false,
-                      processingStage: 'complete',
-                      prospects: exists ? state.prospects : [...state.prospects, newProspect]
-                    };
-                  });
-                } else {
-                  console.error("Failed profile analysis response:", response);
-                  throw new Error(response.message || 'Failed to analyze profile');
-                }
-              })
-              .catch(error => {
-                console.error("Profile analysis error:", error);
-                set({ 
-                  profileError: error.message || 'An error occurred during profile analysis',
-                  profileLoading: false,
-                  processingStage: 'idle'
-                });
-              });
-          } catch (outerError) {
-            console.error("Outer try-catch error:", outerError);
-            set({ 
-              profileError: outerError.message || 'An unexpected error occurred',
-              profileLoading: false,
-              processingStage: 'idle'
-            });
-          }
-        }, 1500);
-      }, 1000);
+      console.log("Starting profile analysis with URL:", profileUrl);
+      const job = await apiService.startProfileAnalysis(profileUrl, outputFormat, additionalContext, modelOptions);
+      
+      // Follow the real pipeline stages reported by the backend worker; job updates
+      // carry the output so far, so a reconnect or polling fallback catches up
+      const finishedJob = await apiService.watchJob(
+        job.id,
+        (update) => set({
+          jobStatus: update,
+          processingStage: JOB_STAGE_TO_PROCESSING[update.stage] || 'loading',
+          ...(update.output ? { streamingContent: update.output } : {})
+        }),
+        (text) => set((state) => ({ streamingContent: state.streamingContent + text }))
+      );
+      
+      if (finishedJob.status !== 'completed') {
+        throw new Error(finishedJob.error || 'Failed to analyze profile');
+      }
+      
+      console.log("Successful profile analysis:", finishedJob.result);
+      const { profileData, content, metadata, generationError } = finishedJob.result;
+      
+      // The profile was scraped but no content was written; streamed partial text is dropped
+      set({
+        profileData: {
+          ...profileData,
+          metadata: metadata || null
+        },
+        profileContent: generationError ? null : content,
+        profileError: generationError ? `Content generation failed: ${generationError}` : null,
+        profileLoading: false,
+        processingStage: generationError ? 'idle' : 'complete',
+        streamingContent: ''
+      });
       
+      // Persist the prospect (the backend dedupes by LinkedIn URL)
+      apiService.createProspect({
+        name: profileData.name,
+        title: profileData.title,
+        company: profileData.company,
+        location: profileData.location,
+        experience: profileData.experience,
+        interests: profileData.interests,
+        linkedinUrl: profileUrl,
+        lastAnalyzed: new Date().toISOString()
+      })
+        .then(result => set((state) => ({
+          prospects: upsertById(state.prospects, result.data)
+        })))
+        .catch(error => console.error('Failed to persist prospect:', error));
     } catch (error) {
+      console.error("Profile analysis error:", error);
       set({ 
         profileError: error.message || 'An error occurred during profile analysis',
         profileLoading: false,
-        processingStage: 'idle'
+        processingStage: 'idle',
+        streamingContent: ''
       });
     }
   },
@@ -140,56 +196,52 @@ const useStore = create((set, get) => ({
     set({ 
       companyLoading: true,
       processingStage: 'loading',
-      companyError: null 
+      companyError: null,
+      jobStatus: null
     });
     
     try {
-      setTimeout(() => {
-        set({ processingStage: 'analyzing' });
-        
-        setTimeout(() => {
-          set({ processingStage: 'generating' });
-          
-          apiService.analyzeCompany(companyUrl, outputFormat)
-            .then(response => {
-              if (response.status === 'success') {
-                // Save to companies list if it's a new company
-                const newCompany = {
-                  id: Date.now(),
-                  name: response.data.companyData.name,
-                  industry: response.data.companyData.industry,
-                  size: response.data.companyData.size,
-                  url: companyUrl,
-                  createdAt: new Date().toISOString(),
-                  lastAnalyzed: new Date().toISOString(),
-                };
-                
-                set((state) => {
-                  // Only add if not already in list
-                  const exists = state.companies.some(c => c.url === companyUrl);
-                  return {
-                    companyData: response.data.companyData,
-                    decisionMakers: response.data.decisionMakers,
-                    companyContent: response.data.content,
-                    companyLoading: false,
-                    processingStage: 'complete',
-                    companies: exists ? state.companies : [...state.companies, newCompany]
-                  };
-                });
-              } else {
-                throw new Error(response.message || 'Failed to analyze company');
-              }
-            })
-            .catch(error => {
-              set({ 
-                companyError: error.message || 'An error occurred during company analysis',
-                companyLoading: false,
-                processingStage: 'idle'
-              });
-            });
-        }, 1000);
-      }, 1000);
+      const job = await apiService.startCompanyAnalysis(companyUrl, outputFormat);
+      
+      const finishedJob = await apiService.watchJob(job.id, (update) => set({
+        jobStatus: update,
+        processingStage: JOB_STAGE_TO_PROCESSING[update.stage] || 'loading'
+      }));
       
+      if (finishedJob.status !== 'completed') {
+        throw new Error(finishedJob.error || 'Failed to analyze company');
+      }
+      
+      const { companyData, decisionMakers, content, promptVersion } = finishedJob.result;
+      
+      set({
+        companyData,
+        decisionMakers,
+        companyContent: content,
+        companyPromptVersion: promptVersion || null,
+        companyLoading: false,
+        processingStage: 'complete'
+      });
+      
+      // Persist the company (the backend dedupes by LinkedIn URL)
+      apiService.createCompany({
+        name: companyData.name,
+        industry: companyData.industry,
+        size: companyData.size,
+        location: companyData.location,
+        website: companyData.website,
+        specialties: companyData.specialties,
+        description: companyData.about,
+        founded: companyData.founded,
+        recentNews: (companyData.news || []).map(item => item.title),
+        decisionMakers,
+        linkedinUrl: companyUrl,
+        lastAnalyzed: new Date().toISOString()
+      })
+        .then(result => set((state) => ({
+          companies: upsertById(state.companies, result.data)
+        })))
+        .catch(error => console.error('Failed to persist company:', error));
     } catch (error) {
       set({ 
         companyError: error.message || 'An error occurred during company analysis',
@@ -199,63 +251,167 @@ const useStore = create((set, get) => ({
     }
   },
   
+  // Build a multi-touch cadence (email, LinkedIn, call script, ...) for the analyzed profile
+  generateSequence: async (additionalContext = '', modelOptions = {}, steps) => {
+    const { profileData } = get();
+    if (!profileData) return;
+    
+    set({
+      sequenceLoading: true,
+      sequenceError: null,
+      sequenceJobStatus: null
+    });
+    
+    try {
+      const job = await apiService.startSequence(profileData, additionalContext, modelOptions, steps);
+      const finishedJob = await apiService.watchJob(job.id, (update) => set({ sequenceJobStatus: update }));
+      
+      if (finishedJob.status !== 'completed') {
+        throw new Error(finishedJob.error || 'Failed to generate outreach sequence');
+      }
+      
+      set({
+        sequence: finishedJob.result.sequence,
+        sequenceLoading: false
+      });
+    } catch (error) {
+      set({
+        sequenceError: error.message || 'An error occurred generating the outreach sequence',
+        sequenceLoading: false
+      });
+    }
+  },
+  
+  // Write several versions of the profile message, each with its own angle
+  generateVariants: async (additionalContext = '', modelOptions = {}, count = 3) => {
+    const { profileData, outputFormat } = get();
+    if (!profileData) return;
+    
+    set({
+      variantsLoading: true,
+      variantsError: null,
+      variantErrors: [],
+      variantAnalysisId: null,
+      sentVariantId: null
+    });
+    
+    try {
+      const { metadata, ...profile } = profileData;
+      const result = await apiService.generateVariants(profile, additionalContext, outputFormat, modelOptions, count);
+      set({
+        variants: result.variants,
+        variantErrors: result.variantErrors || [],
+        variantsLoading: false
+      });
+    } catch (error) {
+      set({
+        variantsError: error.message || 'An error occurred generating variants',
+        variantsLoading: false
+      });
+    }
+  },
+  
+  // Save the variants (once) and record which one the rep sent, for win-rate reporting
+  markVariantSent: async (variantId) => {
+    const { profileUrl, profileData, profileContext, outputFormat, variants, variantAnalysisId } = get();
+    const variant = (variants || []).find(item => item.id === variantId);
+    if (!variant) return null;
+    
+    let analysisId = variantAnalysisId;
+    if (!analysisId) {
+      const result = await apiService.saveAnalysis({
+        type: 'profile',
+        outputFormat,
+        profileData,
+        profileContent: variant.content,
+        metadata: profileData.metadata || null,
+        sourceUrl: profileUrl || null,
+        additionalContext: profileContext || null,
+        variants
+      });
+      analysisId = result.data.id;
+    }
+    
+    const analysis = await apiService.recordSentVariant(analysisId, variantId);
+    set((state) => ({
+      variantAnalysisId: analysisId,
+      sentVariantId: variantId,
+      savedAnalyses: upsertById(state.savedAnalyses, analysis)
+    }));
+    return analysis;
+  },
+  
+  // Hand a decision maker from the company analysis to the profile pipeline
+  analyzeDecisionMaker: (decisionMaker, modelOptions = {}) => {
+    const { companyData } = get();
+    if (!decisionMaker?.linkedinUrl) return;
+    
+    const additionalContext = [
+      `${decisionMaker.name} (${decisionMaker.title}) was identified as a decision maker at ${companyData?.name || 'their company'}.`,
+      decisionMaker.relevance ? `Relevance: ${decisionMaker.relevance}` : ''
+    ].filter(Boolean).join('\n');
+    
+    set({
+      profileUrl: decisionMaker.linkedinUrl,
+      profileData: null,
+      profileContent: null,
+      activeTab: 'profile'
+    });
+    get().analyzeProfile(additionalContext, modelOptions);
+  },
+  
   // Message Actions
   setClientMessage: (message) => set({ clientMessage: message }),
   
+  setMessageThread: (thread) => set({ messageThread: thread }),
+  
+  // Log an outbound message, inbound reply or call note to the selected thread
+  addThreadTurn: async (turn) => {
+    const { messageThread } = get();
+    if (!messageThread) return null;
+    
+    const thread = await apiService.addThreadTurn(messageThread.id, turn);
+    set({ messageThread: thread });
+    return thread;
+  },
+  
+  removeThreadTurn: async (turnId) => {
+    const { messageThread } = get();
+    if (!messageThread) return null;
+    
+    const thread = await apiService.deleteThreadTurn(messageThread.id, turnId);
+    set({ messageThread: thread });
+    return thread;
+  },
+  
   analyzeMessage: async () => {
-    const { clientMessage, outputFormat } = get();
+    const { clientMessage, messageThread } = get();
     if (!clientMessage) return;
     
     set({ 
       messageLoading: true,
-      processingStage: 'loading',
-      messageError: null 
+      processingStage: 'analyzing',
+      messageError: null,
+      messageAnalysis: null,
+      selectedQuestions: [],
+      responseContent: null,
+      responsePromptVersion: null
     });
     
     try {
-      setTimeout(() => {
-        set({ processingStage: 'analyzing' });
-        
-        setTimeout(() => {
-          set({ processingStage: 'generating' });
-          
-          apiService.analyzeMessage(clientMessage, outputFormat)
-            .then(response => {
-              if (response.status === 'success') {
-                set({
-                  messageAnalysis: response.data.messageAnalysis,
-                  responseContent: response.data.responseContent,
-                  messageLoading: false,
-                  processingStage: 'complete'
-                });
-                
-                // Save the analysis
-                const newAnalysis = {
-                  id: Date.now(),
-                  type: 'message',
-                  content: clientMessage,
-                  analysis: response.data.messageAnalysis,
-                  response: response.data.responseContent,
-                  createdAt: new Date().toISOString(),
-                };
-                
-                set((state) => ({
-                  savedAnalyses: [...state.savedAnalyses, newAnalysis]
-                }));
-              } else {
-                throw new Error(response.message || 'Failed to analyze message');
-              }
-            })
-            .catch(error => {
-              set({ 
-                messageError: error.message || 'An error occurred during message analysis',
-                messageLoading: false,
-                processingStage: 'idle'
-              });
-            });
-        }, 1000);
-      }, 1000);
+      const response = await apiService.analyzeMessage(clientMessage, messageThread?.id);
+      if (response.status !== 'success') {
+        throw new Error(response.message || 'Failed to analyze message');
+      }
       
+      const { messageAnalysis } = response.data;
+      set({
+        messageAnalysis,
+        // Every question is answered unless the user unticks it
+        selectedQuestions: [...messageAnalysis.questions],
+        messageLoading: false,
+        processingStage: 'complete'
+      });
     } catch (error) {
       set({ 
         messageError: error.message || 'An error occurred during message analysis',
@@ -265,51 +421,169 @@ const useStore = create((set, get) => ({
     }
   },
   
+  toggleQuestion: (question) => set((state) => ({
+    selectedQuestions: state.selectedQuestions.includes(question)
+      ? state.selectedQuestions.filter(item => item !== question)
+      : [...state.selectedQuestions, question]
+  })),
+  
+  setSelectedQuestions: (questions) => set({ selectedQuestions: questions }),
+  
+  // Draft a reply answering the selected questions
+  generateMessageResponse: async () => {
+    const { clientMessage, messageAnalysis, selectedQuestions, outputFormat, messageThread } = get();
+    if (!messageAnalysis) return;
+    
+    set({
+      responseLoading: true,
+      processingStage: 'generating',
+      messageError: null
+    });
+    
+    try {
+      const { responseContent, promptVersion } = await apiService.generateMessageResponse(
+        clientMessage,
+        messageAnalysis,
+        outputFormat,
+        selectedQuestions,
+        messageThread?.id
+      );
+      set({
+        responseContent,
+        responsePromptVersion: promptVersion || null,
+        responseLoading: false,
+        processingStage: 'complete'
+      });
+    } catch (error) {
+      set({
+        messageError: error.message || 'An error occurred generating the response',
+        responseLoading: false,
+        processingStage: 'complete'
+      });
+    }
+  },
+  
+  // The drafted reply is editable before it is saved
+  setResponseContent: (content) => set({ responseContent: content }),
+  
+  // Save the (edited) reply to a prospect's history as a message analysis,
+  // and log the client message and the reply to the selected thread
+  saveMessageResponse: async (prospectId = null) => {
+    const { clientMessage, messageAnalysis, selectedQuestions, responseContent, responsePromptVersion, outputFormat, messageThread } = get();
+    if (!messageAnalysis || !responseContent) return null;
+    
+    const prospect = get().prospects.find(item => String(item.id) === String(prospectId));
+    const result = await apiService.saveAnalysis({
+      type: 'message',
+      outputFormat,
+      prospectId: prospect ? prospect.id : null,
+      companyId: prospect ? prospect.companyId : null,
+      clientMessage,
+      messageAnalysis,
+      responseContent,
+      metadata: {
+        answeredQuestions: selectedQuestions,
+        threadId: messageThread ? messageThread.id : null,
+        promptVersion: responsePromptVersion
+      }
+    });
+    set((state) => ({
+      savedAnalyses: [...state.savedAnalyses, result.data]
+    }));
+    
+    if (messageThread) {
+      // The client message may already be logged from an earlier reply to it
+      const lastInbound = [...messageThread.turns].reverse().find(turn => turn.direction === 'inbound');
+      if (!lastInbound || lastInbound.content !== clientMessage.trim()) {
+        await get().addThreadTurn({ direction: 'inbound', channel: outputFormat, content: clientMessage });
+      }
+      await get().addThreadTurn({ direction: 'outbound', channel: outputFormat, content: responseContent });
+    }
+    return result.data;
+  },
+  
   // Output Format
   setOutputFormat: (format) => set({ outputFormat: format }),
   
   // Save Analysis
-  saveAnalysis: () => {
-    const { activeTab, profileData, profileContent, companyData, companyContent, messageAnalysis, responseContent } = get();
+  saveAnalysis: async () => {
+    const { activeTab, outputFormat, profileUrl, profileData, profileContent, profileContext, companyUrl, companyData, companyContent, companyPromptVersion, decisionMakers, clientMessage, messageAnalysis, responseContent, responsePromptVersion } = get();
     
     let newAnalysis = {
-      id: Date.now(),
       type: activeTab,
-      createdAt: new Date().toISOString(),
+      outputFormat,
     };
     
-    if (activeTab === 'profile' && profileData) {
+    if (activeTab === 'profile' && profileData && profileContent) {
+      const agentProcess = profileData.metadata?.process;
       newAnalysis = {
         ...newAnalysis,
         profileData,
         profileContent,
+        metadata: profileData.metadata || null,
+        sourceUrl: profileUrl || null,
+        additionalContext: profileContext || null,
+        modelOptions: agentProcess
+          ? { fineTuningModel: agentProcess.fineTuningModel || null, salesCopyModel: agentProcess.salesCopyModel || null }
+          : null,
       };
     } else if (activeTab === 'company' && companyData) {
       newAnalysis = {
         ...newAnalysis,
         companyData,
         companyContent,
+        decisionMakers,
+        sourceUrl: companyUrl || null,
+        metadata: companyPromptVersion ? { promptVersion: companyPromptVersion } : null,
       };
     } else if (activeTab === 'message' && messageAnalysis) {
       newAnalysis = {
         ...newAnalysis,
+        clientMessage,
         messageAnalysis,
         responseContent,
+        metadata: responsePromptVersion ? { promptVersion: responsePromptVersion } : null,
       };
     } else {
       return; // Nothing to save
     }
     
+    try {
+      const result = await apiService.saveAnalysis(newAnalysis);
+      set((state) => ({
+        savedAnalyses: [...state.savedAnalyses, result.data]
+      }));
+    } catch (error) {
+      console.error('Failed to save analysis:', error);
+    }
+  },
+  
+  // Re-run a saved profile analysis with other models; resolves with the new linked analysis
+  rerunAnalysis: async (id, modelOptions, onUpdate = () => {}) => {
+    const job = await apiService.rerunAnalysis(id, modelOptions);
+    const finishedJob = await apiService.watchJob(job.id, onUpdate);
+    
+    if (finishedJob.status !== 'completed') {
+      throw new Error(finishedJob.error || 'Failed to re-run analysis');
+    }
+    
+    const { analysis } = finishedJob.result;
     set((state) => ({
-      savedAnalyses: [...state.savedAnalyses, newAnalysis]
+      savedAnalyses: upsertById(state.savedAnalyses, analysis)
     }));
+    return analysis;
   },
   
   // Delete Analysis
-  deleteAnalysis: (id) => {
-    set((state) => ({
-      savedAnalyses: state.savedAnalyses.filter(analysis => analysis.id !== id)
-    }));
+  deleteAnalysis: async (id) => {
+    try {
+      await apiService.deleteSavedAnalysis(id);
+      set((state) => ({
+        savedAnalyses: state.savedAnalyses.filter(analysis => analysis.id !== id)
+      }));
+    } catch (error) {
+      console.error('Failed to delete analysis:', error);
+    }
   },
   
   // Clear form data
@@ -318,20 +592,33 @@ const useStore = create((set, get) => ({
       profileUrl: '',
       profileData: null,
       profileContent: null,
+      profileContext: '',
       profileError: null,
+      sequence: null,
+      sequenceError: null,
+      variants: null,
+      variantsError: null,
+      variantErrors: [],
+      variantAnalysisId: null,
+      sentVariantId: null,
       
       companyUrl: '',
       companyData: null,
       companyContent: null,
+      companyPromptVersion: null,
       decisionMakers: [],
       companyError: null,
       
       clientMessage: '',
       messageAnalysis: null,
+      selectedQuestions: [],
       responseContent: null,
+      responsePromptVersion: null,
       messageError: null,
       
-      processingStage: 'idle'
+      processingStage: 'idle',
+      jobStatus: null,
+      streamingContent: ''
     });
   }
 }));
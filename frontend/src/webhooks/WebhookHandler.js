@@ -1,5 +1,8 @@
 /**
  * Webhook handler for receiving LinkedIn data from external sources (like Zapier)
+ *
+ * External tools should post to the backend endpoint POST /api/webhooks/linkedin,
+ * which verifies the signature, validates and deduplicates the payload server-side.
  */
 import apiService from '../services/apiService';
 import ProspectModel from '../models/ProspectModel';